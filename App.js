@@ -8,11 +8,17 @@ import { AuthProvider, useAuth } from './src/context/AuthContext';
 import { ThemeProvider, useTheme } from './src/context/ThemeContext';
 import RootNavigator from './src/navigation/RootNavigator';
 import LoadingScreen from './src/screens/LoadingScreen';
+import { usePendingSyncReplay, useConnectivityMonitor } from './src/hooks';
 
 function AppContent() {
   const { isLoading } = useAuth();
   const { isDarkMode, isLoading: themeLoading } = useTheme();
 
+  // Keep the backend status behind the connectivity banner up to date
+  useConnectivityMonitor();
+  // Push saved-path changes made offline once the backend is reachable
+  usePendingSyncReplay();
+
   if (isLoading || themeLoading) {
     return <LoadingScreen />;
   }
@@ -0,0 +1,113 @@
+import React, { useMemo } from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+
+import { getActivityHeatmap } from '../models/activity';
+import { useTheme } from '../context/ThemeContext';
+import { Typography, Spacing } from '../theme';
+
+const CELL_SIZE = 12;
+const CELL_GAP = 3;
+const WEEKDAY_LABELS = ['', 'M', '', 'W', '', 'F', ''];
+// Opacity of days with activity, from quiet to as busy as the busiest day shown
+const LEVEL_OPACITY = [0.35, 0.55, 0.8, 1];
+
+/**
+ * Calendar of the last weeks, one column per week, with each day shaded by how
+ * much was done on it. Days covered by a streak freeze are shown in blue.
+ */
+export default function ActivityHeatmap({ events, today, weeks = 15, style }) {
+    const { colors: Colors, isDarkMode } = useTheme();
+    const styles = useMemo(() => createStyles(Colors, isDarkMode), [Colors, isDarkMode]);
+    const heatmap = useMemo(() => getActivityHeatmap(events, { today, weeks }), [events, today, weeks]);
+
+    const getLevel = (count) => (count === 0 ? 0 : Math.ceil((count / heatmap.maxCount) * LEVEL_OPACITY.length));
+
+    const renderCell = (cell, weekday) => {
+        if (!cell) return <View key={weekday} style={styles.cell} />;
+
+        const level = getLevel(cell.count);
+        return (
+            <View
+                key={weekday}
+                style={[
+                    styles.cell,
+                    level > 0 && { backgroundColor: Colors.primary.main, opacity: LEVEL_OPACITY[level - 1] },
+                    level === 0 && (cell.frozen ? styles.frozenCell : styles.emptyCell),
+                ]}
+                accessibilityLabel={`${cell.day}: ${cell.frozen ? 'streak freeze' : `${cell.count} activit${cell.count === 1 ? 'y' : 'ies'}`}`}
+            />
+        );
+    };
+
+    return (
+        <View style={style}>
+            <View style={styles.grid}>
+                <View style={styles.column}>
+                    {WEEKDAY_LABELS.map((label, index) => (
+                        <Text key={index} style={styles.weekdayLabel}>{label}</Text>
+                    ))}
+                </View>
+                {heatmap.weeks.map((week, index) => (
+                    <View key={index} style={styles.column}>
+                        {week.map(renderCell)}
+                    </View>
+                ))}
+            </View>
+
+            <View style={styles.legend}>
+                <View style={[styles.cell, styles.frozenCell]} />
+                <Text style={styles.legendText}>Freeze</Text>
+                <View style={styles.legendSpacer} />
+                <Text style={styles.legendText}>Less</Text>
+                <View style={[styles.cell, styles.emptyCell]} />
+                {LEVEL_OPACITY.map(opacity => (
+                    <View key={opacity} style={[styles.cell, { backgroundColor: Colors.primary.main, opacity }]} />
+                ))}
+                <Text style={styles.legendText}>More</Text>
+            </View>
+        </View>
+    );
+}
+
+const createStyles = (Colors, isDarkMode) => StyleSheet.create({
+    grid: {
+        flexDirection: 'row',
+        gap: CELL_GAP,
+    },
+    column: {
+        gap: CELL_GAP,
+    },
+    cell: {
+        width: CELL_SIZE,
+        height: CELL_SIZE,
+        borderRadius: 3,
+    },
+    emptyCell: {
+        backgroundColor: isDarkMode ? 'rgba(255, 255, 255, 0.08)' : 'rgba(0, 0, 0, 0.06)',
+    },
+    frozenCell: {
+        backgroundColor: Colors.status.info,
+        opacity: 0.6,
+    },
+    weekdayLabel: {
+        width: CELL_SIZE,
+        height: CELL_SIZE,
+        fontSize: 9,
+        lineHeight: CELL_SIZE,
+        color: Colors.text.secondary,
+    },
+    legend: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: CELL_GAP,
+        marginTop: Spacing.sm,
+    },
+    legendSpacer: {
+        flex: 1,
+    },
+    legendText: {
+        fontSize: Typography.fontSizes.xs,
+        color: Colors.text.secondary,
+        marginHorizontal: Spacing.xs,
+    },
+});
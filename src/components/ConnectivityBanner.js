@@ -0,0 +1,84 @@
+import React from 'react';
+import { View, Text, StyleSheet, ActivityIndicator, TouchableOpacity } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+
+import { useConnectivity } from '../hooks';
+import { useTheme } from '../context/ThemeContext';
+import { CONNECTIVITY_STATUS } from '../store/connectivityStore';
+import { Typography, Spacing } from '../theme';
+
+const BANNER_CONTENT = {
+    [CONNECTIVITY_STATUS.WAKING]: {
+        title: 'Waking up the server…',
+        message: 'This can take up to a minute after a period of inactivity.',
+    },
+    [CONNECTIVITY_STATUS.OFFLINE]: {
+        icon: 'cloud-offline-outline',
+        title: "You're offline",
+        message: 'Changes are saved on this device and will sync when you reconnect.',
+    },
+    [CONNECTIVITY_STATUS.DOWN]: {
+        icon: 'alert-circle-outline',
+        title: "Can't reach the server",
+        message: 'Changes will sync once it is back. Tap to retry.',
+    },
+};
+
+/**
+ * Shows when the backend is waking up, unreachable, or the device is offline.
+ */
+export default function ConnectivityBanner() {
+    const { colors: Colors } = useTheme();
+    const { status, checkConnectivity } = useConnectivity();
+
+    const content = BANNER_CONTENT[status];
+    if (!content) return null;
+
+    const isWaking = status === CONNECTIVITY_STATUS.WAKING;
+    const backgroundColor = isWaking ? Colors.status.info : status === CONNECTIVITY_STATUS.DOWN
+        ? Colors.status.error
+        : Colors.status.warning;
+
+    return (
+        <TouchableOpacity
+            style={[styles.container, { backgroundColor }]}
+            onPress={() => checkConnectivity()}
+            disabled={isWaking}
+            activeOpacity={0.8}
+            accessibilityRole="button"
+            accessibilityLabel={`${content.title}. ${content.message}`}
+        >
+            {isWaking ? (
+                <ActivityIndicator size="small" color="#fff" />
+            ) : (
+                <Ionicons name={content.icon} size={18} color="#fff" />
+            )}
+            <View style={styles.textContainer}>
+                <Text style={styles.title}>{content.title}</Text>
+                <Text style={styles.message}>{content.message}</Text>
+            </View>
+        </TouchableOpacity>
+    );
+}
+
+const styles = StyleSheet.create({
+    container: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: Spacing.sm,
+        paddingHorizontal: Spacing.base,
+        paddingVertical: Spacing.sm,
+    },
+    textContainer: {
+        flex: 1,
+    },
+    title: {
+        fontSize: Typography.fontSizes.sm,
+        fontWeight: Typography.fontWeights.semibold,
+        color: '#fff',
+    },
+    message: {
+        fontSize: Typography.fontSizes.xs,
+        color: 'rgba(255, 255, 255, 0.9)',
+    },
+});
@@ -0,0 +1,64 @@
+import React, { useMemo } from 'react';
+import { Text, StyleSheet, TouchableOpacity } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+
+import useLearningPathStore from '../store/learningPathStore';
+import { GENERATION_JOB_STATUS, isActiveGenerationJob } from '../models/generationJob';
+import { useTheme } from '../context/ThemeContext';
+import { Typography, Spacing, BorderRadius } from '../theme';
+
+/**
+ * Shows how many generations are running or ready to open.
+ * Tapping opens the Generations list.
+ */
+export default function GenerationJobsIndicator({ onPress, style }) {
+    const { colors: Colors, isDarkMode } = useTheme();
+    const styles = useMemo(() => createStyles(Colors, isDarkMode), [Colors, isDarkMode]);
+    const generationJobs = useLearningPathStore((state) => state.generationJobs);
+
+    if (generationJobs.length === 0) return null;
+
+    const activeCount = generationJobs.filter(isActiveGenerationJob).length;
+    const readyCount = generationJobs.filter(job => job.status === GENERATION_JOB_STATUS.FINISHED).length;
+    const summary = [
+        activeCount > 0 && `${activeCount} generating`,
+        readyCount > 0 && `${readyCount} ready`,
+    ].filter(Boolean).join(' · ') || `${generationJobs.length} past generation${generationJobs.length !== 1 ? 's' : ''}`;
+
+    return (
+        <TouchableOpacity style={[styles.container, style]} onPress={onPress} activeOpacity={0.7}>
+            <Ionicons
+                name={activeCount > 0 ? 'sparkles' : 'time-outline'}
+                size={16}
+                color={Colors.primary.main}
+            />
+            <Text style={styles.text}>{summary}</Text>
+            <Text style={styles.actionText}>View</Text>
+        </TouchableOpacity>
+    );
+}
+
+const createStyles = (Colors, isDarkMode) => StyleSheet.create({
+    container: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: Spacing.sm,
+        paddingHorizontal: Spacing.md,
+        paddingVertical: Spacing.sm,
+        borderRadius: BorderRadius.md,
+        backgroundColor: isDarkMode ? 'rgba(102, 126, 234, 0.15)' : 'rgba(102, 126, 234, 0.08)',
+        borderWidth: 1,
+        borderColor: isDarkMode ? 'rgba(102, 126, 234, 0.3)' : 'rgba(102, 126, 234, 0.25)',
+    },
+    text: {
+        flex: 1,
+        fontSize: Typography.fontSizes.sm,
+        color: Colors.text.primary,
+        fontWeight: Typography.fontWeights.medium,
+    },
+    actionText: {
+        fontSize: Typography.fontSizes.xs,
+        color: Colors.primary.main,
+        fontWeight: Typography.fontWeights.semibold,
+    },
+});
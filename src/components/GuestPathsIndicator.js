@@ -0,0 +1,54 @@
+import React, { useMemo } from 'react';
+import { Text, StyleSheet, TouchableOpacity } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+
+import useLearningPathStore from '../store/learningPathStore';
+import { useTheme } from '../context/ThemeContext';
+import { Typography, Spacing, BorderRadius } from '../theme';
+
+/**
+ * Shows how many paths saved in guest mode are still waiting to be uploaded.
+ * Tapping opens the import screen.
+ */
+export default function GuestPathsIndicator({ onPress, style }) {
+    const { colors: Colors, isDarkMode } = useTheme();
+    const styles = useMemo(() => createStyles(Colors, isDarkMode), [Colors, isDarkMode]);
+    const guestPathCount = useLearningPathStore((state) => state.guestPaths.length);
+
+    if (guestPathCount === 0) return null;
+
+    return (
+        <TouchableOpacity style={[styles.container, style]} onPress={onPress} activeOpacity={0.7}>
+            <Ionicons name="cloud-upload-outline" size={16} color={Colors.primary.main} />
+            <Text style={styles.text}>
+                {guestPathCount} path{guestPathCount !== 1 ? 's' : ''} from guest mode on this device
+            </Text>
+            <Text style={styles.actionText}>Import</Text>
+        </TouchableOpacity>
+    );
+}
+
+const createStyles = (Colors, isDarkMode) => StyleSheet.create({
+    container: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: Spacing.sm,
+        paddingHorizontal: Spacing.md,
+        paddingVertical: Spacing.sm,
+        borderRadius: BorderRadius.md,
+        backgroundColor: isDarkMode ? 'rgba(102, 126, 234, 0.15)' : 'rgba(102, 126, 234, 0.08)',
+        borderWidth: 1,
+        borderColor: isDarkMode ? 'rgba(102, 126, 234, 0.3)' : 'rgba(102, 126, 234, 0.25)',
+    },
+    text: {
+        flex: 1,
+        fontSize: Typography.fontSizes.sm,
+        color: Colors.text.primary,
+        fontWeight: Typography.fontWeights.medium,
+    },
+    actionText: {
+        fontSize: Typography.fontSizes.xs,
+        color: Colors.primary.main,
+        fontWeight: Typography.fontWeights.semibold,
+    },
+});
@@ -0,0 +1,349 @@
+import React, { useMemo, useState } from 'react';
+import { View, Text, TextInput, StyleSheet, TouchableOpacity } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+
+import { createResourceId } from '../models/learningPath';
+import { useTheme } from '../context/ThemeContext';
+import { Typography, Spacing, BorderRadius } from '../theme';
+
+/**
+ * Editable card for one milestone of a path: title, description, hours, resources
+ * and skills, with buttons to move it up or down and to remove it.
+ * Changes are reported through `onChange(changes)`; the parent owns the draft.
+ */
+export default function MilestoneEditor({
+    milestone,
+    index,
+    count,
+    error,
+    onChange,
+    onMove,
+    onRemove,
+    style,
+}) {
+    const { colors: Colors, isDarkMode } = useTheme();
+    const styles = useMemo(() => createStyles(Colors, isDarkMode), [Colors, isDarkMode]);
+    const [resourceTitle, setResourceTitle] = useState('');
+    const [resourceUrl, setResourceUrl] = useState('');
+    const [skill, setSkill] = useState('');
+
+    const canAddResource = !!(resourceTitle.trim() || resourceUrl.trim());
+
+    const addResource = () => {
+        if (!canAddResource) return;
+        onChange({
+            resources: [
+                ...milestone.resources,
+                {
+                    id: createResourceId(),
+                    title: resourceTitle.trim(),
+                    type: 'link',
+                    url: resourceUrl.trim() || null,
+                    description: '',
+                },
+            ],
+        });
+        setResourceTitle('');
+        setResourceUrl('');
+    };
+
+    const addSkill = () => {
+        const name = skill.trim();
+        if (!name) return;
+        if (!milestone.skills.some(existing => existing.toLowerCase() === name.toLowerCase())) {
+            onChange({ skills: [...milestone.skills, name] });
+        }
+        setSkill('');
+    };
+
+    return (
+        <View style={[styles.container, style]}>
+            <View style={styles.toolbar}>
+                <Text style={styles.weekLabel}>Week {index + 1}</Text>
+                <View style={styles.toolbarActions}>
+                    <TouchableOpacity
+                        style={styles.iconButton}
+                        onPress={() => onMove(-1)}
+                        disabled={index === 0}
+                        accessibilityLabel="Move up"
+                    >
+                        <Ionicons
+                            name="arrow-up"
+                            size={18}
+                            color={index === 0 ? Colors.text.muted : Colors.text.primary}
+                        />
+                    </TouchableOpacity>
+                    <TouchableOpacity
+                        style={styles.iconButton}
+                        onPress={() => onMove(1)}
+                        disabled={index === count - 1}
+                        accessibilityLabel="Move down"
+                    >
+                        <Ionicons
+                            name="arrow-down"
+                            size={18}
+                            color={index === count - 1 ? Colors.text.muted : Colors.text.primary}
+                        />
+                    </TouchableOpacity>
+                    <TouchableOpacity
+                        style={styles.iconButton}
+                        onPress={onRemove}
+                        disabled={count === 1}
+                        accessibilityLabel="Remove milestone"
+                    >
+                        <Ionicons
+                            name="trash-outline"
+                            size={18}
+                            color={count === 1 ? Colors.text.muted : Colors.status.error}
+                        />
+                    </TouchableOpacity>
+                </View>
+            </View>
+
+            <TextInput
+                style={[styles.input, error && styles.inputError]}
+                value={milestone.title}
+                onChangeText={(title) => onChange({ title })}
+                placeholder="Milestone title"
+                placeholderTextColor={Colors.text.muted}
+            />
+            {error && <Text style={styles.errorText}>{error}</Text>}
+
+            <TextInput
+                style={[styles.input, styles.multilineInput]}
+                value={milestone.description}
+                onChangeText={(description) => onChange({ description })}
+                placeholder="What this milestone covers"
+                placeholderTextColor={Colors.text.muted}
+                multiline
+            />
+
+            <View style={styles.hoursRow}>
+                <Text style={styles.label}>Estimated hours</Text>
+                <TextInput
+                    style={[styles.input, styles.hoursInput]}
+                    value={milestone.estimated_hours}
+                    onChangeText={(hours) => onChange({ estimated_hours: hours.replace(/[^0-9.]/g, '') })}
+                    keyboardType="numeric"
+                    placeholder="-"
+                    placeholderTextColor={Colors.text.muted}
+                />
+            </View>
+
+            {/* Resources */}
+            <Text style={styles.sectionLabel}>Resources</Text>
+            {milestone.resources.map(resource => (
+                <View key={resource.id} style={styles.resourceRow}>
+                    <Ionicons name="link" size={16} color={Colors.primary.main} />
+                    <View style={styles.resourceInfo}>
+                        <Text style={styles.resourceTitle} numberOfLines={1}>
+                            {resource.title || resource.url || resource.description}
+                        </Text>
+                        {resource.title && resource.url && (
+                            <Text style={styles.resourceUrl} numberOfLines={1}>{resource.url}</Text>
+                        )}
+                    </View>
+                    <TouchableOpacity
+                        onPress={() => onChange({
+                            resources: milestone.resources.filter(r => r.id !== resource.id),
+                        })}
+                        accessibilityLabel="Remove resource"
+                    >
+                        <Ionicons name="close-circle" size={20} color={Colors.text.secondary} />
+                    </TouchableOpacity>
+                </View>
+            ))}
+            <TextInput
+                style={styles.input}
+                value={resourceTitle}
+                onChangeText={setResourceTitle}
+                placeholder="Resource title"
+                placeholderTextColor={Colors.text.muted}
+            />
+            <View style={styles.addRow}>
+                <TextInput
+                    style={[styles.input, styles.addInput]}
+                    value={resourceUrl}
+                    onChangeText={setResourceUrl}
+                    placeholder="https://"
+                    placeholderTextColor={Colors.text.muted}
+                    autoCapitalize="none"
+                    keyboardType="url"
+                    onSubmitEditing={addResource}
+                />
+                <TouchableOpacity
+                    style={styles.addButton}
+                    onPress={addResource}
+                    disabled={!canAddResource}
+                    accessibilityLabel="Add resource"
+                >
+                    <Ionicons
+                        name="add-circle"
+                        size={28}
+                        color={canAddResource ? Colors.primary.main : Colors.text.muted}
+                    />
+                </TouchableOpacity>
+            </View>
+
+            {/* Skills */}
+            <Text style={styles.sectionLabel}>Skills</Text>
+            {milestone.skills.length > 0 && (
+                <View style={styles.skillsContainer}>
+                    {milestone.skills.map(name => (
+                        <TouchableOpacity
+                            key={name}
+                            style={styles.skillChip}
+                            onPress={() => onChange({ skills: milestone.skills.filter(s => s !== name) })}
+                            accessibilityLabel={`Remove ${name}`}
+                        >
+                            <Text style={styles.skillText}>{name}</Text>
+                            <Ionicons name="close" size={12} color={Colors.primary.main} />
+                        </TouchableOpacity>
+                    ))}
+                </View>
+            )}
+            <View style={styles.addRow}>
+                <TextInput
+                    style={[styles.input, styles.addInput]}
+                    value={skill}
+                    onChangeText={setSkill}
+                    placeholder="Add a skill"
+                    placeholderTextColor={Colors.text.muted}
+                    onSubmitEditing={addSkill}
+                    returnKeyType="done"
+                />
+                <TouchableOpacity
+                    style={styles.addButton}
+                    onPress={addSkill}
+                    disabled={!skill.trim()}
+                    accessibilityLabel="Add skill"
+                >
+                    <Ionicons
+                        name="add-circle"
+                        size={28}
+                        color={skill.trim() ? Colors.primary.main : Colors.text.muted}
+                    />
+                </TouchableOpacity>
+            </View>
+        </View>
+    );
+}
+
+const createStyles = (Colors, isDarkMode) => StyleSheet.create({
+    container: {
+        padding: Spacing.base,
+        borderRadius: BorderRadius.lg,
+        backgroundColor: isDarkMode ? 'rgba(255, 255, 255, 0.05)' : 'rgba(255, 255, 255, 0.8)',
+        borderWidth: 1,
+        borderColor: `${Colors.text.primary}10`,
+        gap: Spacing.sm,
+    },
+    toolbar: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        justifyContent: 'space-between',
+    },
+    weekLabel: {
+        fontSize: Typography.fontSizes.xs,
+        fontWeight: Typography.fontWeights.bold,
+        color: Colors.primary.main,
+        textTransform: 'uppercase',
+    },
+    toolbarActions: {
+        flexDirection: 'row',
+        gap: Spacing.xs,
+    },
+    iconButton: {
+        width: 32,
+        height: 32,
+        alignItems: 'center',
+        justifyContent: 'center',
+    },
+    label: {
+        fontSize: Typography.fontSizes.sm,
+        color: Colors.text.secondary,
+    },
+    sectionLabel: {
+        fontSize: Typography.fontSizes.sm,
+        fontWeight: Typography.fontWeights.semibold,
+        color: Colors.text.primary,
+        marginTop: Spacing.sm,
+    },
+    input: {
+        backgroundColor: `${Colors.text.primary}08`,
+        borderRadius: BorderRadius.md,
+        paddingHorizontal: Spacing.md,
+        paddingVertical: Spacing.sm,
+        fontSize: Typography.fontSizes.base,
+        color: Colors.text.primary,
+        borderWidth: 1,
+        borderColor: `${Colors.text.primary}15`,
+    },
+    inputError: {
+        borderColor: Colors.status.error,
+    },
+    errorText: {
+        fontSize: Typography.fontSizes.xs,
+        color: Colors.status.error,
+    },
+    multilineInput: {
+        minHeight: 64,
+        textAlignVertical: 'top',
+    },
+    hoursRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        justifyContent: 'space-between',
+    },
+    hoursInput: {
+        width: 80,
+        textAlign: 'center',
+    },
+    resourceRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: Spacing.sm,
+    },
+    resourceInfo: {
+        flex: 1,
+    },
+    resourceTitle: {
+        fontSize: Typography.fontSizes.sm,
+        color: Colors.text.primary,
+    },
+    resourceUrl: {
+        fontSize: Typography.fontSizes.xs,
+        color: Colors.text.secondary,
+    },
+    addRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: Spacing.sm,
+    },
+    addInput: {
+        flex: 1,
+    },
+    addButton: {
+        width: 32,
+        alignItems: 'center',
+    },
+    skillsContainer: {
+        flexDirection: 'row',
+        flexWrap: 'wrap',
+        gap: Spacing.sm,
+    },
+    skillChip: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: Spacing.xs,
+        paddingHorizontal: Spacing.md,
+        paddingVertical: Spacing.xs,
+        borderRadius: BorderRadius.full,
+        backgroundColor: 'rgba(102, 126, 234, 0.12)',
+    },
+    skillText: {
+        fontSize: Typography.fontSizes.xs,
+        color: Colors.primary.main,
+        fontWeight: Typography.fontWeights.medium,
+    },
+});
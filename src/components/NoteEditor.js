@@ -0,0 +1,234 @@
+import React, { useMemo, useState } from 'react';
+import { View, Text, TextInput, StyleSheet, TouchableOpacity } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+
+import { parseNote, applyNoteFormat } from '../utils/noteFormat';
+import { useTheme } from '../context/ThemeContext';
+import { Typography, Spacing, BorderRadius } from '../theme';
+
+const FORMAT_BUTTONS = [
+    { format: 'bold', label: 'Bold' },
+    { format: 'italic', label: 'Italic' },
+    { format: 'item', label: 'List item' },
+];
+
+/**
+ * A note on a milestone or resource: shown formatted, and edited in place with
+ * buttons for bold, italic and list items. `onSave` receives the new text (empty
+ * to delete); `onClose` runs when editing ends without a note.
+ */
+export default function NoteEditor({ text, onSave, onClose, placeholder = 'Add a note', initiallyEditing = false, style }) {
+    const { colors: Colors, isDarkMode } = useTheme();
+    const styles = useMemo(() => createStyles(Colors, isDarkMode), [Colors, isDarkMode]);
+    const [isEditing, setIsEditing] = useState(initiallyEditing);
+    const [draft, setDraft] = useState(text || '');
+    const [selection, setSelection] = useState({ start: 0, end: 0 });
+
+    const startEditing = () => {
+        setDraft(text || '');
+        setIsEditing(true);
+    };
+
+    const stopEditing = (savedText) => {
+        setIsEditing(false);
+        if (!savedText) onClose?.();
+    };
+
+    const handleFormat = (format) => {
+        const result = applyNoteFormat(draft, selection, format);
+        setDraft(result.text);
+        setSelection(result.selection);
+    };
+
+    const handleDelete = () => {
+        onSave('');
+        stopEditing('');
+    };
+
+    const handleSave = () => {
+        const trimmed = draft.trim();
+        if (trimmed !== (text || '')) onSave(trimmed);
+        stopEditing(trimmed);
+    };
+
+    if (!isEditing) {
+        if (!text) {
+            return (
+                <TouchableOpacity style={[styles.addButton, style]} onPress={startEditing} activeOpacity={0.7}>
+                    <Ionicons name="create-outline" size={16} color={Colors.primary.main} />
+                    <Text style={styles.addText}>{placeholder}</Text>
+                </TouchableOpacity>
+            );
+        }
+
+        return (
+            <TouchableOpacity
+                style={[styles.note, style]}
+                onPress={startEditing}
+                activeOpacity={0.7}
+                accessibilityHint="Edit note"
+            >
+                {parseNote(text).map((block, blockIndex) => (
+                    <View key={blockIndex} style={styles.block}>
+                        {block.type === 'item' && <Text style={styles.noteText}>•</Text>}
+                        <Text style={[styles.noteText, styles.blockText]}>
+                            {block.spans.map((span, spanIndex) => (
+                                <Text
+                                    key={spanIndex}
+                                    style={[span.bold && styles.bold, span.italic && styles.italic]}
+                                >
+                                    {span.text}
+                                </Text>
+                            ))}
+                        </Text>
+                    </View>
+                ))}
+            </TouchableOpacity>
+        );
+    }
+
+    return (
+        <View style={[styles.editor, style]}>
+            <View style={styles.toolbar}>
+                {FORMAT_BUTTONS.map(button => (
+                    <TouchableOpacity
+                        key={button.format}
+                        style={styles.formatButton}
+                        onPress={() => handleFormat(button.format)}
+                        accessibilityLabel={button.label}
+                    >
+                        {button.format === 'bold' ? (
+                            <Text style={[styles.formatLabel, styles.bold]}>B</Text>
+                        ) : button.format === 'italic' ? (
+                            <Text style={[styles.formatLabel, styles.italic]}>I</Text>
+                        ) : (
+                            <Ionicons name="list" size={18} color={Colors.text.primary} />
+                        )}
+                    </TouchableOpacity>
+                ))}
+            </View>
+            <TextInput
+                style={styles.input}
+                value={draft}
+                onChangeText={setDraft}
+                selection={selection}
+                onSelectionChange={(event) => setSelection(event.nativeEvent.selection)}
+                placeholder="What did you learn? Where did you get stuck?"
+                placeholderTextColor={Colors.text.muted}
+                multiline
+                autoFocus
+            />
+            <View style={styles.actions}>
+                {!!text && (
+                    <TouchableOpacity onPress={handleDelete} style={styles.deleteAction}>
+                        <Text style={styles.deleteText}>Delete</Text>
+                    </TouchableOpacity>
+                )}
+                <TouchableOpacity onPress={() => stopEditing(text)} style={styles.action}>
+                    <Text style={styles.cancelText}>Cancel</Text>
+                </TouchableOpacity>
+                <TouchableOpacity onPress={handleSave} style={styles.action}>
+                    <Text style={styles.saveText}>Save</Text>
+                </TouchableOpacity>
+            </View>
+        </View>
+    );
+}
+
+const createStyles = (Colors, isDarkMode) => StyleSheet.create({
+    addButton: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: Spacing.xs,
+        paddingVertical: Spacing.xs,
+    },
+    addText: {
+        fontSize: Typography.fontSizes.sm,
+        color: Colors.primary.main,
+        fontWeight: Typography.fontWeights.medium,
+    },
+    note: {
+        padding: Spacing.md,
+        borderRadius: BorderRadius.md,
+        backgroundColor: isDarkMode ? 'rgba(250, 204, 21, 0.08)' : 'rgba(250, 204, 21, 0.15)',
+        borderLeftWidth: 3,
+        borderLeftColor: Colors.status.warning,
+        gap: Spacing.xs,
+    },
+    block: {
+        flexDirection: 'row',
+        gap: Spacing.xs,
+    },
+    blockText: {
+        flex: 1,
+    },
+    noteText: {
+        fontSize: Typography.fontSizes.sm,
+        color: Colors.text.primary,
+        lineHeight: 20,
+    },
+    bold: {
+        fontWeight: Typography.fontWeights.bold,
+    },
+    italic: {
+        fontStyle: 'italic',
+    },
+    editor: {
+        borderRadius: BorderRadius.md,
+        borderWidth: 1,
+        borderColor: `${Colors.text.primary}15`,
+        backgroundColor: `${Colors.text.primary}08`,
+        overflow: 'hidden',
+    },
+    toolbar: {
+        flexDirection: 'row',
+        borderBottomWidth: 1,
+        borderBottomColor: `${Colors.text.primary}10`,
+    },
+    formatButton: {
+        width: 40,
+        height: 36,
+        alignItems: 'center',
+        justifyContent: 'center',
+    },
+    formatLabel: {
+        fontSize: Typography.fontSizes.base,
+        color: Colors.text.primary,
+    },
+    input: {
+        minHeight: 80,
+        padding: Spacing.md,
+        fontSize: Typography.fontSizes.sm,
+        color: Colors.text.primary,
+        textAlignVertical: 'top',
+    },
+    actions: {
+        flexDirection: 'row',
+        justifyContent: 'flex-end',
+        alignItems: 'center',
+        paddingHorizontal: Spacing.sm,
+        paddingBottom: Spacing.sm,
+    },
+    action: {
+        paddingHorizontal: Spacing.md,
+        paddingVertical: Spacing.xs,
+    },
+    deleteAction: {
+        marginRight: 'auto',
+        paddingHorizontal: Spacing.md,
+        paddingVertical: Spacing.xs,
+    },
+    deleteText: {
+        fontSize: Typography.fontSizes.sm,
+        color: Colors.status.error,
+    },
+    cancelText: {
+        fontSize: Typography.fontSizes.sm,
+        color: Colors.text.secondary,
+    },
+    saveText: {
+        fontSize: Typography.fontSizes.sm,
+        fontWeight: Typography.fontWeights.semibold,
+        color: Colors.primary.main,
+    },
+});
@@ -0,0 +1,300 @@
+import React, { useMemo, useState } from 'react';
+import {
+    View,
+    Text,
+    TextInput,
+    StyleSheet,
+    TouchableOpacity,
+    Modal,
+    Switch,
+    ScrollView,
+    KeyboardAvoidingView,
+    Platform,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+
+import { getPathMetadata } from '../models/learningPath';
+import { useTheme } from '../context/ThemeContext';
+import { Typography, Spacing, BorderRadius } from '../theme';
+
+/**
+ * Bottom sheet for filing a saved path: its collection, tags, and whether it is
+ * pinned or archived. Every change is reported right away through `onChange(changes)`.
+ * `collections` and `tags` are the ones already in use, offered as suggestions.
+ */
+export default function PathOrganizer({ path, collections = [], tags = [], onChange, onClose }) {
+    const { colors: Colors, isDarkMode } = useTheme();
+    const styles = useMemo(() => createStyles(Colors, isDarkMode), [Colors, isDarkMode]);
+    const [newCollection, setNewCollection] = useState('');
+    const [newTag, setNewTag] = useState('');
+
+    const metadata = path ? getPathMetadata(path) : null;
+    const hasTag = (tag) => metadata.tags.some(existing => existing.toLowerCase() === tag.toLowerCase());
+    const suggestedTags = metadata ? tags.filter(tag => !hasTag(tag)) : [];
+
+    const addCollection = () => {
+        const name = newCollection.trim();
+        if (!name) return;
+        onChange({ collection: name });
+        setNewCollection('');
+    };
+
+    const addTag = (tag) => {
+        const name = tag.trim();
+        if (!name) return;
+        if (!hasTag(name)) {
+            onChange({ tags: [...metadata.tags, name] });
+        }
+        setNewTag('');
+    };
+
+    const switchColors = {
+        trackColor: { false: isDarkMode ? '#555' : '#ccc', true: Colors.primary.main },
+    };
+
+    return (
+        <Modal visible={!!path} transparent animationType="slide" onRequestClose={onClose}>
+            <KeyboardAvoidingView
+                style={styles.backdrop}
+                behavior={Platform.OS === 'ios' ? 'padding' : undefined}
+            >
+                <TouchableOpacity style={styles.dismissArea} onPress={onClose} accessibilityLabel="Close" />
+                {metadata && (
+                    <View style={styles.sheet}>
+                        <View style={styles.header}>
+                            <Text style={styles.title} numberOfLines={1}>{path.topic || path.title}</Text>
+                            <TouchableOpacity onPress={onClose} accessibilityLabel="Done">
+                                <Text style={styles.doneText}>Done</Text>
+                            </TouchableOpacity>
+                        </View>
+
+                        <ScrollView contentContainerStyle={styles.content} keyboardShouldPersistTaps="handled">
+                            <View style={styles.switchRow}>
+                                <Ionicons name="pin-outline" size={20} color={Colors.text.primary} />
+                                <Text style={styles.switchLabel}>Pin to top</Text>
+                                <Switch
+                                    value={metadata.pinned}
+                                    onValueChange={(pinned) => onChange({ pinned })}
+                                    {...switchColors}
+                                    thumbColor={metadata.pinned ? '#fff' : '#f4f3f4'}
+                                />
+                            </View>
+                            <View style={styles.switchRow}>
+                                <Ionicons name="archive-outline" size={20} color={Colors.text.primary} />
+                                <Text style={styles.switchLabel}>Archived</Text>
+                                <Switch
+                                    value={metadata.archived}
+                                    onValueChange={(archived) => onChange({ archived })}
+                                    {...switchColors}
+                                    thumbColor={metadata.archived ? '#fff' : '#f4f3f4'}
+                                />
+                            </View>
+
+                            {/* Collection */}
+                            <Text style={styles.sectionLabel}>Collection</Text>
+                            <View style={styles.chips}>
+                                <TouchableOpacity
+                                    style={[styles.chip, !metadata.collection && styles.chipSelected]}
+                                    onPress={() => onChange({ collection: null })}
+                                >
+                                    <Text style={[styles.chipText, !metadata.collection && styles.chipTextSelected]}>
+                                        None
+                                    </Text>
+                                </TouchableOpacity>
+                                {[...new Set([...collections, metadata.collection].filter(Boolean))].map((collection) => {
+                                    const isSelected = metadata.collection === collection;
+                                    return (
+                                        <TouchableOpacity
+                                            key={collection}
+                                            style={[styles.chip, isSelected && styles.chipSelected]}
+                                            onPress={() => onChange({ collection })}
+                                        >
+                                            <Text style={[styles.chipText, isSelected && styles.chipTextSelected]}>
+                                                {collection}
+                                            </Text>
+                                        </TouchableOpacity>
+                                    );
+                                })}
+                            </View>
+                            <View style={styles.addRow}>
+                                <TextInput
+                                    style={styles.input}
+                                    value={newCollection}
+                                    onChangeText={setNewCollection}
+                                    placeholder="New collection, e.g. Personal"
+                                    placeholderTextColor={Colors.text.muted}
+                                    onSubmitEditing={addCollection}
+                                    returnKeyType="done"
+                                />
+                                <TouchableOpacity
+                                    onPress={addCollection}
+                                    disabled={!newCollection.trim()}
+                                    accessibilityLabel="Add collection"
+                                >
+                                    <Ionicons
+                                        name="add-circle"
+                                        size={28}
+                                        color={newCollection.trim() ? Colors.primary.main : Colors.text.muted}
+                                    />
+                                </TouchableOpacity>
+                            </View>
+
+                            {/* Tags */}
+                            <Text style={styles.sectionLabel}>Tags</Text>
+                            {metadata.tags.length > 0 && (
+                                <View style={styles.chips}>
+                                    {metadata.tags.map(tag => (
+                                        <TouchableOpacity
+                                            key={tag}
+                                            style={[styles.chip, styles.chipSelected, styles.tagChip]}
+                                            onPress={() => onChange({ tags: metadata.tags.filter(t => t !== tag) })}
+                                            accessibilityLabel={`Remove tag ${tag}`}
+                                        >
+                                            <Text style={[styles.chipText, styles.chipTextSelected]}>#{tag}</Text>
+                                            <Ionicons name="close" size={12} color="#fff" />
+                                        </TouchableOpacity>
+                                    ))}
+                                </View>
+                            )}
+                            <View style={styles.addRow}>
+                                <TextInput
+                                    style={styles.input}
+                                    value={newTag}
+                                    onChangeText={setNewTag}
+                                    placeholder="Add a tag"
+                                    placeholderTextColor={Colors.text.muted}
+                                    autoCapitalize="none"
+                                    onSubmitEditing={() => addTag(newTag)}
+                                    returnKeyType="done"
+                                />
+                                <TouchableOpacity
+                                    onPress={() => addTag(newTag)}
+                                    disabled={!newTag.trim()}
+                                    accessibilityLabel="Add tag"
+                                >
+                                    <Ionicons
+                                        name="add-circle"
+                                        size={28}
+                                        color={newTag.trim() ? Colors.primary.main : Colors.text.muted}
+                                    />
+                                </TouchableOpacity>
+                            </View>
+                            {suggestedTags.length > 0 && (
+                                <View style={styles.chips}>
+                                    {suggestedTags.map(tag => (
+                                        <TouchableOpacity key={tag} style={styles.chip} onPress={() => addTag(tag)}>
+                                            <Text style={styles.chipText}>#{tag}</Text>
+                                        </TouchableOpacity>
+                                    ))}
+                                </View>
+                            )}
+                        </ScrollView>
+                    </View>
+                )}
+            </KeyboardAvoidingView>
+        </Modal>
+    );
+}
+
+const createStyles = (Colors, isDarkMode) => StyleSheet.create({
+    backdrop: {
+        flex: 1,
+        justifyContent: 'flex-end',
+        backgroundColor: 'rgba(0, 0, 0, 0.4)',
+    },
+    dismissArea: {
+        flex: 1,
+    },
+    sheet: {
+        maxHeight: '80%',
+        borderTopLeftRadius: BorderRadius.xl,
+        borderTopRightRadius: BorderRadius.xl,
+        backgroundColor: Colors.background.card,
+    },
+    header: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        justifyContent: 'space-between',
+        gap: Spacing.md,
+        padding: Spacing.lg,
+        borderBottomWidth: 1,
+        borderBottomColor: `${Colors.text.primary}10`,
+    },
+    title: {
+        flex: 1,
+        fontSize: Typography.fontSizes.lg,
+        fontWeight: Typography.fontWeights.bold,
+        color: Colors.text.primary,
+    },
+    doneText: {
+        fontSize: Typography.fontSizes.base,
+        fontWeight: Typography.fontWeights.semibold,
+        color: Colors.primary.main,
+    },
+    content: {
+        padding: Spacing.lg,
+        gap: Spacing.sm,
+    },
+    switchRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: Spacing.md,
+        paddingVertical: Spacing.xs,
+    },
+    switchLabel: {
+        flex: 1,
+        fontSize: Typography.fontSizes.base,
+        color: Colors.text.primary,
+    },
+    sectionLabel: {
+        fontSize: Typography.fontSizes.sm,
+        fontWeight: Typography.fontWeights.semibold,
+        color: Colors.text.primary,
+        marginTop: Spacing.md,
+    },
+    chips: {
+        flexDirection: 'row',
+        flexWrap: 'wrap',
+        gap: Spacing.sm,
+    },
+    chip: {
+        paddingHorizontal: Spacing.md,
+        paddingVertical: Spacing.xs,
+        borderRadius: BorderRadius.full,
+        borderWidth: 1,
+        borderColor: isDarkMode ? 'rgba(255,255,255,0.2)' : 'rgba(0,0,0,0.1)',
+    },
+    chipSelected: {
+        backgroundColor: Colors.primary.main,
+        borderColor: Colors.primary.main,
+    },
+    tagChip: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: Spacing.xs,
+    },
+    chipText: {
+        fontSize: Typography.fontSizes.sm,
+        color: Colors.text.primary,
+    },
+    chipTextSelected: {
+        color: '#fff',
+        fontWeight: Typography.fontWeights.medium,
+    },
+    addRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: Spacing.sm,
+    },
+    input: {
+        flex: 1,
+        backgroundColor: `${Colors.text.primary}08`,
+        borderRadius: BorderRadius.md,
+        paddingHorizontal: Spacing.md,
+        paddingVertical: Spacing.sm,
+        fontSize: Typography.fontSizes.base,
+        color: Colors.text.primary,
+        borderWidth: 1,
+        borderColor: `${Colors.text.primary}15`,
+    },
+});
@@ -0,0 +1,81 @@
+import React, { useMemo } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+
+import useSyncQueueStore from '../store/syncQueueStore';
+import useLearningPathStore from '../store/learningPathStore';
+import { useTheme } from '../context/ThemeContext';
+import { Typography, Spacing, BorderRadius } from '../theme';
+
+/**
+ * Shows how many saved-path changes are still waiting to reach the server.
+ * Pass a pathId to only count changes for that path. Tapping retries the sync.
+ */
+export default function PendingSyncIndicator({ pathId, style }) {
+    const { colors: Colors, isDarkMode } = useTheme();
+    const styles = useMemo(() => createStyles(Colors, isDarkMode), [Colors, isDarkMode]);
+    const { queue, isReplaying } = useSyncQueueStore();
+    const { flushPendingSync, resolvePathId } = useLearningPathStore();
+
+    const pendingCount = pathId
+        ? queue.filter(op => op.pathId === resolvePathId(pathId)).length
+        : queue.length;
+
+    if (pendingCount === 0) return null;
+
+    return (
+        <TouchableOpacity
+            style={[styles.container, style]}
+            onPress={flushPendingSync}
+            disabled={isReplaying}
+            activeOpacity={0.7}
+        >
+            <Ionicons
+                name={isReplaying ? 'sync' : 'cloud-offline-outline'}
+                size={16}
+                color={Colors.status.warning}
+            />
+            <Text style={styles.text}>
+                {isReplaying
+                    ? 'Syncing changes...'
+                    : `${pendingCount} change${pendingCount !== 1 ? 's' : ''} waiting to sync`}
+            </Text>
+            {!isReplaying && (
+                <View style={styles.retryBadge}>
+                    <Text style={styles.retryText}>Retry</Text>
+                </View>
+            )}
+        </TouchableOpacity>
+    );
+}
+
+const createStyles = (Colors, isDarkMode) => StyleSheet.create({
+    container: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: Spacing.sm,
+        paddingHorizontal: Spacing.md,
+        paddingVertical: Spacing.sm,
+        borderRadius: BorderRadius.md,
+        backgroundColor: isDarkMode ? 'rgba(246, 173, 85, 0.15)' : 'rgba(245, 158, 11, 0.1)',
+        borderWidth: 1,
+        borderColor: isDarkMode ? 'rgba(246, 173, 85, 0.3)' : 'rgba(245, 158, 11, 0.25)',
+    },
+    text: {
+        flex: 1,
+        fontSize: Typography.fontSizes.sm,
+        color: Colors.text.primary,
+        fontWeight: Typography.fontWeights.medium,
+    },
+    retryBadge: {
+        paddingHorizontal: Spacing.sm,
+        paddingVertical: 2,
+        borderRadius: BorderRadius.full,
+        backgroundColor: `${Colors.status.warning}25`,
+    },
+    retryText: {
+        fontSize: Typography.fontSizes.xs,
+        color: Colors.status.warning,
+        fontWeight: Typography.fontWeights.semibold,
+    },
+});
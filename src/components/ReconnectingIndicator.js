@@ -0,0 +1,44 @@
+import React, { useMemo } from 'react';
+import { View, Text, StyleSheet, ActivityIndicator } from 'react-native';
+
+import { useRetryState } from '../hooks';
+import { useTheme } from '../context/ThemeContext';
+import { Typography, Spacing, BorderRadius } from '../theme';
+
+/**
+ * Shows "Reconnecting..." while API requests are waiting to be retried.
+ */
+export default function ReconnectingIndicator({ style }) {
+    const { colors: Colors, isDarkMode } = useTheme();
+    const styles = useMemo(() => createStyles(Colors, isDarkMode), [Colors, isDarkMode]);
+    const { reconnecting, pendingRequests } = useRetryState();
+
+    if (!reconnecting) return null;
+
+    return (
+        <View style={[styles.container, style]}>
+            <ActivityIndicator size="small" color={Colors.primary.main} />
+            <Text style={styles.text}>
+                Reconnecting…{pendingRequests > 1 ? ` (${pendingRequests} requests)` : ''}
+            </Text>
+        </View>
+    );
+}
+
+const createStyles = (Colors, isDarkMode) => StyleSheet.create({
+    container: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: Spacing.sm,
+        paddingHorizontal: Spacing.md,
+        paddingVertical: Spacing.sm,
+        borderRadius: BorderRadius.md,
+        backgroundColor: isDarkMode ? 'rgba(129, 140, 248, 0.15)' : 'rgba(99, 102, 241, 0.08)',
+    },
+    text: {
+        flex: 1,
+        fontSize: Typography.fontSizes.sm,
+        color: Colors.text.primary,
+        fontWeight: Typography.fontWeights.medium,
+    },
+});
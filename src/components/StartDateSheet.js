@@ -0,0 +1,156 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, Modal } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+
+import { addDays, getDayKey } from '../models/activity';
+import { formatDay } from '../utils';
+import { useTheme } from '../context/ThemeContext';
+import { Typography, Spacing, BorderRadius } from '../theme';
+import ModernButton from './common/ModernButton';
+
+// Day of the week, 0 for Sunday
+const getWeekday = (day) => new Date(`${day}T00:00:00Z`).getUTCDay();
+
+/**
+ * Bottom sheet for picking the day a path's study starts on: a few quick choices
+ * and buttons to move a day at a time. `onConfirm(day)` receives it as YYYY-MM-DD;
+ * the other button runs `onSkip`, e.g. to save the path without a schedule.
+ */
+export default function StartDateSheet({ visible, initialDate, onConfirm, onSkip, onClose, skipTitle = 'Skip' }) {
+    const { colors: Colors, isDarkMode } = useTheme();
+    const styles = useMemo(() => createStyles(Colors, isDarkMode), [Colors, isDarkMode]);
+    const today = getDayKey(new Date());
+    const [day, setDay] = useState(initialDate || today);
+
+    // Start from the path's own date each time the sheet opens
+    useEffect(() => {
+        if (visible) setDay(initialDate || today);
+    }, [visible, initialDate]);
+
+    const quickChoices = [
+        { label: 'Today', day: today },
+        { label: 'Tomorrow', day: addDays(today, 1) },
+        { label: 'Next Monday', day: addDays(today, ((8 - getWeekday(today)) % 7) || 7) },
+    ];
+
+    return (
+        <Modal visible={visible} transparent animationType="slide" onRequestClose={onClose}>
+            <View style={styles.backdrop}>
+                <TouchableOpacity style={styles.dismissArea} onPress={onClose} accessibilityLabel="Close" />
+                <View style={styles.sheet}>
+                    <Text style={styles.title}>When do you want to start?</Text>
+                    <Text style={styles.subtitle}>
+                        Each milestone gets a due date based on your weekly time commitment.
+                    </Text>
+
+                    <View style={styles.chips}>
+                        {quickChoices.map((choice) => {
+                            const isSelected = choice.day === day;
+                            return (
+                                <TouchableOpacity
+                                    key={choice.label}
+                                    style={[styles.chip, isSelected && styles.chipSelected]}
+                                    onPress={() => setDay(choice.day)}
+                                >
+                                    <Text style={[styles.chipText, isSelected && styles.chipTextSelected]}>
+                                        {choice.label}
+                                    </Text>
+                                </TouchableOpacity>
+                            );
+                        })}
+                    </View>
+
+                    <View style={styles.stepper}>
+                        <TouchableOpacity onPress={() => setDay(addDays(day, -1))} accessibilityLabel="Previous day">
+                            <Ionicons name="chevron-back-circle-outline" size={32} color={Colors.primary.main} />
+                        </TouchableOpacity>
+                        <Text style={styles.dayText}>{formatDay(day)}</Text>
+                        <TouchableOpacity onPress={() => setDay(addDays(day, 1))} accessibilityLabel="Next day">
+                            <Ionicons name="chevron-forward-circle-outline" size={32} color={Colors.primary.main} />
+                        </TouchableOpacity>
+                    </View>
+
+                    <View style={styles.actions}>
+                        <ModernButton title={skipTitle} variant="outline" onPress={onSkip} style={styles.action} />
+                        <ModernButton
+                            title="Set Start Date"
+                            variant="primary"
+                            icon="calendar-outline"
+                            onPress={() => onConfirm(day)}
+                            style={styles.action}
+                        />
+                    </View>
+                </View>
+            </View>
+        </Modal>
+    );
+}
+
+const createStyles = (Colors, isDarkMode) => StyleSheet.create({
+    backdrop: {
+        flex: 1,
+        justifyContent: 'flex-end',
+        backgroundColor: 'rgba(0, 0, 0, 0.4)',
+    },
+    dismissArea: {
+        flex: 1,
+    },
+    sheet: {
+        padding: Spacing.lg,
+        gap: Spacing.md,
+        borderTopLeftRadius: BorderRadius.xl,
+        borderTopRightRadius: BorderRadius.xl,
+        backgroundColor: Colors.background.card,
+    },
+    title: {
+        fontSize: Typography.fontSizes.lg,
+        fontWeight: Typography.fontWeights.bold,
+        color: Colors.text.primary,
+    },
+    subtitle: {
+        fontSize: Typography.fontSizes.sm,
+        color: Colors.text.secondary,
+    },
+    chips: {
+        flexDirection: 'row',
+        flexWrap: 'wrap',
+        gap: Spacing.sm,
+    },
+    chip: {
+        paddingHorizontal: Spacing.md,
+        paddingVertical: Spacing.xs,
+        borderRadius: BorderRadius.full,
+        borderWidth: 1,
+        borderColor: isDarkMode ? 'rgba(255,255,255,0.2)' : 'rgba(0,0,0,0.1)',
+    },
+    chipSelected: {
+        backgroundColor: Colors.primary.main,
+        borderColor: Colors.primary.main,
+    },
+    chipText: {
+        fontSize: Typography.fontSizes.sm,
+        color: Colors.text.primary,
+    },
+    chipTextSelected: {
+        color: '#fff',
+        fontWeight: Typography.fontWeights.medium,
+    },
+    stepper: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        justifyContent: 'space-between',
+        paddingVertical: Spacing.sm,
+    },
+    dayText: {
+        fontSize: Typography.fontSizes.lg,
+        fontWeight: Typography.fontWeights.semibold,
+        color: Colors.text.primary,
+    },
+    actions: {
+        flexDirection: 'row',
+        gap: Spacing.md,
+    },
+    action: {
+        flex: 1,
+    },
+});
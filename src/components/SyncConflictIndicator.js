@@ -0,0 +1,54 @@
+import React, { useMemo } from 'react';
+import { Text, StyleSheet, TouchableOpacity } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+
+import useLearningPathStore from '../store/learningPathStore';
+import { useTheme } from '../context/ThemeContext';
+import { Typography, Spacing, BorderRadius } from '../theme';
+
+/**
+ * Shows how many saved paths were changed both here and on another device.
+ * Tapping opens the review screen.
+ */
+export default function SyncConflictIndicator({ onPress, style }) {
+    const { colors: Colors, isDarkMode } = useTheme();
+    const styles = useMemo(() => createStyles(Colors, isDarkMode), [Colors, isDarkMode]);
+    const conflictCount = useLearningPathStore((state) => state.syncConflicts.length);
+
+    if (conflictCount === 0) return null;
+
+    return (
+        <TouchableOpacity style={[styles.container, style]} onPress={onPress} activeOpacity={0.7}>
+            <Ionicons name="git-compare-outline" size={16} color={Colors.status.error} />
+            <Text style={styles.text}>
+                {conflictCount} path{conflictCount !== 1 ? 's were' : ' was'} changed on another device
+            </Text>
+            <Text style={styles.reviewText}>Review</Text>
+        </TouchableOpacity>
+    );
+}
+
+const createStyles = (Colors, isDarkMode) => StyleSheet.create({
+    container: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: Spacing.sm,
+        paddingHorizontal: Spacing.md,
+        paddingVertical: Spacing.sm,
+        borderRadius: BorderRadius.md,
+        backgroundColor: isDarkMode ? 'rgba(245, 101, 101, 0.15)' : 'rgba(245, 101, 101, 0.08)',
+        borderWidth: 1,
+        borderColor: isDarkMode ? 'rgba(245, 101, 101, 0.3)' : 'rgba(245, 101, 101, 0.25)',
+    },
+    text: {
+        flex: 1,
+        fontSize: Typography.fontSizes.sm,
+        color: Colors.text.primary,
+        fontWeight: Typography.fontWeights.medium,
+    },
+    reviewText: {
+        fontSize: Typography.fontSizes.xs,
+        color: Colors.status.error,
+        fontWeight: Typography.fontWeights.semibold,
+    },
+});
@@ -0,0 +1,74 @@
+import React, { useEffect, useRef } from 'react';
+import { Text, StyleSheet, Animated, TouchableOpacity } from 'react-native';
+
+import { useTheme } from '../context/ThemeContext';
+import { Typography, Spacing, BorderRadius, Shadows } from '../theme';
+
+// How long the snackbar stays up when nothing is tapped
+const DEFAULT_DURATION = 5000;
+
+/**
+ * Short message at the bottom of the screen with an Undo action.
+ * A new `message` restarts the timer; `onDismiss` runs when it times out or Undo is tapped.
+ */
+export default function UndoSnackbar({ message, onUndo, onDismiss, duration = DEFAULT_DURATION, style }) {
+    const { colors: Colors, isDarkMode } = useTheme();
+    const opacity = useRef(new Animated.Value(0)).current;
+
+    useEffect(() => {
+        if (!message) return undefined;
+
+        opacity.setValue(0);
+        Animated.timing(opacity, { toValue: 1, duration: 200, useNativeDriver: true }).start();
+        const timeout = setTimeout(() => onDismiss?.(), duration);
+        return () => clearTimeout(timeout);
+    }, [message]);
+
+    if (!message) return null;
+
+    const handleUndo = () => {
+        onUndo?.();
+        onDismiss?.();
+    };
+
+    return (
+        <Animated.View
+            style={[
+                styles.container,
+                { opacity, backgroundColor: isDarkMode ? '#2d2d2d' : '#323232' },
+                style,
+            ]}
+            accessibilityLiveRegion="polite"
+        >
+            <Text style={styles.message} numberOfLines={2}>{message}</Text>
+            <TouchableOpacity onPress={handleUndo} activeOpacity={0.7} accessibilityRole="button">
+                <Text style={[styles.action, { color: Colors.primary.light }]}>Undo</Text>
+            </TouchableOpacity>
+        </Animated.View>
+    );
+}
+
+const styles = StyleSheet.create({
+    container: {
+        position: 'absolute',
+        left: Spacing.base,
+        right: Spacing.base,
+        bottom: Spacing.base,
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: Spacing.md,
+        paddingHorizontal: Spacing.base,
+        paddingVertical: Spacing.md,
+        borderRadius: BorderRadius.md,
+        ...Shadows.md,
+    },
+    message: {
+        flex: 1,
+        fontSize: Typography.fontSizes.sm,
+        color: '#fff',
+    },
+    action: {
+        fontSize: Typography.fontSizes.sm,
+        fontWeight: Typography.fontWeights.bold,
+    },
+});
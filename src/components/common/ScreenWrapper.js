@@ -4,8 +4,9 @@ import { LinearGradient } from 'expo-linear-gradient';
 import { SafeAreaView } from 'react-native-safe-area-context';
 import { StatusBar } from 'expo-status-bar';
 import { useTheme } from '../../context/ThemeContext';
+import ConnectivityBanner from '../ConnectivityBanner';
 
-const ScreenWrapper = ({ children, style, edges = ['top', 'left', 'right'] }) => {
+const ScreenWrapper = ({ children, style, edges = ['top', 'left', 'right'], showConnectivity = true }) => {
     const { colors, isDarkMode } = useTheme();
 
     return (
@@ -17,6 +18,7 @@ const ScreenWrapper = ({ children, style, edges = ['top', 'left', 'right'] }) =>
         >
             <StatusBar style={isDarkMode ? "light" : "dark"} />
             <SafeAreaView style={[styles.safeArea, style]} edges={edges}>
+                {showConnectivity && <ConnectivityBanner />}
                 {children}
             </SafeAreaView>
         </LinearGradient>
@@ -1,24 +1,37 @@
 import React, { createContext, useContext, useState, useEffect } from 'react';
 import AsyncStorage from '@react-native-async-storage/async-storage';
-import { authService } from '../services/api';
+import { authService, setSessionHandlers } from '../services/api';
 import useLearningPathStore from '../store/learningPathStore';
 
 const AuthContext = createContext(null);
 
 const AUTH_TOKEN_KEY = '@auth_token';
 const USER_DATA_KEY = '@user_data';
+const REFRESH_TOKEN_KEY = '@refresh_token';
+
+const SESSION_EXPIRED_MESSAGE = 'Your session has expired. Please log in again.';
 
 export function AuthProvider({ children }) {
   const [user, setUser] = useState(null);
   const [token, setToken] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
   const [isAuthenticated, setIsAuthenticated] = useState(false);
+  const [sessionMessage, setSessionMessage] = useState(null);
 
   // Load saved auth state on app start
   useEffect(() => {
     loadStoredAuth();
   }, []);
 
+  // Keep auth state in step with token refreshes done by the API layer
+  useEffect(() => {
+    setSessionHandlers({
+      onTokenRefreshed: setToken,
+      onSessionExpired: expireSession,
+    });
+    return () => setSessionHandlers(null);
+  }, []);
+
   const loadStoredAuth = async () => {
     try {
       const storedToken = await AsyncStorage.getItem(AUTH_TOKEN_KEY);
@@ -36,10 +49,13 @@ export function AuthProvider({ children }) {
     }
   };
 
-  const saveAuthState = async (authToken, userData) => {
+  const saveAuthState = async (authToken, userData, refreshToken) => {
     try {
       await AsyncStorage.setItem(AUTH_TOKEN_KEY, authToken);
       await AsyncStorage.setItem(USER_DATA_KEY, JSON.stringify(userData));
+      if (refreshToken) {
+        await AsyncStorage.setItem(REFRESH_TOKEN_KEY, refreshToken);
+      }
     } catch (error) {
       console.error('Error saving auth state:', error);
     }
@@ -47,7 +63,7 @@ export function AuthProvider({ children }) {
 
   const clearAuthState = async () => {
     try {
-      await AsyncStorage.multiRemove([AUTH_TOKEN_KEY, USER_DATA_KEY]);
+      await AsyncStorage.multiRemove([AUTH_TOKEN_KEY, USER_DATA_KEY, REFRESH_TOKEN_KEY]);
     } catch (error) {
       console.error('Error clearing auth state:', error);
     }
@@ -59,11 +75,12 @@ export function AuthProvider({ children }) {
       const response = await authService.login(email, password);
 
       if (response.success) {
-        const { token: authToken, user: userData } = response;
+        const { token: authToken, user: userData, refresh_token: refreshToken } = response;
         setToken(authToken);
         setUser(userData);
         setIsAuthenticated(true);
-        await saveAuthState(authToken, userData);
+        setSessionMessage(null);
+        await saveAuthState(authToken, userData, refreshToken);
         return { success: true };
       } else {
         return { success: false, error: response.error || 'Login failed' };
@@ -85,11 +102,12 @@ export function AuthProvider({ children }) {
       const response = await authService.register(name, email, password);
 
       if (response.success) {
-        const { token: authToken, user: userData } = response;
+        const { token: authToken, user: userData, refresh_token: refreshToken } = response;
         setToken(authToken);
         setUser(userData);
         setIsAuthenticated(true);
-        await saveAuthState(authToken, userData);
+        setSessionMessage(null);
+        await saveAuthState(authToken, userData, refreshToken);
         return { success: true };
       } else {
         return { success: false, error: response.error || 'Registration failed' };
@@ -122,6 +140,20 @@ export function AuthProvider({ children }) {
     }
   };
 
+  // Forced logout when the session can't be refreshed (no server logout, the token is already invalid)
+  const expireSession = async () => {
+    setToken(null);
+    setUser(null);
+    setIsAuthenticated(false);
+    setSessionMessage(SESSION_EXPIRED_MESSAGE);
+    await clearAuthState();
+    useLearningPathStore.getState().resetForUserSwitch();
+  };
+
+  const clearSessionMessage = () => {
+    setSessionMessage(null);
+  };
+
   const updateUser = async (userData) => {
     setUser(userData);
     if (token) {
@@ -140,6 +172,8 @@ export function AuthProvider({ children }) {
     token,
     isLoading,
     isAuthenticated,
+    sessionMessage,
+    clearSessionMessage,
     login,
     register,
     logout,
@@ -1,41 +1,143 @@
 import { useState, useEffect, useCallback } from 'react';
+import { AppState } from 'react-native';
 import useLearningPathStore from '../store/learningPathStore';
+import useSyncQueueStore from '../store/syncQueueStore';
+import useConnectivityStore, { CONNECTIVITY_STATUS, isBackendReachable } from '../store/connectivityStore';
+import { getRetryState, subscribeToRetryState } from '../services/api';
 
 /**
- * Custom hook for polling task status during path generation
+ * Custom hook for following task progress during path generation.
+ * Streams progress from the server and falls back to polling; the task keeps
+ * being followed in the background after the screen goes away.
  */
-export function useTaskPolling(taskId, pollInterval = 3000) {
-  const { pollStatus, taskStatus, currentPath, error } = useLearningPathStore();
-  const [isPolling, setIsPolling] = useState(false);
+export function useTaskProgress(taskId) {
+  const { focusGenerationJob, taskStatus, taskProgress, currentPath, error } = useLearningPathStore();
 
   useEffect(() => {
     if (!taskId) return;
+    focusGenerationJob(taskId);
+    return () => useLearningPathStore.getState().blurGenerationJob(taskId);
+  }, [taskId]);
 
-    setIsPolling(true);
-    
-    const interval = setInterval(async () => {
-      const result = await pollStatus();
-      
-      if (result.status === 'finished' || result.status === 'failed' || result.status === 'error') {
-        setIsPolling(false);
-        clearInterval(interval);
-      }
-    }, pollInterval);
-
-    return () => {
-      clearInterval(interval);
-      setIsPolling(false);
-    };
-  }, [taskId, pollInterval]);
+  const isDone = taskStatus === 'finished' || taskStatus === 'failed' || !!error;
 
   return {
-    isPolling,
+    isWatching: !!taskId && !isDone,
     taskStatus,
+    progress: taskProgress,
     currentPath,
     error,
   };
 }
 
+/**
+ * Custom hook that replays queued saved-path changes when the app returns
+ * to the foreground, and keeps retrying while changes are pending
+ */
+export function usePendingSyncReplay(retryInterval = 30000) {
+  const flushPendingSync = useLearningPathStore((state) => state.flushPendingSync);
+  const pendingCount = useSyncQueueStore((state) => state.queue.length);
+  const isOnline = useConnectivityStore((state) => state.status === CONNECTIVITY_STATUS.ONLINE);
+  const hasPending = pendingCount > 0;
+
+  // Replay as soon as the backend is back
+  useEffect(() => {
+    if (isOnline && hasPending) {
+      flushPendingSync();
+    }
+  }, [isOnline]);
+
+  useEffect(() => {
+    const subscription = AppState.addEventListener('change', (nextState) => {
+      if (nextState === 'active') {
+        flushPendingSync();
+      }
+    });
+
+    return () => subscription.remove();
+  }, [flushPendingSync]);
+
+  useEffect(() => {
+    if (!hasPending) return;
+
+    const interval = setInterval(() => {
+      flushPendingSync();
+    }, retryInterval);
+
+    return () => clearInterval(interval);
+  }, [hasPending, retryInterval, flushPendingSync]);
+
+  return pendingCount;
+}
+
+/**
+ * Custom hook that reports whether API requests are waiting to be retried,
+ * e.g. to show "reconnecting..." while the backend wakes up
+ * @returns {{ reconnecting: boolean, pendingRequests: number, nextAttemptAt: number|null }}
+ */
+export function useRetryState() {
+  const [retryState, setRetryState] = useState(getRetryState);
+
+  useEffect(() => subscribeToRetryState(setRetryState), []);
+
+  return retryState;
+}
+
+/**
+ * Custom hook that keeps the global connectivity status fresh: checks the backend
+ * on start, when the app returns to the foreground, when requests start being
+ * retried, and periodically (more often while the backend is unreachable)
+ */
+export function useConnectivityMonitor(onlineInterval = 60000, offlineInterval = 10000) {
+  const status = useConnectivityStore((state) => state.status);
+  const checkConnectivity = useConnectivityStore((state) => state.checkConnectivity);
+  const { reconnecting } = useRetryState();
+
+  useEffect(() => {
+    checkConnectivity();
+
+    const subscription = AppState.addEventListener('change', (nextState) => {
+      if (nextState === 'active') {
+        checkConnectivity();
+      }
+    });
+
+    return () => subscription.remove();
+  }, [checkConnectivity]);
+
+  useEffect(() => {
+    if (reconnecting) {
+      checkConnectivity();
+    }
+  }, [reconnecting, checkConnectivity]);
+
+  useEffect(() => {
+    const interval = setInterval(() => {
+      checkConnectivity();
+    }, status === CONNECTIVITY_STATUS.ONLINE ? onlineInterval : offlineInterval);
+
+    return () => clearInterval(interval);
+  }, [status, onlineInterval, offlineInterval, checkConnectivity]);
+
+  return status;
+}
+
+/**
+ * Custom hook for the current backend connectivity
+ * @returns {{ status: string, isReachable: boolean, isWaking: boolean, checkConnectivity: Function }}
+ */
+export function useConnectivity() {
+  const status = useConnectivityStore((state) => state.status);
+  const checkConnectivity = useConnectivityStore((state) => state.checkConnectivity);
+
+  return {
+    status,
+    isReachable: isBackendReachable(status),
+    isWaking: status === CONNECTIVITY_STATUS.WAKING,
+    checkConnectivity,
+  };
+}
+
 /**
  * Custom hook for form validation
  */
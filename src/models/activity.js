@@ -0,0 +1,226 @@
+/**
+ * Activity model
+ *
+ * A log of when learning happened: milestones and resources finished and
+ * assessments taken. Each event keeps the calendar day it happened on in the
+ * learner's time zone at the time, so travelling or a clock change later doesn't
+ * move past activity to another day. Streaks and the heatmap are computed from it.
+ */
+
+// Bump when the stored shape changes
+export const ACTIVITY_SCHEMA_VERSION = 1;
+
+export const ACTIVITY_TYPES = {
+  MILESTONE_COMPLETED: 'milestone_completed',
+  RESOURCE_COMPLETED: 'resource_completed',
+  ASSESSMENT_COMPLETED: 'assessment_completed',
+};
+
+// A streak earns a freeze every this many active days...
+export const STREAK_FREEZE_EARN_DAYS = 7;
+// ...and holds at most this many; each one covers a single missed day
+export const MAX_STREAK_FREEZES = 2;
+
+/**
+ * @typedef {Object} ActivityEvent
+ * @property {string} id
+ * @property {string} type - one of ACTIVITY_TYPES
+ * @property {string|null} pathId
+ * @property {string|null} targetId - milestone or resource ID, if any
+ * @property {string} at - when it happened (ISO)
+ * @property {string} day - calendar day in the learner's time zone (YYYY-MM-DD)
+ * @property {string|null} timeZone - IANA name of that time zone, when known
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+export const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const pad = (number) => String(number).padStart(2, '0');
+
+/**
+ * The device's time zone, e.g. "Europe/Berlin"
+ * @returns {string|null}
+ */
+export function getDeviceTimeZone() {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Calendar day of a moment in a time zone
+ * @param {Date} date
+ * @param {string|null} [timeZone] - the device's when left out or unsupported
+ * @returns {string} YYYY-MM-DD
+ */
+export function getDayKey(date, timeZone = getDeviceTimeZone()) {
+  if (timeZone) {
+    try {
+      // en-CA formats dates as YYYY-MM-DD
+      return new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' })
+        .format(date);
+    } catch (error) {
+      // Unknown time zone; fall back to the device clock
+    }
+  }
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * The day a number of days before or after another
+ * @param {string} day - YYYY-MM-DD
+ * @param {number} days
+ * @returns {string}
+ */
+export function addDays(day, days) {
+  const [year, month, date] = day.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, date) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Number of days from one day to another (negative when `to` comes first)
+ * @param {string} from - YYYY-MM-DD
+ * @param {string} to - YYYY-MM-DD
+ * @returns {number}
+ */
+export function getDaysBetween(from, to) {
+  return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY_MS);
+}
+
+// Day of the week, 0 for Sunday
+const getWeekday = (day) => new Date(`${day}T00:00:00Z`).getUTCDay();
+
+/**
+ * Build an event for something the learner just did
+ * @param {string} type - one of ACTIVITY_TYPES
+ * @param {Object} [details] - { pathId, targetId, at: Date }
+ * @returns {ActivityEvent}
+ */
+export function createActivityEvent(type, { pathId = null, targetId = null, at = new Date() } = {}) {
+  const timeZone = getDeviceTimeZone();
+  return {
+    id: `act_${at.getTime().toString(36)}${Math.random().toString(36).slice(2, 8)}`,
+    type,
+    pathId,
+    targetId,
+    at: at.toISOString(),
+    day: getDayKey(at, timeZone),
+    timeZone,
+  };
+}
+
+/**
+ * Check a stored event
+ * @param {Object} raw
+ * @returns {ActivityEvent}
+ * @throws {Error} when the event has an unknown type or no valid time
+ */
+export function normalizeActivityEvent(raw) {
+  if (!raw || !Object.values(ACTIVITY_TYPES).includes(raw.type)) {
+    throw new Error(`Unknown activity type: ${raw?.type}`);
+  }
+  const time = Date.parse(raw.at);
+  if (Number.isNaN(time)) {
+    throw new Error('Activity event has no valid time');
+  }
+
+  const timeZone = typeof raw.timeZone === 'string' ? raw.timeZone : null;
+  return {
+    id: typeof raw.id === 'string' && raw.id ? raw.id : `act_${time.toString(36)}`,
+    type: raw.type,
+    pathId: raw.pathId || null,
+    targetId: raw.targetId || null,
+    at: raw.at,
+    day: DAY_PATTERN.test(raw.day) ? raw.day : getDayKey(new Date(time), timeZone),
+    timeZone,
+  };
+}
+
+/**
+ * Number of events per day
+ * @param {ActivityEvent[]} events
+ * @returns {Object<string, number>}
+ */
+export function countActivityByDay(events) {
+  return events.reduce((counts, event) => {
+    counts[event.day] = (counts[event.day] || 0) + 1;
+    return counts;
+  }, {});
+}
+
+/**
+ * Current and longest streak of days with activity.
+ *
+ * Every STREAK_FREEZE_EARN_DAYS active days in a streak earn a freeze (up to
+ * MAX_STREAK_FREEZES). A missed day uses one up and the streak carries on without
+ * growing; a missed day with none left ends it, along with its freezes. Today only
+ * counts once something was done, so the streak isn't broken before the day is over.
+ *
+ * @param {ActivityEvent[]} events
+ * @param {string} [today] - YYYY-MM-DD in the learner's time zone
+ * @returns {{ current: number, longest: number, freezes: number, frozenDays: string[] }}
+ *   `freezes` are those left for the current streak; `frozenDays` every day a freeze covered
+ */
+export function getStreakStats(events, today = getDayKey(new Date())) {
+  const counts = countActivityByDay(events);
+  const activeDays = Object.keys(counts).filter(day => day <= today).sort();
+  if (activeDays.length === 0) {
+    return { current: 0, longest: 0, freezes: 0, frozenDays: [] };
+  }
+
+  let streak = 0;
+  let longest = 0;
+  let freezes = 0;
+  let activeSinceFreeze = 0;
+  const frozenDays = [];
+
+  // A day still in progress can't break the streak
+  const lastDay = counts[today] ? today : addDays(today, -1);
+  for (let day = activeDays[0]; day <= lastDay; day = addDays(day, 1)) {
+    if (counts[day]) {
+      streak++;
+      longest = Math.max(longest, streak);
+      activeSinceFreeze++;
+      if (activeSinceFreeze === STREAK_FREEZE_EARN_DAYS) {
+        freezes = Math.min(freezes + 1, MAX_STREAK_FREEZES);
+        activeSinceFreeze = 0;
+      }
+    } else if (streak > 0 && freezes > 0) {
+      freezes--;
+      frozenDays.push(day);
+    } else {
+      streak = 0;
+      freezes = 0;
+      activeSinceFreeze = 0;
+    }
+  }
+
+  return { current: streak, longest, freezes, frozenDays };
+}
+
+/**
+ * Activity per day for a calendar heatmap: whole weeks from Sunday to Saturday,
+ * oldest first, ending with the week of `today`
+ * @param {ActivityEvent[]} events
+ * @param {Object} [options] - { today: YYYY-MM-DD, weeks: number of weeks shown }
+ * @returns {{ weeks: Array<Array<{ day: string, count: number, frozen: boolean }|null>>, maxCount: number }}
+ *   days after today are null
+ */
+export function getActivityHeatmap(events, { today = getDayKey(new Date()), weeks = 15 } = {}) {
+  const counts = countActivityByDay(events);
+  const frozenDays = new Set(getStreakStats(events, today).frozenDays);
+  const start = addDays(today, -getWeekday(today) - (weeks - 1) * 7);
+
+  let maxCount = 0;
+  const grid = Array.from({ length: weeks }, (_, week) => Array.from({ length: 7 }, (__, weekday) => {
+    const day = addDays(start, week * 7 + weekday);
+    if (day > today) return null;
+    const count = counts[day] || 0;
+    maxCount = Math.max(maxCount, count);
+    return { day, count, frozen: frozenDays.has(day) };
+  }));
+
+  return { weeks: grid, maxCount };
+}
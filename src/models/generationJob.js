@@ -0,0 +1,104 @@
+/**
+ * GenerationJob model
+ *
+ * One learning path generation started from this device. Jobs are persisted so a
+ * generation that outlives the app (they can take minutes) is picked up again on
+ * the next launch, and several topics can be generated at once.
+ */
+import { normalizeLearningPath } from './learningPath';
+
+// Bump when the stored shape changes
+export const GENERATION_JOB_SCHEMA_VERSION = 1;
+
+export const GENERATION_JOB_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  FINISHED: 'finished',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled',
+};
+
+/**
+ * @typedef {Object} GenerationJob
+ * @property {string} taskId - server task ID, also the job's ID
+ * @property {string} topic
+ * @property {Object} params - the request sent to /api/generate
+ * @property {string} status - one of GENERATION_JOB_STATUS
+ * @property {{ stage: string, percent: number|null, message?: string }|null} progress - last progress seen
+ * @property {Object|null} result - the generated LearningPath once finished
+ * @property {string|null} error
+ * @property {string} createdAt - ISO
+ * @property {string} updatedAt - ISO
+ * @property {string|null} finishedAt - ISO
+ */
+
+/**
+ * Whether the server may still be working on a job
+ * @param {GenerationJob} job
+ * @returns {boolean}
+ */
+export const isActiveGenerationJob = (job) =>
+  job.status === GENERATION_JOB_STATUS.QUEUED || job.status === GENERATION_JOB_STATUS.RUNNING;
+
+/**
+ * Job status for a server task status ('queued' | 'started' | 'finished' | 'failed')
+ * @param {string} taskStatus
+ * @returns {string}
+ */
+export const getJobStatusForTask = (taskStatus) => {
+  if (taskStatus === 'queued') return GENERATION_JOB_STATUS.QUEUED;
+  if (taskStatus === 'finished') return GENERATION_JOB_STATUS.FINISHED;
+  if (taskStatus === 'failed') return GENERATION_JOB_STATUS.FAILED;
+  return GENERATION_JOB_STATUS.RUNNING;
+};
+
+/**
+ * Build a job for a task that was just started
+ * @param {string} taskId
+ * @param {Object} params - the generation request
+ * @returns {GenerationJob}
+ */
+export function createGenerationJob(taskId, params) {
+  const now = new Date().toISOString();
+  return {
+    taskId,
+    topic: params.topic,
+    params,
+    status: GENERATION_JOB_STATUS.QUEUED,
+    progress: null,
+    result: null,
+    error: null,
+    createdAt: now,
+    updatedAt: now,
+    finishedAt: null,
+  };
+}
+
+/**
+ * Check a stored job and fill in missing fields
+ * @param {Object} raw
+ * @returns {GenerationJob}
+ * @throws {Error} when the job has no task ID or an unknown status
+ */
+export function normalizeGenerationJob(raw) {
+  if (!raw || typeof raw.taskId !== 'string' || !raw.taskId) {
+    throw new Error('Generation job has no task ID');
+  }
+  if (!Object.values(GENERATION_JOB_STATUS).includes(raw.status)) {
+    throw new Error(`Unknown generation job status: ${raw.status}`);
+  }
+
+  const params = raw.params && typeof raw.params === 'object' ? raw.params : {};
+  return {
+    taskId: raw.taskId,
+    topic: raw.topic || params.topic || 'Untitled',
+    params,
+    status: raw.status,
+    progress: raw.progress || null,
+    result: raw.result ? normalizeLearningPath(raw.result) : null,
+    error: raw.error || null,
+    createdAt: raw.createdAt,
+    updatedAt: raw.updatedAt || raw.createdAt,
+    finishedAt: raw.finishedAt || null,
+  };
+}
@@ -0,0 +1,1056 @@
+/**
+ * LearningPath domain model
+ *
+ * Paths reach the app in several shapes (generation results, the saved-paths API,
+ * older local storage). Everything is normalized here once so screens, the PDF
+ * exporter and progress helpers can rely on a single shape.
+ */
+
+import { addDays, getDayKey, getDaysBetween, DAY_PATTERN } from './activity';
+
+// Bump when the normalized shape changes
+export const LEARNING_PATH_SCHEMA_VERSION = 2;
+
+// Used to spread hours over milestones when a path doesn't say how long it takes
+const DEFAULT_TOTAL_HOURS = 10;
+const DEFAULT_DURATION_WEEKS = 4;
+
+/**
+ * @typedef {Object} Resource
+ * @property {string} id - stable within the path
+ * @property {string} title
+ * @property {string} type - 'video' | 'article' | 'course' | 'book' | ... ('link' when unknown)
+ * @property {string|null} url
+ * @property {string} description
+ */
+
+/**
+ * @typedef {Object} Milestone
+ * @property {string} id - stable within the path; progress is keyed by it
+ * @property {string} title
+ * @property {string} description
+ * @property {number} estimated_hours
+ * @property {Resource[]} resources
+ * @property {string[]} skills
+ */
+
+/**
+ * @typedef {Object} LearningPath
+ * @property {number} schemaVersion
+ * @property {string} [id]
+ * @property {string} topic
+ * @property {string} title
+ * @property {string} description
+ * @property {string} expertise_level
+ * @property {number} duration_weeks
+ * @property {string} [time_commitment] - minimal, moderate or intensive, as chosen when generating
+ * @property {number} total_hours
+ * @property {Milestone[]} milestones
+ * @property {Object|null} job_market
+ * @property {Object<string, boolean>} completedMilestones - by milestone ID
+ * @property {Object<string, string>} milestoneUpdatedAt - when each milestone's completion last changed (ISO), by milestone ID
+ * @property {string} [updatedAt] - last change on any device (ISO)
+ * @property {string} [syncedAt] - `updatedAt` of the server copy this device last agreed with
+ * @property {string} [deletedAt] - when the path was moved to the trash (ISO)
+ * @property {Object<string, Note>} notes - by milestone or resource ID
+ * @property {Object<string, ResourceProgress>} resourceProgress - by resource ID
+ * @property {string|null} collection - user-defined group the path is filed under
+ * @property {string[]} tags
+ * @property {boolean} pinned - listed before other paths
+ * @property {boolean} archived - left out of the listing unless asked for
+ * @property {string} [metadataUpdatedAt] - when collection, tags, pinned or archived last changed (ISO)
+ * @property {string|null} startDate - first day of study (YYYY-MM-DD), when the path is scheduled
+ * @property {Object<string, string>} schedule - day each milestone is due (YYYY-MM-DD), by milestone ID
+ * @property {string} [scheduleUpdatedAt] - when the start date or schedule last changed (ISO)
+ * @property {string} [calendarId] - names the path's events in exported calendars; unlike a
+ *   local path ID it stays the same when the path syncs
+ */
+
+/**
+ * @typedef {Object} Note
+ * @property {string} text - may use **bold**, _italic_ and "- " list items; empty once deleted
+ * @property {string} updatedAt - when the note last changed (ISO)
+ */
+
+/**
+ * @typedef {Object} ResourceProgress
+ * @property {string} status - one of RESOURCE_STATUS; 'not_started' once unchecked
+ * @property {string} updatedAt - when the status last changed (ISO)
+ */
+
+/**
+ * Where the learner is with a resource
+ */
+export const RESOURCE_STATUS = {
+  NOT_STARTED: 'not_started',
+  IN_PROGRESS: 'in_progress',
+  DONE: 'done',
+};
+
+// How much a resource in each state counts towards its milestone
+const RESOURCE_STATUS_WEIGHTS = {
+  [RESOURCE_STATUS.NOT_STARTED]: 0,
+  [RESOURCE_STATUS.IN_PROGRESS]: 0.5,
+  [RESOURCE_STATUS.DONE]: 1,
+};
+
+/**
+ * Thrown when path data can't be turned into a LearningPath
+ */
+export class LearningPathValidationError extends Error {
+  /**
+   * @param {string} message
+   * @param {string[]} issues - one entry per problem found
+   */
+  constructor(message, issues = []) {
+    super(issues.length > 0 ? `${message}: ${issues.join('; ')}` : message);
+    this.name = 'LearningPathValidationError';
+    this.issues = issues;
+  }
+}
+
+const isPlainObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+
+const toText = (value) => (typeof value === 'string' ? value.trim() : '');
+
+// Positive number or null
+const toPositiveNumber = (value) => {
+  const number = Number(value);
+  return Number.isFinite(number) && number > 0 ? number : null;
+};
+
+const createId = (prefix) => `${prefix}_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+
+/**
+ * New ID for a milestone added to a path
+ * @returns {string}
+ */
+export const createMilestoneId = () => createId('ms');
+
+/**
+ * New ID for a resource added to a milestone
+ * @returns {string}
+ */
+export const createResourceId = () => createId('res');
+
+/**
+ * IDs for a list of milestones or resources. Existing IDs are kept; entries without
+ * one (older data, fresh generations) get one from their position, so every copy of
+ * the same data agrees on it.
+ * @param {Array} items
+ * @param {function(number): string} getPositionalId
+ * @param {function(): string} createFreshId - used when the positional ID is taken
+ * @returns {string[]}
+ */
+const assignIds = (items, getPositionalId, createFreshId) => {
+  const taken = new Set();
+  const kept = items.map((item) => {
+    const id = isPlainObject(item) && typeof item.id === 'string' && item.id && !taken.has(item.id) ? item.id : null;
+    if (id) taken.add(id);
+    return id;
+  });
+
+  return kept.map((id, index) => {
+    if (id) return id;
+    const positionalId = getPositionalId(index);
+    const newId = taken.has(positionalId) ? createFreshId() : positionalId;
+    taken.add(newId);
+    return newId;
+  });
+};
+
+/**
+ * Display title of a milestone in any of the shapes the API has used
+ * @param {Object} milestone
+ * @returns {string}
+ */
+export const getMilestoneTitle = (milestone) =>
+  toText(milestone?.title) || toText(milestone?.milestone) || toText(milestone?.name);
+
+const normalizeResource = (resource) => {
+  // Some generations list resources as bare URLs or titles
+  if (typeof resource === 'string') {
+    const text = resource.trim();
+    const isUrl = /^https?:\/\//i.test(text);
+    return { title: isUrl ? '' : text, type: 'link', url: isUrl ? text : null, description: '' };
+  }
+
+  return {
+    ...resource,
+    title: toText(resource.title),
+    type: toText(resource.type).toLowerCase() || 'link',
+    url: toText(resource.url) || null,
+    description: toText(resource.description),
+  };
+};
+
+const normalizeMilestone = (milestone, index, id, fallbackHours, issues) => {
+  const label = `milestone ${index + 1}`;
+
+  if (!isPlainObject(milestone)) {
+    issues.push(`${label} is not an object`);
+    return null;
+  }
+
+  const title = getMilestoneTitle(milestone);
+  if (!title) {
+    issues.push(`${label} has no title`);
+  }
+
+  const rawResources = milestone.resources ?? [];
+  if (!Array.isArray(rawResources)) {
+    issues.push(`${label} resources must be a list`);
+  }
+
+  const validResources = (Array.isArray(rawResources) ? rawResources : [])
+    .filter(resource => typeof resource === 'string' || isPlainObject(resource))
+    .map(normalizeResource)
+    .filter(resource => resource.title || resource.description || resource.url);
+  const resourceIds = assignIds(validResources, position => `${id}_res_${position + 1}`, createResourceId);
+  const resources = validResources.map((resource, position) => ({ ...resource, id: resourceIds[position] }));
+
+  // `milestone` is the old name of `title`
+  const rest = { ...milestone };
+  delete rest.milestone;
+
+  return {
+    ...rest,
+    id,
+    title,
+    description: toText(milestone.description),
+    estimated_hours: toPositiveNumber(milestone.estimated_hours) ?? fallbackHours,
+    resources,
+    skills: Array.isArray(milestone.skills) ? milestone.skills.filter(skill => typeof skill === 'string') : [],
+  };
+};
+
+/**
+ * Key a per-milestone map by milestone ID. Maps used to be keyed by milestone index;
+ * a numeric key that isn't a milestone ID is taken to be one of those.
+ * @param {Object} map
+ * @param {string[]} milestoneIds - in milestone order
+ * @returns {Object}
+ */
+const keyByMilestoneId = (map, milestoneIds) => {
+  if (!isPlainObject(map)) return {};
+
+  const ids = new Set(milestoneIds);
+  return Object.entries(map).reduce((result, [key, value]) => {
+    if (ids.has(key)) {
+      result[key] = value;
+      return result;
+    }
+
+    const index = Number(key);
+    const id = Number.isInteger(index) && index >= 0 ? milestoneIds[index] : undefined;
+    if (id && !(id in map)) {
+      result[id] = value;
+    }
+    return result;
+  }, {});
+};
+
+// Only keep entries for milestones that still exist
+const normalizeMilestoneMap = (map, milestoneIds, isValid, toValue) => (
+  Object.entries(keyByMilestoneId(map, milestoneIds)).reduce((result, [id, value]) => {
+    if (isValid(value)) {
+      result[id] = toValue(value);
+    }
+    return result;
+  }, {})
+);
+
+// Deleted notes stay as empty text so the deletion wins over older copies when syncing
+const normalizeNotes = (notes, targetIds) => {
+  if (!isPlainObject(notes)) return {};
+
+  return Object.entries(notes).reduce((result, [targetId, note]) => {
+    if (targetIds.has(targetId) && isPlainObject(note) && typeof note.text === 'string' && typeof note.updatedAt === 'string') {
+      result[targetId] = { text: note.text, updatedAt: note.updatedAt };
+    }
+    return result;
+  }, {});
+};
+
+// Unchecked resources stay as 'not_started' so unchecking wins over older copies when syncing
+const normalizeResourceProgress = (progress, resourceIds) => {
+  if (!isPlainObject(progress)) return {};
+
+  return Object.entries(progress).reduce((result, [resourceId, entry]) => {
+    if (
+      resourceIds.has(resourceId)
+      && isPlainObject(entry)
+      && entry.status in RESOURCE_STATUS_WEIGHTS
+      && typeof entry.updatedAt === 'string'
+    ) {
+      result[resourceId] = { status: entry.status, updatedAt: entry.updatedAt };
+    }
+    return result;
+  }, {});
+};
+
+const normalizeCollection = (collection) => toText(collection) || null;
+
+// Tags are kept as typed, without repeats that differ only in case
+const normalizeTags = (tags) => {
+  if (!Array.isArray(tags)) return [];
+
+  const seen = new Set();
+  return tags.map(toText).filter((tag) => {
+    const key = tag.toLowerCase();
+    if (!tag || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+};
+
+const getMilestoneIds = (milestones) => assignIds(milestones, index => `ms_${index + 1}`, createMilestoneId);
+
+/**
+ * Validate raw path data and convert it to the current LearningPath shape.
+ * Unknown fields are kept so nothing the server sends is lost.
+ * @param {Object} raw
+ * @returns {LearningPath}
+ * @throws {LearningPathValidationError}
+ */
+export function normalizeLearningPath(raw) {
+  if (!isPlainObject(raw)) {
+    throw new LearningPathValidationError('Learning path data is missing or not an object');
+  }
+
+  const issues = [];
+  const topic = toText(raw.topic);
+  const title = toText(raw.title) || (topic ? `${topic} Learning Path` : '');
+  if (!title) {
+    issues.push('path has neither a title nor a topic');
+  }
+
+  if (!Array.isArray(raw.milestones) || raw.milestones.length === 0) {
+    issues.push('path has no milestones');
+  }
+
+  const rawMilestones = Array.isArray(raw.milestones) ? raw.milestones : [];
+  const statedTotalHours = toPositiveNumber(raw.total_hours);
+  const fallbackHours = Math.ceil((statedTotalHours || DEFAULT_TOTAL_HOURS) / (rawMilestones.length || 1));
+  const milestoneIds = getMilestoneIds(rawMilestones);
+  const milestones = rawMilestones.map((milestone, index) =>
+    normalizeMilestone(milestone, index, milestoneIds[index], fallbackHours, issues)
+  );
+
+  if (issues.length > 0) {
+    throw new LearningPathValidationError('Invalid learning path', issues);
+  }
+
+  // `job_market_data` is the old name of `job_market`
+  const jobMarket = raw.job_market || raw.job_market_data;
+  const rest = { ...raw };
+  delete rest.job_market_data;
+
+  const resourceIds = milestones.flatMap(milestone => milestone.resources.map(resource => resource.id));
+
+  return {
+    ...rest,
+    schemaVersion: LEARNING_PATH_SCHEMA_VERSION,
+    topic,
+    title,
+    description: toText(raw.description),
+    expertise_level: toText(raw.expertise_level) || 'beginner',
+    // The plan is laid out one milestone per week unless the path says otherwise
+    duration_weeks: toPositiveNumber(raw.duration_weeks) ?? milestones.length,
+    total_hours: statedTotalHours ?? milestones.reduce((sum, milestone) => sum + milestone.estimated_hours, 0),
+    milestones,
+    job_market: isPlainObject(jobMarket) ? jobMarket : null,
+    completedMilestones: normalizeMilestoneMap(raw.completedMilestones, milestoneIds, () => true, Boolean),
+    milestoneUpdatedAt: normalizeMilestoneMap(
+      raw.milestoneUpdatedAt,
+      milestoneIds,
+      value => typeof value === 'string',
+      value => value
+    ),
+    // Notes and resource progress go with their milestone or resource
+    notes: normalizeNotes(raw.notes, new Set([...milestoneIds, ...resourceIds])),
+    resourceProgress: normalizeResourceProgress(raw.resourceProgress, new Set(resourceIds)),
+    startDate: DAY_PATTERN.test(raw.startDate) ? raw.startDate : null,
+    schedule: DAY_PATTERN.test(raw.startDate)
+      ? normalizeMilestoneMap(raw.schedule, milestoneIds, value => DAY_PATTERN.test(value), value => value)
+      : {},
+    collection: normalizeCollection(raw.collection),
+    tags: normalizeTags(raw.tags),
+    pinned: raw.pinned === true,
+    archived: raw.archived === true,
+  };
+}
+
+// Paths stay in the trash this long before they are deleted for good
+export const TRASH_RETENTION_DAYS = 30;
+
+/**
+ * When a path in the trash gets deleted for good
+ * @param {LearningPath} path - a path with `deletedAt`
+ * @returns {Date}
+ */
+export function getTrashPurgeDate(path) {
+  return new Date(Date.parse(path.deletedAt) + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+}
+
+/**
+ * Whether a path has been in the trash longer than it is kept
+ * @param {LearningPath} path
+ * @param {number} [now] - timestamp to compare with
+ * @returns {boolean}
+ */
+export function isTrashExpired(path, now = Date.now()) {
+  return !!path.deletedAt && getTrashPurgeDate(path).getTime() <= now;
+}
+
+/**
+ * Upgrades for stored paths, each producing the schema version it is listed under
+ * from a path stored by the version before. Add one whenever the stored shape changes
+ * and bump LEARNING_PATH_SCHEMA_VERSION to match.
+ */
+export const LEARNING_PATH_MIGRATIONS = [
+  {
+    version: 1,
+    // The first API shape used `job_market_data` and `milestone` for milestone titles
+    migrate: (path) => {
+      if (!isPlainObject(path)) return path;
+
+      const { job_market_data: jobMarketData, ...rest } = path;
+      const milestones = Array.isArray(path.milestones)
+        ? path.milestones.map(milestone => (
+          isPlainObject(milestone) && !milestone.title && milestone.milestone
+            ? { ...milestone, title: milestone.milestone }
+            : milestone
+        ))
+        : path.milestones;
+
+      return { ...rest, job_market: rest.job_market || jobMarketData || null, milestones };
+    },
+  },
+  {
+    version: 2,
+    // Milestones get IDs and progress, which was keyed by milestone index, is keyed by them
+    migrate: (path) => {
+      if (!isPlainObject(path) || !Array.isArray(path.milestones)) return path;
+
+      const milestoneIds = getMilestoneIds(path.milestones);
+      return {
+        ...path,
+        milestones: path.milestones.map((milestone, index) => (
+          isPlainObject(milestone) ? { ...milestone, id: milestoneIds[index] } : milestone
+        )),
+        completedMilestones: keyByMilestoneId(path.completedMilestones, milestoneIds),
+        milestoneUpdatedAt: keyByMilestoneId(path.milestoneUpdatedAt, milestoneIds),
+      };
+    },
+  },
+];
+
+/**
+ * Normalize a list of paths, dropping (and logging) entries that fail validation
+ * @param {Array} rawPaths
+ * @returns {LearningPath[]}
+ */
+export function normalizeLearningPaths(rawPaths) {
+  if (!Array.isArray(rawPaths)) return [];
+
+  return rawPaths.reduce((paths, raw) => {
+    try {
+      paths.push(normalizeLearningPath(raw));
+    } catch (error) {
+      console.log(`Skipping invalid learning path${raw?.id ? ` ${raw.id}` : ''}:`, error.message);
+    }
+    return paths;
+  }, []);
+}
+
+// Fields that make up a path's content; IDs, timestamps and progress are left out
+const getContentFingerprint = (path) => ({
+  topic: path.topic.toLowerCase(),
+  title: path.title.toLowerCase(),
+  description: path.description,
+  expertise_level: path.expertise_level,
+  duration_weeks: path.duration_weeks,
+  milestones: path.milestones.map(milestone => ({
+    title: milestone.title,
+    description: milestone.description,
+    estimated_hours: milestone.estimated_hours,
+    resources: milestone.resources.map(resource => [resource.title, resource.type, resource.url]),
+    skills: milestone.skills,
+  })),
+});
+
+/**
+ * Hash of a path's content, equal for two copies of the same generated path
+ * regardless of their IDs, save time or progress
+ * @param {Object} path - raw or normalized path
+ * @returns {string}
+ */
+export function getLearningPathContentHash(path) {
+  const text = JSON.stringify(getContentFingerprint(normalizeLearningPath(path)));
+
+  // 32-bit FNV-1a, plenty to tell a user's saved paths apart
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Hours per week needed to finish the path in its planned duration
+ * @param {LearningPath} path
+ * @returns {number}
+ */
+export function getWeeklyHours(path) {
+  return Math.ceil((path.total_hours || DEFAULT_TOTAL_HOURS) / (path.duration_weeks || DEFAULT_DURATION_WEEKS));
+}
+
+/**
+ * Number of milestones marked complete
+ * @param {LearningPath} path
+ * @returns {number}
+ */
+export function countCompletedMilestones(path) {
+  return Object.values(path?.completedMilestones || {}).filter(Boolean).length;
+}
+
+/**
+ * Where the learner is with a resource
+ * @param {LearningPath} path
+ * @param {string} resourceId
+ * @returns {string} one of RESOURCE_STATUS
+ */
+export function getResourceStatus(path, resourceId) {
+  return path?.resourceProgress?.[resourceId]?.status || RESOURCE_STATUS.NOT_STARTED;
+}
+
+/**
+ * The status a resource moves to when tapped: not started, in progress, done, and round again
+ * @param {string} status
+ * @returns {string}
+ */
+export function getNextResourceStatus(status) {
+  if (status === RESOURCE_STATUS.NOT_STARTED) return RESOURCE_STATUS.IN_PROGRESS;
+  if (status === RESOURCE_STATUS.IN_PROGRESS) return RESOURCE_STATUS.DONE;
+  return RESOURCE_STATUS.NOT_STARTED;
+}
+
+/**
+ * How far along a milestone is, from 0 to 1. A milestone marked complete counts in
+ * full; otherwise its resources do, with resources in progress counting half.
+ * @param {LearningPath} path
+ * @param {Milestone} milestone
+ * @returns {number}
+ */
+export function getMilestoneProgress(path, milestone) {
+  if (path?.completedMilestones?.[milestone.id]) return 1;
+
+  const resources = milestone.resources || [];
+  if (resources.length === 0) return 0;
+
+  const done = resources.reduce(
+    (sum, resource) => sum + RESOURCE_STATUS_WEIGHTS[getResourceStatus(path, resource.id)],
+    0
+  );
+  return done / resources.length;
+}
+
+/**
+ * How far along a path is, from 0 to 1, with each milestone weighted by its estimated hours
+ * @param {LearningPath} path
+ * @returns {number}
+ */
+export function getPathProgress(path) {
+  const milestones = path?.milestones || [];
+  // Paths that skipped normalization may lack hours; every milestone then counts the same
+  const getHours = milestone => toPositiveNumber(milestone.estimated_hours) ?? 1;
+  const totalHours = milestones.reduce((sum, milestone) => sum + getHours(milestone), 0);
+  if (totalHours === 0) return 0;
+
+  const doneHours = milestones.reduce(
+    (sum, milestone) => sum + getHours(milestone) * getMilestoneProgress(path, milestone),
+    0
+  );
+  return doneHours / totalHours;
+}
+
+// ============ Editing ============
+
+/**
+ * Apply edits made to a saved path. Progress is keyed by milestone ID, so it
+ * follows milestones that moved and is dropped for ones that were removed.
+ * @param {LearningPath} path
+ * @param {Object} edits - { title, description, milestones }; new milestones may leave out `id`
+ * @returns {LearningPath}
+ * @throws {LearningPathValidationError} when the edited path isn't valid
+ */
+export function applyPathEdits(path, { title, description, milestones }) {
+  const edited = {
+    ...path,
+    title,
+    description,
+    milestones: milestones.map(milestone => (milestone.id ? milestone : { ...milestone, id: createMilestoneId() })),
+    // Recomputed from the milestones' hours
+    total_hours: null,
+  };
+
+  // A plan laid out one milestone per week keeps that pace
+  if (path.duration_weeks === path.milestones.length) {
+    edited.duration_weeks = milestones.length;
+  }
+
+  // Milestones added to a scheduled path are fitted in after the one before them
+  return fillSchedule(normalizeLearningPath(edited));
+}
+
+// ============ Schedule ============
+
+// Weekly study hours for each time commitment offered when generating a path
+export const TIME_COMMITMENT_HOURS = { minimal: 3, moderate: 7, intensive: 15 };
+
+/**
+ * Hours a week the learner means to spend on a path: set by its time commitment,
+ * or else what fits it into its planned duration
+ * @param {LearningPath} path
+ * @returns {number}
+ */
+export function getPlannedWeeklyHours(path) {
+  return TIME_COMMITMENT_HOURS[path.time_commitment] || getWeeklyHours(path);
+}
+
+/**
+ * Due dates for milestones studied one after another from a day on, at the
+ * planned weekly hours. Each milestone is due at the end of the week its hours
+ * run out in, so short milestones can share a week.
+ * @param {Milestone[]} milestones
+ * @param {string} fromDay - YYYY-MM-DD
+ * @param {number} weeklyHours
+ * @returns {Object<string, string>} by milestone ID
+ */
+const buildSchedule = (milestones, fromDay, weeklyHours) => {
+  let hours = 0;
+  return milestones.reduce((schedule, milestone) => {
+    hours += milestone.estimated_hours;
+    const week = Math.max(1, Math.ceil(hours / weeklyHours));
+    schedule[milestone.id] = addDays(fromDay, week * 7 - 1);
+    return schedule;
+  }, {});
+};
+
+/**
+ * Schedule a path from a start date, or unschedule it
+ * @param {LearningPath} path
+ * @param {string|null} startDate - YYYY-MM-DD, or null to remove the schedule
+ * @param {string} updatedAt - when the change was made (ISO)
+ * @returns {LearningPath}
+ */
+export function schedulePath(path, startDate, updatedAt) {
+  return {
+    ...path,
+    startDate,
+    schedule: startDate ? buildSchedule(path.milestones, startDate, getPlannedWeeklyHours(path)) : {},
+    scheduleUpdatedAt: updatedAt,
+    calendarId: path.calendarId || createId('cal'),
+  };
+}
+
+/**
+ * Plan the milestones not completed yet again from today, keeping the dates
+ * of the completed ones
+ * @param {LearningPath} path - a scheduled path
+ * @param {string} updatedAt - when the change was made (ISO)
+ * @param {string} [today] - YYYY-MM-DD
+ * @returns {LearningPath}
+ */
+export function reschedulePath(path, updatedAt, today = getDayKey(new Date())) {
+  const remaining = path.milestones.filter(milestone => !path.completedMilestones[milestone.id]);
+  return {
+    ...path,
+    schedule: { ...path.schedule, ...buildSchedule(remaining, today, getPlannedWeeklyHours(path)) },
+    scheduleUpdatedAt: updatedAt,
+  };
+}
+
+// Give scheduled milestones without a due date one after the milestone before them
+function fillSchedule(path) {
+  if (!path.startDate) return path;
+
+  const weeklyHours = getPlannedWeeklyHours(path);
+  let previousDue = addDays(path.startDate, -1);
+  const schedule = {};
+  path.milestones.forEach((milestone) => {
+    const due = path.schedule[milestone.id]
+      || addDays(previousDue, Math.max(1, Math.ceil(milestone.estimated_hours / weeklyHours)) * 7);
+    schedule[milestone.id] = due;
+    previousDue = due;
+  });
+  return { ...path, schedule };
+}
+
+/**
+ * Week of the schedule a milestone is due in, counting from 1
+ * @param {LearningPath} path - a scheduled path
+ * @param {string} milestoneId
+ * @returns {number|null}
+ */
+export function getMilestoneTargetWeek(path, milestoneId) {
+  const due = path.schedule?.[milestoneId];
+  if (!path.startDate || !due) return null;
+  return Math.floor(getDaysBetween(path.startDate, due) / 7) + 1;
+}
+
+/**
+ * How a scheduled path is keeping up with its schedule
+ * @param {LearningPath} path
+ * @param {string} [today] - YYYY-MM-DD
+ * @returns {{ state: 'upcoming'|'on_track'|'ahead'|'behind'|'completed', days: number, nextMilestone: Milestone|null, nextDueDate: string|null }|null}
+ *   null when the path isn't scheduled. `days` is how far ahead or behind it is,
+ *   or how long until it starts; the next milestone is the first one not completed
+ */
+export function getScheduleStatus(path, today = getDayKey(new Date())) {
+  if (!path?.startDate) return null;
+
+  const schedule = path.schedule || {};
+  const completed = path.completedMilestones || {};
+  const remaining = path.milestones.filter(milestone => !completed[milestone.id]);
+  const nextMilestone = remaining[0] || null;
+  const status = { days: 0, nextMilestone, nextDueDate: nextMilestone ? schedule[nextMilestone.id] || null : null };
+
+  if (!nextMilestone) return { ...status, state: 'completed' };
+  if (today < path.startDate) return { ...status, state: 'upcoming', days: getDaysBetween(today, path.startDate) };
+
+  // Behind by as long as the most overdue milestone is overdue
+  const overdue = remaining
+    .map(milestone => schedule[milestone.id])
+    .filter(due => due && due < today)
+    .map(due => getDaysBetween(due, today));
+  if (overdue.length > 0) return { ...status, state: 'behind', days: Math.max(...overdue) };
+
+  // Ahead by as long as the milestone finished furthest before its due date still had
+  const ahead = path.milestones
+    .filter(milestone => completed[milestone.id] && schedule[milestone.id] > today)
+    .map(milestone => getDaysBetween(today, schedule[milestone.id]));
+  if (ahead.length > 0) return { ...status, state: 'ahead', days: Math.max(...ahead) };
+
+  return { ...status, state: 'on_track' };
+}
+
+// ============ Organizing ============
+
+/**
+ * How a path is organized on the Dashboard
+ * @param {LearningPath} path
+ * @returns {{ collection: string|null, tags: string[], pinned: boolean, archived: boolean }}
+ */
+export function getPathMetadata(path) {
+  return {
+    collection: path.collection ?? null,
+    tags: path.tags || [],
+    pinned: !!path.pinned,
+    archived: !!path.archived,
+  };
+}
+
+/**
+ * Change how a path is organized
+ * @param {LearningPath} path
+ * @param {Object} changes - any of { collection, tags, pinned, archived }
+ * @param {string} updatedAt - when the change was made (ISO)
+ * @returns {LearningPath}
+ */
+export function applyPathMetadata(path, changes, updatedAt) {
+  const metadata = { ...getPathMetadata(path), ...changes };
+  return {
+    ...path,
+    collection: normalizeCollection(metadata.collection),
+    tags: normalizeTags(metadata.tags),
+    pinned: !!metadata.pinned,
+    archived: !!metadata.archived,
+    metadataUpdatedAt: updatedAt,
+  };
+}
+
+// Distinct values across paths, ignoring case, in alphabetical order
+const collectValues = (values) => {
+  const byKey = new Map();
+  values.forEach((value) => {
+    if (value && !byKey.has(value.toLowerCase())) byKey.set(value.toLowerCase(), value);
+  });
+  return [...byKey.values()].sort((a, b) => a.localeCompare(b));
+};
+
+/**
+ * Collections in use across paths
+ * @param {LearningPath[]} paths
+ * @returns {string[]}
+ */
+export const getPathCollections = (paths) => collectValues(paths.map(path => path.collection));
+
+/**
+ * Tags in use across paths
+ * @param {LearningPath[]} paths
+ * @returns {string[]}
+ */
+export const getPathTags = (paths) => collectValues(paths.flatMap(path => path.tags || []));
+
+/**
+ * Expertise levels in use across paths
+ * @param {LearningPath[]} paths
+ * @returns {string[]}
+ */
+export const getPathLevels = (paths) => collectValues(paths.map(path => path.expertise_level));
+
+// ============ Listing ============
+
+export const PATH_SORT_OPTIONS = [
+  { value: 'updated', label: 'Recently updated' },
+  { value: 'created', label: 'Newest' },
+  { value: 'progress', label: 'Progress' },
+];
+
+export const DEFAULT_PATH_SORT = 'updated';
+
+export const PATH_STATUS_OPTIONS = [
+  { value: 'not_started', label: 'Not started' },
+  { value: 'in_progress', label: 'In progress' },
+  { value: 'completed', label: 'Completed' },
+];
+
+// `null` means any; archived paths are listed only when `archived` is true, and then on their own
+export const DEFAULT_PATH_FILTERS = {
+  collection: null,
+  tag: null,
+  level: null,
+  status: null,
+  archived: false,
+};
+
+/**
+ * Whether a path hasn't been started, is under way or is done
+ * @param {LearningPath} path
+ * @returns {string} one of the PATH_STATUS_OPTIONS values
+ */
+export function getPathStatus(path) {
+  const progress = getPathProgress(path);
+  if (progress >= 1) return 'completed';
+  return progress > 0 ? 'in_progress' : 'not_started';
+}
+
+// Timestamps have used both naming styles; savedAt is the fallback for older paths
+const getPathTimestamp = (path, ...fields) => {
+  const value = fields.map(field => path[field]).find(Boolean) || path.savedAt;
+  const time = value ? Date.parse(value) : NaN;
+  return Number.isNaN(time) ? 0 : time;
+};
+
+const PATH_SORTERS = {
+  updated: (a, b) => getPathTimestamp(b, 'updatedAt', 'updated_at') - getPathTimestamp(a, 'updatedAt', 'updated_at'),
+  created: (a, b) => getPathTimestamp(b, 'createdAt', 'created_at') - getPathTimestamp(a, 'createdAt', 'created_at'),
+  progress: (a, b) => getPathProgress(b) - getPathProgress(a),
+};
+
+/**
+ * The first note of a path that contains the search text, ignoring case
+ * @param {LearningPath} path
+ * @param {string} search
+ * @returns {{ targetId: string, text: string }|null}
+ */
+export function findMatchingNote(path, search) {
+  const needle = (search || '').trim().toLowerCase();
+  if (!needle) return null;
+
+  const match = Object.entries(path.notes || {}).find(([, note]) => (note?.text || '').toLowerCase().includes(needle));
+  return match ? { targetId: match[0], text: match[1].text } : null;
+}
+
+/**
+ * Whether a path's topic, title or notes contain the search text, ignoring case
+ * @param {LearningPath} path
+ * @param {string} search
+ * @returns {boolean}
+ */
+export function matchesPathSearch(path, search) {
+  const needle = (search || '').trim().toLowerCase();
+  if (!needle) return true;
+  return [path.topic, path.title].some(text => (text || '').toLowerCase().includes(needle))
+    || !!findMatchingNote(path, needle);
+}
+
+const sameText = (a, b) => (a || '').toLowerCase() === (b || '').toLowerCase();
+
+/**
+ * Whether a path matches the search text and every filter of a listing query
+ * @param {LearningPath} path
+ * @param {Object} [query] - { search, collection, tag, level, status, archived }, see DEFAULT_PATH_FILTERS
+ * @returns {boolean}
+ */
+export function matchesPathQuery(path, { search = '', ...filters } = {}) {
+  const { collection, tag, level, status, archived } = { ...DEFAULT_PATH_FILTERS, ...filters };
+  return matchesPathSearch(path, search)
+    && !!path.archived === !!archived
+    && (!collection || sameText(path.collection, collection))
+    && (!tag || (path.tags || []).some(pathTag => sameText(pathTag, tag)))
+    && (!level || sameText(path.expertise_level, level))
+    && (!status || getPathStatus(path) === status);
+}
+
+/**
+ * Filter and sort paths the same way the server does for `/api/paths`.
+ * Pinned paths come first, each group in the requested order.
+ * @param {LearningPath[]} paths
+ * @param {Object} [query] - { search, sort: 'updated' | 'created' | 'progress', ...filters }
+ * @returns {LearningPath[]}
+ */
+export function queryLearningPaths(paths, { sort = DEFAULT_PATH_SORT, ...query } = {}) {
+  const sorter = PATH_SORTERS[sort] || PATH_SORTERS[DEFAULT_PATH_SORT];
+  return paths
+    .filter(path => matchesPathQuery(path, query))
+    .sort((a, b) => (!!b.pinned - !!a.pinned) || sorter(a, b));
+}
+
+// ============ Sync ============
+
+const toTime = (value) => (value ? Date.parse(value) || 0 : 0);
+
+// Content fields that differ between two copies of a path
+const getContentDifferences = (a, b) => {
+  const left = getContentFingerprint(a);
+  const right = getContentFingerprint(b);
+  return Object.keys(left).filter(field => JSON.stringify(left[field]) !== JSON.stringify(right[field]));
+};
+
+/**
+ * Merge this device's copy of a path with the server's.
+ *
+ * Whichever side is the only one changed since the last sync wins. When both
+ * changed, milestone and resource progress, notes, the schedule and how the path is
+ * organized are merged one by one (latest change wins) as long as the content is the same
+ * on both sides; differing content is a conflict for the user to resolve.
+ *
+ * @param {LearningPath} local
+ * @param {LearningPath} remote
+ * @param {Object} [options] - { hasPendingChanges } when changes for the path are still queued
+ * @returns {{ path: LearningPath, conflicts: string[], needsPush: boolean }}
+ *   `conflicts` lists the differing content fields (local is kept meanwhile);
+ *   `needsPush` is true when the merged path has changes the server lacks
+ */
+export function mergeLearningPaths(local, remote, { hasPendingChanges = false } = {}) {
+  const base = local.syncedAt;
+  const localChanged = hasPendingChanges || toTime(local.updatedAt) > toTime(base);
+  const remoteChanged = toTime(remote.updatedAt) > toTime(base);
+
+  if (!localChanged) {
+    return { path: { ...remote, syncedAt: remote.updatedAt }, conflicts: [], needsPush: false };
+  }
+  if (!remoteChanged) {
+    return { path: local, conflicts: [], needsPush: false };
+  }
+
+  const conflicts = getContentDifferences(local, remote);
+  if (conflicts.length > 0) {
+    return { path: local, conflicts, needsPush: false };
+  }
+
+  // Same content, so milestones and resources pair up by position even if the copies gave them different IDs
+  const remoteIds = {};
+  remote.milestones.forEach((milestone, index) => {
+    const localMilestone = local.milestones[index];
+    remoteIds[localMilestone.id] = milestone.id;
+    milestone.resources.forEach((resource, resourceIndex) => {
+      remoteIds[localMilestone.resources[resourceIndex].id] = resource.id;
+    });
+  });
+
+  const completedMilestones = {};
+  const milestoneUpdatedAt = {};
+  let differsFromRemote = false;
+  remote.milestones.forEach((milestone, index) => {
+    const localId = local.milestones[index].id;
+    const remoteId = milestone.id;
+    const localTime = local.milestoneUpdatedAt[localId];
+    const remoteTime = remote.milestoneUpdatedAt[remoteId];
+    const useLocal = toTime(localTime) > toTime(remoteTime);
+    const completed = useLocal ? local.completedMilestones[localId] : remote.completedMilestones[remoteId];
+
+    if (completed !== undefined) {
+      completedMilestones[remoteId] = completed;
+    }
+    const changedAt = useLocal ? localTime : remoteTime;
+    if (changedAt) {
+      milestoneUpdatedAt[remoteId] = changedAt;
+    }
+    if (useLocal && !!local.completedMilestones[localId] !== !!remote.completedMilestones[remoteId]) {
+      differsFromRemote = true;
+    }
+  });
+
+  // Notes and resource progress are merged one by one as well, latest change winning
+  const mergeEntries = (localEntries, remoteEntries, getValue) => {
+    const merged = { ...remoteEntries };
+    Object.entries(localEntries).forEach(([localId, entry]) => {
+      const remoteId = remoteIds[localId];
+      const remoteEntry = remoteEntries[remoteId];
+      if (remoteId && toTime(entry.updatedAt) > toTime(remoteEntry?.updatedAt)) {
+        merged[remoteId] = entry;
+        if (getValue(entry) !== getValue(remoteEntry)) {
+          differsFromRemote = true;
+        }
+      }
+    });
+    return merged;
+  };
+  const notes = mergeEntries(local.notes, remote.notes, note => note?.text || '');
+  const resourceProgress = mergeEntries(
+    local.resourceProgress,
+    remote.resourceProgress,
+    entry => entry?.status || RESOURCE_STATUS.NOT_STARTED
+  );
+
+  // The start date and schedule change together as well; milestone IDs are the server's
+  const useLocalSchedule = toTime(local.scheduleUpdatedAt) > toTime(remote.scheduleUpdatedAt);
+  const schedule = {};
+  if (useLocalSchedule) {
+    Object.entries(local.schedule).forEach(([localId, due]) => {
+      if (remoteIds[localId]) schedule[remoteIds[localId]] = due;
+    });
+    if (local.startDate !== remote.startDate || JSON.stringify(schedule) !== JSON.stringify(remote.schedule)) {
+      differsFromRemote = true;
+    }
+  }
+  const scheduling = useLocalSchedule
+    ? { startDate: local.startDate, schedule, scheduleUpdatedAt: local.scheduleUpdatedAt }
+    : {};
+  // Events already exported under this device's calendar ID keep it
+  if (local.calendarId && !remote.calendarId) {
+    scheduling.calendarId = local.calendarId;
+    differsFromRemote = true;
+  }
+
+  // Collection, tags, pinned and archived change together; the latest change wins
+  const useLocalMetadata = toTime(local.metadataUpdatedAt) > toTime(remote.metadataUpdatedAt);
+  const metadata = useLocalMetadata
+    ? { ...getPathMetadata(local), metadataUpdatedAt: local.metadataUpdatedAt }
+    : {};
+  if (useLocalMetadata && JSON.stringify(getPathMetadata(local)) !== JSON.stringify(getPathMetadata(remote))) {
+    differsFromRemote = true;
+  }
+
+  return {
+    path: {
+      ...remote,
+      ...metadata,
+      ...scheduling,
+      completedMilestones,
+      milestoneUpdatedAt,
+      notes,
+      resourceProgress,
+      // Still newer than the server copy when it is missing some of this device's progress
+      updatedAt: differsFromRemote ? new Date().toISOString() : remote.updatedAt,
+      syncedAt: remote.updatedAt,
+    },
+    conflicts: [],
+    needsPush: differsFromRemote,
+  };
+}
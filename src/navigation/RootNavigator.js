@@ -15,10 +15,16 @@ import HomeScreen from '../screens/HomeScreen';
 import DashboardScreen from '../screens/DashboardScreen';
 import GeneratePathScreen from '../screens/GeneratePathScreen';
 import ProcessingScreen from '../screens/ProcessingScreen';
+import GenerationsScreen from '../screens/GenerationsScreen';
 import PathResultScreen from '../screens/PathResultScreen';
 import PathDetailScreen from '../screens/PathDetailScreen';
+import EditPathScreen from '../screens/EditPathScreen';
 import ProfileScreen from '../screens/ProfileScreen';
 import SettingsScreen from '../screens/SettingsScreen';
+import NetworkInspectorScreen from '../screens/NetworkInspectorScreen';
+import SyncConflictsScreen from '../screens/SyncConflictsScreen';
+import GuestMigrationScreen from '../screens/GuestMigrationScreen';
+import TrashScreen from '../screens/TrashScreen';
 import SkillAssessmentScreen from '../screens/SkillAssessmentScreen';
 
 const Stack = createNativeStackNavigator();
@@ -114,9 +120,15 @@ function MainStack() {
     >
       <Stack.Screen name="MainTabs" component={MainTabs} />
       <Stack.Screen name="Processing" component={ProcessingScreen} />
+      <Stack.Screen name="Generations" component={GenerationsScreen} />
       <Stack.Screen name="PathResult" component={PathResultScreen} />
       <Stack.Screen name="PathDetail" component={PathDetailScreen} />
+      <Stack.Screen name="EditPath" component={EditPathScreen} />
+      <Stack.Screen name="SyncConflicts" component={SyncConflictsScreen} />
+      <Stack.Screen name="GuestMigration" component={GuestMigrationScreen} />
+      <Stack.Screen name="Trash" component={TrashScreen} />
       <Stack.Screen name="Settings" component={SettingsScreen} />
+      <Stack.Screen name="NetworkInspector" component={NetworkInspectorScreen} />
       <Stack.Screen name="SkillAssessment" component={SkillAssessmentScreen} />
     </Stack.Navigator>
   );
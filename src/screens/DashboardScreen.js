@@ -7,12 +7,34 @@ import {
   TouchableOpacity,
   RefreshControl,
   Alert,
+  TextInput,
+  ActivityIndicator,
+  ScrollView,
 } from 'react-native';
 import Animated, { SlideInRight } from 'react-native-reanimated';
 import { Ionicons } from '@expo/vector-icons';
 
 import useLearningPathStore from '../store/learningPathStore';
 import { downloadLearningPathPDF } from '../utils/pdfGenerator';
+import PendingSyncIndicator from '../components/PendingSyncIndicator';
+import ReconnectingIndicator from '../components/ReconnectingIndicator';
+import SyncConflictIndicator from '../components/SyncConflictIndicator';
+import GuestPathsIndicator from '../components/GuestPathsIndicator';
+import UndoSnackbar from '../components/UndoSnackbar';
+import PathOrganizer from '../components/PathOrganizer';
+import { calculateCompletion, formatExpertiseLevel, formatScheduleStatus } from '../utils';
+import { toPlainNoteText } from '../utils/noteFormat';
+import {
+  PATH_SORT_OPTIONS,
+  PATH_STATUS_OPTIONS,
+  DEFAULT_PATH_FILTERS,
+  findMatchingNote,
+  getPathCollections,
+  getPathTags,
+  getPathLevels,
+  getScheduleStatus,
+} from '../models/learningPath';
+import { useDebounce } from '../hooks';
 import { useTheme } from '../context/ThemeContext';
 import { useAuth } from '../context/AuthContext';
 import { ScreenWrapper, ModernCard, FadeInView, ModernButton } from '../components';
@@ -22,8 +44,49 @@ export default function DashboardScreen({ navigation }) {
   const { colors: Colors, isDarkMode } = useTheme();
   const styles = useMemo(() => createStyles(Colors, isDarkMode), [Colors, isDarkMode]);
   const { user } = useAuth();
-  const { savedPaths, isLoading, loadSavedPaths, deletePath } = useLearningPathStore();
+  const {
+    savedPaths,
+    isLoading,
+    loadSavedPaths,
+    deletePath,
+    restorePath,
+    trashedPaths,
+    pathListIds,
+    pathListQuery,
+    pathListTotal,
+    isLoadingMorePaths,
+    fetchPathList,
+    loadMorePaths,
+    guestPaths,
+    guestMigrationOffered,
+    markGuestMigrationOffered,
+    updatePathMetadata,
+  } = useLearningPathStore();
   const [downloadingPathId, setDownloadingPathId] = useState(null);
+  // Path just moved to the trash, offered for undo: { pathId, title }
+  const [deletedPath, setDeletedPath] = useState(null);
+  const [searchText, setSearchText] = useState(pathListQuery.search);
+  const debouncedSearch = useDebounce(searchText.trim(), 400);
+  const [showFilters, setShowFilters] = useState(false);
+  // Path whose collection, tags, pin and archive state are being changed
+  const [organizingPathId, setOrganizingPathId] = useState(null);
+
+  // The listing holds IDs so edits to saved paths show up without reloading it
+  const listedPaths = useMemo(() => {
+    const pathsById = new Map(savedPaths.map(path => [path.id, path]));
+    return pathListIds.map(id => pathsById.get(id)).filter(Boolean);
+  }, [savedPaths, pathListIds]);
+  const isSearching = !!pathListQuery.search;
+  const activeFilterCount = Object.keys(DEFAULT_PATH_FILTERS)
+    .filter(key => pathListQuery[key] !== DEFAULT_PATH_FILTERS[key]).length;
+  const isFiltering = isSearching || activeFilterCount > 0;
+  const pathCount = pathListTotal ?? listedPaths.length;
+
+  // Filter choices come from every path on this device, archived ones included
+  const collections = useMemo(() => getPathCollections(savedPaths), [savedPaths]);
+  const tags = useMemo(() => getPathTags(savedPaths), [savedPaths]);
+  const levels = useMemo(() => getPathLevels(savedPaths), [savedPaths]);
+  const organizingPath = savedPaths.find(path => path.id === organizingPathId) || null;
 
   // Get user ID for storage (use email or id for logged in users, 'guest' for guests)
   const userId = user?.isGuest ? 'guest' : (user?.id || user?.email || 'guest');
@@ -32,14 +95,39 @@ export default function DashboardScreen({ navigation }) {
     loadSavedPaths(userId);
   }, [userId]);
 
+  // Offer to bring guest-mode paths into the account right after signing in
+  useEffect(() => {
+    if (!user?.isGuest && guestPaths.length > 0 && !guestMigrationOffered) {
+      markGuestMigrationOffered();
+      navigation.navigate('GuestMigration');
+    }
+  }, [user?.isGuest, guestPaths.length, guestMigrationOffered]);
+
+  useEffect(() => {
+    if (debouncedSearch !== pathListQuery.search) {
+      fetchPathList({ search: debouncedSearch });
+    }
+  }, [debouncedSearch]);
+
   const onRefresh = useCallback(() => {
     loadSavedPaths(userId);
   }, [userId]);
 
-  const handleDownloadPDF = async (path) => {
+  const handleSortChange = (sort) => {
+    if (sort !== pathListQuery.sort) {
+      fetchPathList({ sort });
+    }
+  };
+
+  // Picking the selected value again clears that filter
+  const handleFilterChange = (key, value) => {
+    fetchPathList({ [key]: pathListQuery[key] === value ? DEFAULT_PATH_FILTERS[key] : value });
+  };
+
+  const exportPDF = async (path, options) => {
     try {
       setDownloadingPathId(path.id);
-      const result = await downloadLearningPathPDF(path);
+      const result = await downloadLearningPathPDF(path, options);
       if (result.success) {
         Alert.alert('Success', result.message);
       } else {
@@ -52,27 +140,76 @@ export default function DashboardScreen({ navigation }) {
     }
   };
 
-  const handleDeletePath = (path) => {
-    Alert.alert(
-      'Delete Learning Path',
-      `Are you sure you want to delete "${path.topic || path.title}"?`,
-      [
-        { text: 'Cancel', style: 'cancel' },
-        {
-          text: 'Delete',
-          style: 'destructive',
-          onPress: () => deletePath(path.id),
-        },
-      ]
-    );
+  const handleDownloadPDF = (path) => {
+    const hasNotes = Object.values(path.notes || {}).some(note => note.text);
+    if (!hasNotes) {
+      exportPDF(path);
+      return;
+    }
+
+    Alert.alert('Include Notes?', 'Your notes on milestones and resources can be added to the PDF.', [
+      { text: 'Cancel', style: 'cancel' },
+      { text: 'Without Notes', onPress: () => exportPDF(path) },
+      { text: 'Include Notes', onPress: () => exportPDF(path, { includeNotes: true }) },
+    ]);
   };
 
-  const getCompletionPercentage = (path) => {
-    if (!path.milestones || !path.completedMilestones) return 0;
-    const completed = Object.values(path.completedMilestones).filter(Boolean).length;
-    return Math.round((completed / path.milestones.length) * 100);
+  // Deleting is undoable, so it happens right away
+  const handleDeletePath = async (path) => {
+    const result = await deletePath(path.id);
+    if (result.success) {
+      setDeletedPath({ pathId: result.pathId, title: path.topic || path.title });
+    } else {
+      Alert.alert('Error', result.error || 'Failed to delete the path.');
+    }
   };
 
+  const renderFilterRow = (label, key, options) => (
+    <View style={styles.filterRow}>
+      <Text style={styles.filterLabel}>{label}</Text>
+      <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.filterChips}>
+        {options.map((option) => {
+          const isSelected = pathListQuery[key] === option.value;
+          return (
+            <TouchableOpacity
+              key={String(option.value)}
+              style={[styles.sortChip, isSelected && styles.sortChipSelected]}
+              onPress={() => handleFilterChange(key, option.value)}
+              activeOpacity={0.7}
+            >
+              <Text style={[styles.sortChipText, isSelected && styles.sortChipTextSelected]}>
+                {option.label}
+              </Text>
+            </TouchableOpacity>
+          );
+        })}
+      </ScrollView>
+    </View>
+  );
+
+  const renderFilters = () => (
+    <View style={styles.filters}>
+      {renderFilterRow('Status', 'status', PATH_STATUS_OPTIONS)}
+      {levels.length > 0 && renderFilterRow(
+        'Level',
+        'level',
+        levels.map(level => ({ value: level, label: formatExpertiseLevel(level) }))
+      )}
+      {collections.length > 0 && renderFilterRow(
+        'Collection',
+        'collection',
+        collections.map(collection => ({ value: collection, label: collection }))
+      )}
+      {tags.length > 0 && renderFilterRow('Tag', 'tag', tags.map(tag => ({ value: tag, label: `#${tag}` })))}
+      {renderFilterRow('Show', 'archived', [{ value: true, label: 'Archived' }])}
+      {activeFilterCount > 0 && (
+        <TouchableOpacity onPress={() => fetchPathList(DEFAULT_PATH_FILTERS)} style={styles.clearFilters}>
+          <Text style={styles.clearFiltersText}>Clear filters</Text>
+        </TouchableOpacity>
+      )}
+    </View>
+  );
+
   const renderEmptyState = () => {
     return (
       <FadeInView delay={200} duration={800}>
@@ -106,11 +243,13 @@ export default function DashboardScreen({ navigation }) {
   };
 
   const renderPathCard = ({ item, index }) => {
-    const completion = getCompletionPercentage(item);
+    const completion = calculateCompletion(item);
+    const scheduleStatus = getScheduleStatus(item);
+    const noteMatch = isSearching ? findMatchingNote(item, pathListQuery.search) : null;
 
     return (
       <View key={item.id} style={{ marginBottom: Spacing.lg }}>
-        <FadeInView delay={index * 100}>
+        <FadeInView delay={Math.min(index, 5) * 100}>
           <ModernCard
             variant="filled"
             onPress={() => navigation.navigate('PathDetail', { path: item })}
@@ -121,11 +260,32 @@ export default function DashboardScreen({ navigation }) {
             <View style={styles.cardHeader}>
               <View style={styles.cardTitleSection}>
                 <Text style={styles.pathTitle} numberOfLines={2}>
+                  {item.pinned && <Ionicons name="pin" size={16} color={Colors.primary.main} />}
+                  {item.pinned && ' '}
                   {item.topic || item.title}
                 </Text>
-                <Text style={styles.pathLevel}>{item.expertise_level || 'Beginner'}</Text>
+                <Text style={styles.pathLevel}>
+                  {item.expertise_level || 'Beginner'}
+                  {item.collection && <Text style={styles.pathCollection}>{`  ·  ${item.collection}`}</Text>}
+                </Text>
+                {item.tags?.length > 0 && (
+                  <Text style={styles.pathTags} numberOfLines={1}>
+                    {item.tags.map(tag => `#${tag}`).join('  ')}
+                  </Text>
+                )}
               </View>
               <View style={styles.cardActions}>
+                <TouchableOpacity
+                  onPress={() => setOrganizingPathId(item.id)}
+                  style={[styles.actionButton, { zIndex: 10 }]}
+                  accessibilityLabel="Organize"
+                >
+                  <Ionicons
+                    name="pricetag-outline"
+                    size={20}
+                    color={Colors.primary.main}
+                  />
+                </TouchableOpacity>
                 <TouchableOpacity
                   onPress={() => handleDownloadPDF(item)}
                   disabled={downloadingPathId === item.id}
@@ -164,8 +324,30 @@ export default function DashboardScreen({ navigation }) {
                 <Ionicons name="flag-outline" size={16} color={Colors.text.secondary} />
                 <Text style={styles.statText}>{item.milestones?.length || 0} milestones</Text>
               </View>
+              {scheduleStatus && (
+                <View style={styles.statItem}>
+                  <Ionicons
+                    name="calendar-outline"
+                    size={16}
+                    color={scheduleStatus.state === 'behind' ? Colors.status.error : Colors.text.secondary}
+                  />
+                  <Text style={[styles.statText, scheduleStatus.state === 'behind' && styles.statTextBehind]}>
+                    {formatScheduleStatus(scheduleStatus)}
+                  </Text>
+                </View>
+              )}
             </View>
 
+            {/* Note that matched the search */}
+            {noteMatch && (
+              <View style={styles.noteMatch}>
+                <Ionicons name="document-text-outline" size={14} color={Colors.text.secondary} />
+                <Text style={styles.noteMatchText} numberOfLines={2}>
+                  {toPlainNoteText(noteMatch.text)}
+                </Text>
+              </View>
+            )}
+
             {/* Progress Bar */}
             <View style={styles.progressSection}>
               <View style={styles.progressBar}>
@@ -204,29 +386,122 @@ export default function DashboardScreen({ navigation }) {
         <View>
           <Text style={styles.headerTitle}>My Learning Paths</Text>
           <Text style={styles.headerSubtitle}>
-            {savedPaths.length} path{savedPaths.length !== 1 ? 's' : ''} saved
+            {isFiltering
+              ? `${pathCount} match${pathCount !== 1 ? 'es' : ''}`
+              : `${pathCount} path${pathCount !== 1 ? 's' : ''} saved`}
           </Text>
         </View>
-        <TouchableOpacity
-          style={styles.headerButton}
-          onPress={() => navigation.navigate('GenerateTab')}
-          activeOpacity={0.7}
-        >
-          <Ionicons name="add-circle" size={32} color={Colors.primary.main} />
-        </TouchableOpacity>
+        <View style={styles.headerActions}>
+          <TouchableOpacity
+            style={styles.headerButton}
+            onPress={() => navigation.navigate('Trash')}
+            activeOpacity={0.7}
+            accessibilityLabel={`Trash, ${trashedPaths.length} path${trashedPaths.length !== 1 ? 's' : ''}`}
+          >
+            <Ionicons name="trash-outline" size={24} color={Colors.primary.main} />
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={styles.headerButton}
+            onPress={() => navigation.navigate('GenerateTab')}
+            activeOpacity={0.7}
+          >
+            <Ionicons name="add-circle" size={32} color={Colors.primary.main} />
+          </TouchableOpacity>
+        </View>
       </View>
 
+      <ReconnectingIndicator style={styles.syncIndicator} />
+      <PendingSyncIndicator style={styles.syncIndicator} />
+      <SyncConflictIndicator
+        style={styles.syncIndicator}
+        onPress={() => navigation.navigate('SyncConflicts')}
+      />
+      <GuestPathsIndicator
+        style={styles.syncIndicator}
+        onPress={() => navigation.navigate('GuestMigration')}
+      />
+
+      {/* Search, sort and filters */}
+      {(savedPaths.length > 0 || isFiltering) && (
+        <View style={styles.listControls}>
+          <View style={styles.searchRow}>
+            <View style={styles.searchBar}>
+              <Ionicons name="search" size={18} color={Colors.text.secondary} />
+              <TextInput
+                style={styles.searchInput}
+                value={searchText}
+                onChangeText={setSearchText}
+                placeholder="Search topics and notes"
+                placeholderTextColor={Colors.text.secondary}
+                autoCapitalize="none"
+                autoCorrect={false}
+                returnKeyType="search"
+              />
+              {!!searchText && (
+                <TouchableOpacity onPress={() => setSearchText('')} accessibilityLabel="Clear search">
+                  <Ionicons name="close-circle" size={18} color={Colors.text.secondary} />
+                </TouchableOpacity>
+              )}
+            </View>
+            <TouchableOpacity
+              style={[styles.filterButton, (showFilters || activeFilterCount > 0) && styles.filterButtonActive]}
+              onPress={() => setShowFilters(value => !value)}
+              accessibilityLabel={`Filters${activeFilterCount > 0 ? `, ${activeFilterCount} active` : ''}`}
+            >
+              <Ionicons
+                name="options-outline"
+                size={20}
+                color={showFilters || activeFilterCount > 0 ? '#fff' : Colors.primary.main}
+              />
+              {activeFilterCount > 0 && (
+                <Text style={styles.filterCount}>{activeFilterCount}</Text>
+              )}
+            </TouchableOpacity>
+          </View>
+          <View style={styles.sortRow}>
+            {PATH_SORT_OPTIONS.map((option) => {
+              const isSelected = pathListQuery.sort === option.value;
+              return (
+                <TouchableOpacity
+                  key={option.value}
+                  style={[styles.sortChip, isSelected && styles.sortChipSelected]}
+                  onPress={() => handleSortChange(option.value)}
+                  activeOpacity={0.7}
+                >
+                  <Text style={[styles.sortChipText, isSelected && styles.sortChipTextSelected]}>
+                    {option.label}
+                  </Text>
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+          {showFilters && renderFilters()}
+        </View>
+      )}
+
       {/* Content */}
-      {savedPaths.length === 0 ? (
+      {listedPaths.length === 0 && !isFiltering ? (
         renderEmptyState()
       ) : (
         <FlatList
-          data={savedPaths}
+          data={listedPaths}
           renderItem={(props) => renderPathCard({ ...props, index: props.index })}
           keyExtractor={(item) => item.id}
           contentContainerStyle={styles.listContent}
           showsVerticalScrollIndicator={false}
           scrollEventThrottle={16}
+          onEndReached={loadMorePaths}
+          onEndReachedThreshold={0.5}
+          ListEmptyComponent={
+            <Text style={styles.noResultsText}>
+              {isSearching ? `No paths match "${pathListQuery.search}"` : 'No paths match these filters'}
+            </Text>
+          }
+          ListFooterComponent={
+            isLoadingMorePaths ? (
+              <ActivityIndicator style={styles.listFooter} color={Colors.primary.main} />
+            ) : null
+          }
           refreshControl={
             <RefreshControl
               refreshing={isLoading}
@@ -236,6 +511,20 @@ export default function DashboardScreen({ navigation }) {
           }
         />
       )}
+
+      <PathOrganizer
+        path={organizingPath}
+        collections={collections}
+        tags={tags}
+        onChange={(changes) => updatePathMetadata(organizingPath.id, changes)}
+        onClose={() => setOrganizingPathId(null)}
+      />
+
+      <UndoSnackbar
+        message={deletedPath && `"${deletedPath.title}" moved to Trash`}
+        onUndo={() => restorePath(deletedPath.pathId)}
+        onDismiss={() => setDeletedPath(null)}
+      />
     </ScreenWrapper>
   );
 }
@@ -263,11 +552,120 @@ const createStyles = (Colors, isDarkMode) => StyleSheet.create({
     color: Colors.text.secondary,
     marginTop: Spacing.xs,
   },
+  syncIndicator: {
+    marginHorizontal: Spacing.lg,
+    marginBottom: Spacing.base,
+  },
+  headerActions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: Spacing.sm,
+  },
   headerButton: {
     padding: Spacing.sm,
     borderRadius: BorderRadius.full,
     backgroundColor: `${Colors.primary.main}15`,
   },
+  listControls: {
+    paddingHorizontal: Spacing.lg,
+    marginBottom: Spacing.base,
+    gap: Spacing.sm,
+  },
+  searchBar: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: Spacing.sm,
+    paddingHorizontal: Spacing.md,
+    borderRadius: BorderRadius.lg,
+    backgroundColor: isDarkMode ? 'rgba(0,0,0,0.2)' : 'rgba(0,0,0,0.05)',
+    borderWidth: 1,
+    borderColor: isDarkMode ? 'rgba(255,255,255,0.1)' : 'rgba(0,0,0,0.1)',
+  },
+  searchInput: {
+    flex: 1,
+    paddingVertical: Spacing.md,
+    fontSize: Typography.fontSizes.md,
+    color: Colors.text.primary,
+  },
+  searchRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: Spacing.sm,
+  },
+  filterButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: Spacing.xs,
+    padding: Spacing.md,
+    borderRadius: BorderRadius.lg,
+    backgroundColor: `${Colors.primary.main}15`,
+  },
+  filterButtonActive: {
+    backgroundColor: Colors.primary.main,
+  },
+  filterCount: {
+    fontSize: Typography.fontSizes.xs,
+    fontWeight: Typography.fontWeights.bold,
+    color: '#fff',
+  },
+  filters: {
+    gap: Spacing.sm,
+  },
+  filterRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  filterLabel: {
+    width: 80,
+    fontSize: Typography.fontSizes.xs,
+    fontWeight: Typography.fontWeights.semibold,
+    color: Colors.text.secondary,
+    textTransform: 'uppercase',
+  },
+  filterChips: {
+    gap: Spacing.sm,
+  },
+  clearFilters: {
+    alignSelf: 'flex-start',
+  },
+  clearFiltersText: {
+    fontSize: Typography.fontSizes.sm,
+    color: Colors.primary.main,
+    fontWeight: Typography.fontWeights.medium,
+  },
+  sortRow: {
+    flexDirection: 'row',
+    gap: Spacing.sm,
+  },
+  sortChip: {
+    paddingHorizontal: Spacing.md,
+    paddingVertical: Spacing.xs,
+    borderRadius: BorderRadius.full,
+    borderWidth: 1,
+    borderColor: isDarkMode ? 'rgba(255,255,255,0.2)' : 'rgba(0,0,0,0.1)',
+  },
+  sortChipSelected: {
+    backgroundColor: Colors.primary.main,
+    borderColor: Colors.primary.main,
+  },
+  sortChipText: {
+    fontSize: Typography.fontSizes.sm,
+    color: Colors.text.primary,
+  },
+  sortChipTextSelected: {
+    color: '#fff',
+    fontWeight: Typography.fontWeights.medium,
+  },
+  noResultsText: {
+    fontSize: Typography.fontSizes.sm,
+    color: Colors.text.secondary,
+    textAlign: 'center',
+    marginTop: Spacing.xl,
+  },
+  listFooter: {
+    marginVertical: Spacing.base,
+  },
   listContent: {
     paddingHorizontal: Spacing.lg,
     paddingBottom: Spacing['3xl'],
@@ -297,6 +695,14 @@ const createStyles = (Colors, isDarkMode) => StyleSheet.create({
     fontWeight: Typography.fontWeights.medium,
     marginTop: Spacing.xs,
   },
+  pathCollection: {
+    color: Colors.text.secondary,
+  },
+  pathTags: {
+    fontSize: Typography.fontSizes.xs,
+    color: Colors.text.secondary,
+    marginTop: Spacing.xs,
+  },
   cardActions: {
     flexDirection: 'row',
     gap: Spacing.sm,
@@ -313,6 +719,18 @@ const createStyles = (Colors, isDarkMode) => StyleSheet.create({
   actionButtonDisabled: {
     opacity: 0.5,
   },
+  noteMatch: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    gap: Spacing.xs,
+    marginBottom: Spacing.base,
+  },
+  noteMatchText: {
+    flex: 1,
+    fontSize: Typography.fontSizes.sm,
+    fontStyle: 'italic',
+    color: Colors.text.secondary,
+  },
   statsRow: {
     flexDirection: 'row',
     gap: Spacing.base,
@@ -333,6 +751,9 @@ const createStyles = (Colors, isDarkMode) => StyleSheet.create({
     color: Colors.text.secondary,
     fontWeight: Typography.fontWeights.medium,
   },
+  statTextBehind: {
+    color: Colors.status.error,
+  },
   progressSection: {
     marginTop: Spacing.base,
   },
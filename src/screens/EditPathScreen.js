@@ -0,0 +1,347 @@
+import React, { useState, useMemo, useEffect, useRef } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+  KeyboardAvoidingView,
+  Alert,
+  Platform,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+
+import useLearningPathStore from '../store/learningPathStore';
+import MilestoneEditor from '../components/MilestoneEditor';
+import { createMilestoneId } from '../models/learningPath';
+import { Typography, Spacing, BorderRadius } from '../theme';
+import { useTheme } from '../context/ThemeContext';
+import { ScreenWrapper, ModernButton } from '../components';
+
+// Editable copy of a milestone; it keeps its ID, so its progress follows it when it moves
+const toDraftMilestone = (milestone) => ({
+  ...milestone,
+  estimated_hours: String(milestone.estimated_hours),
+});
+
+const createDraft = (path) => ({
+  title: path.title,
+  description: path.description,
+  milestones: path.milestones.map(toDraftMilestone),
+});
+
+const createEmptyMilestone = () => ({
+  id: createMilestoneId(),
+  isNew: true,
+  title: '',
+  description: '',
+  estimated_hours: '',
+  resources: [],
+  skills: [],
+});
+
+// Draft milestone back to path data (a blank or invalid hour count falls back to the default)
+const fromDraftMilestone = (milestone) => {
+  const data = { ...milestone, estimated_hours: Number(milestone.estimated_hours) || null };
+  delete data.isNew;
+  return data;
+};
+
+export default function EditPathScreen({ navigation, route }) {
+  const { colors: Colors, isDarkMode } = useTheme();
+  const styles = useMemo(() => createStyles(Colors, isDarkMode), [Colors, isDarkMode]);
+  const { savedPaths, resolvePathId, editPath } = useLearningPathStore();
+  const path = savedPaths.find(p => p.id === resolvePathId(route.params.pathId));
+
+  const [draft, setDraft] = useState(() => (path ? createDraft(path) : null));
+  const [initialDraft] = useState(draft);
+  const [errors, setErrors] = useState({});
+  const [isSaving, setIsSaving] = useState(false);
+  const isSaved = useRef(false);
+
+  const isDirty = draft !== initialDraft;
+
+  // Ask before throwing away unsaved edits, however the screen is left
+  useEffect(() => navigation.addListener('beforeRemove', (event) => {
+    if (!isDirty || isSaved.current) return;
+
+    event.preventDefault();
+    Alert.alert('Discard Changes?', 'Your edits to this path haven\'t been saved.', [
+      { text: 'Keep Editing', style: 'cancel' },
+      { text: 'Discard', style: 'destructive', onPress: () => navigation.dispatch(event.data.action) },
+    ]);
+  }), [navigation, isDirty]);
+
+  const updateDraft = (changes) => setDraft(prev => ({ ...prev, ...changes }));
+
+  const updateMilestone = (milestoneId, changes) => {
+    setDraft(prev => ({
+      ...prev,
+      milestones: prev.milestones.map(m => (m.id === milestoneId ? { ...m, ...changes } : m)),
+    }));
+    if (errors[milestoneId] && changes.title) {
+      setErrors(prev => ({ ...prev, [milestoneId]: null }));
+    }
+  };
+
+  const moveMilestone = (index, direction) => {
+    setDraft(prev => {
+      const milestones = [...prev.milestones];
+      const target = index + direction;
+      if (target < 0 || target >= milestones.length) return prev;
+      [milestones[index], milestones[target]] = [milestones[target], milestones[index]];
+      return { ...prev, milestones };
+    });
+  };
+
+  const removeMilestone = (milestone) => {
+    const remove = () => setDraft(prev => ({
+      ...prev,
+      milestones: prev.milestones.filter(m => m.id !== milestone.id),
+    }));
+
+    // New, untouched milestones go without asking
+    if (milestone.isNew && !milestone.title.trim()) {
+      remove();
+      return;
+    }
+    Alert.alert(
+      'Remove Milestone',
+      `Remove "${milestone.title.trim() || 'this milestone'}"${path.completedMilestones[milestone.id] ? ' and its progress' : ''}?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Remove', style: 'destructive', onPress: remove },
+      ]
+    );
+  };
+
+  const addMilestone = () => {
+    setDraft(prev => ({ ...prev, milestones: [...prev.milestones, createEmptyMilestone()] }));
+  };
+
+  const validate = () => {
+    const newErrors = {};
+    if (!draft.title.trim()) {
+      newErrors.title = 'Give the path a title';
+    }
+    draft.milestones.forEach((milestone) => {
+      if (!milestone.title.trim()) {
+        newErrors[milestone.id] = 'Give this milestone a title';
+      }
+    });
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  const handleSave = async () => {
+    if (!isDirty) {
+      navigation.goBack();
+      return;
+    }
+    if (!validate()) return;
+
+    setIsSaving(true);
+    const result = await editPath(path.id, {
+      title: draft.title,
+      description: draft.description,
+      milestones: draft.milestones.map(fromDraftMilestone),
+    });
+    setIsSaving(false);
+
+    if (!result.success) {
+      Alert.alert('Could Not Save', result.error);
+      return;
+    }
+    isSaved.current = true;
+    navigation.goBack();
+  };
+
+  if (!draft || !path) {
+    return (
+      <ScreenWrapper style={styles.container}>
+        <View style={styles.header}>
+          <TouchableOpacity style={styles.headerButton} onPress={() => navigation.goBack()}>
+            <Ionicons name="arrow-back" size={24} color={Colors.text.primary} />
+          </TouchableOpacity>
+          <Text style={styles.headerTitle}>Edit Path</Text>
+          <View style={styles.headerButton} />
+        </View>
+        <View style={styles.emptyState}>
+          <Ionicons name="alert-circle-outline" size={48} color={Colors.text.secondary} />
+          <Text style={styles.emptyText}>This path is no longer saved</Text>
+        </View>
+      </ScreenWrapper>
+    );
+  }
+
+  return (
+    <ScreenWrapper style={styles.container}>
+      {/* Header */}
+      <View style={styles.header}>
+        <TouchableOpacity style={styles.headerButton} onPress={() => navigation.goBack()}>
+          <Ionicons name="close" size={24} color={Colors.text.primary} />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>Edit Path</Text>
+        <TouchableOpacity style={styles.headerButton} onPress={handleSave} disabled={isSaving}>
+          <Text style={[styles.saveText, isSaving && styles.saveTextDisabled]}>Save</Text>
+        </TouchableOpacity>
+      </View>
+
+      <KeyboardAvoidingView
+        behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+        style={styles.keyboardView}
+      >
+        <ScrollView
+          contentContainerStyle={styles.scrollContent}
+          showsVerticalScrollIndicator={false}
+          keyboardShouldPersistTaps="handled"
+        >
+          <Text style={styles.label}>Title</Text>
+          <TextInput
+            style={[styles.textInput, errors.title && styles.inputError]}
+            value={draft.title}
+            onChangeText={(title) => {
+              updateDraft({ title });
+              if (errors.title) setErrors(prev => ({ ...prev, title: null }));
+            }}
+            placeholder="Path title"
+            placeholderTextColor={Colors.text.muted}
+          />
+          {errors.title && <Text style={styles.errorText}>{errors.title}</Text>}
+
+          <Text style={styles.label}>Description</Text>
+          <TextInput
+            style={[styles.textInput, styles.multilineInput]}
+            value={draft.description}
+            onChangeText={(description) => updateDraft({ description })}
+            placeholder="What this path is about"
+            placeholderTextColor={Colors.text.muted}
+            multiline
+          />
+
+          <Text style={styles.sectionTitle}>Milestones</Text>
+          <Text style={styles.hint}>Completed milestones keep their progress when you move them.</Text>
+
+          {draft.milestones.map((milestone, index) => (
+            <MilestoneEditor
+              key={milestone.id}
+              milestone={milestone}
+              index={index}
+              count={draft.milestones.length}
+              error={errors[milestone.id]}
+              onChange={(changes) => updateMilestone(milestone.id, changes)}
+              onMove={(direction) => moveMilestone(index, direction)}
+              onRemove={() => removeMilestone(milestone)}
+              style={styles.milestoneEditor}
+            />
+          ))}
+
+          <ModernButton
+            title="Add Milestone"
+            variant="outline"
+            onPress={addMilestone}
+            style={styles.addButton}
+          />
+        </ScrollView>
+      </KeyboardAvoidingView>
+    </ScreenWrapper>
+  );
+}
+
+const createStyles = (Colors, isDarkMode) => StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: Spacing.lg,
+    paddingVertical: Spacing.md,
+    marginTop: Platform.OS === 'android' ? 10 : 0,
+  },
+  headerButton: {
+    minWidth: 40,
+    height: 40,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  headerTitle: {
+    fontSize: Typography.fontSizes.lg,
+    fontWeight: Typography.fontWeights.bold,
+    color: Colors.text.primary,
+  },
+  saveText: {
+    fontSize: Typography.fontSizes.base,
+    fontWeight: Typography.fontWeights.semibold,
+    color: Colors.primary.main,
+  },
+  saveTextDisabled: {
+    opacity: 0.5,
+  },
+  keyboardView: {
+    flex: 1,
+  },
+  scrollContent: {
+    paddingHorizontal: Spacing.lg,
+    paddingBottom: Spacing['3xl'],
+  },
+  label: {
+    fontSize: Typography.fontSizes.sm,
+    fontWeight: Typography.fontWeights.semibold,
+    color: Colors.text.secondary,
+    marginTop: Spacing.base,
+    marginBottom: Spacing.sm,
+  },
+  textInput: {
+    backgroundColor: `${Colors.text.primary}08`,
+    borderRadius: BorderRadius.lg,
+    paddingHorizontal: Spacing.base,
+    paddingVertical: Spacing.base,
+    fontSize: Typography.fontSizes.base,
+    color: Colors.text.primary,
+    borderWidth: 1,
+    borderColor: `${Colors.text.primary}15`,
+  },
+  multilineInput: {
+    minHeight: 80,
+    textAlignVertical: 'top',
+    paddingTop: Spacing.base,
+  },
+  inputError: {
+    borderColor: Colors.status.error,
+  },
+  errorText: {
+    fontSize: Typography.fontSizes.xs,
+    color: Colors.status.error,
+    marginTop: Spacing.xs,
+  },
+  sectionTitle: {
+    fontSize: Typography.fontSizes.lg,
+    fontWeight: Typography.fontWeights.bold,
+    color: Colors.text.primary,
+    marginTop: Spacing.xl,
+  },
+  hint: {
+    fontSize: Typography.fontSizes.sm,
+    color: isDarkMode ? Colors.text.muted : Colors.text.secondary,
+    marginTop: Spacing.xs,
+    marginBottom: Spacing.base,
+  },
+  milestoneEditor: {
+    marginBottom: Spacing.md,
+  },
+  addButton: {
+    marginTop: Spacing.sm,
+  },
+  emptyState: {
+    alignItems: 'center',
+    paddingVertical: Spacing['3xl'],
+    gap: Spacing.sm,
+  },
+  emptyText: {
+    fontSize: Typography.fontSizes.base,
+    color: Colors.text.secondary,
+  },
+});
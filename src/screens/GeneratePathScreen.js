@@ -14,7 +14,9 @@ import { Ionicons } from '@expo/vector-icons';
 
 import useLearningPathStore from '../store/learningPathStore';
 import GenerationProgress from '../components/GenerationProgress';
+import GenerationJobsIndicator from '../components/GenerationJobsIndicator';
 import { useTheme } from '../context/ThemeContext';
+import { useConnectivity } from '../hooks';
 import { ScreenWrapper, FadeInView, ModernButton, ModernCard } from '../components';
 import { Typography, Spacing, BorderRadius, Shadows } from '../theme';
 
@@ -40,7 +42,8 @@ const LEARNING_STYLES = [
 export default function GeneratePathScreen({ navigation }) {
   const { colors: Colors, isDarkMode } = useTheme();
   const styles = useMemo(() => createStyles(Colors, isDarkMode), [Colors, isDarkMode]);
-  const { generatePath, isGenerating, resetGeneration } = useLearningPathStore();
+  const { generatePath, isGenerating, cancelGeneration } = useLearningPathStore();
+  const { isReachable, isWaking } = useConnectivity();
 
   const [formData, setFormData] = useState({
     topic: '',
@@ -114,7 +117,7 @@ export default function GeneratePathScreen({ navigation }) {
 
   const handleCancelGeneration = () => {
     setShowProgress(false);
-    resetGeneration();
+    cancelGeneration();
   };
 
   const renderOptionButton = (option, selectedValue, onSelect, type, idx = 0) => {
@@ -182,6 +185,11 @@ export default function GeneratePathScreen({ navigation }) {
             </View>
           </FadeInView>
 
+          <GenerationJobsIndicator
+            style={styles.jobsIndicator}
+            onPress={() => navigation.navigate('Generations')}
+          />
+
           {/* Form Card */}
           <FadeInView delay={100} duration={600}>
             <ModernCard variant="filled" style={styles.formCard}>
@@ -352,7 +360,7 @@ export default function GeneratePathScreen({ navigation }) {
                   variant="primary"
                   size="md"
                   onPress={handleSubmit}
-                  disabled={isGenerating}
+                  disabled={isGenerating || !isReachable}
                   style={styles.submitButton}
                 >
                   <View style={styles.submitButtonContent}>
@@ -366,6 +374,16 @@ export default function GeneratePathScreen({ navigation }) {
                     </Text>
                   </View>
                 </ModernButton>
+                {!isReachable && (
+                  <Text style={styles.connectivityHint}>
+                    Generating needs a connection to the server. Try again once you're back online.
+                  </Text>
+                )}
+                {isWaking && (
+                  <Text style={styles.connectivityHint}>
+                    The server is starting up, so generation may take a little longer.
+                  </Text>
+                )}
               </FadeInView>
             </ModernCard>
           </FadeInView>
@@ -413,6 +431,9 @@ const createStyles = (Colors, isDarkMode) => StyleSheet.create({
     textAlign: 'center',
     marginTop: Spacing.sm,
   },
+  jobsIndicator: {
+    marginBottom: Spacing.lg,
+  },
   formCard: {
     marginBottom: Spacing.xl,
   },
@@ -466,6 +487,12 @@ const createStyles = (Colors, isDarkMode) => StyleSheet.create({
     marginTop: Spacing.sm,
     fontStyle: 'italic',
   },
+  connectivityHint: {
+    color: Colors.text.secondary,
+    fontSize: Typography.fontSizes.xs,
+    marginTop: Spacing.sm,
+    textAlign: 'center',
+  },
   optionsContainer: {
     gap: Spacing.sm,
   },
@@ -0,0 +1,239 @@
+import React, { useMemo } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  FlatList,
+  TouchableOpacity,
+  Platform,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+
+import useLearningPathStore from '../store/learningPathStore';
+import { GENERATION_JOB_STATUS, isActiveGenerationJob } from '../models/generationJob';
+import { formatRelativeTime } from '../utils';
+import { Typography, Spacing, BorderRadius } from '../theme';
+import { useTheme } from '../context/ThemeContext';
+import { ScreenWrapper, ModernCard, ModernButton } from '../components';
+
+const STATUS_LABELS = {
+  [GENERATION_JOB_STATUS.QUEUED]: 'Waiting to start',
+  [GENERATION_JOB_STATUS.RUNNING]: 'Generating',
+  [GENERATION_JOB_STATUS.FINISHED]: 'Ready',
+  [GENERATION_JOB_STATUS.FAILED]: 'Failed',
+  [GENERATION_JOB_STATUS.CANCELLED]: 'Cancelled',
+};
+
+const STATUS_ICONS = {
+  [GENERATION_JOB_STATUS.QUEUED]: 'hourglass-outline',
+  [GENERATION_JOB_STATUS.RUNNING]: 'sparkles',
+  [GENERATION_JOB_STATUS.FINISHED]: 'checkmark-circle',
+  [GENERATION_JOB_STATUS.FAILED]: 'alert-circle',
+  [GENERATION_JOB_STATUS.CANCELLED]: 'close-circle',
+};
+
+export default function GenerationsScreen({ navigation }) {
+  const { colors: Colors, isDarkMode } = useTheme();
+  const styles = useMemo(() => createStyles(Colors, isDarkMode), [Colors, isDarkMode]);
+  const {
+    generationJobs,
+    openGenerationJob,
+    cancelGenerationJob,
+    removeGenerationJob,
+    generatePath,
+  } = useLearningPathStore();
+
+  const statusColors = {
+    [GENERATION_JOB_STATUS.QUEUED]: Colors.text.secondary,
+    [GENERATION_JOB_STATUS.RUNNING]: Colors.primary.main,
+    [GENERATION_JOB_STATUS.FINISHED]: Colors.status.success,
+    [GENERATION_JOB_STATUS.FAILED]: Colors.status.error,
+    [GENERATION_JOB_STATUS.CANCELLED]: Colors.text.secondary,
+  };
+
+  const handleOpen = (job) => {
+    if (isActiveGenerationJob(job)) {
+      navigation.navigate('Processing', { taskId: job.taskId });
+    } else if (openGenerationJob(job.taskId)) {
+      navigation.navigate('PathResult');
+    }
+  };
+
+  const handleRetry = async (job) => {
+    const result = await generatePath(job.params);
+    if (result.success) {
+      await removeGenerationJob(job.taskId);
+    }
+  };
+
+  const renderJob = ({ item }) => {
+    const isActive = isActiveGenerationJob(item);
+    const canOpen = isActive || !!item.result;
+    const percent = item.progress?.percent;
+
+    return (
+      <TouchableOpacity onPress={() => handleOpen(item)} disabled={!canOpen} activeOpacity={0.7}>
+        <ModernCard variant="filled" style={styles.jobCard}>
+          <View style={styles.jobRow}>
+            <Ionicons name={STATUS_ICONS[item.status]} size={24} color={statusColors[item.status]} />
+            <View style={styles.jobInfo}>
+              <Text style={styles.jobTopic} numberOfLines={2}>{item.topic}</Text>
+              <Text style={styles.jobMeta}>
+                {STATUS_LABELS[item.status]}
+                {isActive && percent !== null && percent !== undefined ? ` · ${percent}%` : ''}
+                {' · '}
+                {formatRelativeTime(item.createdAt)}
+              </Text>
+              {item.status === GENERATION_JOB_STATUS.FAILED && item.error && (
+                <Text style={styles.errorText} numberOfLines={2}>{item.error}</Text>
+              )}
+            </View>
+            {canOpen && <Ionicons name="chevron-forward" size={20} color={Colors.text.secondary} />}
+          </View>
+
+          {isActive && percent !== null && percent !== undefined && (
+            <View style={styles.progressBar}>
+              <View style={[styles.progressFill, { width: `${percent}%` }]} />
+            </View>
+          )}
+
+          <View style={styles.actions}>
+            {isActive ? (
+              <ModernButton
+                title="Cancel"
+                variant="ghost"
+                size="sm"
+                onPress={() => cancelGenerationJob(item.taskId)}
+              />
+            ) : (
+              <>
+                {item.status !== GENERATION_JOB_STATUS.FINISHED && (
+                  <ModernButton
+                    title="Try Again"
+                    variant="outline"
+                    size="sm"
+                    onPress={() => handleRetry(item)}
+                  />
+                )}
+                <ModernButton
+                  title="Remove"
+                  variant="ghost"
+                  size="sm"
+                  onPress={() => removeGenerationJob(item.taskId)}
+                />
+              </>
+            )}
+          </View>
+        </ModernCard>
+      </TouchableOpacity>
+    );
+  };
+
+  return (
+    <ScreenWrapper style={styles.container}>
+      {/* Header */}
+      <View style={styles.header}>
+        <TouchableOpacity style={styles.headerButton} onPress={() => navigation.goBack()}>
+          <Ionicons name="arrow-back" size={24} color={Colors.text.primary} />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>Generations</Text>
+        <View style={styles.headerButton} />
+      </View>
+
+      <FlatList
+        data={generationJobs}
+        keyExtractor={(item) => item.taskId}
+        renderItem={renderJob}
+        contentContainerStyle={styles.listContent}
+        ListEmptyComponent={
+          <View style={styles.emptyState}>
+            <Ionicons name="sparkles-outline" size={48} color={Colors.text.secondary} />
+            <Text style={styles.emptyText}>Paths you generate show up here</Text>
+          </View>
+        }
+      />
+    </ScreenWrapper>
+  );
+}
+
+const createStyles = (Colors, isDarkMode) => StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: Spacing.lg,
+    paddingVertical: Spacing.md,
+    marginTop: Platform.OS === 'android' ? 10 : 0,
+  },
+  headerButton: {
+    width: 40,
+    height: 40,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  headerTitle: {
+    fontSize: Typography.fontSizes.lg,
+    fontWeight: Typography.fontWeights.bold,
+    color: Colors.text.primary,
+  },
+  listContent: {
+    paddingHorizontal: Spacing.lg,
+    paddingBottom: Spacing['3xl'],
+  },
+  jobCard: {
+    marginBottom: Spacing.md,
+  },
+  jobRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: Spacing.md,
+  },
+  jobInfo: {
+    flex: 1,
+  },
+  jobTopic: {
+    fontSize: Typography.fontSizes.base,
+    fontWeight: Typography.fontWeights.semibold,
+    color: Colors.text.primary,
+  },
+  jobMeta: {
+    fontSize: Typography.fontSizes.xs,
+    color: Colors.text.secondary,
+    marginTop: Spacing.xs,
+  },
+  errorText: {
+    fontSize: Typography.fontSizes.xs,
+    color: Colors.status.error,
+    marginTop: Spacing.xs,
+  },
+  progressBar: {
+    height: 6,
+    borderRadius: BorderRadius.full,
+    backgroundColor: isDarkMode ? 'rgba(255,255,255,0.1)' : 'rgba(0,0,0,0.08)',
+    overflow: 'hidden',
+    marginTop: Spacing.md,
+  },
+  progressFill: {
+    height: '100%',
+    borderRadius: BorderRadius.full,
+    backgroundColor: Colors.primary.main,
+  },
+  actions: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    gap: Spacing.sm,
+    marginTop: Spacing.sm,
+  },
+  emptyState: {
+    alignItems: 'center',
+    paddingVertical: Spacing['3xl'],
+    gap: Spacing.sm,
+  },
+  emptyText: {
+    fontSize: Typography.fontSizes.base,
+    color: Colors.text.secondary,
+  },
+});
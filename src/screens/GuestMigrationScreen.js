@@ -0,0 +1,218 @@
+import React, { useMemo, useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  FlatList,
+  TouchableOpacity,
+  ActivityIndicator,
+  Platform,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+
+import useLearningPathStore, { getGuestPathKey } from '../store/learningPathStore';
+import { countCompletedMilestones } from '../models/learningPath';
+import { useConnectivity } from '../hooks';
+import { Typography, Spacing } from '../theme';
+import { useTheme } from '../context/ThemeContext';
+import { ScreenWrapper, ModernCard, ModernButton } from '../components';
+
+export default function GuestMigrationScreen({ navigation }) {
+  const { colors: Colors, isDarkMode } = useTheme();
+  const styles = useMemo(() => createStyles(Colors, isDarkMode), [Colors, isDarkMode]);
+  const { guestPaths, guestMigration, isMigratingGuestPaths, migrateGuestPaths } = useLearningPathStore();
+  const { isReachable } = useConnectivity();
+  // Paths already uploaded leave guestPaths, so the outcome is kept here
+  const [results, setResults] = useState([]);
+
+  const uploadedCount = results.filter(result => result.success).length;
+  const hasFailures = guestPaths.some(path => guestMigration[getGuestPathKey(path)]?.status === 'failed');
+
+  const handleUpload = async () => {
+    const outcome = await migrateGuestPaths();
+    setResults(previous => [...previous, ...outcome]);
+  };
+
+  const renderStatus = (status) => {
+    if (status?.status === 'uploading') {
+      return <ActivityIndicator size="small" color={Colors.primary.main} />;
+    }
+    if (status?.status === 'failed') {
+      return <Ionicons name="alert-circle" size={22} color={Colors.status.error} />;
+    }
+    return <Ionicons name="cloud-upload-outline" size={22} color={Colors.text.secondary} />;
+  };
+
+  const renderPath = ({ item }) => {
+    const status = guestMigration[getGuestPathKey(item)];
+    const completed = countCompletedMilestones(item);
+
+    return (
+      <ModernCard variant="filled" style={styles.pathCard}>
+        <View style={styles.pathRow}>
+          <View style={styles.pathInfo}>
+            <Text style={styles.pathTitle} numberOfLines={2}>{item.topic || item.title}</Text>
+            <Text style={styles.pathMeta}>
+              {completed} of {item.milestones.length} milestones completed
+            </Text>
+            {status?.status === 'failed' && (
+              <Text style={styles.errorText}>{status.error}</Text>
+            )}
+          </View>
+          {renderStatus(status)}
+        </View>
+      </ModernCard>
+    );
+  };
+
+  return (
+    <ScreenWrapper style={styles.container}>
+      {/* Header */}
+      <View style={styles.header}>
+        <TouchableOpacity style={styles.headerButton} onPress={() => navigation.goBack()}>
+          <Ionicons name="arrow-back" size={24} color={Colors.text.primary} />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>Guest Paths</Text>
+        <View style={styles.headerButton} />
+      </View>
+
+      <Text style={styles.intro}>
+        {guestPaths.length > 0
+          ? 'These paths were saved on this device before you signed in. Upload them to keep them, with your progress, in your account.'
+          : 'There are no guest paths left on this device.'}
+      </Text>
+
+      {uploadedCount > 0 && (
+        <View style={styles.summary}>
+          <Ionicons name="checkmark-circle" size={18} color={Colors.status.success} />
+          <Text style={styles.summaryText}>
+            {uploadedCount} path{uploadedCount !== 1 ? 's' : ''} added to your account
+          </Text>
+        </View>
+      )}
+
+      <FlatList
+        data={guestPaths}
+        keyExtractor={(item) => getGuestPathKey(item)}
+        renderItem={renderPath}
+        contentContainerStyle={styles.listContent}
+      />
+
+      <View style={styles.footer}>
+        {guestPaths.length > 0 ? (
+          <>
+            {!isReachable && (
+              <Text style={styles.hintText}>Uploading needs a connection to the server.</Text>
+            )}
+            <ModernButton
+              title={isMigratingGuestPaths
+                ? 'Uploading...'
+                : hasFailures
+                  ? 'Retry Upload'
+                  : `Upload ${guestPaths.length} Path${guestPaths.length !== 1 ? 's' : ''}`}
+              variant="primary"
+              size="lg"
+              onPress={handleUpload}
+              disabled={isMigratingGuestPaths || !isReachable}
+            />
+            <ModernButton
+              title="Not Now"
+              variant="ghost"
+              size="md"
+              onPress={() => navigation.goBack()}
+              disabled={isMigratingGuestPaths}
+            />
+          </>
+        ) : (
+          <ModernButton title="Done" variant="primary" size="lg" onPress={() => navigation.goBack()} />
+        )}
+      </View>
+    </ScreenWrapper>
+  );
+}
+
+const createStyles = (Colors, isDarkMode) => StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: Spacing.lg,
+    paddingVertical: Spacing.md,
+    marginTop: Platform.OS === 'android' ? 10 : 0,
+  },
+  headerButton: {
+    width: 40,
+    height: 40,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  headerTitle: {
+    fontSize: Typography.fontSizes.lg,
+    fontWeight: Typography.fontWeights.bold,
+    color: Colors.text.primary,
+  },
+  intro: {
+    fontSize: Typography.fontSizes.sm,
+    color: Colors.text.secondary,
+    paddingHorizontal: Spacing.lg,
+    marginBottom: Spacing.base,
+  },
+  summary: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: Spacing.sm,
+    paddingHorizontal: Spacing.lg,
+    marginBottom: Spacing.base,
+  },
+  summaryText: {
+    fontSize: Typography.fontSizes.sm,
+    color: Colors.text.primary,
+    fontWeight: Typography.fontWeights.medium,
+  },
+  listContent: {
+    paddingHorizontal: Spacing.lg,
+    paddingBottom: Spacing.lg,
+  },
+  pathCard: {
+    marginBottom: Spacing.md,
+  },
+  pathRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: Spacing.md,
+  },
+  pathInfo: {
+    flex: 1,
+  },
+  pathTitle: {
+    fontSize: Typography.fontSizes.base,
+    fontWeight: Typography.fontWeights.semibold,
+    color: Colors.text.primary,
+  },
+  pathMeta: {
+    fontSize: Typography.fontSizes.xs,
+    color: Colors.text.secondary,
+    marginTop: Spacing.xs,
+  },
+  errorText: {
+    fontSize: Typography.fontSizes.xs,
+    color: Colors.status.error,
+    marginTop: Spacing.xs,
+  },
+  footer: {
+    paddingHorizontal: Spacing.lg,
+    paddingBottom: Spacing.lg,
+    gap: Spacing.sm,
+    borderTopWidth: 1,
+    borderTopColor: isDarkMode ? 'rgba(255,255,255,0.1)' : 'rgba(0,0,0,0.08)',
+    paddingTop: Spacing.md,
+  },
+  hintText: {
+    fontSize: Typography.fontSizes.xs,
+    color: Colors.text.secondary,
+    textAlign: 'center',
+  },
+});
@@ -1,15 +1,28 @@
-import React from 'react';
-import { View, ActivityIndicator, StyleSheet } from 'react-native';
+import React, { useEffect } from 'react';
+import { View, Text, ActivityIndicator, StyleSheet } from 'react-native';
 import { useTheme } from '../context/ThemeContext';
 import { ScreenWrapper } from '../components';
+import { useConnectivity } from '../hooks';
+import { Typography, Spacing } from '../theme';
 
 export default function LoadingScreen() {
   const { colors: Colors } = useTheme();
+  const { isWaking, checkConnectivity } = useConnectivity();
+
+  // Start waking the backend while the app itself loads
+  useEffect(() => {
+    checkConnectivity();
+  }, [checkConnectivity]);
 
   return (
     <ScreenWrapper>
       <View style={styles.content}>
         <ActivityIndicator size="large" color={Colors.text.primary} />
+        {isWaking && (
+          <Text style={[styles.hint, { color: Colors.text.secondary }]}>
+            Starting the server, this may take a moment…
+          </Text>
+        )}
       </View>
     </ScreenWrapper>
   );
@@ -21,4 +34,8 @@ const styles = StyleSheet.create({
     justifyContent: 'center',
     alignItems: 'center',
   },
+  hint: {
+    marginTop: Spacing.base,
+    fontSize: Typography.fontSizes.sm,
+  },
 });
@@ -21,7 +21,7 @@ import { ScreenWrapper, ModernButton, ModernCard, FadeInView } from '../componen
 export default function LoginScreen({ navigation }) {
   const { colors: Colors, isDarkMode } = useTheme();
   const styles = useMemo(() => createStyles(Colors, isDarkMode), [Colors, isDarkMode]);
-  const { login, continueAsGuest } = useAuth();
+  const { login, continueAsGuest, sessionMessage, clearSessionMessage } = useAuth();
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
   const [showPassword, setShowPassword] = useState(false);
@@ -60,6 +60,7 @@ export default function LoginScreen({ navigation }) {
   };
 
   const handleGuestMode = () => {
+    clearSessionMessage();
     continueAsGuest();
   };
 
@@ -95,6 +96,17 @@ export default function LoginScreen({ navigation }) {
               <Text style={styles.formTitle}>Welcome Back</Text>
               <Text style={styles.formSubtitle}>Sign in to continue</Text>
 
+              {/* Session Expired Notice */}
+              {sessionMessage && (
+                <View style={styles.sessionBanner}>
+                  <Ionicons name="time-outline" size={20} color={Colors.status.warning} />
+                  <Text style={styles.sessionBannerText}>{sessionMessage}</Text>
+                  <TouchableOpacity onPress={clearSessionMessage}>
+                    <Ionicons name="close" size={18} color={Colors.text.secondary} />
+                  </TouchableOpacity>
+                </View>
+              )}
+
               {/* Email Input */}
               <View style={[
                 styles.inputContainer,
@@ -251,6 +263,23 @@ const createStyles = (Colors, isDarkMode) => StyleSheet.create({
     marginTop: Spacing.xs,
     marginBottom: Spacing.xl,
   },
+  sessionBanner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: Spacing.sm,
+    padding: Spacing.md,
+    marginBottom: Spacing.lg,
+    borderRadius: BorderRadius.md,
+    backgroundColor: `${Colors.status.warning}15`,
+    borderWidth: 1,
+    borderColor: `${Colors.status.warning}40`,
+  },
+  sessionBannerText: {
+    flex: 1,
+    fontSize: Typography.fontSizes.sm,
+    color: Colors.text.primary,
+    lineHeight: 20,
+  },
   inputContainer: {
     flexDirection: 'row',
     alignItems: 'center',
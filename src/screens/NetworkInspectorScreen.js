@@ -0,0 +1,363 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  FlatList,
+  TouchableOpacity,
+  TextInput,
+  Share,
+  Platform,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+
+import { Typography, Spacing, BorderRadius } from '../theme';
+import { useTheme } from '../context/ThemeContext';
+import {
+  getNetworkLog,
+  subscribeToNetworkLog,
+  clearNetworkLog,
+  networkLogEntryToJson,
+  networkLogEntryToCurl,
+} from '../services/networkLog';
+import { ScreenWrapper, ModernCard } from '../components';
+
+const STATUS_FILTERS = [
+  { id: 'all', label: 'All', matches: () => true },
+  { id: '2xx', label: '2xx', matches: (entry) => entry.status >= 200 && entry.status < 300 },
+  { id: '4xx', label: '4xx', matches: (entry) => entry.status >= 400 && entry.status < 500 },
+  { id: '5xx', label: '5xx', matches: (entry) => entry.status >= 500 },
+  { id: 'failed', label: 'No response', matches: (entry) => !entry.status && !!entry.error },
+  { id: 'pending', label: 'Pending', matches: (entry) => entry.durationMs === null },
+];
+
+const formatBody = (body) => {
+  if (body === null || body === undefined) return '—';
+  return typeof body === 'string' ? body : JSON.stringify(body, null, 2);
+};
+
+const formatHeaders = (headers) => {
+  const lines = Object.entries(headers || {}).map(([name, value]) => `${name}: ${value}`);
+  return lines.length > 0 ? lines.join('\n') : '—';
+};
+
+export default function NetworkInspectorScreen({ navigation }) {
+  const { colors: Colors, isDarkMode } = useTheme();
+  const styles = useMemo(() => createStyles(Colors, isDarkMode), [Colors, isDarkMode]);
+  const [entries, setEntries] = useState(getNetworkLog);
+  const [statusFilter, setStatusFilter] = useState('all');
+  const [endpointFilter, setEndpointFilter] = useState('');
+  const [expandedId, setExpandedId] = useState(null);
+
+  useEffect(() => subscribeToNetworkLog(setEntries), []);
+
+  const filteredEntries = useMemo(() => {
+    const { matches } = STATUS_FILTERS.find((filter) => filter.id === statusFilter);
+    const query = endpointFilter.trim().toLowerCase();
+    return entries.filter((entry) =>
+      matches(entry) && (!query || entry.url.toLowerCase().includes(query))
+    );
+  }, [entries, statusFilter, endpointFilter]);
+
+  const getStatusColor = (entry) => {
+    if (entry.durationMs === null) return Colors.text.secondary;
+    if (!entry.status || entry.status >= 500) return Colors.status.error;
+    if (entry.status >= 400) return Colors.status.warning;
+    return Colors.status.success;
+  };
+
+  const handleExport = async (entry, format) => {
+    const message = format === 'curl' ? networkLogEntryToCurl(entry) : networkLogEntryToJson(entry);
+    try {
+      await Share.share({ message, title: `${entry.method} ${entry.path}` });
+    } catch (error) {
+      console.log('Could not share network log entry:', error.message);
+    }
+  };
+
+  const renderDetails = (entry) => (
+    <View style={styles.details}>
+      <Text style={styles.detailLabel}>URL</Text>
+      <Text style={styles.detailText} selectable>{entry.url}</Text>
+
+      {!!entry.error && (
+        <>
+          <Text style={styles.detailLabel}>Error</Text>
+          <Text style={[styles.detailText, { color: Colors.status.error }]} selectable>{entry.error}</Text>
+        </>
+      )}
+
+      <Text style={styles.detailLabel}>Request Headers</Text>
+      <Text style={styles.codeText} selectable>{formatHeaders(entry.requestHeaders)}</Text>
+
+      <Text style={styles.detailLabel}>Request Body</Text>
+      <Text style={styles.codeText} selectable>{formatBody(entry.requestBody)}</Text>
+
+      <Text style={styles.detailLabel}>Response Headers</Text>
+      <Text style={styles.codeText} selectable>{formatHeaders(entry.responseHeaders)}</Text>
+
+      <Text style={styles.detailLabel}>Response Body</Text>
+      <Text style={styles.codeText} selectable numberOfLines={40}>{formatBody(entry.responseBody)}</Text>
+
+      <View style={styles.exportRow}>
+        <TouchableOpacity style={styles.exportButton} onPress={() => handleExport(entry, 'json')}>
+          <Ionicons name="code-slash-outline" size={16} color={Colors.primary.main} />
+          <Text style={styles.exportText}>Export JSON</Text>
+        </TouchableOpacity>
+        <TouchableOpacity style={styles.exportButton} onPress={() => handleExport(entry, 'curl')}>
+          <Ionicons name="terminal-outline" size={16} color={Colors.primary.main} />
+          <Text style={styles.exportText}>Export curl</Text>
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+
+  const renderEntry = ({ item }) => {
+    const isExpanded = expandedId === item.id;
+
+    return (
+      <ModernCard variant="filled" style={styles.entryCard}>
+        <TouchableOpacity
+          style={styles.entryHeader}
+          onPress={() => setExpandedId(isExpanded ? null : item.id)}
+          activeOpacity={0.7}
+        >
+          <Text style={styles.method}>{item.method}</Text>
+          <View style={styles.entryInfo}>
+            <Text style={styles.entryPath} numberOfLines={1}>{item.path}</Text>
+            <Text style={styles.entryMeta}>
+              {new Date(item.startedAt).toLocaleTimeString()}
+              {item.durationMs !== null ? ` · ${item.durationMs} ms` : ' · pending'}
+              {item.retryAttempt > 0 ? ` · retry ${item.retryAttempt}` : ''}
+              {item.mocked ? ' · mock' : ''}
+            </Text>
+          </View>
+          <Text style={[styles.status, { color: getStatusColor(item) }]}>
+            {item.status || (item.durationMs === null ? '…' : 'ERR')}
+          </Text>
+        </TouchableOpacity>
+        {isExpanded && renderDetails(item)}
+      </ModernCard>
+    );
+  };
+
+  return (
+    <ScreenWrapper style={styles.container} scrollable={false}>
+      {/* Header */}
+      <View style={styles.header}>
+        <TouchableOpacity style={styles.headerButton} onPress={() => navigation.goBack()}>
+          <Ionicons name="arrow-back" size={24} color={Colors.text.primary} />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>Network Inspector</Text>
+        <TouchableOpacity
+          style={styles.headerButton}
+          onPress={clearNetworkLog}
+          disabled={entries.length === 0}
+        >
+          <Ionicons name="trash-outline" size={22} color={Colors.text.primary} />
+        </TouchableOpacity>
+      </View>
+
+      {/* Filters */}
+      <View style={styles.filters}>
+        <TextInput
+          style={styles.searchInput}
+          value={endpointFilter}
+          onChangeText={setEndpointFilter}
+          placeholder="Filter by endpoint, e.g. /api/paths"
+          placeholderTextColor={Colors.text.secondary}
+          autoCapitalize="none"
+          autoCorrect={false}
+        />
+        <View style={styles.chipRow}>
+          {STATUS_FILTERS.map((filter) => {
+            const isSelected = statusFilter === filter.id;
+            return (
+              <TouchableOpacity
+                key={filter.id}
+                style={[styles.chip, isSelected && styles.chipSelected]}
+                onPress={() => setStatusFilter(filter.id)}
+              >
+                <Text style={[styles.chipText, isSelected && styles.chipTextSelected]}>
+                  {filter.label}
+                </Text>
+              </TouchableOpacity>
+            );
+          })}
+        </View>
+      </View>
+
+      <FlatList
+        data={filteredEntries}
+        keyExtractor={(item) => String(item.id)}
+        renderItem={renderEntry}
+        contentContainerStyle={styles.listContent}
+        ListEmptyComponent={
+          <View style={styles.emptyContainer}>
+            <Ionicons name="swap-vertical-outline" size={48} color={Colors.text.secondary} />
+            <Text style={styles.emptyText}>
+              {entries.length === 0 ? 'No requests recorded yet' : 'No requests match these filters'}
+            </Text>
+          </View>
+        }
+      />
+    </ScreenWrapper>
+  );
+}
+
+const createStyles = (Colors, isDarkMode) => StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: Spacing.lg,
+    paddingVertical: Spacing.md,
+    marginTop: Platform.OS === 'android' ? 10 : 0,
+  },
+  headerButton: {
+    width: 40,
+    height: 40,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  headerTitle: {
+    fontSize: Typography.fontSizes.lg,
+    fontWeight: Typography.fontWeights.bold,
+    color: Colors.text.primary,
+  },
+  filters: {
+    paddingHorizontal: Spacing.lg,
+    marginBottom: Spacing.md,
+  },
+  searchInput: {
+    backgroundColor: isDarkMode ? 'rgba(0,0,0,0.2)' : 'rgba(0,0,0,0.05)',
+    borderRadius: BorderRadius.md,
+    padding: Spacing.md,
+    fontSize: Typography.fontSizes.md,
+    color: Colors.text.primary,
+    borderWidth: 1,
+    borderColor: isDarkMode ? 'rgba(255,255,255,0.1)' : 'rgba(0,0,0,0.1)',
+    marginBottom: Spacing.sm,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: Spacing.sm,
+  },
+  chip: {
+    paddingHorizontal: Spacing.md,
+    paddingVertical: Spacing.xs,
+    borderRadius: BorderRadius.full,
+    borderWidth: 1,
+    borderColor: isDarkMode ? 'rgba(255,255,255,0.2)' : 'rgba(0,0,0,0.1)',
+  },
+  chipSelected: {
+    backgroundColor: Colors.primary.main,
+    borderColor: Colors.primary.main,
+  },
+  chipText: {
+    fontSize: Typography.fontSizes.sm,
+    color: Colors.text.primary,
+  },
+  chipTextSelected: {
+    color: '#fff',
+    fontWeight: Typography.fontWeights.medium,
+  },
+  listContent: {
+    paddingHorizontal: Spacing.lg,
+    paddingBottom: Spacing['3xl'],
+  },
+  entryCard: {
+    padding: 0,
+    marginBottom: Spacing.sm,
+    borderRadius: BorderRadius.lg,
+    overflow: 'hidden',
+  },
+  entryHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: Spacing.md,
+  },
+  method: {
+    width: 56,
+    fontSize: Typography.fontSizes.xs,
+    fontWeight: Typography.fontWeights.bold,
+    color: Colors.primary.main,
+  },
+  entryInfo: {
+    flex: 1,
+    marginRight: Spacing.sm,
+  },
+  entryPath: {
+    fontSize: Typography.fontSizes.sm,
+    fontWeight: Typography.fontWeights.medium,
+    color: Colors.text.primary,
+  },
+  entryMeta: {
+    fontSize: Typography.fontSizes.xs,
+    color: Colors.text.secondary,
+    marginTop: 2,
+  },
+  status: {
+    fontSize: Typography.fontSizes.sm,
+    fontWeight: Typography.fontWeights.bold,
+  },
+  details: {
+    paddingHorizontal: Spacing.md,
+    paddingBottom: Spacing.md,
+    borderTopWidth: 1,
+    borderTopColor: isDarkMode ? 'rgba(255,255,255,0.1)' : 'rgba(0,0,0,0.05)',
+  },
+  detailLabel: {
+    fontSize: Typography.fontSizes.xs,
+    fontWeight: Typography.fontWeights.semibold,
+    color: Colors.text.secondary,
+    textTransform: 'uppercase',
+    marginTop: Spacing.md,
+    marginBottom: Spacing.xs,
+  },
+  detailText: {
+    fontSize: Typography.fontSizes.sm,
+    color: Colors.text.primary,
+  },
+  codeText: {
+    fontFamily: Platform.OS === 'ios' ? 'Menlo' : 'monospace',
+    fontSize: Typography.fontSizes.xs,
+    color: Colors.text.primary,
+    backgroundColor: isDarkMode ? 'rgba(0,0,0,0.2)' : 'rgba(0,0,0,0.04)',
+    borderRadius: BorderRadius.sm,
+    padding: Spacing.sm,
+  },
+  exportRow: {
+    flexDirection: 'row',
+    gap: Spacing.sm,
+    marginTop: Spacing.md,
+  },
+  exportButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: Spacing.xs,
+    paddingHorizontal: Spacing.md,
+    paddingVertical: Spacing.sm,
+    borderRadius: BorderRadius.md,
+    borderWidth: 1,
+    borderColor: Colors.primary.main,
+  },
+  exportText: {
+    fontSize: Typography.fontSizes.sm,
+    color: Colors.primary.main,
+    fontWeight: Typography.fontWeights.medium,
+  },
+  emptyContainer: {
+    alignItems: 'center',
+    paddingVertical: Spacing['3xl'],
+  },
+  emptyText: {
+    fontSize: Typography.fontSizes.base,
+    color: Colors.text.secondary,
+    marginTop: Spacing.md,
+  },
+});
@@ -1,4 +1,4 @@
-import React, { useState, useMemo } from 'react';
+import React, { useState, useMemo, useEffect } from 'react';
 import {
   View,
   Text,
@@ -6,54 +6,161 @@ import {
   ScrollView,
   TouchableOpacity,
   Linking,
+  Alert,
 } from 'react-native';
 import Animated, { FadeInDown, SlideInRight } from 'react-native-reanimated';
 import { Ionicons } from '@expo/vector-icons';
 
 import useLearningPathStore from '../store/learningPathStore';
+import PendingSyncIndicator from '../components/PendingSyncIndicator';
+import NoteEditor from '../components/NoteEditor';
+import StartDateSheet from '../components/StartDateSheet';
+import { downloadLearningPathICS, CALENDAR_EXPORT_MODES } from '../utils/calendarExport';
+import {
+  getWeeklyHours,
+  getScheduleStatus,
+  getMilestoneTargetWeek,
+  countCompletedMilestones,
+  getMilestoneProgress,
+  getResourceStatus,
+  getNextResourceStatus,
+  RESOURCE_STATUS,
+} from '../models/learningPath';
+import { getDayKey } from '../models/activity';
+import { calculateCompletion, formatDay, formatScheduleStatus } from '../utils';
 import { useTheme } from '../context/ThemeContext';
 import { ScreenWrapper, FadeInView, ModernCard, ModernButton } from '../components';
 import { Typography, Spacing, BorderRadius, Shadows } from '../theme';
 
+const RESOURCE_STATUS_ICONS = {
+  [RESOURCE_STATUS.NOT_STARTED]: { name: 'ellipse-outline', label: 'Not started' },
+  [RESOURCE_STATUS.IN_PROGRESS]: { name: 'contrast', label: 'In progress' },
+  [RESOURCE_STATUS.DONE]: { name: 'checkmark-circle', label: 'Done' },
+};
+
 export default function PathDetailScreen({ navigation, route }) {
   const { colors: Colors, isDarkMode } = useTheme();
   const styles = useMemo(() => createStyles(Colors, isDarkMode), [Colors, isDarkMode]);
-  const { path } = route.params;
-  const { updateMilestoneCompletion } = useLearningPathStore();
+  const {
+    savedPaths,
+    resolvePathId,
+    updateMilestoneCompletion,
+    updateNote,
+    updateResourceStatus,
+    setPathStartDate,
+    reschedulePath,
+  } = useLearningPathStore();
+  // The saved copy stays current after edits and syncs; the route param is a snapshot
+  const savedPath = savedPaths.find(p => p.id === resolvePathId(route.params.path.id));
+  const path = savedPath || route.params.path;
 
-  const [expandedMilestones, setExpandedMilestones] = useState([0]);
+  // Milestones are tracked by ID, so both survive milestones moving in the editor
+  const [expandedMilestones, setExpandedMilestones] = useState(
+    path.milestones.length > 0 ? [path.milestones[0].id] : []
+  );
   const [completedMilestones, setCompletedMilestones] = useState(
     path.completedMilestones || {}
   );
   const [dismissedAssessment, setDismissedAssessment] = useState(false);
+  // Resources whose (still empty) note is being written
+  const [openResourceNotes, setOpenResourceNotes] = useState([]);
+  const [isChoosingStartDate, setIsChoosingStartDate] = useState(false);
+  const [isExportingCalendar, setIsExportingCalendar] = useState(false);
 
-  const toggleMilestone = (index) => {
+  // Milestones may have been added or removed in the editor
+  useEffect(() => {
+    setCompletedMilestones(path.completedMilestones || {});
+  }, [path.completedMilestones]);
+
+  const toggleMilestone = (milestoneId) => {
     setExpandedMilestones((prev) =>
-      prev.includes(index)
-        ? prev.filter((i) => i !== index)
-        : [...prev, index]
+      prev.includes(milestoneId)
+        ? prev.filter((id) => id !== milestoneId)
+        : [...prev, milestoneId]
     );
   };
 
-  const toggleCompletion = async (index) => {
-    const newValue = !completedMilestones[index];
-    setCompletedMilestones((prev) => ({ ...prev, [index]: newValue }));
-    await updateMilestoneCompletion(path.id, index, newValue);
+  const openResourceNote = (resourceId) => {
+    setOpenResourceNotes((prev) => (prev.includes(resourceId) ? prev : [...prev, resourceId]));
   };
 
-  const getCompletionPercentage = () => {
-    if (!path.milestones) return 0;
-    const completed = Object.values(completedMilestones).filter(Boolean).length;
-    return Math.round((completed / path.milestones.length) * 100);
+  const closeResourceNote = (resourceId) => {
+    setOpenResourceNotes((prev) => prev.filter((id) => id !== resourceId));
   };
 
+  // Notes belong to saved paths only
+  const getNoteText = (targetId) => savedPath?.notes[targetId]?.text || '';
+
+  // Progress on resources is tracked for saved paths only, like notes
+  const cycleResourceStatus = (resourceId) => {
+    updateResourceStatus(path.id, resourceId, getNextResourceStatus(getResourceStatus(path, resourceId)));
+  };
+
+  const renderResourceStatus = (resourceId) => {
+    const status = getResourceStatus(path, resourceId);
+    const statusColors = {
+      [RESOURCE_STATUS.NOT_STARTED]: Colors.text.muted,
+      [RESOURCE_STATUS.IN_PROGRESS]: Colors.status.warning,
+      [RESOURCE_STATUS.DONE]: Colors.status.success,
+    };
+
+    return (
+      <TouchableOpacity
+        style={styles.resourceStatusButton}
+        onPress={() => cycleResourceStatus(resourceId)}
+        accessibilityLabel={`${RESOURCE_STATUS_ICONS[status].label}, tap to change`}
+      >
+        <Ionicons name={RESOURCE_STATUS_ICONS[status].name} size={20} color={statusColors[status]} />
+      </TouchableOpacity>
+    );
+  };
+
+  const toggleCompletion = async (milestoneId) => {
+    const newValue = !completedMilestones[milestoneId];
+    setCompletedMilestones((prev) => ({ ...prev, [milestoneId]: newValue }));
+    await updateMilestoneCompletion(path.id, milestoneId, newValue);
+  };
+
+
   const openResource = (url) => {
     if (url && url.startsWith('http')) {
       Linking.openURL(url);
     }
   };
 
-  const completion = getCompletionPercentage();
+  const progressPath = { ...path, completedMilestones };
+  const completion = calculateCompletion(progressPath);
+  const today = getDayKey(new Date());
+  const scheduleStatus = savedPath ? getScheduleStatus(progressPath, today) : null;
+  const scheduleColors = {
+    upcoming: Colors.status.info,
+    on_track: Colors.primary.main,
+    ahead: Colors.status.success,
+    behind: Colors.status.error,
+    completed: Colors.status.success,
+  };
+
+  const changeStartDate = (startDate) => {
+    setIsChoosingStartDate(false);
+    setPathStartDate(path.id, startDate);
+  };
+
+  const exportCalendar = async (mode) => {
+    setIsExportingCalendar(true);
+    const result = await downloadLearningPathICS(path, { mode });
+    setIsExportingCalendar(false);
+    if (!result.success) {
+      Alert.alert('Error', result.message);
+    }
+  };
+
+  const handleExportCalendar = () => {
+    Alert.alert('Add to Calendar', 'Add one event for each milestone, or study sessions spread over its days?', [
+      { text: 'Cancel', style: 'cancel' },
+      { text: 'Milestones', onPress: () => exportCalendar(CALENDAR_EXPORT_MODES.MILESTONES) },
+      { text: 'Study Sessions', onPress: () => exportCalendar(CALENDAR_EXPORT_MODES.SESSIONS) },
+    ]);
+  };
 
   return (
     <ScreenWrapper
@@ -71,7 +178,16 @@ export default function PathDetailScreen({ navigation, route }) {
         <Text style={styles.headerTitle} numberOfLines={1}>
           {path.topic || path.title}
         </Text>
-        <View style={styles.headerPlaceholder} />
+        {savedPath ? (
+          <TouchableOpacity
+            style={styles.backButton}
+            onPress={() => navigation.navigate('EditPath', { pathId: savedPath.id })}
+          >
+            <Ionicons name="create-outline" size={22} color={Colors.text.primary} />
+          </TouchableOpacity>
+        ) : (
+          <View style={styles.headerPlaceholder} />
+        )}
       </View>
 
       <ScrollView
@@ -79,6 +195,8 @@ export default function PathDetailScreen({ navigation, route }) {
         showsVerticalScrollIndicator={false}
         scrollEventThrottle={16}
       >
+        <PendingSyncIndicator pathId={path.id} style={styles.syncIndicator} />
+
         {/* Progress Card */}
         <FadeInView delay={100} duration={600}>
           <ModernCard variant="glass" style={styles.progressCard}>
@@ -96,12 +214,77 @@ export default function PathDetailScreen({ navigation, route }) {
               <Text style={styles.progressPercentage}>{completion}%</Text>
             </View>
             <Text style={styles.progressSubtext}>
-              {Object.values(completedMilestones).filter(Boolean).length} of{' '}
-              {path.milestones?.length || 0} weeks completed
+              {countCompletedMilestones({ completedMilestones })} of{' '}
+              {path.milestones.length} weeks completed
             </Text>
           </ModernCard>
         </FadeInView>
 
+        {/* Schedule */}
+        {savedPath && (
+          <FadeInView delay={150} duration={600}>
+            <ModernCard variant="filled" style={styles.scheduleCard}>
+              {scheduleStatus ? (
+                <>
+                  <View style={styles.scheduleHeader}>
+                    <Ionicons name="calendar" size={20} color={scheduleColors[scheduleStatus.state]} />
+                    <Text style={[styles.scheduleStatus, { color: scheduleColors[scheduleStatus.state] }]}>
+                      {formatScheduleStatus(scheduleStatus)}
+                    </Text>
+                    <TouchableOpacity onPress={() => setIsChoosingStartDate(true)}>
+                      <Text style={styles.scheduleLink}>Change</Text>
+                    </TouchableOpacity>
+                  </View>
+                  <Text style={styles.scheduleText}>
+                    {today < path.startDate ? 'Starts' : 'Started'} {formatDay(path.startDate)}
+                  </Text>
+                  {!!scheduleStatus.nextDueDate && (
+                    <Text style={styles.scheduleText} numberOfLines={1}>
+                      Next: {scheduleStatus.nextMilestone.title} · due {formatDay(scheduleStatus.nextDueDate)}
+                    </Text>
+                  )}
+                  <View style={styles.scheduleActions}>
+                    {scheduleStatus.state === 'behind' && (
+                      <ModernButton
+                        title="Reschedule"
+                        icon="refresh"
+                        size="sm"
+                        variant="outline"
+                        onPress={() => reschedulePath(path.id)}
+                        style={styles.scheduleButton}
+                      />
+                    )}
+                    <ModernButton
+                      title={isExportingCalendar ? 'Exporting...' : 'Add to Calendar'}
+                      icon="share-outline"
+                      size="sm"
+                      variant="outline"
+                      onPress={handleExportCalendar}
+                      disabled={isExportingCalendar}
+                      style={styles.scheduleButton}
+                    />
+                  </View>
+                </>
+              ) : (
+                <>
+                  <Text style={styles.scheduleText}>
+                    Set a start date to get a due date for every milestone and see if you're on pace.
+                  </Text>
+                  <View style={styles.scheduleActions}>
+                    <ModernButton
+                      title="Set Start Date"
+                      icon="calendar-outline"
+                      size="sm"
+                      variant="outline"
+                      onPress={() => setIsChoosingStartDate(true)}
+                      style={styles.scheduleButton}
+                    />
+                  </View>
+                </>
+              )}
+            </ModernCard>
+          </FadeInView>
+        )}
 
         {/* Skill Assessment Prompt - Shows when 100% complete */}
         {completion === 100 && !dismissedAssessment && (
@@ -128,8 +311,8 @@ export default function PathDetailScreen({ navigation, route }) {
                     pathId: path.id,
                     topic: path.topic || path.title,
                     expertiseLevel: path.expertise_level,
-                    milestones: path.milestones?.map(m => m.title || m.milestone) || [],
-                    skills: path.milestones?.flatMap(m => m.skills || []) || [],
+                    milestones: path.milestones.map(m => m.title),
+                    skills: path.milestones.flatMap(m => m.skills),
                   })}
                 >
                   <View style={styles.assessmentButtonContent}>
@@ -165,14 +348,14 @@ export default function PathDetailScreen({ navigation, route }) {
               <View style={styles.infoItem}>
                 <Ionicons name="hourglass-outline" size={24} color={Colors.primary.main} />
                 <Text style={styles.infoLabel}>Hours</Text>
-                <Text style={styles.infoValue}>{path.total_hours || '~20'}</Text>
+                <Text style={styles.infoValue}>{path.total_hours}</Text>
               </View>
             </View>
           </ModernCard>
         </FadeInView>
 
         {/* Description */}
-        {path.description && (
+        {!!path.description && (
           <FadeInView delay={250} duration={600} slideDistance={20}>
             <ModernCard variant="filled" style={styles.descriptionCard}>
               <Text style={styles.descriptionText}>{path.description}</Text>
@@ -187,13 +370,18 @@ export default function PathDetailScreen({ navigation, route }) {
           </Text>
         </FadeInView>
 
-        {path.milestones?.map((milestone, index) => {
-          const isCompleted = completedMilestones[index];
-          const isExpanded = expandedMilestones.includes(index);
+        {path.milestones.map((milestone, index) => {
+          const isCompleted = completedMilestones[milestone.id];
+          const isExpanded = expandedMilestones.includes(milestone.id);
+          const milestoneProgress = getMilestoneProgress(progressPath, milestone);
+          const doneResources = milestone.resources.filter(
+            (resource) => getResourceStatus(path, resource.id) === RESOURCE_STATUS.DONE
+          ).length;
+          const dueDate = scheduleStatus ? path.schedule[milestone.id] : null;
 
           return (
             <FadeInView
-              key={index}
+              key={milestone.id}
               delay={300 + (index * 100)}
               duration={500}
               slideDistance={30}
@@ -207,7 +395,7 @@ export default function PathDetailScreen({ navigation, route }) {
               >
                 <TouchableOpacity
                   style={styles.milestoneHeader}
-                  onPress={() => toggleMilestone(index)}
+                  onPress={() => toggleMilestone(milestone.id)}
                   activeOpacity={0.8}
                 >
                   <TouchableOpacity
@@ -215,7 +403,7 @@ export default function PathDetailScreen({ navigation, route }) {
                       styles.checkbox,
                       isCompleted && styles.checkboxCompleted,
                     ]}
-                    onPress={() => toggleCompletion(index)}
+                    onPress={() => toggleCompletion(milestone.id)}
                   >
                     {isCompleted && (
                       <Ionicons name="checkmark" size={16} color={Colors.white} />
@@ -229,11 +417,26 @@ export default function PathDetailScreen({ navigation, route }) {
                         isCompleted && styles.milestoneTitleCompleted,
                       ]}
                     >
-                      {milestone.title || milestone.milestone}
+                      {milestone.title}
                     </Text>
                     <Text style={styles.milestoneMeta}>
-                      {milestone.estimated_hours || Math.ceil((path.total_hours || 10) / (path.milestones?.length || 1))} hours
+                      {dueDate && `Week ${getMilestoneTargetWeek(path, milestone.id)} · `}
+                      {milestone.estimated_hours} hours
+                      {dueDate && (
+                        <Text style={!isCompleted && dueDate < today && styles.milestoneOverdue}>
+                          {` · due ${formatDay(dueDate)}`}
+                        </Text>
+                      )}
+                      {savedPath && milestone.resources.length > 0 &&
+                        ` · ${doneResources}/${milestone.resources.length} resources`}
                     </Text>
+                    {!isCompleted && milestoneProgress > 0 && (
+                      <View style={styles.milestoneProgressBar}>
+                        <View
+                          style={[styles.milestoneProgressFill, { width: `${Math.round(milestoneProgress * 100)}%` }]}
+                        />
+                      </View>
+                    )}
                   </View>
 
                   <Ionicons
@@ -245,48 +448,72 @@ export default function PathDetailScreen({ navigation, route }) {
 
                 {isExpanded && (
                   <View style={styles.milestoneContent}>
-                    {milestone.description && (
+                    {!!milestone.description && (
                       <Text style={styles.milestoneDescription}>
                         {milestone.description}
                       </Text>
                     )}
 
-                    {milestone.resources && milestone.resources.length > 0 && (
+                    {milestone.resources.length > 0 && (
                       <View style={styles.resourcesSection}>
                         <Text style={styles.resourcesTitle}>
                           <Ionicons name="book-outline" size={16} /> Resources
                         </Text>
-                        {milestone.resources.map((resource, rIndex) => (
-                          <TouchableOpacity
-                            key={rIndex}
-                            style={styles.resourceItem}
-                            onPress={() => openResource(resource.url)}
-                          >
-                            <Ionicons
-                              name={
-                                resource.type === 'video'
-                                  ? 'videocam-outline'
-                                  : resource.type === 'article'
-                                    ? 'document-text-outline'
-                                    : 'link-outline'
-                              }
-                              size={18}
-                              color={Colors.primary.main}
-                            />
-                            <Text style={styles.resourceText}>
-                              {resource.title || resource.description || resource.url}
-                            </Text>
-                            <Ionicons
-                              name="open-outline"
-                              size={16}
-                              color={Colors.text.secondary}
-                            />
-                          </TouchableOpacity>
+                        {milestone.resources.map((resource) => (
+                          <View key={resource.id}>
+                            <TouchableOpacity
+                              style={styles.resourceItem}
+                              onPress={() => openResource(resource.url)}
+                            >
+                              {savedPath && renderResourceStatus(resource.id)}
+                              <Ionicons
+                                name={
+                                  resource.type === 'video'
+                                    ? 'videocam-outline'
+                                    : resource.type === 'article'
+                                      ? 'document-text-outline'
+                                      : 'link-outline'
+                                }
+                                size={18}
+                                color={Colors.primary.main}
+                              />
+                              <Text style={styles.resourceText}>
+                                {resource.title || resource.description || resource.url}
+                              </Text>
+                              {savedPath && !getNoteText(resource.id) && (
+                                <TouchableOpacity
+                                  style={styles.resourceNoteButton}
+                                  onPress={() => openResourceNote(resource.id)}
+                                  accessibilityLabel="Add a note to this resource"
+                                >
+                                  <Ionicons
+                                    name="create-outline"
+                                    size={16}
+                                    color={Colors.text.secondary}
+                                  />
+                                </TouchableOpacity>
+                              )}
+                              <Ionicons
+                                name="open-outline"
+                                size={16}
+                                color={Colors.text.secondary}
+                              />
+                            </TouchableOpacity>
+                            {savedPath && (!!getNoteText(resource.id) || openResourceNotes.includes(resource.id)) && (
+                              <NoteEditor
+                                text={getNoteText(resource.id)}
+                                initiallyEditing={!getNoteText(resource.id)}
+                                onSave={(text) => updateNote(path.id, resource.id, text)}
+                                onClose={() => closeResourceNote(resource.id)}
+                                style={styles.resourceNote}
+                              />
+                            )}
+                          </View>
                         ))}
                       </View>
                     )}
 
-                    {milestone.skills && milestone.skills.length > 0 && (
+                    {milestone.skills.length > 0 && (
                       <View style={styles.skillsSection}>
                         <Text style={styles.skillsTitle}>Skills you'll learn</Text>
                         <View style={styles.skillsContainer}>
@@ -298,6 +525,16 @@ export default function PathDetailScreen({ navigation, route }) {
                         </View>
                       </View>
                     )}
+
+                    {savedPath && (
+                      <View style={styles.notesSection}>
+                        <Text style={styles.skillsTitle}>Notes</Text>
+                        <NoteEditor
+                          text={getNoteText(milestone.id)}
+                          onSave={(text) => updateNote(path.id, milestone.id, text)}
+                        />
+                      </View>
+                    )}
                   </View>
                 )}
               </ModernCard>
@@ -318,7 +555,7 @@ export default function PathDetailScreen({ navigation, route }) {
               </View>
               <View style={styles.tipItem}>
                 <Ionicons name="time" size={18} color={Colors.primary.main} />
-                <Text style={styles.tipText}>Dedicate {Math.ceil((path.total_hours || 10) / (path.duration_weeks || 4))} hours per week to stay on track</Text>
+                <Text style={styles.tipText}>Dedicate {getWeeklyHours(path)} hours per week to stay on track</Text>
               </View>
               <View style={styles.tipItem}>
                 <Ionicons name="book" size={18} color={Colors.status.warning} />
@@ -332,6 +569,17 @@ export default function PathDetailScreen({ navigation, route }) {
           </ModernCard>
         </FadeInView>
       </ScrollView>
+
+      {savedPath && (
+        <StartDateSheet
+          visible={isChoosingStartDate}
+          initialDate={path.startDate}
+          onConfirm={changeStartDate}
+          onSkip={() => (path.startDate ? changeStartDate(null) : setIsChoosingStartDate(false))}
+          onClose={() => setIsChoosingStartDate(false)}
+          skipTitle={path.startDate ? 'Remove' : 'Cancel'}
+        />
+      )}
     </ScreenWrapper>
   );
 }
@@ -370,6 +618,9 @@ const createStyles = (Colors, isDarkMode) => StyleSheet.create({
     paddingHorizontal: Spacing.lg,
     paddingBottom: Spacing['3xl'],
   },
+  syncIndicator: {
+    marginBottom: Spacing.md,
+  },
   progressCard: {
     marginBottom: Spacing.lg,
   },
@@ -411,6 +662,37 @@ const createStyles = (Colors, isDarkMode) => StyleSheet.create({
     color: Colors.text.secondary,
     marginTop: Spacing.sm,
   },
+  scheduleCard: {
+    marginBottom: Spacing.lg,
+    gap: Spacing.xs,
+  },
+  scheduleHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: Spacing.sm,
+  },
+  scheduleStatus: {
+    flex: 1,
+    fontSize: Typography.fontSizes.base,
+    fontWeight: Typography.fontWeights.semibold,
+  },
+  scheduleLink: {
+    fontSize: Typography.fontSizes.sm,
+    fontWeight: Typography.fontWeights.medium,
+    color: Colors.primary.main,
+  },
+  scheduleText: {
+    fontSize: Typography.fontSizes.sm,
+    color: Colors.text.secondary,
+  },
+  scheduleActions: {
+    flexDirection: 'row',
+    gap: Spacing.sm,
+    marginTop: Spacing.sm,
+  },
+  scheduleButton: {
+    flex: 1,
+  },
   infoCard: {
     marginBottom: Spacing.lg,
   },
@@ -494,6 +776,21 @@ const createStyles = (Colors, isDarkMode) => StyleSheet.create({
     color: Colors.text.secondary,
     marginTop: Spacing.xs,
   },
+  milestoneOverdue: {
+    color: Colors.status.error,
+  },
+  milestoneProgressBar: {
+    height: 4,
+    marginTop: Spacing.xs,
+    backgroundColor: `${Colors.text.primary}10`,
+    borderRadius: BorderRadius.full,
+    overflow: 'hidden',
+  },
+  milestoneProgressFill: {
+    height: '100%',
+    backgroundColor: Colors.primary.main,
+    borderRadius: BorderRadius.full,
+  },
   milestoneContent: {
     paddingHorizontal: Spacing.base,
     paddingBottom: Spacing.base,
@@ -525,12 +822,24 @@ const createStyles = (Colors, isDarkMode) => StyleSheet.create({
     borderBottomWidth: 1,
     borderBottomColor: `${Colors.text.primary}10`,
   },
+  resourceStatusButton: {
+    marginRight: Spacing.sm,
+  },
+  resourceNoteButton: {
+    marginRight: Spacing.sm,
+  },
+  resourceNote: {
+    marginVertical: Spacing.sm,
+  },
   resourceText: {
     flex: 1,
     fontSize: Typography.fontSizes.sm,
     color: Colors.primary.main,
     marginLeft: Spacing.sm,
   },
+  notesSection: {
+    marginTop: Spacing.lg,
+  },
   skillsSection: {
     marginTop: Spacing.lg,
   },
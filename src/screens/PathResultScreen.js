@@ -13,8 +13,10 @@ import { Ionicons } from '@expo/vector-icons';
 
 import useLearningPathStore from '../store/learningPathStore';
 import { downloadLearningPathPDF } from '../utils/pdfGenerator';
+import { normalizeLearningPath, getWeeklyHours } from '../models/learningPath';
 import { useTheme } from '../context/ThemeContext';
 import { ScreenWrapper, FadeInView, ModernCard, ModernButton } from '../components';
+import StartDateSheet from '../components/StartDateSheet';
 import { Typography, Spacing, BorderRadius, Shadows } from '../theme';
 
 export default function PathResultScreen({ navigation, route }) {
@@ -25,6 +27,7 @@ export default function PathResultScreen({ navigation, route }) {
   const [isSaving, setIsSaving] = useState(false);
   const [saveMessage, setSaveMessage] = useState('');
   const [isDownloadingPDF, setIsDownloadingPDF] = useState(false);
+  const [isChoosingStartDate, setIsChoosingStartDate] = useState(false);
 
   // If path is passed via navigation params, set it in store
   useEffect(() => {
@@ -34,7 +37,14 @@ export default function PathResultScreen({ navigation, route }) {
   }, [route?.params?.path]);
 
   // Use path from params if currentPath not yet set
-  const pathData = currentPath || route?.params?.path;
+  const routePath = useMemo(() => {
+    try {
+      return route?.params?.path ? normalizeLearningPath(route.params.path) : null;
+    } catch (error) {
+      return null;
+    }
+  }, [route?.params?.path]);
+  const pathData = currentPath || routePath;
 
   if (!pathData) {
     return (
@@ -65,26 +75,44 @@ export default function PathResultScreen({ navigation, route }) {
     );
   };
 
-  const handleSave = async () => {
+  // startDate is left out to keep the path's schedule as it is
+  const handleSave = async (onDuplicate, startDate) => {
+    setIsChoosingStartDate(false);
     setIsSaving(true);
     setSaveMessage('');
 
-    const result = await savePath();
+    const result = await savePath({ onDuplicate, startDate });
 
     setIsSaving(false);
-    if (result.success) {
-      setSaveMessage('Saved successfully!');
-      Alert.alert('Success', 'Learning path saved to your dashboard.', [
-        {
-          text: 'View Dashboard',
-          onPress: () => {
-            resetGeneration();
-            // Navigate to MainTabs and then to DashboardTab
-            navigation.navigate('MainTabs', { screen: 'DashboardTab' });
+    if (result.duplicate) {
+      Alert.alert(
+        'Already Saved',
+        `"${result.duplicate.title}" is already in your dashboard. Update it, or save this as a separate copy?`,
+        [
+          { text: 'Cancel', style: 'cancel' },
+          { text: 'Keep Both', onPress: () => handleSave('keepBoth', startDate) },
+          { text: 'Update Existing', onPress: () => handleSave('update', startDate) },
+        ]
+      );
+    } else if (result.success) {
+      setSaveMessage(result.pendingSync ? 'Saved on this device' : 'Saved successfully!');
+      Alert.alert(
+        'Success',
+        result.pendingSync
+          ? 'Learning path saved to your dashboard. It will sync once the server is reachable.'
+          : 'Learning path saved to your dashboard.',
+        [
+          {
+            text: 'View Dashboard',
+            onPress: () => {
+              resetGeneration();
+              // Navigate to MainTabs and then to DashboardTab
+              navigation.navigate('MainTabs', { screen: 'DashboardTab' });
+            },
           },
-        },
-        { text: 'Stay Here' },
-      ]);
+          { text: 'Stay Here' },
+        ]
+      );
     } else {
       setSaveMessage('Failed to save');
     }
@@ -141,7 +169,7 @@ export default function PathResultScreen({ navigation, route }) {
           </TouchableOpacity>
           <TouchableOpacity
             style={[styles.headerButton, { marginLeft: 8 }]}
-            onPress={handleSave}
+            onPress={() => setIsChoosingStartDate(true)}
             disabled={isSaving}
           >
             <Ionicons
@@ -161,21 +189,21 @@ export default function PathResultScreen({ navigation, route }) {
         <FadeInView delay={100} duration={600}>
           <ModernCard variant="filled" style={styles.summaryCard}>
             <Text style={styles.pathTitle}>
-              {pathData.title || `${pathData.topic} Learning Path`}
+              {pathData.title}
             </Text>
-            {pathData.description && (
+            {!!pathData.description && (
               <Text style={styles.pathDescription}>{pathData.description}</Text>
             )}
 
             <View style={styles.statsGrid}>
               <View style={styles.statItem}>
                 <Ionicons name="time-outline" size={24} color={Colors.primary.main} />
-                <Text style={styles.statValue}>{pathData.total_hours || 0}</Text>
+                <Text style={styles.statValue}>{pathData.total_hours}</Text>
                 <Text style={styles.statLabel}>Hours</Text>
               </View>
               <View style={styles.statItem}>
                 <Ionicons name="calendar-outline" size={24} color={Colors.primary.main} />
-                <Text style={styles.statValue}>{pathData.duration_weeks || 0}</Text>
+                <Text style={styles.statValue}>{pathData.duration_weeks}</Text>
                 <Text style={styles.statLabel}>Weeks</Text>
               </View>
               <View style={styles.statItem}>
@@ -185,7 +213,7 @@ export default function PathResultScreen({ navigation, route }) {
               </View>
               <View style={styles.statItem}>
                 <Ionicons name="flag-outline" size={24} color={Colors.primary.main} />
-                <Text style={styles.statValue}>{pathData.milestones?.length || 0}</Text>
+                <Text style={styles.statValue}>{pathData.milestones.length}</Text>
                 <Text style={styles.statLabel}>Milestones</Text>
               </View>
             </View>
@@ -209,7 +237,7 @@ export default function PathResultScreen({ navigation, route }) {
           </Text>
         </FadeInView>
 
-        {pathData.milestones?.map((milestone, index) => (
+        {pathData.milestones.map((milestone, index) => (
           <FadeInView
             key={index}
             delay={300 + (index * 100)}
@@ -226,9 +254,9 @@ export default function PathResultScreen({ navigation, route }) {
                   <Text style={styles.milestoneNumberText}>{index + 1}</Text>
                 </View>
                 <View style={styles.milestoneTitleContainer}>
-                  <Text style={styles.milestoneTitle}>{milestone.title || milestone.milestone}</Text>
+                  <Text style={styles.milestoneTitle}>{milestone.title}</Text>
                   <Text style={styles.milestoneDuration}>
-                    {milestone.estimated_hours || Math.ceil((pathData.total_hours || 10) / (pathData.milestones?.length || 1))} hours
+                    {milestone.estimated_hours} hours
                   </Text>
                 </View>
                 <Ionicons
@@ -240,11 +268,11 @@ export default function PathResultScreen({ navigation, route }) {
 
               {expandedMilestones.includes(index) && (
                 <View style={styles.milestoneContent}>
-                  {milestone.description && (
+                  {!!milestone.description && (
                     <Text style={styles.milestoneDescription}>{milestone.description}</Text>
                   )}
 
-                  {milestone.resources && milestone.resources.length > 0 && (
+                  {milestone.resources.length > 0 && (
                     <View style={styles.resourcesSection}>
                       <Text style={styles.resourcesTitle}>Resources</Text>
                       {milestone.resources.map((resource, rIndex) => (
@@ -284,7 +312,7 @@ export default function PathResultScreen({ navigation, route }) {
               </View>
               <View style={styles.tipItem}>
                 <Ionicons name="time" size={18} color={Colors.primary.main} />
-                <Text style={styles.tipText}>Dedicate {Math.ceil((pathData.total_hours || 10) / (pathData.duration_weeks || 4))} hours per week to stay on track</Text>
+                <Text style={styles.tipText}>Dedicate {getWeeklyHours(pathData)} hours per week to stay on track</Text>
               </View>
               <View style={styles.tipItem}>
                 <Ionicons name="book" size={18} color={Colors.status.warning} />
@@ -302,7 +330,7 @@ export default function PathResultScreen({ navigation, route }) {
         <FadeInView delay={700} duration={600} style={styles.actionButtonsContainer}>
           <ModernButton
             title={isSaving ? 'Saving...' : 'Save Path'}
-            onPress={handleSave}
+            onPress={() => setIsChoosingStartDate(true)}
             disabled={isSaving || isDownloadingPDF}
             icon="bookmark-outline"
             style={{ flex: 1 }}
@@ -329,6 +357,14 @@ export default function PathResultScreen({ navigation, route }) {
           />
         </FadeInView>
       </ScrollView>
+
+      <StartDateSheet
+        visible={isChoosingStartDate}
+        initialDate={pathData.startDate}
+        onConfirm={(startDate) => handleSave(undefined, startDate)}
+        onSkip={() => handleSave()}
+        onClose={() => setIsChoosingStartDate(false)}
+      />
     </ScreenWrapper>
   );
 }
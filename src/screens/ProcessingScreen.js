@@ -1,4 +1,4 @@
-import React, { useEffect, useRef, useState, useMemo } from 'react';
+import React, { useEffect, useRef, useMemo } from 'react';
 import {
   View,
   Text,
@@ -10,12 +10,13 @@ import { Ionicons } from '@expo/vector-icons';
 import { useNavigation, useRoute } from '@react-navigation/native';
 
 import useLearningPathStore from '../store/learningPathStore';
+import { useTaskProgress } from '../hooks';
+import ReconnectingIndicator from '../components/ReconnectingIndicator';
+import { getMilestoneTitle } from '../models/learningPath';
 import { useTheme } from '../context/ThemeContext';
 import { Typography, Spacing, BorderRadius } from '../theme';
 import { ScreenWrapper, ModernCard, ModernButton } from '../components';
 
-const POLL_INTERVAL = 3000; // 3 seconds
-
 const STEPS = [
   { id: 'queued', label: 'Request Received', icon: 'checkmark-circle' },
   { id: 'started', label: 'AI Processing', icon: 'cog' },
@@ -24,6 +25,28 @@ const STEPS = [
   { id: 'finished', label: 'Complete!', icon: 'trophy' },
 ];
 
+// Server stages that map onto the visible steps
+const STAGE_STEP_INDEX = {
+  queued: 0,
+  started: 1,
+  analyzing: 2,
+  researching: 2,
+  generating: 3,
+  finalizing: 3,
+  finished: 4,
+};
+
+// Number of partial milestones listed while generation runs
+const MAX_PREVIEW_MILESTONES = 3;
+
+const getStepIndex = (progress) => {
+  if (!progress) return 0;
+  if (STAGE_STEP_INDEX[progress.stage] !== undefined) return STAGE_STEP_INDEX[progress.stage];
+  // Unknown stage: place it by percent, never past "Generating" until finished
+  if (progress.percent !== null) return Math.min(3, Math.floor(progress.percent / 25));
+  return STAGE_STEP_INDEX[progress.status] ?? 0;
+};
+
 export default function ProcessingScreen() {
   const navigation = useNavigation();
   const route = useRoute();
@@ -31,9 +54,11 @@ export default function ProcessingScreen() {
   const styles = useMemo(() => createStyles(Colors, isDarkMode), [Colors, isDarkMode]);
 
   const { taskId } = route.params || {};
-  const { pollStatus, taskStatus, error, resetGeneration } = useLearningPathStore();
+  const { resetGeneration, cancelGeneration } = useLearningPathStore();
+  const { taskStatus, progress, error } = useTaskProgress(taskId);
 
-  const [currentStep, setCurrentStep] = useState(0);
+  const currentStep = getStepIndex(progress);
+  const partialMilestones = progress?.partialMilestones || [];
   const spinAnimation = useRef(new Animated.Value(0)).current;
   const pulseAnimation = useRef(new Animated.Value(1)).current;
 
@@ -70,43 +95,16 @@ export default function ProcessingScreen() {
     return () => pulse.stop();
   }, []);
 
-  // Poll for status
+  // Show the result once generation finishes
   useEffect(() => {
-    const pollInterval = setInterval(async () => {
-      const result = await pollStatus();
+    if (taskStatus !== 'finished') return;
 
-      if (result.status === 'finished') {
-        setCurrentStep(4);
-        clearInterval(pollInterval);
-        // Navigate to result after a brief delay
-        setTimeout(() => {
-          navigation.replace('PathResult');
-        }, 1500);
-      } else if (result.status === 'failed' || result.status === 'error') {
-        clearInterval(pollInterval);
-      } else if (result.status === 'started') {
-        setCurrentStep(1);
-      } else if (result.status === 'queued') {
-        setCurrentStep(0);
-      }
-    }, POLL_INTERVAL);
-
-    // Simulate progress for better UX
-    const progressInterval = setInterval(() => {
-      setCurrentStep((prev) => {
-        // Cap visual progress at step 3 (generating) until actually finished
-        if (prev < 3) {
-          return prev + 1;
-        }
-        return prev;
-      });
-    }, 5000);
-
-    return () => {
-      clearInterval(pollInterval);
-      clearInterval(progressInterval);
-    };
-  }, [taskId]);
+    // Navigate to result after a brief delay
+    const timeout = setTimeout(() => {
+      navigation.replace('PathResult');
+    }, 1500);
+    return () => clearTimeout(timeout);
+  }, [taskStatus]);
 
   const spin = spinAnimation.interpolate({
     inputRange: [0, 1],
@@ -114,6 +112,11 @@ export default function ProcessingScreen() {
   });
 
   const handleCancel = () => {
+    cancelGeneration();
+    navigation.goBack();
+  };
+
+  const handleRetry = () => {
     resetGeneration();
     navigation.goBack();
   };
@@ -127,7 +130,7 @@ export default function ProcessingScreen() {
           <Text style={styles.errorMessage}>{error}</Text>
           <ModernButton
             title="Try Again"
-            onPress={handleCancel}
+            onPress={handleRetry}
             style={{ width: 200 }}
           />
         </View>
@@ -197,8 +200,47 @@ export default function ProcessingScreen() {
           })}
         </View>
 
-        {/* Cancel Button */}
-        <View style={{ marginTop: Spacing['3xl'], width: '100%' }}>
+        {/* Live Progress */}
+        {progress?.percent !== null && progress?.percent !== undefined && (
+          <View style={styles.progressSection}>
+            <View style={styles.progressBar}>
+              <View style={[styles.progressFill, { width: `${progress.percent}%` }]} />
+            </View>
+            <View style={styles.progressRow}>
+              <Text style={styles.progressMessage} numberOfLines={1}>
+                {progress.message || ''}
+              </Text>
+              <Text style={styles.progressPercent}>{progress.percent}%</Text>
+            </View>
+          </View>
+        )}
+
+        {/* Partial Results */}
+        {partialMilestones.length > 0 && (
+          <View style={styles.partialContainer}>
+            <Text style={styles.partialTitle}>
+              {partialMilestones.length} milestone{partialMilestones.length !== 1 ? 's' : ''} ready
+            </Text>
+            {partialMilestones.slice(-MAX_PREVIEW_MILESTONES).map((milestone, index) => (
+              <View key={index} style={styles.partialRow}>
+                <Ionicons name="flag-outline" size={16} color={Colors.primary.main} />
+                <Text style={styles.partialText} numberOfLines={1}>
+                  {getMilestoneTitle(milestone)}
+                </Text>
+              </View>
+            ))}
+          </View>
+        )}
+
+        <ReconnectingIndicator style={styles.reconnecting} />
+
+        {/* Actions */}
+        <View style={{ marginTop: Spacing['3xl'], width: '100%', gap: Spacing.sm }}>
+          <ModernButton
+            title="Continue in Background"
+            onPress={() => navigation.goBack()}
+            variant="primary"
+          />
           <ModernButton
             title="Cancel"
             onPress={handleCancel}
@@ -286,6 +328,68 @@ const createStyles = (Colors, isDarkMode) => StyleSheet.create({
     fontWeight: Typography.fontWeights.bold,
     color: Colors.primary.main,
   },
+  progressSection: {
+    width: '100%',
+    marginTop: Spacing.lg,
+  },
+  progressBar: {
+    height: 8,
+    backgroundColor: isDarkMode ? '#374151' : '#E5E7EB',
+    borderRadius: BorderRadius.full,
+    overflow: 'hidden',
+  },
+  progressFill: {
+    height: '100%',
+    backgroundColor: Colors.primary.main,
+    borderRadius: BorderRadius.full,
+  },
+  progressRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginTop: Spacing.xs,
+  },
+  progressMessage: {
+    flex: 1,
+    fontSize: Typography.fontSizes.sm,
+    color: Colors.text.secondary,
+    marginRight: Spacing.sm,
+  },
+  progressPercent: {
+    fontSize: Typography.fontSizes.sm,
+    fontWeight: Typography.fontWeights.semibold,
+    color: Colors.text.primary,
+  },
+  reconnecting: {
+    width: '100%',
+    marginTop: Spacing.lg,
+  },
+  partialContainer: {
+    width: '100%',
+    marginTop: Spacing.lg,
+    padding: Spacing.base,
+    backgroundColor: Colors.card,
+    borderRadius: BorderRadius.lg,
+    borderWidth: 1,
+    borderColor: isDarkMode ? 'rgba(255, 255, 255, 0.1)' : 'rgba(0, 0, 0, 0.05)',
+  },
+  partialTitle: {
+    fontSize: Typography.fontSizes.sm,
+    fontWeight: Typography.fontWeights.semibold,
+    color: Colors.text.primary,
+    marginBottom: Spacing.sm,
+  },
+  partialRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: Spacing.sm,
+    paddingVertical: Spacing.xs,
+  },
+  partialText: {
+    flex: 1,
+    fontSize: Typography.fontSizes.sm,
+    color: Colors.text.secondary,
+  },
   errorContainer: {
     flex: 1,
     justifyContent: 'center',
@@ -13,6 +13,11 @@ import { Ionicons } from '@expo/vector-icons';
 import { useAuth } from '../context/AuthContext';
 import { useTheme } from '../context/ThemeContext';
 import useLearningPathStore from '../store/learningPathStore';
+import useActivityStore from '../store/activityStore';
+import ActivityHeatmap from '../components/ActivityHeatmap';
+import { countCompletedMilestones } from '../models/learningPath';
+import { getStreakStats, getDayKey, STREAK_FREEZE_EARN_DAYS } from '../models/activity';
+import { calculateCompletion } from '../utils';
 import { Typography, Spacing, BorderRadius } from '../theme';
 import { ScreenWrapper, ModernButton, ModernCard, FadeInView } from '../components';
 
@@ -21,6 +26,10 @@ export default function ProfileScreen({ navigation }) {
   const styles = useMemo(() => createStyles(Colors, isDarkMode), [Colors, isDarkMode]);
   const { user, logout } = useAuth();
   const { savedPaths } = useLearningPathStore();
+  const activityEvents = useActivityStore((state) => state.events);
+  // Days start at midnight in the device's current time zone
+  const today = getDayKey(new Date());
+  const streak = useMemo(() => getStreakStats(activityEvents, today), [activityEvents, today]);
 
   const handleLogout = () => {
     Alert.alert(
@@ -38,20 +47,11 @@ export default function ProfileScreen({ navigation }) {
   };
 
   const getCompletedPathsCount = () => {
-    return savedPaths.filter((path) => {
-      // Logic from store/utils should be robust.
-      // Based on previous code:
-      if (!path.milestones || !path.completedMilestones) return false;
-      const completed = Object.values(path.completedMilestones).filter(Boolean).length;
-      return completed === path.milestones.length;
-    }).length;
+    return savedPaths.filter((path) => calculateCompletion(path) === 100).length;
   };
 
   const getTotalMilestonesCompleted = () => {
-    return savedPaths.reduce((total, path) => {
-      if (!path.completedMilestones) return total;
-      return total + Object.values(path.completedMilestones).filter(Boolean).length;
-    }, 0);
+    return savedPaths.reduce((total, path) => total + countCompletedMilestones(path), 0);
   };
 
   const isGuest = user?.isGuest;
@@ -120,6 +120,42 @@ export default function ProfileScreen({ navigation }) {
           </ModernCard>
         </FadeInView>
 
+        {/* Streak Card */}
+        <FadeInView delay={350} duration={600} slideDistance={30}>
+          <ModernCard variant="filled" style={styles.statsCard}>
+            <Text style={styles.statsTitle}>Study Streak</Text>
+            <View style={styles.statsGrid}>
+              <View style={styles.statItem}>
+                <View style={styles.streakValue}>
+                  <Ionicons
+                    name="flame"
+                    size={24}
+                    color={streak.current > 0 ? Colors.status.warning : Colors.text.secondary}
+                  />
+                  <Text style={styles.statValue}>{streak.current}</Text>
+                </View>
+                <Text style={styles.statLabel}>Current Streak</Text>
+              </View>
+              <View style={styles.statItem}>
+                <Text style={styles.statValue}>{streak.longest}</Text>
+                <Text style={styles.statLabel}>Longest Streak</Text>
+              </View>
+              <View style={styles.statItem}>
+                <View style={styles.streakValue}>
+                  <Ionicons name="snow" size={22} color={Colors.status.info} />
+                  <Text style={styles.statValue}>{streak.freezes}</Text>
+                </View>
+                <Text style={styles.statLabel}>Freezes</Text>
+              </View>
+            </View>
+            <ActivityHeatmap events={activityEvents} today={today} style={styles.heatmap} />
+            <Text style={styles.streakHint}>
+              Finish milestones, resources or assessments to keep your streak going. Every{' '}
+              {STREAK_FREEZE_EARN_DAYS} active days earn a freeze that covers a missed day.
+            </Text>
+          </ModernCard>
+        </FadeInView>
+
         {/* Menu Items */}
         <FadeInView delay={400} duration={600} slideDistance={30}>
           <ModernCard variant="filled" style={{ padding: 0, overflow: 'hidden' }}>
@@ -282,6 +318,21 @@ const createStyles = (Colors, isDarkMode) => StyleSheet.create({
     marginTop: Spacing.xs,
     textAlign: 'center',
   },
+  streakValue: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: Spacing.xs,
+  },
+  heatmap: {
+    marginTop: Spacing.xl,
+    alignSelf: 'center',
+  },
+  streakHint: {
+    fontSize: Typography.fontSizes.xs,
+    color: Colors.text.secondary,
+    textAlign: 'center',
+    marginTop: Spacing.md,
+  },
   menuItem: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -1,4 +1,4 @@
-import React, { useState, useMemo } from 'react';
+import React, { useState, useMemo, useEffect } from 'react';
 import {
   View,
   Text,
@@ -15,25 +15,121 @@ import AsyncStorage from '@react-native-async-storage/async-storage';
 
 import { Typography, Spacing, BorderRadius } from '../theme';
 import { useTheme } from '../context/ThemeContext';
-import { API_BASE_URL } from '../services/api';
+import {
+  API_PROFILES,
+  loadApiSettings,
+  setApiProfile,
+  getApiBaseUrl,
+  getProfileUrl,
+  checkHealth,
+} from '../services/api';
+import {
+  MOCK_FAILURE_MODES,
+  MOCK_LATENCY_OPTIONS,
+  loadMockSettings,
+  updateMockSettings,
+  resetMockData,
+} from '../services/mockBackend';
 import { ScreenWrapper, ModernButton, ModernCard, FadeInView } from '../components';
 
 export default function SettingsScreen({ navigation }) {
   const { isDarkMode, toggleDarkMode, colors: Colors } = useTheme();
   const styles = useMemo(() => createStyles(Colors, isDarkMode), [Colors, isDarkMode]);
-  const [apiUrl, setApiUrl] = useState(API_BASE_URL);
+  const [selectedProfile, setSelectedProfile] = useState(null);
+  const [profileUrls, setProfileUrls] = useState({});
+  const [activeUrl, setActiveUrl] = useState(getApiBaseUrl());
+  const [healthResults, setHealthResults] = useState({});
+  const [mockSettings, setMockSettings] = useState(null);
   const [notifications, setNotifications] = useState(true);
   const [autoSave, setAutoSave] = useState(true);
 
+  useEffect(() => {
+    loadApiSettings().then((settings) => {
+      setSelectedProfile(settings.profileId);
+      setProfileUrls(
+        API_PROFILES.reduce((urls, profile) => ({
+          ...urls,
+          [profile.id]: getProfileUrl(profile.id, settings),
+        }), {})
+      );
+      setActiveUrl(getApiBaseUrl());
+    });
+    loadMockSettings().then(setMockSettings);
+  }, []);
+
+  const handleMockSettingChange = async (changes) => {
+    const result = await updateMockSettings(changes);
+    if (result.success) {
+      setMockSettings(result.settings);
+    } else {
+      Alert.alert('Error', result.error);
+    }
+  };
+
+  const handleResetMockData = () => {
+    Alert.alert(
+      'Reset Mock Data',
+      'This removes every account, saved path and assessment stored by the mock backend.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Reset', style: 'destructive', onPress: resetMockData },
+      ]
+    );
+  };
+
+  const renderOptionChip = (key, label, isSelected, onPress) => (
+    <TouchableOpacity
+      key={key}
+      style={[styles.optionChip, isSelected && styles.optionChipSelected]}
+      onPress={onPress}
+      activeOpacity={0.7}
+    >
+      <Text style={[styles.optionChipText, isSelected && styles.optionChipTextSelected]}>
+        {label}
+      </Text>
+    </TouchableOpacity>
+  );
+
   const handleSaveApiUrl = async () => {
-    try {
-      await AsyncStorage.setItem('@api_url', apiUrl);
-      Alert.alert('Success', 'API URL updated. Please restart the app.');
-    } catch (error) {
-      Alert.alert('Error', 'Failed to save API URL');
+    if (!selectedProfile) return;
+
+    const result = await setApiProfile(selectedProfile, profileUrls[selectedProfile]);
+    if (result.success) {
+      setActiveUrl(result.baseUrl);
+      Alert.alert('Success', `Now using ${result.baseUrl}`);
+    } else {
+      Alert.alert('Error', result.error);
     }
   };
 
+  const handleCheckHealth = async (profileId) => {
+    const url = profileUrls[profileId];
+    if (!url) {
+      setHealthResults((prev) => ({ ...prev, [profileId]: { status: 'error', error: 'No URL set' } }));
+      return;
+    }
+
+    setHealthResults((prev) => ({ ...prev, [profileId]: { status: 'checking' } }));
+    const result = await checkHealth(url);
+    setHealthResults((prev) => ({ ...prev, [profileId]: result }));
+  };
+
+  const renderHealthStatus = (profileId) => {
+    const result = healthResults[profileId];
+    if (!result) return null;
+
+    if (result.status === 'checking') {
+      return <Text style={styles.healthText}>Checking...</Text>;
+    }
+
+    const isHealthy = result.status !== 'error';
+    return (
+      <Text style={[styles.healthText, { color: isHealthy ? Colors.status.success : Colors.status.error }]}>
+        {isHealthy ? `Reachable · ${result.latency} ms` : result.error}
+      </Text>
+    );
+  };
+
   const handleClearCache = async () => {
     Alert.alert(
       'Clear Cache',
@@ -119,32 +215,130 @@ export default function SettingsScreen({ navigation }) {
           </ModernCard>
         </FadeInView>
 
-        {/* API Settings - Commented out
+        {/* API Settings */}
         <FadeInView delay={300} duration={600} slideDistance={30}>
           <Text style={styles.sectionTitle}>Developer</Text>
           <ModernCard variant="filled" style={styles.settingsCard}>
             <View style={styles.apiSetting}>
-              <Text style={styles.apiLabel}>API Server URL</Text>
-              <TextInput
-                style={styles.apiInput}
-                value={apiUrl}
-                onChangeText={setApiUrl}
-                placeholder="http://localhost:5000"
-                placeholderTextColor={Colors.text.secondary}
-                autoCapitalize="none"
-                autoCorrect={false}
-              />
+              <Text style={styles.apiLabel}>API Server</Text>
+              <Text style={styles.apiActiveUrl} numberOfLines={1}>
+                Active: {mockSettings?.enabled ? 'Mock backend (on this device)' : activeUrl}
+              </Text>
+
+              {API_PROFILES.map((profile) => {
+                const isSelected = selectedProfile === profile.id;
+
+                return (
+                  <View key={profile.id} style={styles.profileItem}>
+                    <TouchableOpacity
+                      style={styles.profileHeader}
+                      onPress={() => setSelectedProfile(profile.id)}
+                      activeOpacity={0.7}
+                    >
+                      <Ionicons
+                        name={isSelected ? 'radio-button-on' : 'radio-button-off'}
+                        size={20}
+                        color={isSelected ? Colors.primary.main : Colors.text.secondary}
+                      />
+                      <Text style={styles.profileName}>{profile.name}</Text>
+                      <TouchableOpacity
+                        style={styles.healthButton}
+                        onPress={() => handleCheckHealth(profile.id)}
+                      >
+                        <Ionicons name="pulse-outline" size={18} color={Colors.primary.main} />
+                      </TouchableOpacity>
+                    </TouchableOpacity>
+                    <TextInput
+                      style={styles.apiInput}
+                      value={profileUrls[profile.id] || ''}
+                      onChangeText={(text) => setProfileUrls((prev) => ({ ...prev, [profile.id]: text }))}
+                      placeholder="http://localhost:7860"
+                      placeholderTextColor={Colors.text.secondary}
+                      autoCapitalize="none"
+                      autoCorrect={false}
+                      keyboardType="url"
+                    />
+                    {renderHealthStatus(profile.id)}
+                  </View>
+                );
+              })}
+
               <ModernButton
-                title="Save"
+                title="Use Selected Server"
                 onPress={handleSaveApiUrl}
+                disabled={!selectedProfile}
                 variant="primary"
                 style={{ alignSelf: 'flex-end', marginTop: Spacing.md }}
                 textStyle={{ fontSize: Typography.fontSizes.sm }}
               />
             </View>
           </ModernCard>
+
+          <ModernCard variant="filled" style={[styles.settingsCard, styles.mockCard]}>
+            <TouchableOpacity
+              style={styles.settingButton}
+              onPress={() => navigation.navigate('NetworkInspector')}
+              activeOpacity={0.7}
+            >
+              <Ionicons name="swap-vertical-outline" size={22} color={Colors.primary.main} />
+              <Text style={[styles.settingText, { flex: 1 }]}>Network Inspector</Text>
+              <Ionicons name="chevron-forward" size={20} color={Colors.text.secondary} />
+            </TouchableOpacity>
+          </ModernCard>
+
+          {/* Mock Backend */}
+          <ModernCard variant="filled" style={[styles.settingsCard, styles.mockCard]}>
+            <View style={styles.settingItem}>
+              <View style={styles.settingInfo}>
+                <Ionicons name="construct-outline" size={22} color={Colors.primary.main} />
+                <Text style={styles.settingText}>Mock Backend</Text>
+              </View>
+              <Switch
+                value={!!mockSettings?.enabled}
+                onValueChange={(enabled) => handleMockSettingChange({ enabled })}
+                disabled={!mockSettings}
+                trackColor={{ false: isDarkMode ? '#555' : '#ccc', true: Colors.primary.main }}
+                thumbColor={mockSettings?.enabled ? '#fff' : '#f4f3f4'}
+              />
+            </View>
+
+            {mockSettings?.enabled && (
+              <View style={styles.apiSetting}>
+                <Text style={styles.apiLabel}>Simulated Latency</Text>
+                <View style={styles.optionRow}>
+                  {MOCK_LATENCY_OPTIONS.map((option) => renderOptionChip(
+                    option.value,
+                    option.label,
+                    mockSettings.latency === option.value,
+                    () => handleMockSettingChange({ latency: option.value })
+                  ))}
+                </View>
+
+                <Text style={[styles.apiLabel, { marginTop: Spacing.md }]}>Inject Failures</Text>
+                <View style={styles.optionRow}>
+                  {MOCK_FAILURE_MODES.map((mode) => renderOptionChip(
+                    mode.id,
+                    mode.label,
+                    mockSettings.failureMode === mode.id,
+                    () => handleMockSettingChange({ failureMode: mode.id })
+                  ))}
+                </View>
+                <Text style={styles.healthText}>
+                  {MOCK_FAILURE_MODES.find((mode) => mode.id === mockSettings.failureMode)?.description}
+                </Text>
+                <Text style={styles.healthText}>Demo account: demo@example.com / password</Text>
+
+                <ModernButton
+                  title="Reset Mock Data"
+                  onPress={handleResetMockData}
+                  variant="outline"
+                  style={{ alignSelf: 'flex-end', marginTop: Spacing.md }}
+                  textStyle={{ fontSize: Typography.fontSizes.sm }}
+                />
+              </View>
+            )}
+          </ModernCard>
         </FadeInView>
-        */}
 
         {/* Data Management - Commented out
         <FadeInView delay={400} duration={600} slideDistance={30}>
@@ -164,7 +358,7 @@ export default function SettingsScreen({ navigation }) {
         */}
 
         {/* About */}
-        <FadeInView delay={300} duration={600} slideDistance={30}>
+        <FadeInView delay={400} duration={600} slideDistance={30}>
           <Text style={styles.sectionTitle}>About</Text>
           <ModernCard variant="glass" style={styles.settingsCard}>
             <View style={styles.aboutItem}>
@@ -273,6 +467,36 @@ const createStyles = (Colors, isDarkMode) => StyleSheet.create({
     color: Colors.text.secondary,
     marginBottom: Spacing.sm,
   },
+  apiActiveUrl: {
+    fontSize: Typography.fontSizes.sm,
+    color: Colors.text.primary,
+    marginBottom: Spacing.md,
+  },
+  profileItem: {
+    paddingVertical: Spacing.sm,
+    borderBottomWidth: 1,
+    borderBottomColor: isDarkMode ? 'rgba(255,255,255,0.1)' : 'rgba(0,0,0,0.05)',
+  },
+  profileHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: Spacing.sm,
+  },
+  profileName: {
+    flex: 1,
+    fontSize: Typography.fontSizes.base,
+    fontWeight: Typography.fontWeights.medium,
+    color: Colors.text.primary,
+    marginLeft: Spacing.sm,
+  },
+  healthButton: {
+    padding: Spacing.xs,
+  },
+  healthText: {
+    fontSize: Typography.fontSizes.sm,
+    color: Colors.text.secondary,
+    marginTop: Spacing.xs,
+  },
   apiInput: {
     backgroundColor: isDarkMode ? 'rgba(0,0,0,0.2)' : 'rgba(0,0,0,0.05)',
     borderRadius: BorderRadius.md,
@@ -282,6 +506,33 @@ const createStyles = (Colors, isDarkMode) => StyleSheet.create({
     borderWidth: 1,
     borderColor: isDarkMode ? 'rgba(255,255,255,0.1)' : 'rgba(0,0,0,0.1)',
   },
+  mockCard: {
+    marginTop: Spacing.md,
+  },
+  optionRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: Spacing.sm,
+  },
+  optionChip: {
+    paddingHorizontal: Spacing.md,
+    paddingVertical: Spacing.xs,
+    borderRadius: BorderRadius.full,
+    borderWidth: 1,
+    borderColor: isDarkMode ? 'rgba(255,255,255,0.2)' : 'rgba(0,0,0,0.1)',
+  },
+  optionChipSelected: {
+    backgroundColor: Colors.primary.main,
+    borderColor: Colors.primary.main,
+  },
+  optionChipText: {
+    fontSize: Typography.fontSizes.sm,
+    color: Colors.text.primary,
+  },
+  optionChipTextSelected: {
+    color: '#fff',
+    fontWeight: Typography.fontWeights.medium,
+  },
   aboutItem: {
     flexDirection: 'row',
     justifyContent: 'space-between',
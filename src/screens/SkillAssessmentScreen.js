@@ -15,6 +15,8 @@ import { useNavigation, useRoute } from '@react-navigation/native';
 import { useTheme } from '../context/ThemeContext';
 import { Typography, Spacing, BorderRadius, Shadows } from '../theme';
 import { assessmentService } from '../services/api';
+import useActivityStore from '../store/activityStore';
+import { ACTIVITY_TYPES } from '../models/activity';
 import { ScreenWrapper, ModernCard, ModernButton, FadeInView } from '../components';
 
 const TOTAL_QUESTIONS = 25;
@@ -23,6 +25,7 @@ export default function SkillAssessmentScreen() {
     const navigation = useNavigation();
     const route = useRoute();
     const { colors: Colors, isDarkMode } = useTheme();
+    const recordActivity = useActivityStore((state) => state.recordActivity);
 
     // Support both formats: individual params or path object
     const params = route.params || {};
@@ -134,6 +137,7 @@ export default function SkillAssessmentScreen() {
 
         const percentage = questions.length > 0 ? Math.round((correct / questions.length) * 100) : 0;
         setScore(percentage);
+        recordActivity(ACTIVITY_TYPES.ASSESSMENT_COMPLETED, { pathId: pathData.id || null });
 
         // Save results to backend
         try {
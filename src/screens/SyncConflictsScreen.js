@@ -0,0 +1,211 @@
+import React, { useMemo } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  FlatList,
+  TouchableOpacity,
+  Platform,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+
+import useLearningPathStore from '../store/learningPathStore';
+import { formatExpertiseLevel } from '../utils';
+import { Typography, Spacing } from '../theme';
+import { useTheme } from '../context/ThemeContext';
+import { ScreenWrapper, ModernCard, ModernButton } from '../components';
+
+const FIELD_LABELS = {
+  topic: 'Topic',
+  title: 'Title',
+  description: 'Description',
+  expertise_level: 'Level',
+  duration_weeks: 'Duration',
+  milestones: 'Milestones',
+};
+
+// Readable value of a conflicting field
+const describeField = (path, field) => {
+  if (field === 'milestones') {
+    const titles = path.milestones.map(milestone => milestone.title);
+    return `${titles.length} milestone${titles.length !== 1 ? 's' : ''}: ${titles.join(', ')}`;
+  }
+  if (field === 'expertise_level') return formatExpertiseLevel(path.expertise_level);
+  if (field === 'duration_weeks') return `${path.duration_weeks} weeks`;
+  return path[field] ? String(path[field]) : '—';
+};
+
+const formatChangedAt = (value) => (value
+  ? new Date(value).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' })
+  : 'unknown time');
+
+export default function SyncConflictsScreen({ navigation }) {
+  const { colors: Colors, isDarkMode } = useTheme();
+  const styles = useMemo(() => createStyles(Colors, isDarkMode), [Colors, isDarkMode]);
+  const { syncConflicts, savedPaths, resolveSyncConflict } = useLearningPathStore();
+
+  const conflicts = useMemo(() => syncConflicts
+    .map(conflict => ({ ...conflict, local: savedPaths.find(p => p.id === conflict.pathId) }))
+    .filter(conflict => conflict.local), [syncConflicts, savedPaths]);
+
+  const renderConflict = ({ item }) => (
+    <ModernCard variant="filled" style={styles.conflictCard}>
+      <Text style={styles.pathTitle} numberOfLines={2}>{item.local.topic || item.local.title}</Text>
+
+      <View style={styles.sideLabels}>
+        <Text style={styles.sideLabel}>This device · {formatChangedAt(item.local.updatedAt)}</Text>
+        <Text style={styles.sideLabel}>Server · {formatChangedAt(item.remote.updatedAt)}</Text>
+      </View>
+
+      {item.fields.map(field => (
+        <View key={field} style={styles.fieldRow}>
+          <Text style={styles.fieldLabel}>{FIELD_LABELS[field] || field}</Text>
+          <View style={styles.fieldValues}>
+            <Text style={styles.fieldValue}>{describeField(item.local, field)}</Text>
+            <Text style={styles.fieldValue}>{describeField(item.remote, field)}</Text>
+          </View>
+        </View>
+      ))}
+
+      <View style={styles.actions}>
+        <ModernButton
+          title="Keep This Device"
+          variant="outline"
+          size="sm"
+          onPress={() => resolveSyncConflict(item.pathId, 'local')}
+          style={styles.actionButton}
+        />
+        <ModernButton
+          title="Use Server Version"
+          variant="primary"
+          size="sm"
+          onPress={() => resolveSyncConflict(item.pathId, 'remote')}
+          style={styles.actionButton}
+        />
+      </View>
+    </ModernCard>
+  );
+
+  return (
+    <ScreenWrapper style={styles.container}>
+      {/* Header */}
+      <View style={styles.header}>
+        <TouchableOpacity style={styles.headerButton} onPress={() => navigation.goBack()}>
+          <Ionicons name="arrow-back" size={24} color={Colors.text.primary} />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>Review Changes</Text>
+        <View style={styles.headerButton} />
+      </View>
+
+      <Text style={styles.intro}>
+        These paths were changed both on this device and somewhere else. Pick the version to keep;
+        the other one is replaced everywhere.
+      </Text>
+
+      <FlatList
+        data={conflicts}
+        keyExtractor={(item) => item.pathId}
+        renderItem={renderConflict}
+        contentContainerStyle={styles.listContent}
+        ListEmptyComponent={
+          <View style={styles.emptyState}>
+            <Ionicons name="checkmark-circle-outline" size={48} color={Colors.status.success} />
+            <Text style={styles.emptyText}>Everything is in sync</Text>
+          </View>
+        }
+      />
+    </ScreenWrapper>
+  );
+}
+
+const createStyles = (Colors, isDarkMode) => StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: Spacing.lg,
+    paddingVertical: Spacing.md,
+    marginTop: Platform.OS === 'android' ? 10 : 0,
+  },
+  headerButton: {
+    width: 40,
+    height: 40,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  headerTitle: {
+    fontSize: Typography.fontSizes.lg,
+    fontWeight: Typography.fontWeights.bold,
+    color: Colors.text.primary,
+  },
+  intro: {
+    fontSize: Typography.fontSizes.sm,
+    color: Colors.text.secondary,
+    paddingHorizontal: Spacing.lg,
+    marginBottom: Spacing.base,
+  },
+  listContent: {
+    paddingHorizontal: Spacing.lg,
+    paddingBottom: Spacing['3xl'],
+  },
+  conflictCard: {
+    marginBottom: Spacing.base,
+  },
+  pathTitle: {
+    fontSize: Typography.fontSizes.lg,
+    fontWeight: Typography.fontWeights.semibold,
+    color: Colors.text.primary,
+    marginBottom: Spacing.md,
+  },
+  sideLabels: {
+    flexDirection: 'row',
+    gap: Spacing.md,
+    marginBottom: Spacing.sm,
+  },
+  sideLabel: {
+    flex: 1,
+    fontSize: Typography.fontSizes.xs,
+    color: Colors.text.secondary,
+    fontWeight: Typography.fontWeights.semibold,
+  },
+  fieldRow: {
+    paddingVertical: Spacing.sm,
+    borderTopWidth: 1,
+    borderTopColor: isDarkMode ? 'rgba(255,255,255,0.1)' : 'rgba(0,0,0,0.08)',
+  },
+  fieldLabel: {
+    fontSize: Typography.fontSizes.xs,
+    color: Colors.primary.main,
+    fontWeight: Typography.fontWeights.medium,
+    marginBottom: Spacing.xs,
+  },
+  fieldValues: {
+    flexDirection: 'row',
+    gap: Spacing.md,
+  },
+  fieldValue: {
+    flex: 1,
+    fontSize: Typography.fontSizes.sm,
+    color: Colors.text.primary,
+  },
+  actions: {
+    flexDirection: 'row',
+    gap: Spacing.sm,
+    marginTop: Spacing.md,
+  },
+  actionButton: {
+    flex: 1,
+  },
+  emptyState: {
+    alignItems: 'center',
+    paddingVertical: Spacing['3xl'],
+    gap: Spacing.sm,
+  },
+  emptyText: {
+    fontSize: Typography.fontSizes.base,
+    color: Colors.text.secondary,
+  },
+});
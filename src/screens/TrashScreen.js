@@ -0,0 +1,200 @@
+import React, { useMemo } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  FlatList,
+  TouchableOpacity,
+  Alert,
+  Platform,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+
+import useLearningPathStore from '../store/learningPathStore';
+import { countCompletedMilestones, getTrashPurgeDate, TRASH_RETENTION_DAYS } from '../models/learningPath';
+import { formatDate } from '../utils';
+import { Typography, Spacing } from '../theme';
+import { useTheme } from '../context/ThemeContext';
+import { ScreenWrapper, ModernCard, ModernButton } from '../components';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const describePurge = (path) => {
+  const days = Math.ceil((getTrashPurgeDate(path).getTime() - Date.now()) / DAY);
+  return days <= 1 ? 'Deleted for good within a day' : `Deleted for good in ${days} days`;
+};
+
+export default function TrashScreen({ navigation }) {
+  const { colors: Colors, isDarkMode } = useTheme();
+  const styles = useMemo(() => createStyles(Colors, isDarkMode), [Colors, isDarkMode]);
+  const { trashedPaths, restorePath, deletePathPermanently, emptyTrash } = useLearningPathStore();
+
+  const sortedPaths = useMemo(
+    () => [...trashedPaths].sort((a, b) => Date.parse(b.deletedAt) - Date.parse(a.deletedAt)),
+    [trashedPaths]
+  );
+
+  const handleDelete = (path) => {
+    Alert.alert(
+      'Delete Forever',
+      `"${path.topic || path.title}" and its progress will be deleted for good. This can't be undone.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Delete', style: 'destructive', onPress: () => deletePathPermanently(path.id) },
+      ]
+    );
+  };
+
+  const handleEmptyTrash = () => {
+    Alert.alert(
+      'Empty Trash',
+      `Delete all ${trashedPaths.length} path${trashedPaths.length !== 1 ? 's' : ''} in the trash for good? This can't be undone.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Empty Trash', style: 'destructive', onPress: () => emptyTrash() },
+      ]
+    );
+  };
+
+  const renderPath = ({ item }) => {
+    const completed = countCompletedMilestones(item);
+
+    return (
+      <ModernCard variant="filled" style={styles.pathCard}>
+        <Text style={styles.pathTitle} numberOfLines={2}>{item.topic || item.title}</Text>
+        <Text style={styles.pathMeta}>
+          {completed} of {item.milestones.length} milestones completed · Deleted {formatDate(item.deletedAt)}
+        </Text>
+        <Text style={styles.purgeText}>{describePurge(item)}</Text>
+
+        <View style={styles.actions}>
+          <ModernButton
+            title="Delete Forever"
+            variant="ghost"
+            size="sm"
+            onPress={() => handleDelete(item)}
+            style={styles.actionButton}
+          />
+          <ModernButton
+            title="Restore"
+            variant="primary"
+            size="sm"
+            onPress={() => restorePath(item.id)}
+            style={styles.actionButton}
+          />
+        </View>
+      </ModernCard>
+    );
+  };
+
+  return (
+    <ScreenWrapper style={styles.container}>
+      {/* Header */}
+      <View style={styles.header}>
+        <TouchableOpacity style={styles.headerButton} onPress={() => navigation.goBack()}>
+          <Ionicons name="arrow-back" size={24} color={Colors.text.primary} />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>Trash</Text>
+        {trashedPaths.length > 0 ? (
+          <TouchableOpacity style={styles.headerButton} onPress={handleEmptyTrash}>
+            <Text style={styles.emptyTrashText}>Empty</Text>
+          </TouchableOpacity>
+        ) : (
+          <View style={styles.headerButton} />
+        )}
+      </View>
+
+      <Text style={styles.intro}>
+        Deleted paths keep their progress for {TRASH_RETENTION_DAYS} days and can be restored until then.
+      </Text>
+
+      <FlatList
+        data={sortedPaths}
+        keyExtractor={(item) => item.id}
+        renderItem={renderPath}
+        contentContainerStyle={styles.listContent}
+        ListEmptyComponent={
+          <View style={styles.emptyState}>
+            <Ionicons name="trash-outline" size={48} color={Colors.text.secondary} />
+            <Text style={styles.emptyText}>The trash is empty</Text>
+          </View>
+        }
+      />
+    </ScreenWrapper>
+  );
+}
+
+const createStyles = (Colors, isDarkMode) => StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: Spacing.lg,
+    paddingVertical: Spacing.md,
+    marginTop: Platform.OS === 'android' ? 10 : 0,
+  },
+  headerButton: {
+    minWidth: 40,
+    height: 40,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  headerTitle: {
+    fontSize: Typography.fontSizes.lg,
+    fontWeight: Typography.fontWeights.bold,
+    color: Colors.text.primary,
+  },
+  emptyTrashText: {
+    fontSize: Typography.fontSizes.sm,
+    fontWeight: Typography.fontWeights.semibold,
+    color: Colors.status.error,
+  },
+  intro: {
+    fontSize: Typography.fontSizes.sm,
+    color: Colors.text.secondary,
+    paddingHorizontal: Spacing.lg,
+    marginBottom: Spacing.base,
+  },
+  listContent: {
+    paddingHorizontal: Spacing.lg,
+    paddingBottom: Spacing['3xl'],
+  },
+  pathCard: {
+    marginBottom: Spacing.md,
+  },
+  pathTitle: {
+    fontSize: Typography.fontSizes.base,
+    fontWeight: Typography.fontWeights.semibold,
+    color: Colors.text.primary,
+  },
+  pathMeta: {
+    fontSize: Typography.fontSizes.xs,
+    color: Colors.text.secondary,
+    marginTop: Spacing.xs,
+  },
+  purgeText: {
+    fontSize: Typography.fontSizes.xs,
+    color: isDarkMode ? Colors.status.warning : Colors.text.secondary,
+    marginTop: Spacing.xs,
+  },
+  actions: {
+    flexDirection: 'row',
+    gap: Spacing.sm,
+    marginTop: Spacing.md,
+  },
+  actionButton: {
+    flex: 1,
+  },
+  emptyState: {
+    alignItems: 'center',
+    paddingVertical: Spacing['3xl'],
+    gap: Spacing.sm,
+  },
+  emptyText: {
+    fontSize: Typography.fontSizes.base,
+    color: Colors.text.secondary,
+  },
+});
@@ -0,0 +1,133 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+import { migrateVersionedList, createVersionedList, getQuarantineKey } from '../versionedStorage';
+import {
+  LEARNING_PATH_SCHEMA_VERSION,
+  LEARNING_PATH_MIGRATIONS,
+  normalizeLearningPath,
+} from '../../models/learningPath';
+import v0Fixture from './fixtures/savedPaths.v0.json';
+import v1Fixture from './fixtures/savedPaths.v1.json';
+import v2Fixture from './fixtures/savedPaths.v2.json';
+
+jest.mock('@react-native-async-storage/async-storage', () => (
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+));
+
+// The schema the saved paths store uses
+const schema = {
+  version: LEARNING_PATH_SCHEMA_VERSION,
+  migrations: LEARNING_PATH_MIGRATIONS,
+  validate: normalizeLearningPath,
+};
+
+const KEY = '@saved_learning_paths_demo';
+
+describe('migrateVersionedList', () => {
+  it('migrates a bare array from before versioning (v0)', () => {
+    const { items, quarantined, fromVersion } = migrateVersionedList(v0Fixture, schema);
+
+    expect(fromVersion).toBe(0);
+    expect(items).toHaveLength(1);
+    const [path] = items;
+    expect(path.job_market).toEqual({ average_salary: '$95,000', demand: 'High' });
+    expect(path).not.toHaveProperty('job_market_data');
+    expect(path.milestones.map(m => m.title)).toEqual(['Python Basics', 'Functions']);
+    expect(path.milestones.map(m => m.id)).toEqual(['ms_1', 'ms_2']);
+    expect(path.milestones[0].resources[0].id).toBe('ms_1_res_1');
+    expect(path.completedMilestones).toEqual({ ms_1: true });
+    expect(path.milestoneUpdatedAt).toEqual({ ms_1: '2024-01-02T00:00:00.000Z' });
+
+    expect(quarantined).toEqual([expect.objectContaining({ entry: 'not a path', version: 0 })]);
+  });
+
+  it('re-keys progress of a v1 envelope by milestone ID', () => {
+    const { items, quarantined, fromVersion } = migrateVersionedList(v1Fixture, schema);
+
+    expect(fromVersion).toBe(1);
+    const [path] = items;
+    expect(path.job_market).toEqual({ demand: 'Medium' });
+    expect(path.milestones.map(m => m.id)).toEqual(['ms_1', 'ms_2']);
+    expect(path.milestones[0].resources[0].id).toBe('ms_1_res_1');
+    expect(path.completedMilestones).toEqual({ ms_2: true });
+    expect(path.milestoneUpdatedAt).toEqual({ ms_2: '2024-02-03T00:00:00.000Z' });
+
+    // Neither a title nor a topic
+    expect(quarantined).toHaveLength(1);
+    expect(quarantined[0].entry.id).toBe('path_broken');
+    expect(quarantined[0].error).toMatch(/title/);
+  });
+
+  it('keeps the milestone and resource IDs of a v2 envelope', () => {
+    const { items, quarantined, fromVersion } = migrateVersionedList(v2Fixture, schema);
+
+    expect(fromVersion).toBe(2);
+    expect(quarantined).toEqual([]);
+    const [path] = items;
+    expect(path.milestones.map(m => m.id)).toEqual(['ms_b', 'ms_a']);
+    expect(path.milestones[0].resources[0].id).toBe('ms_b_res_x');
+    expect(path.completedMilestones).toEqual({ ms_a: true });
+  });
+
+  it('quarantines data that is not a list', () => {
+    const { items, quarantined } = migrateVersionedList({ paths: [] }, schema);
+
+    expect(items).toEqual([]);
+    expect(quarantined).toEqual([expect.objectContaining({ entry: { paths: [] }, version: null })]);
+  });
+});
+
+describe('createVersionedList', () => {
+  const storage = createVersionedList(schema);
+
+  beforeEach(async () => {
+    await AsyncStorage.clear();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.warn.mockRestore();
+  });
+
+  it.each([
+    ['v0', v0Fixture],
+    ['v1', v1Fixture],
+  ])('writes a migrated %s list back and quarantines its corrupt entry', async (_, fixture) => {
+    await AsyncStorage.setItem(KEY, JSON.stringify(fixture));
+
+    const { items, quarantinedCount } = await storage.load(KEY);
+
+    expect(items).toHaveLength(1);
+    expect(quarantinedCount).toBe(1);
+
+    const stored = JSON.parse(await AsyncStorage.getItem(KEY));
+    expect(stored.version).toBe(LEARNING_PATH_SCHEMA_VERSION);
+    expect(stored.items).toEqual(items);
+
+    const quarantine = await storage.getQuarantine(KEY);
+    expect(quarantine).toHaveLength(1);
+    expect(quarantine[0]).toEqual(expect.objectContaining({ quarantinedAt: expect.any(String) }));
+  });
+
+  it('leaves a current list as it is', async () => {
+    await AsyncStorage.setItem(KEY, JSON.stringify(v2Fixture));
+    AsyncStorage.setItem.mockClear();
+
+    const { items, quarantinedCount } = await storage.load(KEY);
+
+    expect(items).toHaveLength(1);
+    expect(quarantinedCount).toBe(0);
+    expect(AsyncStorage.setItem).not.toHaveBeenCalled();
+  });
+
+  it('quarantines unreadable JSON and starts the list over', async () => {
+    await AsyncStorage.setItem(KEY, '{"version": 2, "items": [');
+
+    const { items, quarantinedCount } = await storage.load(KEY);
+
+    expect(items).toEqual([]);
+    expect(quarantinedCount).toBe(1);
+    expect(JSON.parse(await AsyncStorage.getItem(getQuarantineKey(KEY)))[0].entry).toBe('{"version": 2, "items": [');
+    expect(JSON.parse(await AsyncStorage.getItem(KEY))).toEqual({ version: LEARNING_PATH_SCHEMA_VERSION, items: [] });
+  });
+});
@@ -1,5 +1,8 @@
 import axios from 'axios';
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import { generateLocalQuestions } from './localAssessment';
+import { loadMockSettings, isMockBackendEnabled, mockAdapter } from './mockBackend';
+import { startNetworkLogEntry, completeNetworkLogEntry } from './networkLog';
 
 // Base URL for API - reads from environment variable (EXPO_PUBLIC_ prefix required for Expo)
 // For local development: http://localhost:7860 or http://<your-ip>:7860
@@ -8,6 +11,123 @@ export const API_BASE_URL = process.env.EXPO_PUBLIC_API_URL || 'http://localhost
 
 console.log('API Base URL:', API_BASE_URL);
 
+// ============ API Server Profiles ============
+
+const API_SETTINGS_KEY = '@api_settings';
+// Written by older versions of the Settings screen, read once as the custom URL
+const LEGACY_API_URL_KEY = '@api_url';
+
+/**
+ * Named backends the app can be pointed at from Settings.
+ * Every URL can be overridden on the device; custom starts empty.
+ */
+export const API_PROFILES = [
+  { id: 'local', name: 'Local', url: process.env.EXPO_PUBLIC_LOCAL_API_URL || 'http://localhost:7860' },
+  { id: 'staging', name: 'Staging', url: process.env.EXPO_PUBLIC_STAGING_API_URL || '' },
+  { id: 'prod', name: 'Production', url: process.env.EXPO_PUBLIC_PROD_API_URL || API_BASE_URL },
+  { id: 'custom', name: 'Custom', url: '' },
+];
+
+const DEFAULT_API_SETTINGS = {
+  profileId: null, // null = use API_BASE_URL from the build environment
+  urls: {},
+};
+
+let apiSettings = DEFAULT_API_SETTINGS;
+let apiSettingsLoaded = null;
+
+const normalizeUrl = (url) => (url || '').trim().replace(/\/+$/, '');
+
+/**
+ * Get the URL for a profile, including any override saved on the device
+ * @param {string} profileId
+ * @param {Object} settings
+ * @returns {string}
+ */
+export const getProfileUrl = (profileId, settings = apiSettings) => {
+  const profile = API_PROFILES.find(p => p.id === profileId);
+  return normalizeUrl(settings.urls[profileId] ?? profile?.url);
+};
+
+/**
+ * Get the base URL requests are currently sent to
+ * @returns {string}
+ */
+export const getApiBaseUrl = () => {
+  if (!apiSettings.profileId) return API_BASE_URL;
+  return getProfileUrl(apiSettings.profileId) || API_BASE_URL;
+};
+
+/**
+ * Load the stored API server settings (once per app launch)
+ * @returns {Promise<{ profileId: string|null, urls: Object }>}
+ */
+export const loadApiSettings = () => {
+  if (!apiSettingsLoaded) {
+    apiSettingsLoaded = (async () => {
+      try {
+        const stored = await AsyncStorage.getItem(API_SETTINGS_KEY);
+        if (stored) {
+          apiSettings = { ...DEFAULT_API_SETTINGS, ...JSON.parse(stored) };
+        } else {
+          const legacyUrl = await AsyncStorage.getItem(LEGACY_API_URL_KEY);
+          if (legacyUrl) {
+            apiSettings = { profileId: 'custom', urls: { custom: normalizeUrl(legacyUrl) } };
+          }
+        }
+      } catch (error) {
+        console.error('Error loading API settings:', error);
+      }
+      api.defaults.baseURL = getApiBaseUrl();
+      return apiSettings;
+    })();
+  }
+  return apiSettingsLoaded;
+};
+
+/**
+ * Switch the API server. Takes effect for the next request, no restart needed.
+ * @param {string} profileId - one of API_PROFILES ids
+ * @param {string} [url] - override for the profile's URL (required for custom)
+ * @returns {Promise<{ success: boolean, baseUrl?: string, error?: string }>}
+ */
+export const setApiProfile = async (profileId, url) => {
+  await loadApiSettings();
+
+  if (!API_PROFILES.some(p => p.id === profileId)) {
+    return { success: false, error: `Unknown API profile: ${profileId}` };
+  }
+
+  const urls = { ...apiSettings.urls };
+  if (url !== undefined) {
+    urls[profileId] = normalizeUrl(url);
+  }
+
+  const nextSettings = { profileId, urls };
+  const baseUrl = getProfileUrl(profileId, nextSettings);
+  if (!/^https?:\/\/.+/i.test(baseUrl)) {
+    return { success: false, error: 'Enter a URL starting with http:// or https://' };
+  }
+
+  try {
+    await AsyncStorage.setItem(API_SETTINGS_KEY, JSON.stringify(nextSettings));
+  } catch (error) {
+    console.error('Error saving API settings:', error);
+    return { success: false, error: 'Failed to save API settings' };
+  }
+
+  apiSettings = nextSettings;
+  api.defaults.baseURL = baseUrl;
+  console.log('API Base URL:', baseUrl);
+  return { success: true, baseUrl };
+};
+
+/**
+ * Get the current API server settings
+ * @returns {{ profileId: string|null, urls: Object }}
+ */
+export const getApiSettings = () => apiSettings;
+
 // Create axios instance with default config
 const api = axios.create({
   baseURL: API_BASE_URL,
@@ -19,9 +139,19 @@ const api = axios.create({
   withCredentials: false,
 });
 
-// Request interceptor to add auth token
+// Request interceptor to resolve the API server and add auth token
 api.interceptors.request.use(
   async (config) => {
+    // Requests made before settings finish loading still go to the chosen server
+    await loadApiSettings();
+    config.baseURL = getApiBaseUrl();
+
+    // Mock mode answers every request on the device instead of the network
+    await loadMockSettings();
+    if (isMockBackendEnabled()) {
+      config.adapter = mockAdapter;
+    }
+
     try {
       const token = await AsyncStorage.getItem('@auth_token');
       if (token) {
@@ -30,6 +160,8 @@ api.interceptors.request.use(
     } catch (error) {
       console.error('Error getting auth token:', error);
     }
+
+    config._networkLogId = startNetworkLogEntry(config);
     return config;
   },
   (error) => {
@@ -37,81 +169,378 @@ api.interceptors.request.use(
   }
 );
 
-// Response interceptor for error handling
+// Response interceptor: record each attempt for the network inspector.
+// Registered first so it sees results before refresh and retry handling.
 api.interceptors.response.use(
-  (response) => response,
+  (response) => {
+    completeNetworkLogEntry(response.config, { response });
+    return response;
+  },
   (error) => {
-    if (error.response?.status === 401) {
-      // Handle unauthorized - could trigger logout
-      console.log('Unauthorized request');
+    completeNetworkLogEntry(error.config, { error });
+    return Promise.reject(error);
+  }
+);
+
+// ============ Session Refresh ============
+
+const REFRESH_TOKEN_KEY = '@refresh_token';
+
+// Auth endpoints answer 401 for bad credentials, never refresh on those
+const AUTH_ENDPOINTS = ['/auth/api/login', '/auth/api/register', '/auth/api/refresh', '/auth/api/logout'];
+
+let sessionHandlers = {};
+let refreshPromise = null;
+
+/**
+ * Register callbacks for session changes made by the API layer (used by AuthContext)
+ * @param {Object} handlers - { onTokenRefreshed(token), onSessionExpired() }
+ */
+export const setSessionHandlers = (handlers) => {
+  sessionHandlers = handlers || {};
+};
+
+// The server turned the refresh token down, as opposed to not being reached
+const REFRESH_REJECTED_STATUSES = [401, 403];
+
+/**
+ * Exchange the stored refresh token for a new access token.
+ * Concurrent callers share one in-flight refresh. The session only ends when there
+ * is no refresh token or the server rejects it; when the server can't be reached
+ * or fails, the waiting requests fail and the user stays signed in.
+ * @returns {Promise<string>} the new access token
+ */
+const refreshSession = () => {
+  if (!refreshPromise) {
+    refreshPromise = (async () => {
+      let sessionExpired = false;
+      try {
+        const refreshToken = await AsyncStorage.getItem(REFRESH_TOKEN_KEY);
+        if (!refreshToken) {
+          sessionExpired = true;
+          throw new Error('No refresh token stored');
+        }
+
+        let data;
+        try {
+          data = await authService.refreshToken(refreshToken);
+        } catch (error) {
+          sessionExpired = REFRESH_REJECTED_STATUSES.includes(error.response?.status);
+          throw error;
+        }
+        if (!data?.token) {
+          sessionExpired = true;
+          throw new Error(data?.error || 'Token refresh failed');
+        }
+
+        await AsyncStorage.setItem('@auth_token', data.token);
+        if (data.refresh_token) {
+          await AsyncStorage.setItem(REFRESH_TOKEN_KEY, data.refresh_token);
+        }
+        sessionHandlers.onTokenRefreshed?.(data.token);
+        return data.token;
+      } catch (error) {
+        console.log('Session refresh failed:', error.message);
+        if (sessionExpired) {
+          sessionHandlers.onSessionExpired?.();
+        }
+        throw error;
+      }
+    })().finally(() => {
+      refreshPromise = null;
+    });
+  }
+  return refreshPromise;
+};
+
+// Response interceptor: refresh an expired token once, then retry the request
+api.interceptors.response.use(
+  (response) => response,
+  async (error) => {
+    const originalRequest = error.config;
+    const isAuthEndpoint = AUTH_ENDPOINTS.some(endpoint => originalRequest?.url?.startsWith(endpoint));
+    const hadToken = !!originalRequest?.headers?.Authorization;
+
+    if (error.response?.status === 401 && hadToken && !isAuthEndpoint && !originalRequest._retriedAfterRefresh) {
+      originalRequest._retriedAfterRefresh = true;
+      try {
+        await refreshSession();
+      } catch (refreshError) {
+        return Promise.reject(error);
+      }
+      // The request interceptor attaches the new token
+      return api(originalRequest);
     }
     return Promise.reject(error);
   }
 );
 
+/**
+ * Whether a request failed because it was aborted by the app
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export const isCancelledRequest = (error) => axios.isCancel(error) || error?.name === 'AbortError';
+
+// Resolve after a delay, or reject straight away once the signal aborts
+const waitUnlessAborted = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(new axios.CanceledError());
+    return;
+  }
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(new axios.CanceledError());
+  };
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+// ============ Retry Policy ============
+
+// Methods that can be repeated without changing the result
+const IDEMPOTENT_METHODS = ['get', 'head', 'options', 'put', 'delete'];
+// Gateway errors and rate limits are what a cold-starting backend answers with
+const RETRYABLE_STATUSES = [408, 429, 502, 503, 504];
+// Give up instead of waiting longer than this for a Retry-After
+const MAX_RETRY_AFTER = 60000;
+
+const DEFAULT_RETRY_POLICY = {
+  retries: 3,
+  baseDelay: 1000,
+  maxDelay: 15000,
+};
+
+// First match wins. POSTs are only retried when a policy opts them in.
+const RETRY_POLICIES = [
+  // Sets an absolute completed value, so repeating it is harmless
+  { method: 'post', url: /^\/api\/paths\/[^/]+\/milestone$/ },
+  // Credential errors should show right away; refresh has its own handling
+  { url: /^\/auth\/api\//, retries: 0 },
+  // Health checks report reachability as it is now
+  { url: /^\/health$/, retries: 0 },
+];
+
+let retryState = { reconnecting: false, pendingRequests: 0, nextAttemptAt: null };
+const retryListeners = new Set();
+const retryingRequests = new Map();
+let nextRetryId = 1;
+
+const updateRetryState = () => {
+  const attemptTimes = [...retryingRequests.values()].filter(Boolean);
+  retryState = {
+    reconnecting: retryingRequests.size > 0,
+    pendingRequests: retryingRequests.size,
+    nextAttemptAt: attemptTimes.length > 0 ? Math.min(...attemptTimes) : null,
+  };
+  retryListeners.forEach(listener => listener(retryState));
+};
+
+/**
+ * Current retry activity, e.g. to show "reconnecting..." while requests wait to be retried
+ * @returns {{ reconnecting: boolean, pendingRequests: number, nextAttemptAt: number|null }}
+ */
+export const getRetryState = () => retryState;
+
+/**
+ * Listen for changes to the retry state
+ * @param {Function} listener - called with the new state
+ * @returns {Function} unsubscribe
+ */
+export const subscribeToRetryState = (listener) => {
+  retryListeners.add(listener);
+  return () => retryListeners.delete(listener);
+};
+
+/**
+ * Resolve the retry policy for a request. A request can pass `retry: false`
+ * or its own `retry: { retries, baseDelay, maxDelay }` in its config; the
+ * latter also opts in a request whose method isn't idempotent.
+ * @returns {Object|null} policy, or null when the request must not be retried
+ */
+const getRetryPolicy = (config) => {
+  if (config.retry === false) return null;
+
+  const method = (config.method || 'get').toLowerCase();
+  const url = (config.url || '').split('?')[0];
+  const match = RETRY_POLICIES.find(policy =>
+    (!policy.method || policy.method === method) && policy.url.test(url)
+  );
+
+  if (!match && !config.retry && !IDEMPOTENT_METHODS.includes(method)) return null;
+  const policy = { ...DEFAULT_RETRY_POLICY, ...match, ...config.retry };
+  return policy.retries > 0 ? policy : null;
+};
+
+// Retry-After is either a number of seconds or an HTTP date
+const parseRetryAfter = (value) => {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+/**
+ * Delay before the next attempt: the server's Retry-After when given, otherwise
+ * exponential backoff with jitter so clients don't all retry at once
+ * @returns {number|null} milliseconds, or null to give up
+ */
+const getRetryDelay = (error, attempt, policy) => {
+  const retryAfter = parseRetryAfter(error.response?.headers?.['retry-after']);
+  if (retryAfter !== null) {
+    return retryAfter <= MAX_RETRY_AFTER ? retryAfter : null;
+  }
+
+  const backoff = Math.min(policy.maxDelay, policy.baseDelay * 2 ** attempt);
+  return Math.round(backoff / 2 + Math.random() * (backoff / 2));
+};
+
+// Network errors and timeouts have no response
+const isRetryableError = (error) => !error.response || RETRYABLE_STATUSES.includes(error.response.status);
+
+// Response interceptor: retry transient failures according to the request's policy
+api.interceptors.response.use(
+  (response) => response,
+  async (error) => {
+    const config = error.config;
+    if (!config || isCancelledRequest(error) || !isRetryableError(error)) {
+      return Promise.reject(error);
+    }
+
+    const policy = getRetryPolicy(config);
+    const attempt = config._retryAttempt || 0;
+    if (!policy || attempt >= policy.retries) {
+      return Promise.reject(error);
+    }
+
+    const delay = getRetryDelay(error, attempt, policy);
+    if (delay === null) {
+      return Promise.reject(error);
+    }
+
+    config._retryAttempt = attempt + 1;
+    config._retryId = config._retryId || nextRetryId++;
+    console.log(`Retrying ${config.method?.toUpperCase()} ${config.url} in ${delay} ms (${attempt + 1}/${policy.retries})`);
+
+    retryingRequests.set(config._retryId, Date.now() + delay);
+    updateRetryState();
+    try {
+      await waitUnlessAborted(delay, config.signal);
+      retryingRequests.set(config._retryId, null);
+      updateRetryState();
+      return await api(config);
+    } finally {
+      // Nested retries share the ID, the outermost one clears it
+      if (attempt === 0) {
+        retryingRequests.delete(config._retryId);
+        updateRetryState();
+      }
+    }
+  }
+);
+
 // ============ Learning Path API ============
 
 export const learningPathService = {
   /**
-   * Generate a new learning path with retry logic for cold starts
+   * Generate a new learning path. Never retried: a repeated request would start a
+   * second generation on the server.
    * @param {Object} data - { topic, expertise_level, duration_weeks, time_commitment, goals? }
+   * @param {Object} options - { signal } aborts the request
    * @returns {Promise<{ task_id: string, status: string, message: string }>}
    */
-  generate: async (data, retryCount = 0) => {
-    const maxRetries = 2;
+  generate: async (data, { signal } = {}) => {
     const timeout = 300000; // 5 minutes
-
-    try {
-      const response = await api.post('/api/generate', data, { timeout });
-      return response.data;
-    } catch (error) {
-      // Retry on timeout or network error (cold start scenario)
-      if (retryCount < maxRetries && (error.code === 'ECONNABORTED' || error.message?.includes('timeout') || error.message?.includes('Network Error'))) {
-        console.log(`Request timed out, retrying (${retryCount + 1}/${maxRetries})...`);
-        // Wait a bit before retrying
-        await new Promise(resolve => setTimeout(resolve, 2000));
-        return learningPathService.generate(data, retryCount + 1);
-      }
-      throw error;
-    }
+    const response = await api.post('/api/generate', data, { timeout, signal });
+    return response.data;
   },
 
   /**
    * Check the status of a generation task
    * @param {string} taskId 
+   * @param {Object} options - { signal }
    * @returns {Promise<{ task_id: string, status: string, result?: Object, error?: string }>}
    */
-  checkStatus: async (taskId) => {
-    const response = await api.get(`/api/status/${taskId}`);
+  checkStatus: async (taskId, { signal } = {}) => {
+    const response = await api.get(`/api/status/${taskId}`, { signal });
     return response.data;
   },
 
+  /**
+   * Ask the server to stop a generation task
+   * @param {string} taskId
+   * @returns {Promise<{ success: boolean }>}
+   */
+  cancelTask: async (taskId) => {
+    const response = await api.post(`/api/cancel/${taskId}`);
+    return response.data;
+  },
+
+  /**
+   * Follow a generation task's progress (stage, percent, partial milestones) as it runs.
+   * Uses the server-sent event stream and falls back to polling checkStatus when
+   * streaming is unavailable or goes quiet.
+   * @param {string} taskId
+   * @param {Object} handlers - { onProgress(progress), onError(error) }
+   * @param {Object} options - { pollInterval }
+   * @returns {{ close: Function, getMode: Function }} mode is 'connecting' | 'stream' | 'polling' | 'closed'
+   */
+  subscribeToProgress: (taskId, handlers = {}, options = {}) => {
+    return subscribeToTaskProgress(taskId, handlers, options);
+  },
+
   /**
    * Get the result of a completed task
    * @param {string} taskId 
+   * @param {Object} options - { signal }
    * @returns {Promise<Object>} Learning path data
    */
-  getResult: async (taskId) => {
-    const response = await api.get(`/api/result/${taskId}`);
+  getResult: async (taskId, { signal } = {}) => {
+    const response = await api.get(`/api/result/${taskId}`, { signal });
     return response.data;
   },
 
   /**
    * Save a learning path for the authenticated user
    * @param {Object} path 
+   * @param {Object} [options] - { idempotencyKey } so the server stores a repeated save only once
    * @returns {Promise<{ success: boolean, path_id: string }>}
    */
-  savePath: async (path) => {
-    const response = await api.post('/api/save-path', { path });
+  savePath: async (path, { idempotencyKey } = {}) => {
+    const response = await api.post('/api/save-path', { path }, idempotencyKey ? {
+      headers: { 'Idempotency-Key': idempotencyKey },
+      // With a key the server ignores repeats, so the save is safe to retry
+      retry: {},
+    } : undefined);
     return response.data;
   },
 
   /**
-   * Get all saved learning paths for the user
-   * @returns {Promise<Array>}
+   * Get one page of the user's saved learning paths, searched and sorted on the server
+   * @param {Object} [query] - { search, sort: 'updated' | 'created' | 'progress', cursor, limit,
+   *   collection, tag, level, status: 'not_started' | 'in_progress' | 'completed', archived }
+   * @param {Object} [options] - { signal }
+   * @returns {Promise<{ paths: Array, next_cursor: string|null, total?: number }>}
    */
-  getSavedPaths: async () => {
-    const response = await api.get('/api/paths');
+  getSavedPaths: async ({ search, sort, cursor, limit, collection, tag, level, status, archived } = {}, { signal } = {}) => {
+    const response = await api.get('/api/paths', {
+      params: {
+        q: search || undefined,
+        sort,
+        collection: collection || undefined,
+        tag: tag || undefined,
+        level: level || undefined,
+        status: status || undefined,
+        archived: archived ? 'true' : undefined,
+        cursor: cursor || undefined,
+        limit,
+      },
+      signal,
+    });
     return response.data;
   },
 
@@ -126,7 +555,7 @@ export const learningPathService = {
   },
 
   /**
-   * Delete a learning path
+   * Delete a learning path for good
    * @param {string} pathId 
    * @returns {Promise<{ success: boolean }>}
    */
@@ -135,22 +564,308 @@ export const learningPathService = {
     return response.data;
   },
 
+  /**
+   * Move a learning path to the trash. The server deletes it for good after 30 days.
+   * @param {string} pathId
+   * @param {string} [deletedAt] - when it was trashed (ISO)
+   * @returns {Promise<{ success: boolean }>}
+   */
+  trashPath: async (pathId, deletedAt) => {
+    const response = await api.post(`/api/paths/${pathId}/trash`, { deleted_at: deletedAt });
+    return response.data;
+  },
+
+  /**
+   * Take a learning path back out of the trash
+   * @param {string} pathId
+   * @returns {Promise<{ success: boolean }>}
+   */
+  restorePath: async (pathId) => {
+    const response = await api.post(`/api/paths/${pathId}/restore`);
+    return response.data;
+  },
+
+  /**
+   * Get the learning paths in the user's trash
+   * @returns {Promise<{ paths: Array }>} paths with `deletedAt`
+   */
+  getTrash: async () => {
+    const response = await api.get('/api/trash');
+    return response.data;
+  },
+
   /**
    * Update milestone completion status
    * @param {string} pathId 
-   * @param {number} milestoneIndex 
+   * @param {string} milestoneId 
    * @param {boolean} completed 
+   * @param {string} [updatedAt] - when the change was made (ISO), so devices can tell which change is newer
    * @returns {Promise<{ success: boolean }>}
    */
-  updateMilestone: async (pathId, milestoneIndex, completed) => {
+  updateMilestone: async (pathId, milestoneId, completed, updatedAt) => {
     const response = await api.post(`/api/paths/${pathId}/milestone`, {
-      milestone_index: milestoneIndex,
+      milestone_id: milestoneId,
       completed,
+      updated_at: updatedAt,
+    });
+    return response.data;
+  },
+
+  /**
+   * Set the note on a milestone or resource of a saved path
+   * @param {string} pathId
+   * @param {string} targetId - milestone or resource ID
+   * @param {string} text - empty to delete the note
+   * @param {string} updatedAt - when the note was changed (ISO), so devices can tell which change is newer
+   * @returns {Promise<{ success: boolean }>}
+   */
+  updateNote: async (pathId, targetId, text, updatedAt) => {
+    const response = await api.put(`/api/paths/${pathId}/notes/${encodeURIComponent(targetId)}`, {
+      text,
+      updated_at: updatedAt,
+    });
+    return response.data;
+  },
+
+  /**
+   * Set how a saved path is organized: its collection, tags and whether it is pinned or archived
+   * @param {string} pathId
+   * @param {{ collection: string|null, tags: string[], pinned: boolean, archived: boolean }} metadata
+   * @param {string} updatedAt - when it was changed (ISO), so devices can tell which change is newer
+   * @returns {Promise<{ success: boolean }>}
+   */
+  updatePathMetadata: async (pathId, { collection, tags, pinned, archived }, updatedAt) => {
+    const response = await api.put(`/api/paths/${pathId}/metadata`, {
+      collection,
+      tags,
+      pinned,
+      archived,
+      updated_at: updatedAt,
+    });
+    return response.data;
+  },
+
+  /**
+   * Set how far the learner is with a resource of a saved path
+   * @param {string} pathId
+   * @param {string} resourceId
+   * @param {string} status - 'not_started' | 'in_progress' | 'done'
+   * @param {string} updatedAt - when the status was changed (ISO), so devices can tell which change is newer
+   * @returns {Promise<{ success: boolean }>}
+   */
+  updateResourceStatus: async (pathId, resourceId, status, updatedAt) => {
+    const response = await api.put(`/api/paths/${pathId}/resources/${encodeURIComponent(resourceId)}`, {
+      status,
+      updated_at: updatedAt,
     });
     return response.data;
   },
 };
 
+// ============ Generation Progress Stream ============
+
+const PROGRESS_POLL_INTERVAL = 3000; // 3 seconds
+// Switch to polling when the stream takes this long to connect, or stays silent this long once open
+const PROGRESS_STREAM_IDLE_TIMEOUT = 20000;
+const TERMINAL_TASK_STATUSES = ['finished', 'failed'];
+
+/**
+ * Normalize a progress payload from the stream or the status endpoint
+ * @param {Object} data
+ * @returns {{ status: string, stage: string, percent: number|null, message?: string, partialMilestones: Array, result?: Object, error?: string }}
+ */
+const normalizeProgress = (data = {}) => {
+  const percent = Number(data.percent ?? data.progress);
+  return {
+    status: data.status,
+    stage: data.stage || data.status,
+    percent: Number.isFinite(percent) ? Math.max(0, Math.min(100, Math.round(percent))) : null,
+    message: data.message,
+    partialMilestones: data.partial_milestones || [],
+    result: data.result,
+    error: data.error,
+  };
+};
+
+/**
+ * Split a server-sent event buffer into complete events and the unfinished remainder
+ * @param {string} buffer
+ * @returns {{ events: Array<{ event: string, data: string }>, rest: string }}
+ */
+const parseServerSentEvents = (buffer) => {
+  const blocks = buffer.replace(/\r\n/g, '\n').split('\n\n');
+  const rest = blocks.pop();
+
+  const events = blocks
+    .map((block) => {
+      let event = 'message';
+      const data = [];
+      block.split('\n').forEach((line) => {
+        if (line.startsWith('event:')) event = line.slice(6).trim();
+        else if (line.startsWith('data:')) data.push(line.slice(5).trimStart());
+      });
+      return { event, data: data.join('\n') };
+    })
+    .filter(({ data }) => data.length > 0);
+
+  return { events, rest };
+};
+
+function subscribeToTaskProgress(taskId, { onProgress, onError } = {}, { pollInterval = PROGRESS_POLL_INTERVAL } = {}) {
+  let mode = 'connecting';
+  let xhr = null;
+  let idleTimer = null;
+  let pollTimer = null;
+  let partialMilestones = [];
+  // Aborts a status check still in flight when the subscription closes
+  const pollController = new AbortController();
+
+  const isClosed = () => mode === 'closed';
+
+  const close = () => {
+    mode = 'closed';
+    clearTimeout(idleTimer);
+    clearInterval(pollTimer);
+    pollController.abort();
+    if (xhr) {
+      xhr.onreadystatechange = null;
+      xhr.onerror = null;
+      xhr.abort();
+      xhr = null;
+    }
+  };
+
+  const emit = (data) => {
+    if (isClosed()) return;
+    const progress = normalizeProgress(data);
+    if (progress.partialMilestones.length > 0) {
+      partialMilestones = progress.partialMilestones;
+    }
+    progress.partialMilestones = partialMilestones;
+
+    if (TERMINAL_TASK_STATUSES.includes(progress.status)) {
+      close();
+    }
+    onProgress?.(progress);
+  };
+
+  const startPolling = () => {
+    if (isClosed() || mode === 'polling') return;
+    if (xhr) {
+      xhr.onreadystatechange = null;
+      xhr.onerror = null;
+      xhr.abort();
+      xhr = null;
+    }
+    clearTimeout(idleTimer);
+    mode = 'polling';
+
+    const poll = async () => {
+      try {
+        const statusData = await learningPathService.checkStatus(taskId, { signal: pollController.signal });
+        emit(statusData);
+      } catch (error) {
+        if (isClosed()) return;
+        close();
+        onError?.(error);
+      }
+    };
+
+    poll();
+    pollTimer = setInterval(poll, pollInterval);
+  };
+
+  const resetIdleTimer = () => {
+    clearTimeout(idleTimer);
+    idleTimer = setTimeout(startPolling, PROGRESS_STREAM_IDLE_TIMEOUT);
+  };
+
+  const handleEvent = ({ event, data }) => {
+    let payload;
+    try {
+      payload = JSON.parse(data);
+    } catch (error) {
+      console.log('Ignoring malformed progress event:', data);
+      return;
+    }
+
+    // Single milestones can arrive on their own as they are generated
+    if (event === 'milestone') {
+      partialMilestones = [...partialMilestones, payload];
+      emit({ status: 'started', stage: 'generating', partial_milestones: partialMilestones });
+      return;
+    }
+    emit(payload);
+  };
+
+  const openStream = async () => {
+    await Promise.all([loadApiSettings(), loadMockSettings()]);
+    const token = await AsyncStorage.getItem('@auth_token').catch(() => null);
+    if (isClosed()) return;
+
+    // The mock backend only answers through axios
+    if (isMockBackendEnabled()) {
+      startPolling();
+      return;
+    }
+
+    // XMLHttpRequest delivers text incrementally in React Native, EventSource isn't available
+    let offset = 0;
+    let buffer = '';
+    xhr = new XMLHttpRequest();
+    xhr.open('GET', `${getApiBaseUrl()}/api/stream/${taskId}`);
+    xhr.setRequestHeader('Accept', 'text/event-stream');
+    xhr.setRequestHeader('Cache-Control', 'no-cache');
+    if (token) {
+      xhr.setRequestHeader('Authorization', `Bearer ${token}`);
+    }
+
+    xhr.onreadystatechange = () => {
+      if (!xhr || isClosed()) return;
+
+      if (xhr.readyState === 2) {
+        const contentType = xhr.getResponseHeader('Content-Type') || '';
+        if (xhr.status !== 200 || !contentType.includes('text/event-stream')) {
+          console.log('Progress stream unavailable, polling instead');
+          startPolling();
+          return;
+        }
+        mode = 'stream';
+        resetIdleTimer();
+      }
+
+      if (xhr.readyState >= 3 && mode === 'stream') {
+        const text = xhr.responseText || '';
+        if (text.length > offset) {
+          buffer += text.slice(offset);
+          offset = text.length;
+          resetIdleTimer();
+
+          const { events, rest } = parseServerSentEvents(buffer);
+          buffer = rest;
+          events.forEach(handleEvent);
+        }
+      }
+
+      // Stream ended before the task did
+      if (xhr && xhr.readyState === 4 && !isClosed()) {
+        startPolling();
+      }
+    };
+    xhr.onerror = () => startPolling();
+    xhr.send();
+    // A connection that hangs before its headers arrive falls back too (startPolling aborts it)
+    resetIdleTimer();
+  };
+
+  openStream().catch(startPolling);
+
+  return {
+    close,
+    getMode: () => mode,
+  };
+}
+
 // ============ Auth API ============
 
 export const authService = {
@@ -158,7 +873,7 @@ export const authService = {
    * Login user
    * @param {string} email 
    * @param {string} password 
-   * @returns {Promise<{ success: boolean, token?: string, user?: Object, error?: string }>}
+   * @returns {Promise<{ success: boolean, token?: string, refresh_token?: string, user?: Object, error?: string }>}
    */
   login: async (email, password) => {
     const response = await api.post('/auth/api/login', { email, password });
@@ -170,13 +885,23 @@ export const authService = {
    * @param {string} name 
    * @param {string} email 
    * @param {string} password 
-   * @returns {Promise<{ success: boolean, token?: string, user?: Object, error?: string }>}
+   * @returns {Promise<{ success: boolean, token?: string, refresh_token?: string, user?: Object, error?: string }>}
    */
   register: async (name, email, password) => {
     const response = await api.post('/auth/api/register', { name, email, password });
     return response.data;
   },
 
+  /**
+   * Exchange a refresh token for a new access token
+   * @param {string} refreshToken
+   * @returns {Promise<{ success: boolean, token?: string, refresh_token?: string, error?: string }>}
+   */
+  refreshToken: async (refreshToken) => {
+    const response = await api.post('/auth/api/refresh', { refresh_token: refreshToken });
+    return response.data;
+  },
+
   /**
    * Logout user
    * @returns {Promise<{ success: boolean }>}
@@ -208,12 +933,28 @@ export const authService = {
 
 // ============ Health Check ============
 
-export const checkHealth = async () => {
+const HEALTH_CHECK_TIMEOUT = 10000;
+
+/**
+ * Ping the backend health endpoint
+ * @param {string} [baseUrl] - server to check, defaults to the active one
+ * @returns {Promise<{ status: string, latency?: number, error?: string, statusCode?: number, code?: string }>}
+ */
+export const checkHealth = async (baseUrl) => {
+  const startedAt = Date.now();
   try {
-    const response = await api.get('/health');
-    return response.data;
+    const response = baseUrl
+      ? await axios.get(`${normalizeUrl(baseUrl)}/health`, { timeout: HEALTH_CHECK_TIMEOUT })
+      : await api.get('/health', { timeout: HEALTH_CHECK_TIMEOUT });
+    return { ...response.data, latency: Date.now() - startedAt };
   } catch (error) {
-    return { status: 'error', error: error.message };
+    // statusCode is missing when the server couldn't be reached at all
+    return {
+      status: 'error',
+      error: error.message,
+      statusCode: error.response?.status,
+      code: error.code,
+    };
   }
 };
 
@@ -266,179 +1007,6 @@ export const assessmentService = {
   },
 };
 
-/**
- * Generate questions locally when API is unavailable
- * Creates topic-relevant MCQ questions based on the learning path
- */
-function generateLocalQuestions(data) {
-  const { topic, expertise_level, milestones = [], skills = [], num_questions = 25 } = data;
-
-  const questions = [];
-  const allSkills = skills.length > 0 ? skills : milestones;
-
-  // Question templates based on expertise level
-  const templates = {
-    beginner: [
-      { q: 'What is the primary purpose of {concept}?', type: 'definition' },
-      { q: 'Which of the following best describes {concept}?', type: 'description' },
-      { q: 'What is the first step when learning {concept}?', type: 'process' },
-      { q: 'Which tool is commonly used for {concept}?', type: 'tool' },
-      { q: 'What does {concept} help you achieve?', type: 'benefit' },
-    ],
-    intermediate: [
-      { q: 'How does {concept} differ from similar approaches?', type: 'comparison' },
-      { q: 'What is a common challenge when implementing {concept}?', type: 'challenge' },
-      { q: 'Which best practice should be followed with {concept}?', type: 'practice' },
-      { q: 'In what scenario would you use {concept}?', type: 'application' },
-      { q: 'What is the relationship between {concept} and related techniques?', type: 'relationship' },
-    ],
-    advanced: [
-      { q: 'What is an advanced optimization technique for {concept}?', type: 'optimization' },
-      { q: 'How would you troubleshoot issues with {concept}?', type: 'debugging' },
-      { q: 'What architectural consideration is important for {concept}?', type: 'architecture' },
-      { q: 'How does {concept} scale in production environments?', type: 'scaling' },
-      { q: 'What security considerations apply to {concept}?', type: 'security' },
-    ],
-  };
-
-  const levelTemplates = templates[expertise_level?.toLowerCase()] || templates.beginner;
-
-  for (let i = 0; i < num_questions; i++) {
-    const concept = allSkills[i % allSkills.length] || topic;
-    const template = levelTemplates[i % levelTemplates.length];
-
-    const question = {
-      id: i + 1,
-      question: template.q.replace('{concept}', concept),
-      options: generateOptions(concept, template.type, expertise_level),
-      correctAnswer: 0, // First option is always correct in our generation
-      topic: concept,
-      difficulty: expertise_level,
-    };
-
-    // Shuffle options and update correct answer
-    const shuffled = shuffleWithAnswer(question.options);
-    question.options = shuffled.options;
-    question.correctAnswer = shuffled.correctIndex;
-
-    questions.push(question);
-  }
-
-  return { questions };
-}
-
-function generateOptions(concept, type, level) {
-  // Generate plausible options based on question type
-  const optionSets = {
-    definition: [
-      `A fundamental technique in ${concept} that enables efficient learning and application`,
-      `A deprecated method no longer used in modern ${concept}`,
-      `An unrelated concept from a different field`,
-      `A theoretical framework without practical application`,
-    ],
-    description: [
-      `It provides a structured approach to understanding and applying ${concept} effectively`,
-      `It is only useful for advanced practitioners`,
-      `It has been replaced by newer methodologies`,
-      `It requires specialized hardware to implement`,
-    ],
-    process: [
-      `Understanding the core fundamentals and basic principles`,
-      `Jumping directly to advanced topics`,
-      `Memorizing all possible variations`,
-      `Avoiding any practical exercises`,
-    ],
-    tool: [
-      `Industry-standard tools specifically designed for this purpose`,
-      `Generic text editors without any features`,
-      `Outdated software from the 1990s`,
-      `Tools designed for completely different purposes`,
-    ],
-    benefit: [
-      `Improved efficiency, better outcomes, and deeper understanding`,
-      `No measurable benefits have been documented`,
-      `Benefits only apply to large organizations`,
-      `The benefits are purely theoretical`,
-    ],
-    comparison: [
-      `It offers unique advantages in specific use cases while sharing some principles`,
-      `There are no differences whatsoever`,
-      `It is universally inferior to all alternatives`,
-      `Comparisons cannot be made between them`,
-    ],
-    challenge: [
-      `Managing complexity while maintaining code quality and performance`,
-      `There are no known challenges`,
-      `It only works on specific operating systems`,
-      `Documentation is the only challenge`,
-    ],
-    practice: [
-      `Following established patterns and continuously refactoring for improvement`,
-      `Avoiding all standard conventions`,
-      `Writing as little documentation as possible`,
-      `Ignoring community guidelines`,
-    ],
-    application: [
-      `When dealing with complex problems that require structured solutions`,
-      `Only in academic research settings`,
-      `Never in production environments`,
-      `Exclusively for small personal projects`,
-    ],
-    relationship: [
-      `They complement each other and can be combined for better results`,
-      `They are mutually exclusive and cannot be used together`,
-      `There is no relationship between them`,
-      `One completely replaces the other`,
-    ],
-    optimization: [
-      `Implementing caching, parallel processing, and efficient algorithms`,
-      `Adding more hardware without code changes`,
-      `Removing all error handling`,
-      `Using deprecated methods`,
-    ],
-    debugging: [
-      `Using systematic logging, profiling tools, and step-by-step analysis`,
-      `Randomly changing code until it works`,
-      `Ignoring error messages completely`,
-      `Rewriting everything from scratch`,
-    ],
-    architecture: [
-      `Designing for scalability, maintainability, and separation of concerns`,
-      `Putting all code in a single file`,
-      `Avoiding any design patterns`,
-      `Ignoring performance implications`,
-    ],
-    scaling: [
-      `Through horizontal scaling, load balancing, and efficient resource management`,
-      `Scaling is not possible`,
-      `Only vertical scaling with bigger servers`,
-      `By reducing functionality`,
-    ],
-    security: [
-      `Input validation, encryption, and following security best practices`,
-      `Security is not a concern`,
-      `Only network firewalls are needed`,
-      `Obscuring code is sufficient protection`,
-    ],
-  };
-
-  return optionSets[type] || optionSets.definition;
-}
-
-function shuffleWithAnswer(options) {
-  const indices = options.map((_, i) => i);
-  // Fisher-Yates shuffle
-  for (let i = indices.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [indices[i], indices[j]] = [indices[j], indices[i]];
-  }
-
-  const shuffledOptions = indices.map(i => options[i]);
-  const correctIndex = indices.indexOf(0);
-
-  return { options: shuffledOptions, correctIndex };
-}
-
 // ============ Trending Technologies API (Stack Overflow) ============
 
 // Technology tag mappings for better display names and icons
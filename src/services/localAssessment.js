@@ -0,0 +1,177 @@
+/**
+ * Skill assessment questions generated on the device, used when the
+ * assessment API is unavailable
+ */
+
+/**
+ * Generate questions locally when API is unavailable
+ * Creates topic-relevant MCQ questions based on the learning path
+ */
+export function generateLocalQuestions(data) {
+  const { topic, expertise_level, milestones = [], skills = [], num_questions = 25 } = data;
+
+  const questions = [];
+  const allSkills = skills.length > 0 ? skills : milestones;
+
+  // Question templates based on expertise level
+  const templates = {
+    beginner: [
+      { q: 'What is the primary purpose of {concept}?', type: 'definition' },
+      { q: 'Which of the following best describes {concept}?', type: 'description' },
+      { q: 'What is the first step when learning {concept}?', type: 'process' },
+      { q: 'Which tool is commonly used for {concept}?', type: 'tool' },
+      { q: 'What does {concept} help you achieve?', type: 'benefit' },
+    ],
+    intermediate: [
+      { q: 'How does {concept} differ from similar approaches?', type: 'comparison' },
+      { q: 'What is a common challenge when implementing {concept}?', type: 'challenge' },
+      { q: 'Which best practice should be followed with {concept}?', type: 'practice' },
+      { q: 'In what scenario would you use {concept}?', type: 'application' },
+      { q: 'What is the relationship between {concept} and related techniques?', type: 'relationship' },
+    ],
+    advanced: [
+      { q: 'What is an advanced optimization technique for {concept}?', type: 'optimization' },
+      { q: 'How would you troubleshoot issues with {concept}?', type: 'debugging' },
+      { q: 'What architectural consideration is important for {concept}?', type: 'architecture' },
+      { q: 'How does {concept} scale in production environments?', type: 'scaling' },
+      { q: 'What security considerations apply to {concept}?', type: 'security' },
+    ],
+  };
+
+  const levelTemplates = templates[expertise_level?.toLowerCase()] || templates.beginner;
+
+  for (let i = 0; i < num_questions; i++) {
+    const concept = allSkills[i % allSkills.length] || topic;
+    const template = levelTemplates[i % levelTemplates.length];
+
+    const question = {
+      id: i + 1,
+      question: template.q.replace('{concept}', concept),
+      options: generateOptions(concept, template.type, expertise_level),
+      correctAnswer: 0, // First option is always correct in our generation
+      topic: concept,
+      difficulty: expertise_level,
+    };
+
+    // Shuffle options and update correct answer
+    const shuffled = shuffleWithAnswer(question.options);
+    question.options = shuffled.options;
+    question.correctAnswer = shuffled.correctIndex;
+
+    questions.push(question);
+  }
+
+  return { questions };
+}
+
+function generateOptions(concept, type, level) {
+  // Generate plausible options based on question type
+  const optionSets = {
+    definition: [
+      `A fundamental technique in ${concept} that enables efficient learning and application`,
+      `A deprecated method no longer used in modern ${concept}`,
+      `An unrelated concept from a different field`,
+      `A theoretical framework without practical application`,
+    ],
+    description: [
+      `It provides a structured approach to understanding and applying ${concept} effectively`,
+      `It is only useful for advanced practitioners`,
+      `It has been replaced by newer methodologies`,
+      `It requires specialized hardware to implement`,
+    ],
+    process: [
+      `Understanding the core fundamentals and basic principles`,
+      `Jumping directly to advanced topics`,
+      `Memorizing all possible variations`,
+      `Avoiding any practical exercises`,
+    ],
+    tool: [
+      `Industry-standard tools specifically designed for this purpose`,
+      `Generic text editors without any features`,
+      `Outdated software from the 1990s`,
+      `Tools designed for completely different purposes`,
+    ],
+    benefit: [
+      `Improved efficiency, better outcomes, and deeper understanding`,
+      `No measurable benefits have been documented`,
+      `Benefits only apply to large organizations`,
+      `The benefits are purely theoretical`,
+    ],
+    comparison: [
+      `It offers unique advantages in specific use cases while sharing some principles`,
+      `There are no differences whatsoever`,
+      `It is universally inferior to all alternatives`,
+      `Comparisons cannot be made between them`,
+    ],
+    challenge: [
+      `Managing complexity while maintaining code quality and performance`,
+      `There are no known challenges`,
+      `It only works on specific operating systems`,
+      `Documentation is the only challenge`,
+    ],
+    practice: [
+      `Following established patterns and continuously refactoring for improvement`,
+      `Avoiding all standard conventions`,
+      `Writing as little documentation as possible`,
+      `Ignoring community guidelines`,
+    ],
+    application: [
+      `When dealing with complex problems that require structured solutions`,
+      `Only in academic research settings`,
+      `Never in production environments`,
+      `Exclusively for small personal projects`,
+    ],
+    relationship: [
+      `They complement each other and can be combined for better results`,
+      `They are mutually exclusive and cannot be used together`,
+      `There is no relationship between them`,
+      `One completely replaces the other`,
+    ],
+    optimization: [
+      `Implementing caching, parallel processing, and efficient algorithms`,
+      `Adding more hardware without code changes`,
+      `Removing all error handling`,
+      `Using deprecated methods`,
+    ],
+    debugging: [
+      `Using systematic logging, profiling tools, and step-by-step analysis`,
+      `Randomly changing code until it works`,
+      `Ignoring error messages completely`,
+      `Rewriting everything from scratch`,
+    ],
+    architecture: [
+      `Designing for scalability, maintainability, and separation of concerns`,
+      `Putting all code in a single file`,
+      `Avoiding any design patterns`,
+      `Ignoring performance implications`,
+    ],
+    scaling: [
+      `Through horizontal scaling, load balancing, and efficient resource management`,
+      `Scaling is not possible`,
+      `Only vertical scaling with bigger servers`,
+      `By reducing functionality`,
+    ],
+    security: [
+      `Input validation, encryption, and following security best practices`,
+      `Security is not a concern`,
+      `Only network firewalls are needed`,
+      `Obscuring code is sufficient protection`,
+    ],
+  };
+
+  return optionSets[type] || optionSets.definition;
+}
+
+function shuffleWithAnswer(options) {
+  const indices = options.map((_, i) => i);
+  // Fisher-Yates shuffle
+  for (let i = indices.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [indices[i], indices[j]] = [indices[j], indices[i]];
+  }
+
+  const shuffledOptions = indices.map(i => options[i]);
+  const correctIndex = indices.indexOf(0);
+
+  return { options: shuffledOptions, correctIndex };
+}
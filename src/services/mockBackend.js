@@ -0,0 +1,622 @@
+import { AxiosError, CanceledError } from 'axios';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { generateLocalQuestions } from './localAssessment';
+import { generateId } from '../utils';
+import { queryLearningPaths, isTrashExpired, RESOURCE_STATUS, TIME_COMMITMENT_HOURS } from '../models/learningPath';
+
+/**
+ * In-app stand-in for the Python backend, served through an axios adapter.
+ * Enabled from Settings > Developer so the app can be demoed and tested
+ * without a server. Users, saved paths, assessment attempts and generation
+ * tasks are kept on the device, so tasks can be followed again after a restart.
+ */
+
+const MOCK_SETTINGS_KEY = '@mock_backend';
+const MOCK_DB_KEY = '@mock_backend_db';
+
+export const MOCK_LATENCY_OPTIONS = [
+  { value: 0, label: 'None' },
+  { value: 600, label: 'Normal' },
+  { value: 2500, label: 'Slow' },
+];
+
+export const MOCK_FAILURE_MODES = [
+  { id: 'none', label: 'None', description: 'Every request succeeds' },
+  { id: 'flaky', label: 'Flaky', description: '1 in 4 requests fails with a 503' },
+  { id: 'offline', label: 'Offline', description: 'Requests fail with a network error' },
+  { id: 'generation', label: 'Generation fails', description: 'Generation tasks end with an error' },
+  { id: 'session', label: 'Expired session', description: 'Signed-in requests and token refresh return 401' },
+];
+
+const DEFAULT_MOCK_SETTINGS = {
+  enabled: false,
+  latency: 600,
+  failureMode: 'none',
+};
+
+// Seeded so there is always an account to log in with
+const DEMO_USER = { id: 'mock_user_demo', name: 'Demo Learner', email: 'demo@example.com', password: 'password' };
+
+// How long a mock generation task spends in each stage (ms from creation)
+const TASK_TIMELINE = [
+  { until: 1500, status: 'queued', stage: 'queued', message: 'Waiting for a worker' },
+  { until: 3500, status: 'started', stage: 'started', message: 'Starting generation' },
+  { until: 6000, status: 'started', stage: 'analyzing', message: 'Analyzing the topic and job market' },
+  { until: 11000, status: 'started', stage: 'generating', message: 'Writing milestones' },
+];
+const TASK_DURATION = TASK_TIMELINE[TASK_TIMELINE.length - 1].until;
+// Tasks are forgotten after this long, like results expiring on the server
+const TASK_TTL = 24 * 60 * 60 * 1000;
+
+let mockSettings = DEFAULT_MOCK_SETTINGS;
+let mockSettingsLoaded = null;
+let db = null;
+
+/**
+ * Load the stored mock backend settings (once per app launch)
+ * @returns {Promise<{ enabled: boolean, latency: number, failureMode: string }>}
+ */
+export const loadMockSettings = () => {
+  if (!mockSettingsLoaded) {
+    mockSettingsLoaded = (async () => {
+      try {
+        const stored = await AsyncStorage.getItem(MOCK_SETTINGS_KEY);
+        if (stored) {
+          mockSettings = { ...DEFAULT_MOCK_SETTINGS, ...JSON.parse(stored) };
+        }
+      } catch (error) {
+        console.error('Error loading mock backend settings:', error);
+      }
+      return mockSettings;
+    })();
+  }
+  return mockSettingsLoaded;
+};
+
+/**
+ * Get the current mock backend settings
+ * @returns {{ enabled: boolean, latency: number, failureMode: string }}
+ */
+export const getMockSettings = () => mockSettings;
+
+export const isMockBackendEnabled = () => mockSettings.enabled;
+
+/**
+ * Change mock backend settings. Takes effect for the next request.
+ * @param {Object} changes - any of { enabled, latency, failureMode }
+ * @returns {Promise<{ success: boolean, settings?: Object, error?: string }>}
+ */
+export const updateMockSettings = async (changes) => {
+  await loadMockSettings();
+
+  if (changes.failureMode && !MOCK_FAILURE_MODES.some(mode => mode.id === changes.failureMode)) {
+    return { success: false, error: `Unknown failure mode: ${changes.failureMode}` };
+  }
+
+  const nextSettings = { ...mockSettings, ...changes };
+  try {
+    await AsyncStorage.setItem(MOCK_SETTINGS_KEY, JSON.stringify(nextSettings));
+  } catch (error) {
+    console.error('Error saving mock backend settings:', error);
+    return { success: false, error: 'Failed to save mock backend settings' };
+  }
+
+  mockSettings = nextSettings;
+  console.log(`Mock backend ${nextSettings.enabled ? 'enabled' : 'disabled'}`);
+  return { success: true, settings: nextSettings };
+};
+
+/**
+ * Forget every mock user, saved path, assessment attempt and generation task
+ */
+export const resetMockData = async () => {
+  db = createEmptyDb();
+  await persistDb();
+};
+
+// ============ Mock Database ============
+
+function createEmptyDb() {
+  return {
+    users: { [DEMO_USER.email]: DEMO_USER },
+    sessions: {},
+    refreshTokens: {},
+    paths: {},
+    // Responses to saves sent with an Idempotency-Key, per user
+    savedPathKeys: {},
+    assessments: {},
+    tasks: {},
+  };
+}
+
+const loadDb = async () => {
+  if (db) return db;
+  try {
+    const stored = await AsyncStorage.getItem(MOCK_DB_KEY);
+    db = stored ? { ...createEmptyDb(), ...JSON.parse(stored) } : createEmptyDb();
+  } catch (error) {
+    console.error('Error loading mock backend data:', error);
+    db = createEmptyDb();
+  }
+  return db;
+};
+
+const persistDb = async () => {
+  try {
+    await AsyncStorage.setItem(MOCK_DB_KEY, JSON.stringify(db));
+  } catch (error) {
+    console.error('Error saving mock backend data:', error);
+  }
+};
+
+const publicUser = (user) => ({ id: user.id, name: user.name, email: user.email });
+
+const createSession = (user) => {
+  const token = `mock_access_${generateId()}`;
+  const refreshToken = `mock_refresh_${generateId()}`;
+  db.sessions[token] = user.email;
+  db.refreshTokens[refreshToken] = user.email;
+  return { token, refresh_token: refreshToken };
+};
+
+// ============ Fixtures ============
+
+const MILESTONE_TEMPLATES = [
+  { title: 'Foundations of {topic}', skills: ['Core terminology', 'Tooling setup'] },
+  { title: 'Core {topic} Concepts', skills: ['Key principles', 'Common patterns'] },
+  { title: 'Hands-on {topic} Practice', skills: ['Small projects', 'Debugging'] },
+  { title: 'Working with {topic} in Real Projects', skills: ['Project structure', 'Testing'] },
+  { title: 'Intermediate {topic} Techniques', skills: ['Performance', 'Best practices'] },
+  { title: '{topic} Ecosystem and Libraries', skills: ['Library selection', 'Integration'] },
+  { title: 'Advanced {topic} Topics', skills: ['Architecture', 'Trade-offs'] },
+  { title: 'Capstone: Build a {topic} Portfolio Project', skills: ['Planning', 'Shipping a project'] },
+];
+
+const buildMilestone = (template, topic, hours) => {
+  const query = encodeURIComponent(topic);
+  const title = template.title.replace('{topic}', topic);
+  return {
+    title,
+    description: `Work through ${title.toLowerCase()} with guided material and short exercises.`,
+    estimated_hours: hours,
+    skills: template.skills,
+    resources: [
+      { title: `${topic} video walkthrough`, type: 'video', url: `https://www.youtube.com/results?search_query=${query}` },
+      { title: `${topic} official documentation`, type: 'documentation', url: `https://www.google.com/search?q=${query}+documentation` },
+      { title: `${topic} practice exercises`, type: 'practice', url: `https://www.freecodecamp.org/news/search/?query=${query}` },
+    ],
+  };
+};
+
+const buildLearningPath = (request) => {
+  const topic = (request.topic || 'Programming').trim();
+  const durationWeeks = Math.max(1, Math.min(52, Number(request.duration_weeks) || 4));
+  const milestoneCount = Math.max(2, Math.min(MILESTONE_TEMPLATES.length, durationWeeks));
+  const weeklyHours = TIME_COMMITMENT_HOURS[request.time_commitment] || TIME_COMMITMENT_HOURS.moderate;
+  const totalHours = weeklyHours * durationWeeks;
+  const milestoneHours = Math.ceil(totalHours / milestoneCount);
+
+  return {
+    topic,
+    title: `${topic} Learning Path`,
+    description: `A ${durationWeeks}-week plan to take you from ${request.expertise_level || 'beginner'} to confident with ${topic}.`,
+    expertise_level: request.expertise_level || 'beginner',
+    learning_style: request.learning_style,
+    time_commitment: request.time_commitment,
+    duration_weeks: durationWeeks,
+    total_hours: totalHours,
+    goals: request.goals || [],
+    milestones: MILESTONE_TEMPLATES.slice(0, milestoneCount).map(template =>
+      buildMilestone(template, topic, milestoneHours)
+    ),
+    job_market: {
+      demand: 'High',
+      average_salary: '$85,000 - $125,000',
+      open_positions: '12,000+',
+      top_companies: ['Acme Corp', 'Globex', 'Initech'],
+    },
+  };
+};
+
+// ============ Task Lifecycle ============
+
+const getTaskState = (task) => {
+  if (task.cancelled) {
+    return { status: 'failed', stage: 'failed', percent: null, error: 'Generation was cancelled' };
+  }
+
+  const elapsed = Date.now() - task.createdAt;
+  if (task.failing && elapsed >= TASK_TIMELINE[2].until) {
+    return { status: 'failed', stage: 'failed', percent: null, error: 'Mock backend: generation failed' };
+  }
+  if (elapsed >= TASK_DURATION) {
+    return { status: 'finished', stage: 'finished', percent: 100, message: 'Your learning path is ready' };
+  }
+
+  const step = TASK_TIMELINE.find(({ until }) => elapsed < until);
+  const state = {
+    status: step.status,
+    stage: step.stage,
+    percent: Math.round((elapsed / TASK_DURATION) * 100),
+    message: step.message,
+  };
+
+  // Milestones appear one by one while the path is being written
+  if (step.stage === 'generating') {
+    const { until: generatingEnds } = step;
+    const generatingStarts = TASK_TIMELINE[2].until;
+    const share = (elapsed - generatingStarts) / (generatingEnds - generatingStarts);
+    state.partial_milestones = task.result.milestones.slice(0, Math.floor(share * task.result.milestones.length));
+  }
+  return state;
+};
+
+// ============ Routes ============
+
+const respond = (status, data, headers = {}) => ({ status, data, headers });
+const notFound = (message = 'Not found') => respond(404, { error: message });
+
+// Largest page /api/paths hands out
+const PATHS_PAGE_LIMIT = 50;
+
+// Paths of a user, with those trashed more than 30 days ago deleted for good
+const getUserPaths = (email) => {
+  const userPaths = db.paths[email] || {};
+  Object.keys(userPaths).forEach((pathId) => {
+    if (isTrashExpired(userPaths[pathId])) delete userPaths[pathId];
+  });
+  db.paths[email] = userPaths;
+  return userPaths;
+};
+
+const requireUser = (ctx) => {
+  if (!ctx.user) return respond(401, { error: 'Authentication required' });
+  return null;
+};
+
+const routes = [
+  ['get', /^\/health$/, () => respond(200, { status: 'healthy', mode: 'mock' })],
+
+  // Generation
+  ['post', /^\/api\/generate$/, ({ body }) => {
+    if (!body.topic?.trim()) return respond(400, { error: 'Topic is required' });
+    Object.keys(db.tasks).forEach((taskId) => {
+      if (Date.now() - db.tasks[taskId].createdAt > TASK_TTL) delete db.tasks[taskId];
+    });
+    const taskId = `mock_task_${generateId()}`;
+    db.tasks[taskId] = {
+      createdAt: Date.now(),
+      result: buildLearningPath(body),
+      failing: mockSettings.failureMode === 'generation',
+      cancelled: false,
+    };
+    return respond(202, { task_id: taskId, status: 'queued', message: 'Generation started' });
+  }],
+  ['get', /^\/api\/status\/([^/]+)$/, ({ params: [taskId] }) => {
+    const task = db.tasks[taskId];
+    if (!task) return notFound('Task not found');
+    return respond(200, { task_id: taskId, ...getTaskState(task) });
+  }],
+  ['get', /^\/api\/result\/([^/]+)$/, ({ params: [taskId] }) => {
+    const task = db.tasks[taskId];
+    if (!task) return notFound('Task not found');
+    const state = getTaskState(task);
+    if (state.status !== 'finished') {
+      return respond(409, { error: state.error || 'Task is not finished yet', status: state.status });
+    }
+    return respond(200, task.result);
+  }],
+  ['post', /^\/api\/cancel\/([^/]+)$/, ({ params: [taskId] }) => {
+    const task = db.tasks[taskId];
+    if (!task) return notFound('Task not found');
+    task.cancelled = true;
+    return respond(200, { success: true });
+  }],
+
+  // Saved paths
+  ['post', /^\/api\/save-path$/, (ctx) => {
+    const unauthorized = requireUser(ctx);
+    if (unauthorized) return unauthorized;
+    const { path } = ctx.body;
+    if (!path) return respond(400, { error: 'Path is required' });
+
+    // A repeated save gets the first response instead of a second copy
+    const savedKeys = db.savedPathKeys[ctx.user.email] || {};
+    if (ctx.idempotencyKey && savedKeys[ctx.idempotencyKey]) {
+      return respond(200, { success: true, path_id: savedKeys[ctx.idempotencyKey] });
+    }
+
+    const userPaths = db.paths[ctx.user.email] || {};
+    const pathId = path.id || `mock_path_${generateId()}`;
+    const now = new Date().toISOString();
+    userPaths[pathId] = {
+      ...path,
+      id: pathId,
+      savedAt: now,
+      created_at: userPaths[pathId]?.created_at || now,
+      // Clients send when they made the change, so devices can tell which copy is newer
+      updatedAt: path.updatedAt || now,
+    };
+    db.paths[ctx.user.email] = userPaths;
+    if (ctx.idempotencyKey) {
+      db.savedPathKeys[ctx.user.email] = { ...savedKeys, [ctx.idempotencyKey]: pathId };
+    }
+    return respond(200, { success: true, path_id: pathId });
+  }],
+  ['get', /^\/api\/paths$/, (ctx) => {
+    const unauthorized = requireUser(ctx);
+    if (unauthorized) return unauthorized;
+    const { q, sort, cursor, limit, collection, tag, level, status, archived } = ctx.query;
+    const livePaths = Object.values(getUserPaths(ctx.user.email)).filter(path => !path.deletedAt);
+    const matches = queryLearningPaths(livePaths, {
+      search: q,
+      sort,
+      collection,
+      tag,
+      level,
+      status,
+      archived: archived === 'true',
+    });
+
+    // The cursor is simply the offset of the next page
+    const start = Number(cursor) || 0;
+    const pageSize = Math.min(Number(limit) || PATHS_PAGE_LIMIT, PATHS_PAGE_LIMIT);
+    const end = start + pageSize;
+    return respond(200, {
+      paths: matches.slice(start, end),
+      next_cursor: end < matches.length ? String(end) : null,
+      total: matches.length,
+    });
+  }],
+  ['get', /^\/api\/paths\/([^/]+)$/, (ctx) => {
+    const unauthorized = requireUser(ctx);
+    if (unauthorized) return unauthorized;
+    const path = db.paths[ctx.user.email]?.[ctx.params[0]];
+    return path ? respond(200, path) : notFound('Path not found');
+  }],
+  ['delete', /^\/api\/paths\/([^/]+)$/, (ctx) => {
+    const unauthorized = requireUser(ctx);
+    if (unauthorized) return unauthorized;
+    const userPaths = db.paths[ctx.user.email] || {};
+    if (!userPaths[ctx.params[0]]) return notFound('Path not found');
+    delete userPaths[ctx.params[0]];
+    return respond(200, { success: true });
+  }],
+  ['post', /^\/api\/paths\/([^/]+)\/trash$/, (ctx) => {
+    const unauthorized = requireUser(ctx);
+    if (unauthorized) return unauthorized;
+    const path = db.paths[ctx.user.email]?.[ctx.params[0]];
+    if (!path) return notFound('Path not found');
+    path.deletedAt = ctx.body.deleted_at || new Date().toISOString();
+    return respond(200, { success: true });
+  }],
+  ['post', /^\/api\/paths\/([^/]+)\/restore$/, (ctx) => {
+    const unauthorized = requireUser(ctx);
+    if (unauthorized) return unauthorized;
+    const path = db.paths[ctx.user.email]?.[ctx.params[0]];
+    if (!path) return notFound('Path not found');
+    delete path.deletedAt;
+    return respond(200, { success: true });
+  }],
+  ['get', /^\/api\/trash$/, (ctx) => {
+    const unauthorized = requireUser(ctx);
+    if (unauthorized) return unauthorized;
+    const trashed = Object.values(getUserPaths(ctx.user.email)).filter(path => path.deletedAt);
+    return respond(200, { paths: trashed.sort((a, b) => Date.parse(b.deletedAt) - Date.parse(a.deletedAt)) });
+  }],
+  ['post', /^\/api\/paths\/([^/]+)\/milestone$/, (ctx) => {
+    const unauthorized = requireUser(ctx);
+    if (unauthorized) return unauthorized;
+    const path = db.paths[ctx.user.email]?.[ctx.params[0]];
+    if (!path) return notFound('Path not found');
+    // Older clients send the milestone's position instead of its ID
+    const milestoneId = ctx.body.milestone_id ?? path.milestones?.[ctx.body.milestone_index]?.id ?? ctx.body.milestone_index;
+    if (milestoneId === undefined) return respond(400, { error: 'milestone_id is required' });
+    const updatedAt = ctx.body.updated_at || new Date().toISOString();
+    path.completedMilestones = { ...path.completedMilestones, [milestoneId]: !!ctx.body.completed };
+    path.milestoneUpdatedAt = { ...path.milestoneUpdatedAt, [milestoneId]: updatedAt };
+    path.updatedAt = updatedAt;
+    return respond(200, { success: true });
+  }],
+  ['put', /^\/api\/paths\/([^/]+)\/notes\/([^/]+)$/, (ctx) => {
+    const unauthorized = requireUser(ctx);
+    if (unauthorized) return unauthorized;
+    const path = db.paths[ctx.user.email]?.[ctx.params[0]];
+    if (!path) return notFound('Path not found');
+    if (typeof ctx.body.text !== 'string') return respond(400, { error: 'text is required' });
+    const updatedAt = ctx.body.updated_at || new Date().toISOString();
+    path.notes = { ...path.notes, [decodeURIComponent(ctx.params[1])]: { text: ctx.body.text, updatedAt } };
+    path.updatedAt = updatedAt;
+    return respond(200, { success: true });
+  }],
+  ['put', /^\/api\/paths\/([^/]+)\/metadata$/, (ctx) => {
+    const unauthorized = requireUser(ctx);
+    if (unauthorized) return unauthorized;
+    const path = db.paths[ctx.user.email]?.[ctx.params[0]];
+    if (!path) return notFound('Path not found');
+    const { collection, tags, pinned, archived } = ctx.body;
+    if (tags !== undefined && !Array.isArray(tags)) return respond(400, { error: 'tags must be a list' });
+    const updatedAt = ctx.body.updated_at || new Date().toISOString();
+    Object.assign(path, {
+      collection: collection || null,
+      tags: tags || [],
+      pinned: !!pinned,
+      archived: !!archived,
+      metadataUpdatedAt: updatedAt,
+      updatedAt,
+    });
+    return respond(200, { success: true });
+  }],
+  ['put', /^\/api\/paths\/([^/]+)\/resources\/([^/]+)$/, (ctx) => {
+    const unauthorized = requireUser(ctx);
+    if (unauthorized) return unauthorized;
+    const path = db.paths[ctx.user.email]?.[ctx.params[0]];
+    if (!path) return notFound('Path not found');
+    if (!Object.values(RESOURCE_STATUS).includes(ctx.body.status)) {
+      return respond(400, { error: 'status must be not_started, in_progress or done' });
+    }
+    const updatedAt = ctx.body.updated_at || new Date().toISOString();
+    path.resourceProgress = {
+      ...path.resourceProgress,
+      [decodeURIComponent(ctx.params[1])]: { status: ctx.body.status, updatedAt },
+    };
+    path.updatedAt = updatedAt;
+    return respond(200, { success: true });
+  }],
+
+  // Auth
+  ['post', /^\/auth\/api\/login$/, ({ body }) => {
+    const user = db.users[body.email?.trim().toLowerCase()];
+    if (!user || user.password !== body.password) {
+      return respond(401, { success: false, error: 'Invalid email or password' });
+    }
+    return respond(200, { success: true, user: publicUser(user), ...createSession(user) });
+  }],
+  ['post', /^\/auth\/api\/register$/, ({ body }) => {
+    const email = body.email?.trim().toLowerCase();
+    if (!email || !body.password || !body.name) {
+      return respond(400, { success: false, error: 'Name, email and password are required' });
+    }
+    if (db.users[email]) {
+      return respond(409, { success: false, error: 'An account with this email already exists' });
+    }
+    const user = { id: `mock_user_${generateId()}`, name: body.name.trim(), email, password: body.password };
+    db.users[email] = user;
+    return respond(201, { success: true, user: publicUser(user), ...createSession(user) });
+  }],
+  ['post', /^\/auth\/api\/refresh$/, ({ body }) => {
+    const email = db.refreshTokens[body.refresh_token];
+    if (!email) return respond(401, { success: false, error: 'Invalid refresh token' });
+    delete db.refreshTokens[body.refresh_token];
+    return respond(200, { success: true, ...createSession(db.users[email]) });
+  }],
+  ['post', /^\/auth\/api\/logout$/, ({ token }) => {
+    delete db.sessions[token];
+    return respond(200, { success: true });
+  }],
+  ['get', /^\/auth\/user$/, (ctx) => requireUser(ctx) || respond(200, publicUser(ctx.user))],
+  ['put', /^\/auth\/profile$/, (ctx) => {
+    const unauthorized = requireUser(ctx);
+    if (unauthorized) return unauthorized;
+    const { name } = ctx.body;
+    if (name?.trim()) ctx.user.name = name.trim();
+    return respond(200, { success: true, user: publicUser(ctx.user) });
+  }],
+
+  // Assessments
+  ['post', /^\/api\/assessment\/generate$/, ({ body }) => respond(200, generateLocalQuestions(body))],
+  ['post', /^\/api\/assessment\/result$/, ({ body }) => {
+    const attempts = db.assessments[body.path_id] || [];
+    db.assessments[body.path_id] = [{ ...body, taken_at: new Date().toISOString() }, ...attempts];
+    return respond(200, { success: true });
+  }],
+  ['get', /^\/api\/assessment\/history\/([^/]+)$/, ({ params: [pathId] }) =>
+    respond(200, { attempts: db.assessments[pathId] || [] })
+  ],
+];
+
+// ============ Adapter ============
+
+// Still reachable with an expired session
+const SIGN_IN_ROUTES = ['/auth/api/login', '/auth/api/register'];
+
+// Wait out the simulated latency, stopping early if the request is aborted
+const simulateLatency = (ms, config) => new Promise((resolve, reject) => {
+  const { signal } = config;
+  if (signal?.aborted) {
+    reject(new CanceledError(null, config));
+    return;
+  }
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(new CanceledError(null, config));
+  };
+  const timer = setTimeout(() => {
+    signal?.removeEventListener?.('abort', onAbort);
+    resolve();
+  }, ms);
+  signal?.addEventListener?.('abort', onAbort, { once: true });
+});
+
+const parseBody = (data) => {
+  if (!data) return {};
+  if (typeof data !== 'string') return data;
+  try {
+    return JSON.parse(data);
+  } catch (error) {
+    return {};
+  }
+};
+
+const getRequestPath = (config) => {
+  const url = config.url || '';
+  // Absolute URLs (e.g. a health check against a specific server) keep only their path
+  return url.replace(/^https?:\/\/[^/]+/i, '').split('?')[0] || '/';
+};
+
+/**
+ * axios adapter that answers requests from the mock backend
+ * @param {Object} config - axios request config
+ * @returns {Promise<Object>} axios response
+ */
+export const mockAdapter = async (config) => {
+  await loadDb();
+  const jitter = mockSettings.latency > 0 ? Math.round(Math.random() * mockSettings.latency * 0.5) : 0;
+  await simulateLatency(mockSettings.latency + jitter, config);
+
+  const method = (config.method || 'get').toLowerCase();
+  const path = getRequestPath(config);
+  const authorization = config.headers?.Authorization || config.headers?.authorization || '';
+  const token = authorization.replace(/^Bearer\s+/i, '') || null;
+  const { failureMode } = mockSettings;
+
+  if (failureMode === 'offline') {
+    throw new AxiosError('Network Error', AxiosError.ERR_NETWORK, config, {});
+  }
+
+  let result;
+  if (failureMode === 'flaky' && Math.random() < 0.25) {
+    result = respond(503, { error: 'Mock backend: service unavailable' }, { 'retry-after': '1' });
+  } else if (failureMode === 'session' && token && !SIGN_IN_ROUTES.includes(path)) {
+    result = respond(401, { error: 'Mock backend: session expired' });
+  } else {
+    const match = routes
+      .map(([routeMethod, pattern, handler]) => ({ routeMethod, handler, params: pattern.exec(path) }))
+      .find(({ routeMethod, params }) => routeMethod === method && params);
+
+    if (match) {
+      const email = token ? db.sessions[token] : null;
+      result = match.handler({
+        params: match.params.slice(1),
+        body: parseBody(config.data),
+        query: config.params || {},
+        token,
+        user: email ? db.users[email] : null,
+        idempotencyKey: config.headers?.['Idempotency-Key'] || null,
+      });
+      if (method !== 'get') await persistDb();
+    } else {
+      result = notFound(`Mock backend has no route for ${method.toUpperCase()} ${path}`);
+    }
+  }
+
+  const response = {
+    data: result.data,
+    status: result.status,
+    statusText: result.status < 400 ? 'OK' : 'Error',
+    headers: { 'content-type': 'application/json', ...result.headers },
+    config,
+    request: {},
+  };
+
+  if (result.status >= 400) {
+    throw new AxiosError(
+      `Request failed with status code ${result.status}`,
+      result.status >= 500 ? AxiosError.ERR_BAD_RESPONSE : AxiosError.ERR_BAD_REQUEST,
+      config,
+      response.request,
+      response
+    );
+  }
+  return response;
+};
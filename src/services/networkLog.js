@@ -0,0 +1,200 @@
+/**
+ * Ring buffer of recent API requests for the in-app network inspector.
+ * Secrets are redacted before anything is stored, so entries can be shared
+ * in bug reports as they are.
+ */
+
+const NETWORK_LOG_SIZE = 100;
+// Longer bodies are cut so a few large results can't fill memory
+const MAX_BODY_LENGTH = 8000;
+
+const REDACTED = '[REDACTED]';
+const SENSITIVE_HEADERS = ['authorization', 'cookie', 'set-cookie', 'x-api-key'];
+const SENSITIVE_FIELDS = /pass(word)?|token|secret|api[-_]?key/i;
+
+let entries = [];
+let nextEntryId = 1;
+const listeners = new Set();
+
+const notify = () => listeners.forEach(listener => listener(entries));
+
+const redactHeaders = (headers) => {
+  const plain = typeof headers?.toJSON === 'function' ? headers.toJSON() : { ...headers };
+  return Object.entries(plain).reduce((result, [name, value]) => {
+    if (value === undefined || value === null || typeof value === 'object') return result;
+    result[name] = SENSITIVE_HEADERS.includes(name.toLowerCase()) ? REDACTED : String(value);
+    return result;
+  }, {});
+};
+
+const redactValue = (value) => {
+  if (Array.isArray(value)) return value.map(redactValue);
+  if (!value || typeof value !== 'object') return value;
+
+  return Object.entries(value).reduce((result, [key, field]) => {
+    result[key] = SENSITIVE_FIELDS.test(key) && field ? REDACTED : redactValue(field);
+    return result;
+  }, {});
+};
+
+// Request bodies arrive as JSON strings after axios serializes them
+const redactBody = (body) => {
+  if (body === undefined || body === null || body === '') return { body: null, truncated: false };
+
+  let value = body;
+  if (typeof body === 'string') {
+    try {
+      value = JSON.parse(body);
+    } catch (error) {
+      return body.length > MAX_BODY_LENGTH
+        ? { body: `${body.slice(0, MAX_BODY_LENGTH)}… (truncated)`, truncated: true }
+        : { body, truncated: false };
+    }
+  }
+
+  const redacted = redactValue(value);
+  const text = JSON.stringify(redacted);
+  if (text && text.length > MAX_BODY_LENGTH) {
+    return { body: `${text.slice(0, MAX_BODY_LENGTH)}… (truncated)`, truncated: true };
+  }
+  return { body: redacted, truncated: false };
+};
+
+// Query parameters the way axios sends them, with secret values redacted
+const buildQuery = (params) => Object.entries(params || {})
+  .filter(([, value]) => value !== undefined && value !== null)
+  .flatMap(([key, value]) => {
+    if (SENSITIVE_FIELDS.test(key)) return [[key, REDACTED]];
+    if (Array.isArray(value)) return value.map(item => [`${key}[]`, item]);
+    return [[key, typeof value === 'object' ? JSON.stringify(value) : value]];
+  })
+  .map(([key, value]) => `${encodeURIComponent(key)}=${encodeURIComponent(value)}`)
+  .join('&');
+
+const buildUrl = (config) => {
+  const url = config.url || '';
+  const fullUrl = /^https?:\/\//i.test(url) ? url : `${(config.baseURL || '').replace(/\/+$/, '')}${url}`;
+  const query = buildQuery(config.params);
+  if (!query) return fullUrl;
+  return `${fullUrl}${fullUrl.includes('?') ? '&' : '?'}${query}`;
+};
+
+const updateEntry = (id, changes) => {
+  let found = false;
+  entries = entries.map((entry) => {
+    if (entry.id !== id) return entry;
+    found = true;
+    return { ...entry, ...changes };
+  });
+  if (found) notify();
+};
+
+/**
+ * Record a request as it is sent
+ * @param {Object} config - axios request config
+ * @returns {number} entry ID, pass it to completeNetworkLogEntry
+ */
+export const startNetworkLogEntry = (config) => {
+  const { body: requestBody, truncated: requestBodyTruncated } = redactBody(config.data);
+  const entry = {
+    id: nextEntryId++,
+    method: (config.method || 'get').toUpperCase(),
+    url: buildUrl(config),
+    path: (config.url || '').replace(/^https?:\/\/[^/]+/i, ''),
+    startedAt: Date.now(),
+    durationMs: null,
+    status: null,
+    error: null,
+    mocked: !!config.adapter && typeof config.adapter === 'function',
+    retryAttempt: config._retryAttempt || 0,
+    requestHeaders: redactHeaders(config.headers),
+    requestBody,
+    // A cut-short body can't be sent again as it is
+    requestBodyTruncated,
+    responseHeaders: null,
+    responseBody: null,
+  };
+
+  // Newest first, dropping the oldest once the buffer is full
+  entries = [entry, ...entries].slice(0, NETWORK_LOG_SIZE);
+  notify();
+  return entry.id;
+};
+
+/**
+ * Record how a logged request ended
+ * @param {Object} config - axios request config carrying `_networkLogId`
+ * @param {Object} outcome - { response } or { error }
+ */
+export const completeNetworkLogEntry = (config, { response, error }) => {
+  const id = config?._networkLogId;
+  if (!id) return;
+
+  const entry = entries.find(e => e.id === id);
+  const result = response || error?.response;
+  updateEntry(id, {
+    durationMs: entry ? Date.now() - entry.startedAt : null,
+    status: result?.status ?? null,
+    error: error ? (error.code ? `${error.code}: ${error.message}` : error.message) : null,
+    responseHeaders: result ? redactHeaders(result.headers) : null,
+    responseBody: result ? redactBody(result.data).body : null,
+  });
+};
+
+/**
+ * Logged requests, newest first
+ * @returns {Array<Object>}
+ */
+export const getNetworkLog = () => entries;
+
+export const clearNetworkLog = () => {
+  entries = [];
+  notify();
+};
+
+/**
+ * Listen for new or updated log entries
+ * @param {Function} listener - called with the full list
+ * @returns {Function} unsubscribe
+ */
+export const subscribeToNetworkLog = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * Serialize one entry for a bug report
+ * @param {Object} entry
+ * @returns {string}
+ */
+export const networkLogEntryToJson = (entry) => JSON.stringify({
+  ...entry,
+  startedAt: new Date(entry.startedAt).toISOString(),
+}, null, 2);
+
+const shellQuote = (value) => `'${String(value).replace(/'/g, `'\\''`)}'`;
+
+/**
+ * Rebuild an entry as a curl command (secrets stay redacted). A body that was
+ * truncated in the log is left out, with a note, rather than sent cut short.
+ * @param {Object} entry
+ * @returns {string}
+ */
+export const networkLogEntryToCurl = (entry) => {
+  const parts = [`curl -X ${entry.method} ${shellQuote(entry.url)}`];
+
+  Object.entries(entry.requestHeaders || {}).forEach(([name, value]) => {
+    parts.push(`-H ${shellQuote(`${name}: ${value}`)}`);
+  });
+
+  if (entry.requestBodyTruncated) {
+    return `# The request body was too long to log in full, so it is left out\n${parts.join(' \\\n  ')}`;
+  }
+
+  if (entry.requestBody !== null && entry.requestBody !== undefined) {
+    const body = typeof entry.requestBody === 'string' ? entry.requestBody : JSON.stringify(entry.requestBody);
+    parts.push(`--data-raw ${shellQuote(body)}`);
+  }
+
+  return parts.join(' \\\n  ');
+};
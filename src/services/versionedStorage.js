@@ -0,0 +1,144 @@
+/**
+ * Versioned persistence for lists kept in AsyncStorage.
+ *
+ * Lists are written as `{ version, items }`. Lists written before versioning (a bare
+ * JSON array) count as version 0. On load, every entry runs through the migrations
+ * newer than its version, in order, and is then validated. Entries that fail either
+ * step are moved to a quarantine list next to the original key rather than dropped,
+ * so they can still be recovered or attached to a bug report.
+ */
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+// Oldest quarantined entries are dropped beyond this
+const MAX_QUARANTINE_SIZE = 50;
+
+/**
+ * Storage key holding the entries quarantined from a list
+ * @param {string} key - key of the list
+ * @returns {string}
+ */
+export const getQuarantineKey = (key) => `${key}_quarantine`;
+
+const describeError = (error) => error?.message || String(error);
+
+/**
+ * Read the version and entries of a stored list
+ * @param {*} stored - parsed JSON
+ * @returns {{ version: number, items: Array }|null} null when it isn't a list at all
+ */
+const unwrap = (stored) => {
+  if (Array.isArray(stored)) return { version: 0, items: stored };
+  if (stored && Number.isInteger(stored.version) && Array.isArray(stored.items)) {
+    return { version: stored.version, items: stored.items };
+  }
+  return null;
+};
+
+/**
+ * Bring stored entries up to the current version. Pure, so it can run on fixtures.
+ * @param {*} stored - parsed JSON as found in storage
+ * @param {Object} schema - { version, migrations: [{ version, migrate(entry) }], validate(entry) }
+ * @returns {{ items: Array, quarantined: Array<{ entry: *, error: string, version: number }>, fromVersion: number|null }}
+ */
+export function migrateVersionedList(stored, { version, migrations = [], validate = (entry) => entry }) {
+  const list = unwrap(stored);
+  if (!list) {
+    return { items: [], quarantined: [{ entry: stored, error: 'Stored data is not a list', version: null }], fromVersion: null };
+  }
+
+  // Data from a newer app version is validated but left as it is
+  const pending = migrations
+    .filter(migration => migration.version > list.version && migration.version <= version)
+    .sort((a, b) => a.version - b.version);
+
+  const items = [];
+  const quarantined = [];
+  list.items.forEach((entry) => {
+    try {
+      const migrated = pending.reduce((current, migration) => migration.migrate(current), entry);
+      items.push(validate(migrated));
+    } catch (error) {
+      quarantined.push({ entry, error: describeError(error), version: list.version });
+    }
+  });
+
+  return { items, quarantined, fromVersion: list.version };
+}
+
+const appendToQuarantine = async (key, records) => {
+  const quarantineKey = getQuarantineKey(key);
+  let existing = [];
+  try {
+    const stored = await AsyncStorage.getItem(quarantineKey);
+    existing = stored ? JSON.parse(stored) : [];
+  } catch (error) {
+    console.error('Error reading quarantine:', error);
+  }
+
+  const quarantinedAt = new Date().toISOString();
+  const entries = [...existing, ...records.map(record => ({ ...record, quarantinedAt }))];
+  await AsyncStorage.setItem(quarantineKey, JSON.stringify(entries.slice(-MAX_QUARANTINE_SIZE)));
+};
+
+/**
+ * Persistence for one kind of list
+ * @param {Object} schema - { version, migrations: [{ version, migrate(entry) }], validate(entry) }
+ *   `validate` returns the entry in its current shape or throws
+ */
+export function createVersionedList(schema) {
+  const write = (key, items) => AsyncStorage.setItem(key, JSON.stringify({ version: schema.version, items }));
+
+  return {
+    /**
+     * Load, migrate and validate a list. Migrated lists are written back right away
+     * so each migration runs once.
+     * @param {string} key
+     * @returns {Promise<{ items: Array, quarantinedCount: number }>}
+     */
+    load: async (key) => {
+      const raw = await AsyncStorage.getItem(key);
+      if (raw === null || raw === undefined) return { items: [], quarantinedCount: 0 };
+
+      let stored;
+      try {
+        stored = JSON.parse(raw);
+      } catch (error) {
+        // Keep the unreadable text; the list starts over empty
+        console.warn(`Quarantining unreadable data under ${key}:`, error.message);
+        await appendToQuarantine(key, [{ entry: raw, error: describeError(error), version: null }]);
+        await write(key, []);
+        return { items: [], quarantinedCount: 1 };
+      }
+
+      const { items, quarantined, fromVersion } = migrateVersionedList(stored, schema);
+
+      if (quarantined.length > 0) {
+        console.warn(`Quarantined ${quarantined.length} invalid entr${quarantined.length === 1 ? 'y' : 'ies'} from ${key}`);
+        await appendToQuarantine(key, quarantined);
+      }
+      if (quarantined.length > 0 || (fromVersion !== null && fromVersion < schema.version)) {
+        await write(key, items);
+      }
+
+      return { items, quarantinedCount: quarantined.length };
+    },
+
+    /**
+     * @param {string} key
+     * @param {Array} items - entries in the current shape
+     */
+    save: (key, items) => write(key, items),
+
+    /**
+     * Entries set aside from a list, oldest first
+     * @param {string} key - key of the list
+     * @returns {Promise<Array<{ entry: *, error: string, version: number|null, quarantinedAt: string }>>}
+     */
+    getQuarantine: async (key) => {
+      const stored = await AsyncStorage.getItem(getQuarantineKey(key));
+      return stored ? JSON.parse(stored) : [];
+    },
+
+    clearQuarantine: (key) => AsyncStorage.removeItem(getQuarantineKey(key)),
+  };
+}
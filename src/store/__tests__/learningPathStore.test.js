@@ -0,0 +1,80 @@
+import useLearningPathStore from '../learningPathStore';
+import useSyncQueueStore from '../syncQueueStore';
+import useConnectivityStore, { CONNECTIVITY_STATUS } from '../connectivityStore';
+import { learningPathService } from '../../services/api';
+import { normalizeLearningPath, schedulePath } from '../../models/learningPath';
+
+jest.mock('@react-native-async-storage/async-storage', () => (
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+));
+
+jest.mock('../../services/api', () => ({
+  learningPathService: { savePath: jest.fn() },
+  isCancelledRequest: () => false,
+  checkHealth: jest.fn(),
+}));
+
+const LOCAL_ID = 'local_abc';
+
+// A path saved while offline, whose create is still waiting in the sync queue
+const localPath = normalizeLearningPath({
+  id: LOCAL_ID,
+  title: 'Learn Rust',
+  topic: 'Rust',
+  time_commitment: 'moderate',
+  milestones: [
+    { id: 'ms_1', title: 'Ownership', estimated_hours: 4 },
+    { id: 'ms_2', title: 'Traits', estimated_hours: 6 },
+  ],
+  updatedAt: '2026-10-01T00:00:00.000Z',
+});
+
+describe('scheduling a path saved offline', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    learningPathService.savePath.mockReset();
+    useConnectivityStore.setState({ status: CONNECTIVITY_STATUS.ONLINE });
+    useSyncQueueStore.setState({ queue: [], userId: 'u1', isReplaying: false });
+    useLearningPathStore.setState({ currentUserId: 'u1', savedPaths: [localPath], currentPath: null, pathIdAliases: {} });
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  it.each([
+    ['setPathStartDate', localPath, (store) => store.setPathStartDate(LOCAL_ID, '2026-10-20')],
+    ['reschedulePath', schedulePath(localPath, '2026-10-01', localPath.updatedAt), (store) => store.reschedulePath(LOCAL_ID)],
+  ])('%s creates the path once and adopts its server ID', async (_, path, schedule) => {
+    useLearningPathStore.setState({ savedPaths: [path] });
+    learningPathService.savePath.mockResolvedValue({ success: true, path_id: 'srv_1' });
+
+    await schedule(useLearningPathStore.getState());
+
+    expect(learningPathService.savePath).toHaveBeenCalledTimes(1);
+    const [[sentPath, { idempotencyKey }]] = learningPathService.savePath.mock.calls;
+    expect(sentPath.id).toBeUndefined();
+    expect(idempotencyKey).toBe(LOCAL_ID);
+
+    const { savedPaths, resolvePathId } = useLearningPathStore.getState();
+    expect(savedPaths.map(p => p.id)).toEqual(['srv_1']);
+    expect(resolvePathId(LOCAL_ID)).toBe('srv_1');
+  });
+
+  it('keeps the queued create and its key while the backend is unreachable', async () => {
+    useConnectivityStore.setState({ status: CONNECTIVITY_STATUS.OFFLINE });
+    await useSyncQueueStore.getState().enqueue('savePath', LOCAL_ID, {
+      path: { ...localPath, id: undefined },
+      idempotencyKey: LOCAL_ID,
+    });
+
+    await useLearningPathStore.getState().setPathStartDate(LOCAL_ID, '2026-10-20');
+
+    const { queue } = useSyncQueueStore.getState();
+    expect(queue).toHaveLength(1);
+    expect(queue[0].payload.idempotencyKey).toBe(LOCAL_ID);
+    expect(queue[0].payload.path.id).toBeUndefined();
+    expect(queue[0].payload.path.startDate).toBe('2026-10-20');
+    expect(learningPathService.savePath).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,87 @@
+import { create } from 'zustand';
+
+import {
+  ACTIVITY_SCHEMA_VERSION,
+  createActivityEvent,
+  normalizeActivityEvent,
+} from '../models/activity';
+import { createVersionedList } from '../services/versionedStorage';
+
+const ACTIVITY_KEY_PREFIX = '@activity_log_';
+
+// Helper to get storage key for a user's activity log
+const getStorageKey = (userId) => `${ACTIVITY_KEY_PREFIX}${userId}`;
+
+const activityStorage = createVersionedList({
+  version: ACTIVITY_SCHEMA_VERSION,
+  validate: normalizeActivityEvent,
+});
+
+// Oldest events are dropped beyond this; a few years of daily study
+const MAX_ACTIVITY_EVENTS = 5000;
+
+/**
+ * Activity log of the current user, kept on this device. Streaks and the
+ * Profile heatmap are computed from it (see models/activity).
+ */
+const useActivityStore = create((set, get) => ({
+  // Oldest first
+  events: [],
+  userId: null,
+
+  // Load a user's activity log (no-op if it is already loaded)
+  loadActivity: async (userId) => {
+    if (get().userId === userId) return;
+
+    set({ events: [], userId });
+    try {
+      const { items } = await activityStorage.load(getStorageKey(userId));
+      if (get().userId !== userId) return;
+      // Events recorded while loading are newer than anything stored
+      set({ events: [...items, ...get().events] });
+    } catch (error) {
+      console.error('Error loading activity log:', error);
+    }
+  },
+
+  /**
+   * Record something the learner just did. Finishing the same milestone or
+   * resource twice on one day counts once.
+   * @param {string} type - one of ACTIVITY_TYPES
+   * @param {Object} [details] - { pathId, targetId }
+   */
+  recordActivity: async (type, details = {}) => {
+    if (!get().userId) return;
+
+    const event = createActivityEvent(type, details);
+    const isRepeat = !!event.targetId && get().events.some(existing => (
+      existing.type === event.type
+      && existing.targetId === event.targetId
+      && existing.pathId === event.pathId
+      && existing.day === event.day
+    ));
+    if (isRepeat) return;
+
+    set({ events: [...get().events, event].slice(-MAX_ACTIVITY_EVENTS) });
+    await get().persistActivity();
+  },
+
+  // Save the activity log to local storage
+  persistActivity: async () => {
+    const { events, userId } = get();
+    if (!userId) return;
+
+    try {
+      await activityStorage.save(getStorageKey(userId), events);
+    } catch (error) {
+      console.error('Error saving activity log:', error);
+    }
+  },
+
+  // Forget the loaded log when switching users (doesn't delete stored data)
+  resetForUserSwitch: () => {
+    set({ events: [], userId: null });
+  },
+}));
+
+export default useActivityStore;
@@ -0,0 +1,103 @@
+import { create } from 'zustand';
+import axios from 'axios';
+import { checkHealth } from '../services/api';
+import { isMockBackendEnabled } from '../services/mockBackend';
+
+export const CONNECTIVITY_STATUS = {
+  UNKNOWN: 'unknown',
+  ONLINE: 'online',
+  WAKING: 'waking',
+  OFFLINE: 'offline',
+  DOWN: 'down',
+};
+
+// What a sleeping backend answers with (or how it times out) while it starts
+const WAKING_STATUS_CODES = [502, 503, 504];
+// A backend that is still not up after this long is treated as down
+const WAKE_UP_TIMEOUT = 180000; // 3 minutes
+// Optional endpoint on another host, used to tell "no internet" from "backend unreachable".
+// Without one, a backend that can't be reached at all counts as offline.
+const INTERNET_PROBE_URL = process.env.EXPO_PUBLIC_INTERNET_PROBE_URL;
+
+/**
+ * Whether requests to the backend can be expected to get through.
+ * An unknown status counts as reachable so nothing is blocked before the first check.
+ * @param {string} status
+ * @returns {boolean}
+ */
+export const isBackendReachable = (status) =>
+  status !== CONNECTIVITY_STATUS.OFFLINE && status !== CONNECTIVITY_STATUS.DOWN;
+
+const hasInternetAccess = async () => {
+  if (!INTERNET_PROBE_URL) return false;
+  try {
+    await axios.get(INTERNET_PROBE_URL, { timeout: 5000, validateStatus: () => true });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+let pendingCheck = null;
+
+/**
+ * Backend reachability shared by every screen: online, waking up (cold start),
+ * offline (no internet) or down (internet works, backend doesn't)
+ */
+const useConnectivityStore = create((set, get) => ({
+  // State
+  status: CONNECTIVITY_STATUS.UNKNOWN,
+  lastCheckedAt: null,
+  latency: null,
+  error: null,
+  // When the backend started answering like it is waking up
+  wakingSince: null,
+
+  // Ping the backend health endpoint and update the status (concurrent calls share one check)
+  checkConnectivity: async () => {
+    if (!pendingCheck) {
+      pendingCheck = get().runCheck().finally(() => {
+        pendingCheck = null;
+      });
+    }
+    return pendingCheck;
+  },
+
+  runCheck: async () => {
+    const result = await checkHealth();
+    const now = Date.now();
+
+    if (result.status !== 'error') {
+      set({
+        status: CONNECTIVITY_STATUS.ONLINE,
+        lastCheckedAt: now,
+        latency: result.latency,
+        error: null,
+        wakingSince: null,
+      });
+      return CONNECTIVITY_STATUS.ONLINE;
+    }
+
+    let status;
+    let { wakingSince } = get();
+    const isWaking = WAKING_STATUS_CODES.includes(result.statusCode) || result.code === 'ECONNABORTED';
+
+    if (isWaking) {
+      wakingSince = wakingSince || now;
+      status = now - wakingSince > WAKE_UP_TIMEOUT ? CONNECTIVITY_STATUS.DOWN : CONNECTIVITY_STATUS.WAKING;
+    } else if (result.statusCode) {
+      wakingSince = null;
+      status = CONNECTIVITY_STATUS.DOWN;
+    } else {
+      wakingSince = null;
+      // The mock backend's "offline" failure mode stands in for a lost connection
+      const online = !isMockBackendEnabled() && await hasInternetAccess();
+      status = online ? CONNECTIVITY_STATUS.DOWN : CONNECTIVITY_STATUS.OFFLINE;
+    }
+
+    set({ status, lastCheckedAt: now, latency: null, error: result.error, wakingSince });
+    return status;
+  },
+}));
+
+export default useConnectivityStore;
@@ -1,12 +1,125 @@
 import { create } from 'zustand';
-import AsyncStorage from '@react-native-async-storage/async-storage';
-import { learningPathService } from '../services/api';
+import { learningPathService, isCancelledRequest } from '../services/api';
+import { generateId } from '../utils';
+import {
+  normalizeLearningPath,
+  normalizeLearningPaths,
+  getLearningPathContentHash,
+  queryLearningPaths,
+  matchesPathQuery,
+  applyPathMetadata,
+  getPathMetadata,
+  DEFAULT_PATH_FILTERS,
+  DEFAULT_PATH_SORT,
+  LearningPathValidationError,
+  LEARNING_PATH_SCHEMA_VERSION,
+  LEARNING_PATH_MIGRATIONS,
+  mergeLearningPaths,
+  applyPathEdits,
+  schedulePath,
+  reschedulePath,
+  isTrashExpired,
+  RESOURCE_STATUS,
+} from '../models/learningPath';
+import {
+  GENERATION_JOB_STATUS,
+  GENERATION_JOB_SCHEMA_VERSION,
+  createGenerationJob,
+  normalizeGenerationJob,
+  isActiveGenerationJob,
+  getJobStatusForTask,
+} from '../models/generationJob';
+import { ACTIVITY_TYPES } from '../models/activity';
+import { createVersionedList } from '../services/versionedStorage';
+import useSyncQueueStore, { sendOperation } from './syncQueueStore';
+import useActivityStore from './activityStore';
+import useConnectivityStore, { isBackendReachable } from './connectivityStore';
 
 const SAVED_PATHS_KEY_PREFIX = '@saved_learning_paths_';
 const GUEST_USER_ID = 'guest';
 
+const TRASHED_PATHS_KEY_PREFIX = '@trashed_learning_paths_';
+
 // Helper to get storage key for a user
 const getStorageKey = (userId) => `${SAVED_PATHS_KEY_PREFIX}${userId || GUEST_USER_ID}`;
+const getTrashStorageKey = (userId) => `${TRASHED_PATHS_KEY_PREFIX}${userId || GUEST_USER_ID}`;
+
+// Saved paths on disk are migrated to the current schema and validated on load
+const savedPathsStorage = createVersionedList({
+  version: LEARNING_PATH_SCHEMA_VERSION,
+  migrations: LEARNING_PATH_MIGRATIONS,
+  validate: normalizeLearningPath,
+});
+
+const GENERATION_JOBS_KEY_PREFIX = '@generation_jobs_';
+const getGenerationJobsKey = (userId) => `${GENERATION_JOBS_KEY_PREFIX}${userId || GUEST_USER_ID}`;
+
+const generationJobsStorage = createVersionedList({
+  version: GENERATION_JOB_SCHEMA_VERSION,
+  validate: normalizeGenerationJob,
+});
+
+// Finished jobs listed beyond the unfinished ones
+const MAX_FINISHED_GENERATION_JOBS = 20;
+
+// Guests have no server account, so their changes are never queued for sync
+const isSignedInUser = (userId) => !!userId && userId !== GUEST_USER_ID;
+
+// IDs given to paths saved while offline, replaced by the server ID once synced
+const LOCAL_PATH_ID_PREFIX = 'local_';
+const isLocalPathId = (pathId) => typeof pathId === 'string' && pathId.startsWith(LOCAL_PATH_ID_PREFIX);
+
+// Whether the server has the path, or will once its queued save goes through
+const hasServerCopy = (pathId) => !isLocalPathId(pathId) || useSyncQueueStore.getState().hasPending(pathId);
+
+// Skip requests that are known to fail while the backend is offline or down
+const canReachBackend = () => isBackendReachable(useConnectivityStore.getState().status);
+
+// Generation results don't always repeat the choices they were made from, which
+// the schedule is planned with
+const withGenerationParams = (result, params = {}) => {
+  if (!result || typeof result !== 'object') return result;
+  return {
+    ...result,
+    time_commitment: result.time_commitment || params.time_commitment,
+    duration_weeks: result.duration_weeks || params.duration_weeks,
+  };
+};
+
+// The copy of a path sent to the server; sync bookkeeping stays on the device
+const toServerPath = (path) => {
+  const serverPath = { ...path };
+  delete serverPath.syncedAt;
+  return serverPath;
+};
+
+// Guest paths saved by older versions may have no ID, so they are told apart by content
+export const getGuestPathKey = (path) => path.id || getLearningPathContentHash(path);
+
+// Paths requested per page of the Dashboard listing
+const PATHS_PAGE_SIZE = 20;
+
+// Only the latest listing request may update the list (e.g. while a search is typed)
+let pathListRequestId = 0;
+
+// Aborts the request starting a generation; replaced for every new generation
+let generationController = null;
+
+// Stops following a generation task, by task ID
+const generationWatchers = new Map();
+
+// User whose generation jobs have been read from storage
+let generationJobsUserId;
+
+const stopGenerationWatchers = () => {
+  generationWatchers.forEach(stopWatching => stopWatching());
+  generationWatchers.clear();
+};
+
+const abortGeneration = () => {
+  generationController?.abort();
+  generationController = null;
+};
 
 const useLearningPathStore = create((set, get) => ({
   // State
@@ -14,180 +127,852 @@ const useLearningPathStore = create((set, get) => ({
   currentPath: null,
   taskId: null,
   taskStatus: null,
+  // Live generation progress: { stage, percent, message, partialMilestones }
+  taskProgress: null,
+  // True while a generation is being started
   isGenerating: false,
+  // Generations started on this device, newest first (see models/generationJob)
+  generationJobs: [],
   error: null,
   isLoading: false,
   currentUserId: null,
+  // Local path IDs that have since been replaced by server IDs
+  pathIdAliases: {},
+  // Dashboard listing: IDs into savedPaths, loaded a page at a time
+  pathListIds: [],
+  pathListQuery: { search: '', sort: DEFAULT_PATH_SORT, ...DEFAULT_PATH_FILTERS },
+  pathListCursor: null,
+  pathListTotal: null,
+  isLoadingMorePaths: false,
+  // Paths changed both here and on another device: { pathId, remote, fields }
+  syncConflicts: [],
+  // Deleted paths (with `deletedAt`), restorable until purged
+  trashedPaths: [],
+  // Paths saved on this device in guest mode, offered for upload once signed in
+  guestPaths: [],
+  // Upload state per guest path key: { status: 'uploading' | 'done' | 'failed', error? }
+  guestMigration: {},
+  isMigratingGuestPaths: false,
+  // The import screen opens by itself once per sign-in
+  guestMigrationOffered: false,
 
   // Set current user (called when user logs in/out)
   setCurrentUser: (userId) => {
     set({ currentUserId: userId });
   },
 
-  // Set current path directly
-  setCurrentPath: (path) => set({ currentPath: path }),
+  // Set current path directly (returns false if the data isn't a valid path)
+  setCurrentPath: (path) => {
+    try {
+      set({ currentPath: path ? normalizeLearningPath(path) : null });
+      return true;
+    } catch (error) {
+      console.log('Rejected learning path:', error.message);
+      set({ error: error.message });
+      return false;
+    }
+  },
 
-  // Load saved paths from storage for a specific user
+  // Load a user's saved paths: the local copy first, then the first page from the API
   loadSavedPaths: async (userId) => {
     try {
       set({ isLoading: true, currentUserId: userId });
 
-      // Try to get from API first (for logged-in users)
-      if (userId && userId !== GUEST_USER_ID) {
-        try {
-          const response = await learningPathService.getSavedPaths();
-          if (response.paths) {
-            set({ savedPaths: response.paths, isLoading: false });
-            // Also persist to local storage as backup
-            await AsyncStorage.setItem(getStorageKey(userId), JSON.stringify(response.paths));
-            return;
-          }
-        } catch (apiError) {
-          console.log('Could not load paths from API, using local storage');
-        }
-      }
+      // Local storage keeps every path this device has seen (and is primary for guests)
+      const { items } = await savedPathsStorage.load(getStorageKey(userId));
+      set({ savedPaths: items });
+
+      await get().loadTrash();
+      await useActivityStore.getState().loadActivity(userId);
 
-      // Fallback to local storage (or primary for guest users)
-      const storageKey = getStorageKey(userId);
-      const stored = await AsyncStorage.getItem(storageKey);
-      if (stored) {
-        set({ savedPaths: JSON.parse(stored), isLoading: false });
+      if (generationJobsUserId !== userId) {
+        await get().loadGenerationJobs();
       } else {
-        set({ savedPaths: [], isLoading: false });
+        get().resumeGenerationJobs();
+      }
+
+      if (isSignedInUser(userId)) {
+        // Push changes made offline before trusting the server copy
+        await useSyncQueueStore.getState().loadQueue(userId, items);
+        await get().flushPendingSync();
+        await get().syncTrash();
+        await get().loadGuestPaths();
       }
+
+      await get().fetchPathList();
+      set({ isLoading: false });
     } catch (error) {
       console.error('Error loading saved paths:', error);
       set({ error: error.message, isLoading: false });
     }
   },
 
+  /**
+   * Load the first page of the Dashboard listing. Signed-in users page through the
+   * server; guests, or anyone who can't reach it, get the local copy filtered the same way.
+   * @param {Object} [query] - { search, sort } and filters (see DEFAULT_PATH_FILTERS), merged into the current query
+   */
+  fetchPathList: async (query = {}) => {
+    const pathListQuery = { ...get().pathListQuery, ...query };
+    const requestId = ++pathListRequestId;
+    set({ pathListQuery, isLoadingMorePaths: false });
+
+    const page = await get().fetchPathsPage(pathListQuery, null);
+    if (requestId !== pathListRequestId) return;
+
+    set({ pathListIds: page.ids, pathListCursor: page.nextCursor, pathListTotal: page.total });
+  },
+
+  // Append the next page of the Dashboard listing, if there is one
+  loadMorePaths: async () => {
+    const { pathListCursor, pathListQuery, isLoadingMorePaths } = get();
+    if (!pathListCursor || isLoadingMorePaths) return;
+
+    const requestId = pathListRequestId;
+    set({ isLoadingMorePaths: true });
+
+    const page = await get().fetchPathsPage(pathListQuery, pathListCursor);
+    // A new search or refresh started meanwhile
+    if (requestId !== pathListRequestId) return;
+
+    if (!page) {
+      set({ isLoadingMorePaths: false });
+      return;
+    }
+
+    const knownIds = new Set(get().pathListIds);
+    set({
+      pathListIds: [...get().pathListIds, ...page.ids.filter(id => !knownIds.has(id))],
+      pathListCursor: page.nextCursor,
+      pathListTotal: page.total ?? get().pathListTotal,
+      isLoadingMorePaths: false,
+    });
+  },
+
+  /**
+   * Fetch one page of the listing, caching the paths it returns in savedPaths
+   * @returns {Promise<{ ids: string[], nextCursor: string|null, total: number|null }|null>}
+   *   null when a later page couldn't be loaded
+   */
+  fetchPathsPage: async (query, cursor) => {
+    if (isSignedInUser(get().currentUserId) && canReachBackend()) {
+      try {
+        const response = await learningPathService.getSavedPaths({ ...query, cursor, limit: PATHS_PAGE_SIZE });
+        if (response.paths) {
+          const paths = normalizeLearningPaths(response.paths);
+          get().cachePaths(paths);
+
+          // Paths saved offline aren't on the server yet, so they lead the first page
+          const localIds = cursor
+            ? []
+            : queryLearningPaths(get().savedPaths.filter(p => isLocalPathId(p.id)), query).map(p => p.id);
+          const trashedIds = new Set(get().trashedPaths.map(p => p.id));
+          const nextCursor = response.next_cursor || null;
+          // Servers without pagination send everything at once
+          const serverTotal = response.total ?? (nextCursor ? null : paths.length);
+
+          return {
+            ids: [...localIds, ...paths.map(p => p.id).filter(id => !trashedIds.has(id))],
+            nextCursor,
+            total: serverTotal === null ? null : serverTotal + localIds.length,
+          };
+        }
+      } catch (apiError) {
+        console.log('Could not load paths from API, using local storage');
+      }
+    }
+
+    // Later pages only exist on the server; keep the cursor so scrolling can try again
+    if (cursor) return null;
+
+    const paths = queryLearningPaths(get().savedPaths, query);
+    return { ids: paths.map(p => p.id), nextCursor: null, total: paths.length };
+  },
+
+  // Merge paths loaded from the API into savedPaths, collecting conflicts the user has to resolve
+  cachePaths: (paths) => {
+    const syncQueue = useSyncQueueStore.getState();
+    const savedPaths = [...get().savedPaths];
+    const syncConflicts = get().syncConflicts.filter(c => !paths.some(p => p.id === c.pathId));
+    const pathsToPush = [];
+    // Trashed here, and the server hasn't heard yet
+    const trashedIds = new Set(get().trashedPaths.map(p => p.id));
+
+    paths.filter(remote => !trashedIds.has(remote.id)).forEach((remote) => {
+      const index = savedPaths.findIndex(p => p.id === remote.id);
+      if (index < 0) {
+        savedPaths.push({ ...remote, syncedAt: remote.updatedAt });
+        return;
+      }
+
+      const hasPendingChanges = syncQueue.hasPending(remote.id);
+      const { path, conflicts, needsPush } = mergeLearningPaths(savedPaths[index], remote, { hasPendingChanges });
+      savedPaths[index] = path;
+      if (conflicts.length > 0) {
+        syncConflicts.push({ pathId: remote.id, remote, fields: conflicts });
+      } else if (needsPush && !hasPendingChanges) {
+        pathsToPush.push(path);
+      }
+    });
+
+    const { currentPath } = get();
+    const updatedCurrentPath = currentPath && savedPaths.find(p => p.id === currentPath.id);
+    set({ savedPaths, syncConflicts, currentPath: updatedCurrentPath || currentPath });
+    get().persistPaths();
+
+    pathsToPush.forEach(path => get().pushPath(path));
+  },
+
+  // Send this device's copy of a saved path to the server
+  pushPath: async (path) => {
+    // A path saved offline is still being created: the server assigns its ID, and every
+    // attempt carries the key of its first save so it is stored once (see savePath)
+    const isLocal = isLocalPathId(path.id);
+    const { synced, response } = await get().syncMutation('savePath', path.id, {
+      path: toServerPath({ ...path, id: isLocal ? undefined : path.id }),
+      idempotencyKey: isLocal ? path.id : generateId(),
+    });
+    if (!synced) return;
+
+    if (isLocal && response?.path_id && response.path_id !== path.id) {
+      get().replacePathId(path.id, response.path_id);
+    }
+    get().markPathSynced(path.id, path.updatedAt);
+  },
+
+  // Record that the server has a path's changes up to `updatedAt`
+  markPathSynced: (routePathId, updatedAt) => {
+    const pathId = get().resolvePathId(routePathId);
+    const path = get().savedPaths.find(p => p.id === pathId);
+    if (!path || !updatedAt || Date.parse(updatedAt) <= Date.parse(path.syncedAt || 0)) return;
+
+    get().replaceSavedPath({ ...path, syncedAt: updatedAt });
+  },
+
+  // Swap in a new version of a saved path (and of currentPath when it is the same path)
+  replaceSavedPath: (path) => {
+    const { savedPaths, currentPath } = get();
+    set({
+      savedPaths: savedPaths.map(p => (p.id === path.id ? path : p)),
+      currentPath: currentPath?.id === path.id ? path : currentPath,
+    });
+    get().persistPaths();
+  },
+
+  /**
+   * Settle a conflict by keeping one side
+   * @param {string} pathId
+   * @param {'local'|'remote'} keep - this device's copy, or the server's
+   */
+  resolveSyncConflict: async (pathId, keep) => {
+    const conflict = get().syncConflicts.find(c => c.pathId === pathId);
+    if (!conflict) return;
+
+    const { remote } = conflict;
+    set({ syncConflicts: get().syncConflicts.filter(c => c.pathId !== pathId) });
+
+    if (keep === 'remote') {
+      // Queued changes were made to the copy being thrown away
+      await useSyncQueueStore.getState().discardPath(pathId);
+      get().replaceSavedPath({ ...remote, syncedAt: remote.updatedAt });
+      return;
+    }
+
+    const local = get().savedPaths.find(p => p.id === pathId);
+    if (!local) return;
+
+    // Based on the server copy now, so it replaces it everywhere
+    const path = { ...local, updatedAt: new Date().toISOString(), syncedAt: remote.updatedAt };
+    get().replaceSavedPath(path);
+    await get().pushPath(path);
+  },
+
+  markGuestMigrationOffered: () => set({ guestMigrationOffered: true }),
+
+  // Load the paths left on this device from guest mode
+  loadGuestPaths: async () => {
+    try {
+      const { items } = await savedPathsStorage.load(getStorageKey(GUEST_USER_ID));
+      set({ guestPaths: items });
+    } catch (error) {
+      console.error('Error loading guest paths:', error);
+    }
+  },
+
+  /**
+   * Upload guest paths, with their milestone progress, to the signed-in account.
+   * A guest copy is only removed from the device once the server confirms it.
+   * @returns {Promise<Array<{ key: string, title: string, success: boolean, error?: string }>>}
+   */
+  migrateGuestPaths: async () => {
+    const { currentUserId, guestPaths, isMigratingGuestPaths } = get();
+    if (!isSignedInUser(currentUserId) || isMigratingGuestPaths) return [];
+
+    set({ isMigratingGuestPaths: true });
+    const setStatus = (key, status) => set({ guestMigration: { ...get().guestMigration, [key]: status } });
+    const results = [];
+
+    for (const guestPath of guestPaths) {
+      const key = getGuestPathKey(guestPath);
+      const title = guestPath.topic || guestPath.title;
+      setStatus(key, { status: 'uploading' });
+
+      try {
+        const updatedAt = guestPath.updatedAt || new Date().toISOString();
+        // Keyed by the guest copy, so a retry after a lost response can't upload it twice
+        const response = await learningPathService.savePath(
+          toServerPath({ ...guestPath, id: undefined, updatedAt }),
+          { idempotencyKey: `guest_${key}` }
+        );
+        if (!response?.success || !response.path_id) {
+          throw new Error(response?.error || 'The server did not confirm the upload');
+        }
+
+        get().addMigratedPath({ ...guestPath, id: response.path_id, updatedAt, syncedAt: updatedAt });
+        await get().removeGuestPath(key);
+        setStatus(key, { status: 'done' });
+        results.push({ key, title, success: true });
+      } catch (error) {
+        const message = error.response?.data?.error || error.message;
+        setStatus(key, { status: 'failed', error: message });
+        results.push({ key, title, success: false, error: message });
+      }
+    }
+
+    set({ isMigratingGuestPaths: false });
+    return results;
+  },
+
+  // Add a path uploaded from guest mode to the signed-in user's paths
+  addMigratedPath: (path) => {
+    const { savedPaths, pathListIds, pathListTotal } = get();
+    set({
+      savedPaths: [path, ...savedPaths.filter(p => p.id !== path.id)],
+      pathListIds: [path.id, ...pathListIds.filter(id => id !== path.id)],
+      pathListTotal: pathListTotal === null || pathListIds.includes(path.id) ? pathListTotal : pathListTotal + 1,
+    });
+    get().persistPaths();
+  },
+
+  // Drop one guest path from the device
+  removeGuestPath: async (key) => {
+    const guestPaths = get().guestPaths.filter(p => getGuestPathKey(p) !== key);
+    set({ guestPaths });
+    await savedPathsStorage.save(getStorageKey(GUEST_USER_ID), guestPaths);
+  },
+
   // Save paths to local storage (as backup)
   persistPaths: async () => {
     try {
       const { savedPaths, currentUserId } = get();
-      const storageKey = getStorageKey(currentUserId);
-      await AsyncStorage.setItem(storageKey, JSON.stringify(savedPaths));
+      await savedPathsStorage.save(getStorageKey(currentUserId), savedPaths);
     } catch (error) {
       console.error('Error persisting paths:', error);
     }
   },
 
-  // Generate a new learning path
+  // Resolve a path ID that may have been replaced after syncing
+  resolvePathId: (pathId) => get().pathIdAliases[pathId] || pathId,
+
+  /**
+   * Send a saved-path mutation to the API, queueing it for later if the backend
+   * can't be reached or earlier changes are still waiting to sync
+   * @returns {Promise<{ synced: boolean, response?: Object }>}
+   */
+  syncMutation: async (type, pathId, payload = {}) => {
+    const { currentUserId } = get();
+    const syncQueue = useSyncQueueStore.getState();
+    const canQueue = isSignedInUser(currentUserId);
+
+    // Keep server-side order intact behind anything already queued
+    if (canQueue && syncQueue.hasPending()) {
+      await syncQueue.enqueue(type, pathId, payload);
+      get().flushPendingSync();
+      return { synced: false };
+    }
+
+    // No point waiting for a request that can't get through
+    if (canQueue && !canReachBackend()) {
+      await syncQueue.enqueue(type, pathId, payload);
+      return { synced: false };
+    }
+
+    try {
+      const response = await sendOperation(type, pathId, payload);
+      return { synced: true, response };
+    } catch (apiError) {
+      if (!canQueue) {
+        console.log(`Could not ${type} in API:`, apiError.message);
+        return { synced: false };
+      }
+      console.log(`Could not ${type} in API, queued for sync`);
+      await syncQueue.enqueue(type, pathId, payload);
+      return { synced: false };
+    }
+  },
+
+  // Replay queued mutations, adopting server IDs for paths saved offline
+  flushPendingSync: async () => {
+    if (!canReachBackend()) {
+      return { synced: 0, remaining: useSyncQueueStore.getState().queue.length };
+    }
+    return useSyncQueueStore.getState().replay({
+      onPathSaved: (localId, serverId) => get().replacePathId(localId, serverId),
+      onSynced: (operation) => get().markPathSynced(operation.pathId, operation.payload.updatedAt),
+    });
+  },
+
+  // Swap a locally generated path ID for the one assigned by the server
+  replacePathId: (localId, serverId) => {
+    const { savedPaths, currentPath, pathIdAliases } = get();
+    set({
+      savedPaths: savedPaths.map(p => (p.id === localId ? { ...p, id: serverId } : p)),
+      trashedPaths: get().trashedPaths.map(p => (p.id === localId ? { ...p, id: serverId } : p)),
+      currentPath: currentPath?.id === localId ? { ...currentPath, id: serverId } : currentPath,
+      pathIdAliases: { ...pathIdAliases, [localId]: serverId },
+      pathListIds: get().pathListIds.map(id => (id === localId ? serverId : id)),
+    });
+    get().persistPaths();
+    get().persistTrash();
+  },
+
+  /**
+   * Start generating a learning path. Each generation becomes a job that keeps
+   * running (and is resumed after a restart) while others are started.
+   * @param {Object} formData - the generation request
+   * @returns {Promise<{ success: boolean, taskId?: string, immediate?: boolean, result?: Object, cancelled?: boolean, error?: string }>}
+   */
   generatePath: async (formData) => {
+    abortGeneration();
+    const controller = new AbortController();
+    generationController = controller;
+    // A cancelled or superseded start must not touch the store
+    const isCancelled = () => generationController !== controller;
+
     try {
-      set({ isGenerating: true, error: null, taskId: null, taskStatus: null });
+      set({ isGenerating: true, error: null, taskId: null, taskStatus: null, taskProgress: null });
 
-      const response = await learningPathService.generate(formData);
+      const response = await learningPathService.generate(formData, { signal: controller.signal });
+      if (isCancelled()) {
+        return { success: false, cancelled: true };
+      }
+      generationController = null;
 
       // Check if the result was returned immediately (sync mode without Redis)
       if (response.status === 'finished' && response.result) {
+        const result = normalizeLearningPath(withGenerationParams(response.result, formData));
+        const taskId = response.task_id || generateId();
+        const finishedAt = new Date().toISOString();
+        get().addGenerationJob({
+          ...createGenerationJob(taskId, formData),
+          status: GENERATION_JOB_STATUS.FINISHED,
+          result,
+          finishedAt,
+        });
         set({
-          currentPath: response.result,
-          taskId: response.task_id,
+          currentPath: result,
+          taskId,
           taskStatus: 'finished',
           isGenerating: false
         });
-        return { success: true, taskId: response.task_id, immediate: true, result: response.result };
+        return { success: true, taskId, immediate: true, result };
       }
 
-      // Async mode - need to poll for status
-      set({ taskId: response.task_id, taskStatus: response.status });
+      // Async mode - followed in the background until it finishes
+      get().addGenerationJob({
+        ...createGenerationJob(response.task_id, formData),
+        status: getJobStatusForTask(response.status),
+      });
+      set({ taskId: response.task_id, taskStatus: response.status, isGenerating: false });
+      get().watchGenerationJob(response.task_id);
       return { success: true, taskId: response.task_id, immediate: false };
     } catch (error) {
-      const errorMessage = error.response?.data?.error || 'Failed to start generation';
+      if (isCancelled() || isCancelledRequest(error)) {
+        return { success: false, cancelled: true };
+      }
+      generationController = null;
+      const errorMessage = error instanceof LearningPathValidationError
+        ? error.message
+        : error.response?.data?.error || 'Failed to start generation';
       set({ error: errorMessage, isGenerating: false });
       return { success: false, error: errorMessage };
     }
   },
 
-  // Poll for task status
-  pollStatus: async () => {
+  /**
+   * Stop the generation shown on screen: abort its requests, cancel the server task
+   * and reset generation state. Results that arrive afterwards are ignored.
+   */
+  cancelGeneration: async () => {
     const { taskId } = get();
-    if (!taskId) return { status: 'no_task' };
+    get().resetGeneration();
+    if (taskId) {
+      await get().cancelGenerationJob(taskId);
+    }
+  },
 
+  /**
+   * Show a generation job on the progress screen. Its progress, result or error
+   * is mirrored into taskStatus, taskProgress, currentPath and error.
+   * @param {string} taskId
+   */
+  focusGenerationJob: (taskId) => {
+    const job = get().generationJobs.find(j => j.taskId === taskId);
+    if (!job) return;
+
+    set({ taskId, taskStatus: null, taskProgress: job.progress, error: null });
+    if (job.status === GENERATION_JOB_STATUS.FINISHED && job.result) {
+      set({ currentPath: job.result, taskStatus: 'finished' });
+    } else if (!isActiveGenerationJob(job)) {
+      set({ error: job.error || 'Generation failed', taskStatus: 'failed' });
+    } else {
+      get().watchGenerationJob(taskId);
+    }
+  },
+
+  // Stop showing an unfinished job; it keeps running in the background
+  blurGenerationJob: (taskId) => {
+    const { taskId: focusedTaskId, taskStatus } = get();
+    if (focusedTaskId === taskId && taskStatus !== 'finished') {
+      set({ taskId: null, taskStatus: null, taskProgress: null, error: null });
+    }
+  },
+
+  /**
+   * Follow a generation task until it finishes (streamed progress, polling as fallback).
+   * Does nothing when the task is already being followed.
+   * @param {string} taskId
+   */
+  watchGenerationJob: (taskId) => {
+    if (!taskId || generationWatchers.has(taskId)) return;
+
+    // Only the job on screen updates the shared generation state
+    const isFocused = () => get().taskId === taskId;
+    const resultController = new AbortController();
+    const stopWatching = () => {
+      subscription.close();
+      resultController.abort();
+      generationWatchers.delete(taskId);
+    };
+
+    const subscription = learningPathService.subscribeToProgress(taskId, {
+      onProgress: async (progress) => {
+        const { stage, percent, message } = progress;
+        const job = get().generationJobs.find(j => j.taskId === taskId);
+        if (!job || !isActiveGenerationJob(job)) return;
+        if (isFocused()) {
+          set({ taskStatus: progress.status, taskProgress: progress });
+        }
+
+        if (progress.status === 'finished') {
+          try {
+            const rawResult = progress.result || await learningPathService.getResult(taskId, {
+              signal: resultController.signal,
+            });
+            const result = normalizeLearningPath(withGenerationParams(rawResult, job.params));
+            get().updateGenerationJob(taskId, {
+              status: GENERATION_JOB_STATUS.FINISHED,
+              progress: { stage, percent, message },
+              result,
+              finishedAt: new Date().toISOString(),
+            });
+            if (isFocused()) {
+              set({ currentPath: result, taskStatus: 'finished' });
+            }
+          } catch (error) {
+            if (isCancelledRequest(error)) return;
+            get().failGenerationJob(taskId, error.response?.data?.error || error.message);
+          }
+          generationWatchers.delete(taskId);
+        } else if (progress.status === 'failed') {
+          get().failGenerationJob(taskId, progress.error || 'Generation failed');
+          generationWatchers.delete(taskId);
+        } else {
+          const status = getJobStatusForTask(progress.status);
+          get().updateGenerationJob(taskId, { status, progress: { stage, percent, message } }, {
+            // Progress alone isn't worth a write; it is seen again after a restart
+            persist: status !== job.status,
+          });
+        }
+      },
+      onError: (error) => {
+        generationWatchers.delete(taskId);
+        if (error.response?.status === 404) {
+          get().failGenerationJob(taskId, 'This generation is no longer available on the server');
+        } else if (isFocused()) {
+          // The job stays unfinished and is picked up again on the next launch
+          set({ error: error.message });
+        }
+      },
+    });
+
+    generationWatchers.set(taskId, stopWatching);
+  },
+
+  /**
+   * Stop a generation job and cancel its server task
+   * @param {string} taskId
+   */
+  cancelGenerationJob: async (taskId) => {
+    const job = get().generationJobs.find(j => j.taskId === taskId);
+    generationWatchers.get(taskId)?.();
+    if (!job || !isActiveGenerationJob(job)) return;
+
+    get().updateGenerationJob(taskId, {
+      status: GENERATION_JOB_STATUS.CANCELLED,
+      finishedAt: new Date().toISOString(),
+    });
     try {
-      const statusData = await learningPathService.checkStatus(taskId);
-      set({ taskStatus: statusData.status });
+      await learningPathService.cancelTask(taskId);
+    } catch (error) {
+      // The task finishes on its own; its result is simply never used
+      console.log('Failed to cancel generation task:', error.message);
+    }
+  },
 
-      if (statusData.status === 'finished') {
-        // Fetch the result
-        const result = await learningPathService.getResult(taskId);
-        set({
-          currentPath: result,
-          isGenerating: false,
-          taskStatus: 'finished'
-        });
-        return { status: 'finished', result };
-      } else if (statusData.status === 'failed') {
-        set({
-          error: statusData.error || 'Generation failed',
-          isGenerating: false,
-          taskStatus: 'failed'
-        });
-        return { status: 'failed', error: statusData.error };
-      }
+  failGenerationJob: (taskId, error) => {
+    get().updateGenerationJob(taskId, {
+      status: GENERATION_JOB_STATUS.FAILED,
+      error,
+      finishedAt: new Date().toISOString(),
+    });
+    if (get().taskId === taskId) {
+      set({ error, taskStatus: 'failed' });
+    }
+  },
+
+  /**
+   * Make a finished job's result the current path (to view or save it)
+   * @param {string} taskId
+   * @returns {boolean} false when the job has no result
+   */
+  openGenerationJob: (taskId) => {
+    const job = get().generationJobs.find(j => j.taskId === taskId);
+    if (!job?.result) return false;
+    set({ currentPath: job.result, taskId, taskStatus: 'finished', taskProgress: null, error: null });
+    return true;
+  },
 
-      return { status: statusData.status };
+  // Drop a job from the list, cancelling it if it is still running
+  removeGenerationJob: async (taskId) => {
+    await get().cancelGenerationJob(taskId);
+    set({ generationJobs: get().generationJobs.filter(j => j.taskId !== taskId) });
+    await get().persistGenerationJobs();
+  },
+
+  addGenerationJob: (job) => {
+    set({ generationJobs: [job, ...get().generationJobs.filter(j => j.taskId !== job.taskId)] });
+    get().persistGenerationJobs();
+  },
+
+  updateGenerationJob: (taskId, changes, { persist = true } = {}) => {
+    const updatedAt = new Date().toISOString();
+    set({
+      generationJobs: get().generationJobs.map(job => (
+        job.taskId === taskId ? { ...job, ...changes, updatedAt } : job
+      )),
+    });
+    if (persist) {
+      get().persistGenerationJobs();
+    }
+  },
+
+  // Load the current user's generation jobs and follow the unfinished ones again
+  loadGenerationJobs: async () => {
+    const { currentUserId } = get();
+    try {
+      const { items } = await generationJobsStorage.load(getGenerationJobsKey(currentUserId));
+      if (get().currentUserId !== currentUserId) return;
+      // Jobs started while loading are newer than anything stored
+      const startedIds = new Set(get().generationJobs.map(job => job.taskId));
+      set({ generationJobs: [...get().generationJobs, ...items.filter(job => !startedIds.has(job.taskId))] });
+      generationJobsUserId = currentUserId;
     } catch (error) {
-      set({ error: error.message, isGenerating: false });
-      return { status: 'error', error: error.message };
+      console.error('Error loading generation jobs:', error);
     }
+    get().resumeGenerationJobs();
   },
 
-  // Save current path
-  savePath: async () => {
+  // Follow every unfinished job that isn't being followed yet
+  resumeGenerationJobs: () => {
+    get().generationJobs
+      .filter(isActiveGenerationJob)
+      .forEach(job => get().watchGenerationJob(job.taskId));
+  },
+
+  persistGenerationJobs: async () => {
+    const { currentUserId, generationJobs } = get();
+    // Unfinished jobs are always kept; only the newest finished ones are
+    let finishedCount = 0;
+    const kept = generationJobs.filter((job) => {
+      if (isActiveGenerationJob(job)) return true;
+      finishedCount++;
+      return finishedCount <= MAX_FINISHED_GENERATION_JOBS;
+    });
+    try {
+      await generationJobsStorage.save(getGenerationJobsKey(currentUserId), kept);
+    } catch (error) {
+      console.error('Error saving generation jobs:', error);
+    }
+  },
+
+  /**
+   * Save the current path. When an identical path is already saved, nothing is
+   * saved until the caller picks what to do with the copy.
+   * @param {Object} [options] - { onDuplicate: 'update' | 'keepBoth', startDate: YYYY-MM-DD to schedule it from }
+   * @returns {Promise<{ success: boolean, pathId?: string, pendingSync?: boolean, duplicate?: Object, error?: string }>}
+   */
+  savePath: async ({ onDuplicate, startDate } = {}) => {
     const { currentPath, savedPaths } = get();
     if (!currentPath) return { success: false, error: 'No path to save' };
 
     try {
-      // Try to save to API
-      let pathId = currentPath.id;
-      try {
-        const response = await learningPathService.savePath(currentPath);
-        if (response.success) {
-          pathId = response.path_id;
+      let pathId = get().resolvePathId(currentPath.id);
+      let pathContent = currentPath;
+
+      // A path that isn't saved yet may still be a copy of one that is
+      const isSaved = !!pathId && savedPaths.some(p => p.id === pathId);
+      if (!isSaved) {
+        const contentHash = getLearningPathContentHash(currentPath);
+        const duplicate = savedPaths.find(p => getLearningPathContentHash(p) === contentHash);
+
+        if (duplicate && onDuplicate === 'update') {
+          // Same content, so the progress, notes and organizing of the saved copy still apply
+          pathId = duplicate.id;
+          pathContent = {
+            ...currentPath,
+            milestones: duplicate.milestones,
+            completedMilestones: duplicate.completedMilestones,
+            milestoneUpdatedAt: duplicate.milestoneUpdatedAt,
+            notes: duplicate.notes,
+            resourceProgress: duplicate.resourceProgress,
+            ...getPathMetadata(duplicate),
+            metadataUpdatedAt: duplicate.metadataUpdatedAt,
+            startDate: duplicate.startDate,
+            schedule: duplicate.schedule,
+            scheduleUpdatedAt: duplicate.scheduleUpdatedAt,
+            calendarId: duplicate.calendarId,
+          };
+        } else if (duplicate && onDuplicate !== 'keepBoth') {
+          return { success: false, duplicate };
         }
-      } catch (apiError) {
-        console.log('Could not save to API, saving locally');
+      }
+
+      // Paths saved offline get a local ID until the server assigns one
+      pathId = pathId || `${LOCAL_PATH_ID_PREFIX}${generateId()}`;
+      const updatedAt = new Date().toISOString();
+      if (startDate !== undefined) {
+        pathContent = schedulePath(pathContent, startDate, updatedAt);
+      }
+      const pathToSave = toServerPath({ ...pathContent, id: isLocalPathId(pathId) ? undefined : pathId, updatedAt });
+      // Every attempt to create the same path must carry the same key, so a save that
+      // timed out after reaching the server isn't stored again when it is repeated
+      const idempotencyKey = isLocalPathId(pathId) ? pathId : generateId();
+
+      // Try to save to API
+      const { synced, response } = await get().syncMutation('savePath', pathId, { path: pathToSave, idempotencyKey });
+      if (synced && response?.success) {
+        pathId = response.path_id;
       }
 
       // Save locally
-      const pathWithId = { ...currentPath, id: pathId, savedAt: new Date().toISOString() };
+      const pathWithId = {
+        ...pathContent,
+        id: pathId,
+        savedAt: updatedAt,
+        updatedAt,
+        syncedAt: synced ? updatedAt : pathContent.syncedAt,
+      };
       const existingIndex = savedPaths.findIndex(p => p.id === pathId);
 
       let newPaths;
+      const { pathListIds, pathListQuery, pathListTotal } = get();
+      let listChanges = {};
       if (existingIndex >= 0) {
         newPaths = [...savedPaths];
         newPaths[existingIndex] = pathWithId;
       } else {
         newPaths = [pathWithId, ...savedPaths];
+        // A new path is the most recently updated and created one, listed after the pinned ones
+        if (matchesPathQuery(pathWithId, pathListQuery) && !pathListIds.includes(pathId)) {
+          const pinnedCount = pathListIds.filter(id => savedPaths.find(p => p.id === id)?.pinned).length;
+          listChanges = {
+            pathListIds: [...pathListIds.slice(0, pinnedCount), pathId, ...pathListIds.slice(pinnedCount)],
+            pathListTotal: pathListTotal === null ? null : pathListTotal + 1,
+          };
+        }
       }
 
-      set({ savedPaths: newPaths, currentPath: pathWithId });
+      set({ savedPaths: newPaths, currentPath: pathWithId, ...listChanges });
       get().persistPaths();
 
-      return { success: true, pathId };
+      // Only signed-in users have changes waiting in the sync queue
+      return { success: true, pathId, pendingSync: !synced && isSignedInUser(get().currentUserId) };
     } catch (error) {
       return { success: false, error: error.message };
     }
   },
 
-  // Delete a path
-  deletePath: async (pathId) => {
+  /**
+   * Move a saved path to the trash. It can be restored until it is purged
+   * TRASH_RETENTION_DAYS later.
+   * @param {string} routePathId
+   * @returns {Promise<{ success: boolean, pathId?: string, error?: string }>}
+   */
+  deletePath: async (routePathId) => {
     try {
-      const { savedPaths } = get();
+      const pathId = get().resolvePathId(routePathId);
+      const path = get().savedPaths.find(p => p.id === pathId);
+      if (!path) return { success: false, error: 'Path not found' };
 
-      // Try to delete from API
-      try {
-        await learningPathService.deletePath(pathId);
-      } catch (apiError) {
-        console.log('Could not delete from API');
+      const trashedPath = { ...path, deletedAt: new Date().toISOString() };
+      const { pathListIds, pathListTotal } = get();
+      const wasListed = pathListIds.includes(pathId);
+      set({
+        savedPaths: get().savedPaths.filter(p => p.id !== pathId),
+        trashedPaths: [trashedPath, ...get().trashedPaths.filter(p => p.id !== pathId)],
+        pathListIds: pathListIds.filter(id => id !== pathId),
+        pathListTotal: wasListed && pathListTotal !== null ? pathListTotal - 1 : pathListTotal,
+      });
+      get().persistPaths();
+      get().persistTrash();
+
+      if (hasServerCopy(pathId)) {
+        await get().syncMutation('trashPath', pathId, { deletedAt: trashedPath.deletedAt });
       }
 
-      // Delete locally
-      const newPaths = savedPaths.filter(p => p.id !== pathId);
-      set({ savedPaths: newPaths });
+      return { success: true, pathId };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  },
+
+  /**
+   * Take a path back out of the trash, with its progress
+   * @param {string} routePathId
+   * @returns {Promise<{ success: boolean, error?: string }>}
+   */
+  restorePath: async (routePathId) => {
+    try {
+      const pathId = get().resolvePathId(routePathId);
+      const trashedPath = get().trashedPaths.find(p => p.id === pathId);
+      if (!trashedPath) return { success: false, error: 'Path not found in trash' };
+
+      const path = { ...trashedPath };
+      delete path.deletedAt;
+      const { pathListIds, pathListTotal } = get();
+      set({
+        savedPaths: [path, ...get().savedPaths.filter(p => p.id !== pathId)],
+        trashedPaths: get().trashedPaths.filter(p => p.id !== pathId),
+        pathListIds: [pathId, ...pathListIds.filter(id => id !== pathId)],
+        pathListTotal: pathListTotal === null || pathListIds.includes(pathId) ? pathListTotal : pathListTotal + 1,
+      });
       get().persistPaths();
+      get().persistTrash();
+
+      if (hasServerCopy(pathId)) {
+        await get().syncMutation('restorePath', pathId);
+      }
 
       return { success: true };
     } catch (error) {
@@ -195,47 +980,316 @@ const useLearningPathStore = create((set, get) => ({
     }
   },
 
-  // Set current path
-  setCurrentPath: (path) => {
-    set({ currentPath: path });
+  /**
+   * Delete a path in the trash for good, including its milestone progress
+   * @param {string} routePathId
+   * @returns {Promise<{ success: boolean, error?: string }>}
+   */
+  deletePathPermanently: async (routePathId) => {
+    try {
+      const pathId = get().resolvePathId(routePathId);
+
+      // A path that never reached the server only needs its queued changes dropped
+      if (isLocalPathId(pathId)) {
+        await useSyncQueueStore.getState().discardPath(pathId);
+      } else {
+        await get().syncMutation('deletePath', pathId);
+      }
+
+      set({ trashedPaths: get().trashedPaths.filter(p => p.id !== pathId) });
+      get().persistTrash();
+
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
   },
 
-  // Update milestone completion
-  updateMilestoneCompletion: async (pathId, milestoneIndex, completed) => {
-    const { savedPaths, currentPath } = get();
-    const pathIndex = savedPaths.findIndex(p => p.id === pathId);
+  // Delete everything in the trash for good
+  emptyTrash: async () => {
+    const pathIds = get().trashedPaths.map(p => p.id);
+    for (const pathId of pathIds) {
+      await get().deletePathPermanently(pathId);
+    }
+  },
+
+  // Load the current user's trash, dropping paths kept past TRASH_RETENTION_DAYS
+  loadTrash: async () => {
+    const { currentUserId } = get();
+    try {
+      const { items } = await savedPathsStorage.load(getTrashStorageKey(currentUserId));
+      if (get().currentUserId !== currentUserId) return;
+      set({ trashedPaths: items });
+      await get().purgeExpiredTrash();
+    } catch (error) {
+      console.error('Error loading trash:', error);
+    }
+  },
+
+  // The server purges its own trash; only local leftovers need dropping
+  purgeExpiredTrash: async () => {
+    const expired = get().trashedPaths.filter(p => isTrashExpired(p));
+    if (expired.length === 0) return;
+
+    for (const path of expired) {
+      if (isLocalPathId(path.id)) {
+        await useSyncQueueStore.getState().discardPath(path.id);
+      }
+    }
+    set({ trashedPaths: get().trashedPaths.filter(p => !isTrashExpired(p)) });
+    await get().persistTrash();
+  },
+
+  /**
+   * Bring the trash in line with the server's: paths trashed or restored on another
+   * device move here too. Paths with changes still queued keep this device's state.
+   */
+  syncTrash: async () => {
+    if (!isSignedInUser(get().currentUserId) || !canReachBackend()) return;
+
+    let remoteTrash;
+    try {
+      const response = await learningPathService.getTrash();
+      remoteTrash = normalizeLearningPaths(response.paths).filter(p => p.deletedAt && !isTrashExpired(p));
+    } catch (error) {
+      console.log('Could not load trash from API:', error.message);
+      return;
+    }
+
+    const syncQueue = useSyncQueueStore.getState();
+    const isSettled = (pathId) => !isLocalPathId(pathId) && !syncQueue.hasPending(pathId);
+    const remoteIds = new Set(remoteTrash.map(p => p.id));
+
+    const trashedPaths = [
+      ...get().trashedPaths.filter(p => !isSettled(p.id)),
+      ...remoteTrash.filter(p => isSettled(p.id)),
+    ];
+    // Paths trashed elsewhere leave the saved paths; ones restored elsewhere return with the next listing page
+    const savedPaths = get().savedPaths.filter(p => !(remoteIds.has(p.id) && isSettled(p.id)));
+
+    set({
+      trashedPaths,
+      savedPaths,
+      pathListIds: get().pathListIds.filter(id => !(remoteIds.has(id) && isSettled(id))),
+    });
+    get().persistPaths();
+    get().persistTrash();
+  },
+
+  persistTrash: async () => {
+    try {
+      const { trashedPaths, currentUserId } = get();
+      await savedPathsStorage.save(getTrashStorageKey(currentUserId), trashedPaths);
+    } catch (error) {
+      console.error('Error persisting trash:', error);
+    }
+  },
 
-    if (pathIndex < 0) return { success: false, error: 'Path not found' };
+  /**
+   * Save edits to a saved path's title, description and milestones
+   * @param {string} routePathId
+   * @param {Object} edits - see applyPathEdits
+   * @returns {Promise<{ success: boolean, path?: Object, error?: string }>}
+   */
+  editPath: async (routePathId, edits) => {
+    const pathId = get().resolvePathId(routePathId);
+    const path = get().savedPaths.find(p => p.id === pathId);
+    if (!path) return { success: false, error: 'Path not found' };
 
+    let edited;
     try {
+      edited = { ...applyPathEdits(path, edits), updatedAt: new Date().toISOString() };
+    } catch (error) {
+      if (error instanceof LearningPathValidationError) {
+        return { success: false, error: error.message };
+      }
+      throw error;
+    }
+
+    get().replaceSavedPath(edited);
+    await get().pushPath(edited);
+    return { success: true, path: edited };
+  },
+
+  /**
+   * Schedule a saved path from a start date, replacing its due dates
+   * @param {string} routePathId
+   * @param {string|null} startDate - YYYY-MM-DD, or null to remove the schedule
+   * @returns {Promise<{ success: boolean, error?: string }>}
+   */
+  setPathStartDate: async (routePathId, startDate) => {
+    const pathId = get().resolvePathId(routePathId);
+    const path = get().savedPaths.find(p => p.id === pathId);
+    if (!path) return { success: false, error: 'Path not found' };
+
+    const updatedAt = new Date().toISOString();
+    const scheduled = { ...schedulePath(path, startDate, updatedAt), updatedAt };
+    get().replaceSavedPath(scheduled);
+    await get().pushPath(scheduled);
+    return { success: true };
+  },
+
+  // Plan a saved path's unfinished milestones again from today
+  reschedulePath: async (routePathId) => {
+    const pathId = get().resolvePathId(routePathId);
+    const path = get().savedPaths.find(p => p.id === pathId);
+    if (!path) return { success: false, error: 'Path not found' };
+    if (!path.startDate) return { success: false, error: 'Path has no schedule' };
+
+    const updatedAt = new Date().toISOString();
+    const rescheduled = { ...reschedulePath(path, updatedAt), updatedAt };
+    get().replaceSavedPath(rescheduled);
+    await get().pushPath(rescheduled);
+    return { success: true };
+  },
+
+  // Update milestone completion
+  updateMilestoneCompletion: async (routePathId, milestoneId, completed) => {
+    const pathId = get().resolvePathId(routePathId);
+    const savedPath = get().savedPaths.find(p => p.id === pathId);
+    if (!savedPath) return { success: false, error: 'Path not found' };
+    if (!savedPath.milestones.some(m => m.id === milestoneId)) return { success: false, error: 'Milestone not found' };
+
+    try {
+      // The time of the change decides which device wins when both changed the milestone
+      const updatedAt = new Date().toISOString();
+
       // Update in API
-      try {
-        await learningPathService.updateMilestone(pathId, milestoneIndex, completed);
-      } catch (apiError) {
-        console.log('Could not update milestone in API:', apiError);
+      const { synced } = await get().syncMutation('updateMilestone', pathId, { milestoneId, completed, updatedAt });
+
+      // Update locally (the path may have been merged with a server copy meanwhile)
+      const path = get().savedPaths.find(p => p.id === pathId);
+      if (!path) return { success: false, error: 'Path not found' };
+
+      get().replaceSavedPath({
+        ...path,
+        completedMilestones: { ...path.completedMilestones, [milestoneId]: completed },
+        milestoneUpdatedAt: { ...path.milestoneUpdatedAt, [milestoneId]: updatedAt },
+        updatedAt,
+        syncedAt: synced && path.syncedAt === path.updatedAt ? updatedAt : path.syncedAt,
+      });
+
+      if (completed) {
+        useActivityStore.getState().recordActivity(ACTIVITY_TYPES.MILESTONE_COMPLETED, { pathId, targetId: milestoneId });
+      }
+
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  },
+
+  /**
+   * Write the note on a milestone or resource of a saved path
+   * @param {string} routePathId
+   * @param {string} targetId - milestone or resource ID
+   * @param {string} text - empty to delete the note
+   * @returns {Promise<{ success: boolean, error?: string }>}
+   */
+  updateNote: async (routePathId, targetId, text) => {
+    const pathId = get().resolvePathId(routePathId);
+    const savedPath = get().savedPaths.find(p => p.id === pathId);
+    if (!savedPath) return { success: false, error: 'Path not found' };
+
+    const hasTarget = savedPath.milestones.some(m => m.id === targetId || m.resources.some(r => r.id === targetId));
+    if (!hasTarget) return { success: false, error: 'Milestone or resource not found' };
+
+    try {
+      // Shown right away; notes are typed out, so waiting on the request would lose the edit on a slow network
+      const updatedAt = new Date().toISOString();
+      const note = { text: text.trim(), updatedAt };
+      get().replaceSavedPath({ ...savedPath, notes: { ...savedPath.notes, [targetId]: note }, updatedAt });
+
+      const { synced } = await get().syncMutation('updateNote', pathId, { targetId, text: note.text, updatedAt });
+      if (synced && savedPath.syncedAt === savedPath.updatedAt) {
+        get().markPathSynced(pathId, updatedAt);
       }
 
-      // Update locally in savedPaths
-      const newPaths = [...savedPaths];
-      if (!newPaths[pathIndex].completedMilestones) {
-        newPaths[pathIndex].completedMilestones = {};
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  },
+
+  /**
+   * Set how far the learner is with a resource of a saved path
+   * @param {string} routePathId
+   * @param {string} resourceId
+   * @param {string} status - one of RESOURCE_STATUS
+   * @returns {Promise<{ success: boolean, error?: string }>}
+   */
+  updateResourceStatus: async (routePathId, resourceId, status) => {
+    const pathId = get().resolvePathId(routePathId);
+    const savedPath = get().savedPaths.find(p => p.id === pathId);
+    if (!savedPath) return { success: false, error: 'Path not found' };
+
+    if (!savedPath.milestones.some(m => m.resources.some(r => r.id === resourceId))) {
+      return { success: false, error: 'Resource not found' };
+    }
+    if (!Object.values(RESOURCE_STATUS).includes(status)) {
+      return { success: false, error: 'Unknown resource status' };
+    }
+
+    try {
+      // Shown right away like notes, so tapping through several resources stays responsive
+      const updatedAt = new Date().toISOString();
+      get().replaceSavedPath({
+        ...savedPath,
+        resourceProgress: { ...savedPath.resourceProgress, [resourceId]: { status, updatedAt } },
+        updatedAt,
+      });
+      if (status === RESOURCE_STATUS.DONE) {
+        useActivityStore.getState().recordActivity(ACTIVITY_TYPES.RESOURCE_COMPLETED, { pathId, targetId: resourceId });
       }
-      newPaths[pathIndex].completedMilestones[milestoneIndex] = completed;
-
-      // Also update currentPath if it's the same path
-      let updatedCurrentPath = currentPath;
-      if (currentPath && currentPath.id === pathId) {
-        updatedCurrentPath = {
-          ...currentPath,
-          completedMilestones: {
-            ...(currentPath.completedMilestones || {}),
-            [milestoneIndex]: completed
-          }
-        };
+
+      const { synced } = await get().syncMutation('updateResource', pathId, { resourceId, status, updatedAt });
+      if (synced && savedPath.syncedAt === savedPath.updatedAt) {
+        get().markPathSynced(pathId, updatedAt);
       }
 
-      set({ savedPaths: newPaths, currentPath: updatedCurrentPath });
-      get().persistPaths();
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  },
+
+  /**
+   * Change how a saved path is organized on the Dashboard
+   * @param {string} routePathId
+   * @param {Object} changes - any of { collection, tags, pinned, archived }
+   * @returns {Promise<{ success: boolean, error?: string }>}
+   */
+  updatePathMetadata: async (routePathId, changes) => {
+    const pathId = get().resolvePathId(routePathId);
+    const savedPath = get().savedPaths.find(p => p.id === pathId);
+    if (!savedPath) return { success: false, error: 'Path not found' };
+
+    try {
+      // Shown right away like notes; the listing drops paths that no longer match its filters
+      const updatedAt = new Date().toISOString();
+      const path = { ...applyPathMetadata(savedPath, changes, updatedAt), updatedAt };
+      get().replaceSavedPath(path);
+
+      const { pathListIds, pathListQuery, pathListTotal } = get();
+      if (pathListIds.includes(pathId) && !matchesPathQuery(path, pathListQuery)) {
+        set({
+          pathListIds: pathListIds.filter(id => id !== pathId),
+          pathListTotal: pathListTotal === null ? null : pathListTotal - 1,
+        });
+      } else if (path.pinned && !savedPath.pinned && pathListIds.includes(pathId)) {
+        set({ pathListIds: [pathId, ...pathListIds.filter(id => id !== pathId)] });
+      }
+
+      const { synced } = await get().syncMutation('updateMetadata', pathId, {
+        collection: path.collection,
+        tags: path.tags,
+        pinned: path.pinned,
+        archived: path.archived,
+        updatedAt,
+      });
+      if (synced && savedPath.syncedAt === savedPath.updatedAt) {
+        get().markPathSynced(pathId, updatedAt);
+      }
 
       return { success: true };
     } catch (error) {
@@ -243,11 +1297,13 @@ const useLearningPathStore = create((set, get) => ({
     }
   },
 
-  // Reset generation state
+  // Reset the generation shown on screen (jobs keep running in the background)
   resetGeneration: () => {
+    abortGeneration();
     set({
       taskId: null,
       taskStatus: null,
+      taskProgress: null,
       isGenerating: false,
       error: null,
       currentPath: null,
@@ -261,16 +1317,37 @@ const useLearningPathStore = create((set, get) => ({
 
   // Reset state when switching users (doesn't delete stored data)
   resetForUserSwitch: () => {
+    abortGeneration();
+    stopGenerationWatchers();
+    generationJobsUserId = undefined;
+    // Drop listing pages still loading for the previous user
+    pathListRequestId++;
     set({
       savedPaths: [],
       currentPath: null,
       taskId: null,
       taskStatus: null,
+      taskProgress: null,
       isGenerating: false,
+      generationJobs: [],
       error: null,
       isLoading: false,
       currentUserId: null,
+      pathIdAliases: {},
+      pathListIds: [],
+      pathListQuery: { search: '', sort: DEFAULT_PATH_SORT, ...DEFAULT_PATH_FILTERS },
+      pathListCursor: null,
+      pathListTotal: null,
+      isLoadingMorePaths: false,
+      syncConflicts: [],
+      trashedPaths: [],
+      guestPaths: [],
+      guestMigration: {},
+      isMigratingGuestPaths: false,
+      guestMigrationOffered: false,
     });
+    useSyncQueueStore.getState().resetForUserSwitch();
+    useActivityStore.getState().resetForUserSwitch();
   },
 }));
 
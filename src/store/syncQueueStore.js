@@ -0,0 +1,254 @@
+import { create } from 'zustand';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { learningPathService } from '../services/api';
+import { generateId } from '../utils';
+
+const SYNC_QUEUE_KEY_PREFIX = '@sync_queue_';
+
+// Helper to get storage key for a user's outbox
+const getStorageKey = (userId) => `${SYNC_QUEUE_KEY_PREFIX}${userId}`;
+
+// How each kind of saved-path mutation is sent to the API
+const OPERATION_HANDLERS = {
+  savePath: (pathId, payload) => learningPathService.savePath(payload.path, {
+    idempotencyKey: payload.idempotencyKey,
+  }),
+  deletePath: (pathId) => learningPathService.deletePath(pathId),
+  trashPath: (pathId, payload) => learningPathService.trashPath(pathId, payload.deletedAt),
+  restorePath: (pathId) => learningPathService.restorePath(pathId),
+  updateMilestone: (pathId, payload) => learningPathService.updateMilestone(
+    pathId,
+    payload.milestoneId,
+    payload.completed,
+    payload.updatedAt
+  ),
+  updateNote: (pathId, payload) => learningPathService.updateNote(
+    pathId,
+    payload.targetId,
+    payload.text,
+    payload.updatedAt
+  ),
+  updateMetadata: (pathId, payload) => learningPathService.updatePathMetadata(
+    pathId,
+    payload,
+    payload.updatedAt
+  ),
+  updateResource: (pathId, payload) => learningPathService.updateResourceStatus(
+    pathId,
+    payload.resourceId,
+    payload.status,
+    payload.updatedAt
+  ),
+};
+
+/**
+ * Send a single saved-path mutation to the API
+ * @param {string} type - 'savePath' | 'deletePath' | 'trashPath' | 'restorePath' | 'updateMilestone' | 'updateNote' | 'updateResource' | 'updateMetadata'
+ * @param {string} pathId
+ * @param {Object} payload
+ * @returns {Promise<Object>} API response data
+ */
+export const sendOperation = (type, pathId, payload = {}) => {
+  const handler = OPERATION_HANDLERS[type];
+  if (!handler) {
+    return Promise.reject(new Error(`Unknown sync operation: ${type}`));
+  }
+  return handler(pathId, payload);
+};
+
+// An operation moved to a path's server ID, including the ID inside a queued snapshot,
+// so a later save updates the saved path rather than creating another one
+const withPathId = (operation, pathId) => {
+  const { path } = operation.payload;
+  if (!path) return { ...operation, pathId };
+  return {
+    ...operation,
+    pathId,
+    payload: {
+      ...operation.payload,
+      path: { ...path, id: pathId, ...(path.path_id !== undefined && { path_id: pathId }) },
+    },
+  };
+};
+
+// Queued by an older version of the app, naming the milestone by its position
+const isLegacyOperation = (operation) => (
+  operation.type === 'updateMilestone' && operation.payload.milestoneId === undefined
+);
+
+/**
+ * Operations queued before milestones had IDs name a milestone by its position. The
+ * stored copy of the path still has its milestones in that order, so the position
+ * becomes the milestone's ID; an operation whose milestone can't be found is dropped
+ * rather than sent by position, which may no longer be the same milestone on the server.
+ * @param {Array} queue
+ * @param {Array} paths - the user's stored paths
+ * @returns {Array}
+ */
+const upgradeLegacyOperations = (queue, paths) => queue.flatMap((operation) => {
+  if (!isLegacyOperation(operation)) return [operation];
+
+  const { milestoneIndex, ...payload } = operation.payload;
+  const path = paths.find(p => p.id === operation.pathId);
+  const milestone = path?.milestones?.[milestoneIndex];
+  if (!milestone?.id) {
+    console.log('Dropping queued updateMilestone for a milestone that no longer exists:', operation.pathId, milestoneIndex);
+    return [];
+  }
+  return [{ ...operation, payload: { ...payload, milestoneId: milestone.id } }];
+});
+
+/**
+ * Whether a failed request will fail the same way on every retry.
+ * Network errors, timeouts, rate limits, auth and server errors are worth retrying.
+ */
+export const isPermanentFailure = (error) => {
+  const status = error?.response?.status;
+  if (!status) return false;
+  return status >= 400 && status < 500 && ![401, 408, 429].includes(status);
+};
+
+/**
+ * Persistent outbox of saved-path mutations that could not reach the API.
+ * Operations are replayed oldest first once the backend is reachable again.
+ */
+const useSyncQueueStore = create((set, get) => ({
+  // State
+  queue: [],
+  userId: null,
+  isReplaying: false,
+  lastError: null,
+
+  // Load the outbox for a user (called when their saved paths are loaded, with those paths)
+  loadQueue: async (userId, paths = []) => {
+    if (get().userId === userId) return;
+
+    try {
+      const stored = await AsyncStorage.getItem(getStorageKey(userId));
+      const storedQueue = stored ? JSON.parse(stored) : [];
+      const queue = upgradeLegacyOperations(storedQueue, paths);
+      set({ queue, userId, lastError: null });
+      if (storedQueue.some(isLegacyOperation)) {
+        await get().persistQueue();
+      }
+    } catch (error) {
+      console.error('Error loading sync queue:', error);
+      set({ queue: [], userId });
+    }
+  },
+
+  // Save the outbox to local storage
+  persistQueue: async () => {
+    const { queue, userId } = get();
+    if (!userId) return;
+
+    try {
+      await AsyncStorage.setItem(getStorageKey(userId), JSON.stringify(queue));
+    } catch (error) {
+      console.error('Error persisting sync queue:', error);
+    }
+  },
+
+  // Whether any operation is waiting to be sent (optionally for one path)
+  hasPending: (pathId) => {
+    const { queue } = get();
+    return pathId ? queue.some(op => op.pathId === pathId) : queue.length > 0;
+  },
+
+  // Record a mutation that still has to reach the server
+  enqueue: async (type, pathId, payload = {}) => {
+    const { queue } = get();
+
+    // A newer snapshot of the same path replaces the one still waiting
+    if (type === 'savePath') {
+      const existingIndex = queue.findIndex(op => op.type === 'savePath' && op.pathId === pathId);
+      // The head of the queue may already be in flight during a replay
+      const isInFlight = existingIndex === 0 && get().isReplaying;
+      if (existingIndex >= 0 && !isInFlight) {
+        const newQueue = [...queue];
+        newQueue[existingIndex] = { ...newQueue[existingIndex], payload };
+        set({ queue: newQueue });
+        await get().persistQueue();
+        return;
+      }
+    }
+
+    const operation = {
+      id: generateId(),
+      type,
+      pathId,
+      payload,
+      createdAt: new Date().toISOString(),
+      attempts: 0,
+    };
+
+    set({ queue: [...queue, operation] });
+    await get().persistQueue();
+  },
+
+  // Drop every queued operation for a path that never reached the server
+  discardPath: async (pathId) => {
+    set({ queue: get().queue.filter(op => op.pathId !== pathId) });
+    await get().persistQueue();
+  },
+
+  /**
+   * Send queued operations in order, stopping at the first one that still can't get through
+   * @param {Object} options - { onPathSaved(localId, serverId) } called when a locally created path gets its server ID,
+   *   { onSynced(operation) } after each operation reaches the server (with the path's server ID)
+   * @returns {Promise<{ synced: number, remaining: number }>}
+   */
+  replay: async ({ onPathSaved, onSynced } = {}) => {
+    if (get().isReplaying || get().queue.length === 0) {
+      return { synced: 0, remaining: get().queue.length };
+    }
+
+    set({ isReplaying: true });
+    let synced = 0;
+
+    try {
+      while (get().queue.length > 0) {
+        const [operation] = get().queue;
+
+        try {
+          const response = await sendOperation(operation.type, operation.pathId, operation.payload);
+          let rest = get().queue.slice(1);
+
+          // Later operations still refer to the path by its local ID
+          const serverId = operation.type === 'savePath' ? response?.path_id : null;
+          if (serverId && serverId !== operation.pathId) {
+            rest = rest.map(op => (op.pathId === operation.pathId ? withPathId(op, serverId) : op));
+            onPathSaved?.(operation.pathId, serverId);
+          }
+
+          set({ queue: rest, lastError: null });
+          onSynced?.({ ...operation, pathId: serverId || operation.pathId });
+          synced += 1;
+        } catch (error) {
+          if (isPermanentFailure(error)) {
+            console.log(`Dropping queued ${operation.type} rejected by API:`, error.response?.status);
+            set({ queue: get().queue.slice(1) });
+            continue;
+          }
+
+          const newQueue = [...get().queue];
+          newQueue[0] = { ...operation, attempts: operation.attempts + 1 };
+          set({ queue: newQueue, lastError: error.message });
+          break;
+        }
+      }
+    } finally {
+      set({ isReplaying: false });
+      await get().persistQueue();
+    }
+
+    return { synced, remaining: get().queue.length };
+  },
+
+  // Reset state when switching users (doesn't delete stored data)
+  resetForUserSwitch: () => {
+    set({ queue: [], userId: null, isReplaying: false, lastError: null });
+  },
+}));
+
+export default useSyncQueueStore;
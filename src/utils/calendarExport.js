@@ -0,0 +1,288 @@
+import * as Sharing from 'expo-sharing';
+import * as FileSystem from 'expo-file-system';
+import { Platform } from 'react-native';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+import { normalizeLearningPath } from '../models/learningPath';
+import { addDays, getDaysBetween } from '../models/activity';
+
+export const CALENDAR_EXPORT_MODES = {
+  MILESTONES: 'milestones',
+  SESSIONS: 'sessions',
+};
+
+// Study sessions last at most this long; longer milestones get more of them
+const MAX_SESSION_MINUTES = 120;
+// Sessions are rounded to quarter hours
+const SESSION_STEP_MINUTES = 15;
+// Sessions are floating times, so they start at this local time wherever the calendar is
+const DEFAULT_SESSION_START = '18:00';
+
+const UID_DOMAIN = 'learning-path.app';
+// Events exported before, by calendar ID, so events left out of a later export can be cancelled
+const CALENDAR_EXPORTS_KEY = '@calendar_exports';
+// Content lines are folded at this many bytes (RFC 5545 section 3.1)
+const MAX_LINE_BYTES = 75;
+
+// TEXT values escape backslashes, semicolons, commas and line breaks (RFC 5545 section 3.3.11)
+const escapeText = (text) => text
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// URI values can't be escaped like text: line breaks are taken out and only web links are kept
+const toEventURL = (url) => {
+  const link = typeof url === 'string' ? url.replace(/[\r\n]/g, '').trim() : '';
+  return /^https?:\/\/\S+$/i.test(link) ? link : undefined;
+};
+
+const getUTF8Length = (char) => {
+  const codePoint = char.codePointAt(0);
+  if (codePoint < 0x80) return 1;
+  if (codePoint < 0x800) return 2;
+  if (codePoint < 0x10000) return 3;
+  return 4;
+};
+
+// Long lines continue on lines starting with a space, never splitting a character
+const foldLine = (line) => {
+  let folded = '';
+  let lineBytes = 0;
+  for (const char of line) {
+    const bytes = getUTF8Length(char);
+    if (lineBytes + bytes > MAX_LINE_BYTES) {
+      folded += '\r\n ';
+      lineBytes = 1;
+    }
+    folded += char;
+    lineBytes += bytes;
+  }
+  return folded;
+};
+
+const toICSDate = (day) => day.replace(/-/g, '');
+
+const toICSDateTime = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const pad = (number) => String(number).padStart(2, '0');
+
+// Floating local time, e.g. 20261019T183000
+const toFloatingDateTime = (day, minutes) => `${toICSDate(day)}T${pad(Math.floor(minutes / 60))}${pad(minutes % 60)}00`;
+
+const toDuration = (minutes) => {
+  const hours = Math.floor(minutes / 60);
+  return `PT${hours ? `${hours}H` : ''}${minutes % 60 ? `${minutes % 60}M` : ''}`;
+};
+
+/**
+ * The days each milestone of a scheduled path is studied on: from the day after
+ * the milestone before it was due, up to its own due date. Milestones due on the
+ * same day share the same days.
+ * @param {Object} path - a normalized, scheduled path
+ * @returns {Array<{ milestone: Object, start: string, due: string }>}
+ */
+const getMilestoneWindows = (path) => {
+  let previousDue = null;
+  let previousStart = path.startDate;
+  return path.milestones
+    .filter(milestone => path.schedule[milestone.id])
+    .map((milestone) => {
+      const due = path.schedule[milestone.id];
+      let start = previousDue === due ? previousStart : (previousDue ? addDays(previousDue, 1) : path.startDate);
+      if (start > due) start = due;
+      previousDue = due;
+      previousStart = start;
+      return { milestone, start, due };
+    });
+};
+
+const describeMilestone = (path, milestone, index) => {
+  const lines = [`${path.title || path.topic} · Milestone ${index + 1} of ${path.milestones.length}`];
+  if (milestone.description) lines.push('', milestone.description);
+  if (milestone.skills.length > 0) lines.push('', `Skills: ${milestone.skills.join(', ')}`);
+  if (milestone.resources.length > 0) {
+    lines.push('', 'Resources:');
+    milestone.resources.forEach((resource) => {
+      const title = resource.title || resource.description;
+      lines.push(`- ${[title, resource.url].filter(Boolean).join(': ')}`);
+    });
+  }
+  return lines.join('\n');
+};
+
+/**
+ * Build an iCalendar (RFC 5545) file of a scheduled path's study plan.
+ *
+ * Every event's UID is made from the path's calendar ID and its milestone IDs, so
+ * importing a newer export updates the events from the last one instead of adding
+ * copies. Events of an earlier export that this one no longer has (fewer sessions,
+ * a removed milestone, the other mode) are included as cancelled.
+ *
+ * @param {Object} pathData - a scheduled learning path
+ * @param {Object} [options]
+ * @param {string} [options.mode] - one of CALENDAR_EXPORT_MODES: one all-day event spanning
+ *   each milestone, or study sessions spread over the days before it is due
+ * @param {string} [options.sessionStart] - HH:MM the first session of a day starts at
+ * @param {Array} [options.previousEvents] - `events` returned for the earlier exports of the path
+ * @param {Date} [options.now] - when the file is made
+ * @returns {{ ics: string, events: Array<{ uid: string, dates: string[], summary: string }> }}
+ *   `events` are every event the file has, cancelled ones included, for the next export
+ * @throws {Error} if the path has no start date
+ */
+export const generateLearningPathICS = (pathData, {
+  mode = CALENDAR_EXPORT_MODES.MILESTONES,
+  sessionStart = DEFAULT_SESSION_START,
+  previousEvents = [],
+  now = new Date(),
+} = {}) => {
+  const path = normalizeLearningPath(pathData);
+  if (!path.startDate) {
+    throw new Error('Set a start date for this path first');
+  }
+
+  const calendarId = path.calendarId || path.id;
+  const stamp = toICSDateTime(now);
+  // Calendars keep the copy with the highest sequence, so later exports replace earlier ones
+  const sequence = Math.floor(Date.parse(path.updatedAt || now) / 1000) || 0;
+  const [startHour, startMinute] = sessionStart.split(':').map(Number);
+  // Minutes past midnight the next session on each day starts at
+  const nextSessionStart = {};
+
+  const events = [];
+  getMilestoneWindows(path).forEach(({ milestone, start, due }) => {
+    const index = path.milestones.indexOf(milestone);
+    const done = !!path.completedMilestones[milestone.id];
+    const description = describeMilestone(path, milestone, index);
+    const summary = `${done ? '✓ ' : ''}${milestone.title}`;
+    const url = milestone.resources.map(resource => toEventURL(resource.url)).find(Boolean);
+
+    if (mode !== CALENDAR_EXPORT_MODES.SESSIONS) {
+      events.push({
+        uid: `${calendarId}-${milestone.id}@${UID_DOMAIN}`,
+        dates: [`DTSTART;VALUE=DATE:${toICSDate(start)}`, `DTEND;VALUE=DATE:${toICSDate(addDays(due, 1))}`],
+        summary,
+        description,
+        url,
+      });
+      return;
+    }
+
+    // Spread the milestone's hours evenly over its days; sessions on a busy day follow each other
+    const totalMinutes = Math.max(SESSION_STEP_MINUTES, Math.round(milestone.estimated_hours * 60));
+    const count = Math.ceil(totalMinutes / MAX_SESSION_MINUTES);
+    const minutes = Math.ceil(totalMinutes / count / SESSION_STEP_MINUTES) * SESSION_STEP_MINUTES;
+    const days = getDaysBetween(start, due) + 1;
+    for (let session = 0; session < count; session++) {
+      const day = addDays(start, Math.floor((session * days) / count));
+      // A day too full for another session gets it at its end, overlapping the one before
+      const begin = Math.min(nextSessionStart[day] ?? startHour * 60 + (startMinute || 0), 24 * 60 - minutes);
+      nextSessionStart[day] = begin + minutes;
+      events.push({
+        uid: `${calendarId}-${milestone.id}-session-${session + 1}@${UID_DOMAIN}`,
+        dates: [`DTSTART:${toFloatingDateTime(day, begin)}`, `DURATION:${toDuration(minutes)}`],
+        summary: `${summary} (session ${session + 1} of ${count})`,
+        description,
+        url,
+      });
+    }
+  });
+
+  const uids = new Set(events.map(event => event.uid));
+  const cancelled = previousEvents
+    .filter(event => !uids.has(event.uid))
+    .map(event => ({ ...event, cancelled: true }));
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//AI Learning Path//Study Schedule//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(path.title || path.topic)}`,
+    ...[...events, ...cancelled].flatMap(event => [
+      'BEGIN:VEVENT',
+      `UID:${event.uid}`,
+      `DTSTAMP:${stamp}`,
+      `SEQUENCE:${sequence}`,
+      ...event.dates,
+      `SUMMARY:${escapeText(event.summary)}`,
+      ...(event.description ? [`DESCRIPTION:${escapeText(event.description)}`] : []),
+      ...(event.url ? [`URL:${event.url}`] : []),
+      ...(event.cancelled ? ['STATUS:CANCELLED'] : []),
+      'TRANSP:TRANSPARENT',
+      'END:VEVENT',
+    ]),
+    'END:VCALENDAR',
+  ];
+  return {
+    ics: `${lines.map(foldLine).join('\r\n')}\r\n`,
+    events: [...events, ...cancelled].map(({ uid, dates, summary }) => ({ uid, dates, summary })),
+  };
+};
+
+const loadCalendarExports = async () => {
+  try {
+    const stored = await AsyncStorage.getItem(CALENDAR_EXPORTS_KEY);
+    return stored ? JSON.parse(stored) : {};
+  } catch (error) {
+    console.error('Error loading calendar exports:', error);
+    return {};
+  }
+};
+
+/**
+ * Generate and download/share an .ics file of a scheduled path's study plan
+ * @param {Object} pathData - The learning path data
+ * @param {Object} [options] - see generateLearningPathICS
+ * @returns {Promise<{success: boolean, message: string}>}
+ */
+export const downloadLearningPathICS = async (pathData, options) => {
+  try {
+    const calendarId = pathData.calendarId || pathData.id;
+    const exports = await loadCalendarExports();
+    const { ics, events } = generateLearningPathICS(pathData, {
+      ...options,
+      previousEvents: exports[calendarId] || [],
+    });
+    await AsyncStorage.setItem(CALENDAR_EXPORTS_KEY, JSON.stringify({ ...exports, [calendarId]: events }));
+
+    // The same name every time, so the file a calendar imported is replaced rather than copied
+    const fileName = `${(pathData.title || pathData.topic || 'learning-path')
+      .replace(/[^a-z0-9]/gi, '_')
+      .toLowerCase()}_schedule.ics`;
+
+    if (Platform.OS === 'web') {
+      // For web, trigger download
+      const link = document.createElement('a');
+      link.href = URL.createObjectURL(new Blob([ics], { type: 'text/calendar' }));
+      link.download = fileName;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      URL.revokeObjectURL(link.href);
+      return { success: true, message: 'Calendar file downloaded!' };
+    }
+
+    const uri = FileSystem.documentDirectory + fileName;
+    await FileSystem.writeAsStringAsync(uri, ics, { encoding: FileSystem.EncodingType.UTF8 });
+
+    const isSharingAvailable = await Sharing.isAvailableAsync();
+    if (isSharingAvailable) {
+      await Sharing.shareAsync(uri, {
+        mimeType: 'text/calendar',
+        dialogTitle: 'Add Study Schedule to Calendar',
+        UTI: 'public.calendar-event',
+      });
+      return { success: true, message: 'Calendar file ready to share!' };
+    }
+    return { success: true, message: `Calendar file saved to: ${uri}` };
+  } catch (error) {
+    console.error('Error generating calendar file:', error);
+    return { success: false, message: `Failed to export the schedule: ${error.message}` };
+  }
+};
+
+export default {
+  downloadLearningPathICS,
+};
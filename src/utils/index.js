@@ -2,6 +2,8 @@
  * Utility functions for the AI Learning Path mobile app
  */
 
+import { getPathProgress } from '../models/learningPath';
+
 /**
  * Format duration in weeks to a readable string
  * @param {number} weeks 
@@ -19,14 +21,14 @@ export function formatDuration(weeks) {
 }
 
 /**
- * Calculate completion percentage
+ * Calculate completion percentage, weighting milestones by estimated hours and
+ * counting resources done or in progress towards unfinished milestones
  * @param {Object} path 
  * @returns {number}
  */
 export function calculateCompletion(path) {
-  if (!path?.milestones || !path?.completedMilestones) return 0;
-  const completed = Object.values(path.completedMilestones).filter(Boolean).length;
-  return Math.round((completed / path.milestones.length) * 100);
+  if (!path?.milestones?.length) return 0;
+  return Math.round(getPathProgress(path) * 100);
 }
 
 /**
@@ -111,6 +113,35 @@ export function formatRelativeTime(date) {
   return formatDate(date);
 }
 
+/**
+ * Format a calendar day (YYYY-MM-DD) without shifting it into another time zone
+ * @param {string} day
+ * @returns {string} e.g. "Mon, Oct 19"
+ */
+export function formatDay(day) {
+  return new Date(`${day}T00:00:00`).toLocaleDateString('en-US', {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+  });
+}
+
+/**
+ * Format how a scheduled path is keeping up (see getScheduleStatus)
+ * @param {Object} status
+ * @returns {string}
+ */
+export function formatScheduleStatus(status) {
+  const days = `${status.days} day${status.days === 1 ? '' : 's'}`;
+  switch (status.state) {
+    case 'upcoming': return status.days === 1 ? 'Starts tomorrow' : `Starts in ${days}`;
+    case 'behind': return `${days} behind`;
+    case 'ahead': return `${days} ahead`;
+    case 'completed': return 'Completed';
+    default: return 'On track';
+  }
+}
+
 /**
  * Validate email format
  * @param {string} email 
@@ -0,0 +1,80 @@
+/**
+ * Note formatting
+ *
+ * Notes are stored as plain text with a few markers: **bold**, _italic_ and lines
+ * starting with "- " for list items. They are parsed here for both the app and the PDF.
+ */
+
+// **bold**, or _italic_ standing apart from the words around it, so snake_case isn't italic
+const SPAN_PATTERN = /\*\*([^*\n]+)\*\*|(^|\W)_([^\s_][^_\n]*[^\s_]|[^\s_])_(?!\w)/g;
+
+const plainSpan = (text) => ({ text, bold: false, italic: false });
+
+const parseSpans = (line) => {
+  const spans = [];
+  let plainStart = 0;
+  for (const match of line.matchAll(SPAN_PATTERN)) {
+    const [marked, boldText, before = '', italicText] = match;
+    // The character before an italic marker belongs to the plain text
+    const markerStart = match.index + before.length;
+    if (markerStart > plainStart) spans.push(plainSpan(line.slice(plainStart, markerStart)));
+    spans.push(boldText !== undefined
+      ? { text: boldText, bold: true, italic: false }
+      : { text: italicText, bold: false, italic: true });
+    plainStart = match.index + marked.length;
+  }
+  if (plainStart < line.length) spans.push(plainSpan(line.slice(plainStart)));
+  return spans;
+};
+
+/**
+ * Split a note into blocks of formatted text
+ * @param {string} text
+ * @returns {Array<{ type: 'paragraph'|'item', spans: Array<{ text: string, bold: boolean, italic: boolean }> }>}
+ */
+export const parseNote = (text) => (text || '')
+  .split('\n')
+  .filter(line => line.trim())
+  .map((line) => {
+    const item = line.match(/^\s*[-*]\s+(.*)$/);
+    return item
+      ? { type: 'item', spans: parseSpans(item[1]) }
+      : { type: 'paragraph', spans: parseSpans(line) };
+  });
+
+/**
+ * A note's text without formatting markers, on one line
+ * @param {string} text
+ * @returns {string}
+ */
+export const toPlainNoteText = (text) => parseNote(text)
+  .map(block => block.spans.map(span => span.text).join(''))
+  .join(' ');
+
+/**
+ * Wrap the selected part of a note in a formatting marker, or start a list item
+ * on the selected line
+ * @param {string} text
+ * @param {{ start: number, end: number }} selection
+ * @param {'bold'|'italic'|'item'} format
+ * @returns {{ text: string, selection: { start: number, end: number } }}
+ */
+export const applyNoteFormat = (text, { start, end }, format) => {
+  if (format === 'item') {
+    const lineStart = text.lastIndexOf('\n', start - 1) + 1;
+    return {
+      text: `${text.slice(0, lineStart)}- ${text.slice(lineStart)}`,
+      selection: { start: start + 2, end: end + 2 },
+    };
+  }
+
+  const marker = format === 'bold' ? '**' : '_';
+  // Spaces at the ends of the selection stay outside the markers, or they wouldn't count
+  const selected = text.slice(start, end);
+  start += selected.length - selected.trimStart().length;
+  end = Math.max(start, end - (selected.length - selected.trimEnd().length));
+  return {
+    text: `${text.slice(0, start)}${marker}${text.slice(start, end)}${marker}${text.slice(end)}`,
+    selection: { start: start + marker.length, end: end + marker.length },
+  };
+};
@@ -3,34 +3,76 @@ import * as Sharing from 'expo-sharing';
 import * as FileSystem from 'expo-file-system';
 import { Platform } from 'react-native';
 
+import { normalizeLearningPath, getWeeklyHours } from '../models/learningPath';
+import { formatExpertiseLevel } from './index';
+import { parseNote } from './noteFormat';
+
+// Titles, descriptions, links and notes can all be edited by the user, so each is
+// escaped before going into the HTML; the quotes make it safe in attributes too
+const escapeHTML = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Only web links are made clickable; other schemes (javascript:, file:) stay plain text
+const generateLinkHTML = (url) => (/^https?:\/\//i.test(url)
+  ? `<a href="${escapeHTML(url)}" class="resource-link">${escapeHTML(url)}</a>`
+  : `<span class="resource-link">${escapeHTML(url)}</span>`);
+
+/**
+ * HTML for a note, keeping its bold, italic and list formatting
+ * @param {string} text
+ * @returns {string}
+ */
+const generateNoteHTML = (text) => {
+  if (!text) return '';
+
+  const blocks = parseNote(text).map((block) => {
+    const html = block.spans.map((span) => {
+      let spanHTML = escapeHTML(span.text);
+      if (span.bold) spanHTML = `<strong>${spanHTML}</strong>`;
+      if (span.italic) spanHTML = `<em>${spanHTML}</em>`;
+      return spanHTML;
+    }).join('');
+    return block.type === 'item' ? `<li>${html}</li>` : `<p>${html}</p>`;
+  });
+
+  // Consecutive list items share one list
+  const html = blocks.join('').replace(/((?:<li>.*?<\/li>)+)/g, '<ul>$1</ul>');
+  return `<div class="note">${html}</div>`;
+};
+
 /**
  * Generates HTML content for the learning path PDF
  * @param {Object} pathData - The learning path data object
+ * @param {Object} [options] - { includeNotes } to add the user's notes
  * @returns {string} HTML string for PDF generation
+ * @throws {LearningPathValidationError} if pathData isn't a valid learning path
  */
-const generateLearningPathHTML = (pathData) => {
-  const title = pathData.title || `${pathData.topic} Learning Path`;
-  const description = pathData.description || '';
-  const totalHours = pathData.total_hours || 0;
-  const durationWeeks = pathData.duration_weeks || 0;
-  const expertiseLevel = pathData.expertise_level || 'Beginner';
-  const milestones = pathData.milestones || [];
-  // Support both job_market and job_market_data field names
-  const jobMarket = pathData.job_market || pathData.job_market_data || null;
+const generateLearningPathHTML = (pathData, { includeNotes = false } = {}) => {
+  const path = normalizeLearningPath(pathData);
+  const getNoteHTML = (targetId) => (includeNotes ? generateNoteHTML(path.notes[targetId]?.text) : '');
+  const { title, description, milestones } = path;
+  const totalHours = path.total_hours;
+  const durationWeeks = path.duration_weeks;
+  const expertiseLevel = formatExpertiseLevel(path.expertise_level);
 
   // Generate milestones HTML
   const milestonesHTML = milestones.map((milestone, index) => {
-    const resources = milestone.resources || [];
+    const resources = milestone.resources;
     const resourcesHTML = resources.length > 0
       ? `
         <div class="resources">
           <h4>📚 Resources</h4>
           <ul>
             ${resources.map(resource => `
-              <li>
+              <li id="resource-${resource.id}">
                 <span class="resource-type">${getResourceIcon(resource.type)}</span>
-                <span class="resource-title">${resource.title || resource.description || 'Resource'}</span>
-                ${resource.url ? `<br/><a href="${resource.url}" class="resource-link">${resource.url}</a>` : ''}
+                <span class="resource-title">${escapeHTML(resource.title || resource.description || 'Resource')}</span>
+                ${resource.url ? `<br/>${generateLinkHTML(resource.url)}` : ''}
+                ${getNoteHTML(resource.id)}
               </li>
             `).join('')}
           </ul>
@@ -39,22 +81,23 @@ const generateLearningPathHTML = (pathData) => {
       : '';
 
     return `
-      <div class="milestone">
+      <div class="milestone" id="milestone-${milestone.id}">
         <div class="milestone-header">
           <div class="milestone-number">${index + 1}</div>
           <div class="milestone-info">
-            <h3>${milestone.title || milestone.milestone}</h3>
-            <span class="milestone-duration">⏱ ${milestone.estimated_hours || Math.ceil(totalHours / milestones.length)} hours</span>
+            <h3>${escapeHTML(milestone.title)}</h3>
+            <span class="milestone-duration">⏱ ${milestone.estimated_hours} hours</span>
           </div>
         </div>
-        ${milestone.description ? `<p class="milestone-description">${milestone.description}</p>` : ''}
+        ${milestone.description ? `<p class="milestone-description">${escapeHTML(milestone.description)}</p>` : ''}
         ${resourcesHTML}
+        ${getNoteHTML(milestone.id)}
       </div>
     `;
   }).join('');
 
   // Generate study tips HTML
-  const hoursPerWeek = Math.ceil((totalHours || 10) / (durationWeeks || 4));
+  const hoursPerWeek = getWeeklyHours(path);
 
   const studyTipsHTML = `
     <div class="section study-tips">
@@ -86,7 +129,7 @@ const generateLearningPathHTML = (pathData) => {
     <head>
       <meta charset="UTF-8">
       <meta name="viewport" content="width=device-width, initial-scale=1.0">
-      <title>${title}</title>
+      <title>${escapeHTML(title)}</title>
       <style>
         * {
           margin: 0;
@@ -292,6 +335,30 @@ const generateLearningPathHTML = (pathData) => {
           word-break: break-all;
         }
         
+        .note {
+          background: #fefce8;
+          border-left: 3px solid #facc15;
+          border-radius: 6px;
+          padding: 10px 14px;
+          margin-top: 10px;
+          font-size: 13px;
+          color: #444;
+        }
+        
+        .note p {
+          margin: 4px 0;
+        }
+        
+        .note ul {
+          margin: 4px 0;
+          padding-left: 18px;
+        }
+        
+        .resources .note li {
+          padding: 2px 0;
+          border-bottom: none;
+        }
+        
         .footer {
           margin-top: 40px;
           padding-top: 20px;
@@ -314,8 +381,8 @@ const generateLearningPathHTML = (pathData) => {
     </head>
     <body>
       <div class="header">
-        <h1>🎯 ${title}</h1>
-        ${description ? `<p class="description">${description}</p>` : ''}
+        <h1>🎯 ${escapeHTML(title)}</h1>
+        ${description ? `<p class="description">${escapeHTML(description)}</p>` : ''}
         
         <div class="stats-grid">
           <div class="stat-item">
@@ -384,12 +451,13 @@ const getResourceIcon = (type) => {
 /**
  * Generate and download/share a PDF of the learning path
  * @param {Object} pathData - The learning path data
+ * @param {Object} [options] - { includeNotes } to add the user's notes
  * @returns {Promise<{success: boolean, message: string}>}
  */
-export const downloadLearningPathPDF = async (pathData) => {
+export const downloadLearningPathPDF = async (pathData, options) => {
   try {
     // Generate HTML content
-    const html = generateLearningPathHTML(pathData);
+    const html = generateLearningPathHTML(pathData, options);
 
     // Create PDF file
     const { uri } = await Print.printToFileAsync({